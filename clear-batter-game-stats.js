@@ -4,11 +4,8 @@
 const dbService = require('./src/database');
 const readline = require('readline');
 
-// Create interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// Interface for user input, created on first question so requiring this file doesn't hold stdin open
+let rl = null;
 
 /**
  * Clear batter game stats from the database
@@ -92,7 +89,7 @@ async function clearBatterGameStats(options = {}) {
         throw error;
     } finally {
         await dbService.close();
-        rl.close();
+        closeReadline();
     }
 }
 
@@ -102,6 +99,13 @@ async function clearBatterGameStats(options = {}) {
  * @returns {Promise<string>} - User's answer
  */
 function askQuestion(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+
     return new Promise(resolve => {
         rl.question(question, answer => {
             resolve(answer);
@@ -109,6 +113,16 @@ function askQuestion(question) {
     });
 }
 
+/**
+ * Close the user input interface if it was opened
+ */
+function closeReadline() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
+
 /**
  * Main function to run the script interactively
  */
@@ -151,7 +165,7 @@ async function main() {
             console.log(`You have chosen to clear batter game stats for team IDs: ${options.teamIds.join(', ')}`);
         } else {
             console.log('Invalid choice. Operation cancelled.');
-            rl.close();
+            closeReadline();
             return;
         }
 
@@ -166,9 +180,7 @@ async function main() {
     } catch (error) {
         console.error('Unhandled error:', error);
     } finally {
-        if (rl.listenerCount('line') > 0) {
-            rl.close();
-        }
+        closeReadline();
     }
 }
 
@@ -180,4 +192,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { clearBatterGameStats };
\ No newline at end of file
+module.exports = { clearBatterGameStats, main };
\ No newline at end of file
@@ -96,9 +96,16 @@ async function createCleanPlayersTable() {
         console.log('Database connection closed');
     } catch (error) {
         console.error('\nUNEXPECTED ERROR:', error);
-        process.exit(1);
+        throw error;
     }
 }
 
-// Run the script
-createCleanPlayersTable().catch(console.error);
\ No newline at end of file
+// Run the script when executed directly
+if (require.main === module) {
+    createCleanPlayersTable().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createCleanPlayersTable };
\ No newline at end of file
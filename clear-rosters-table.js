@@ -4,11 +4,8 @@
 const dbService = require('./src/database');
 const readline = require('readline');
 
-// Create interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// Interface for user input, created on first question so requiring this file doesn't hold stdin open
+let rl = null;
 
 /**
  * Clear roster data from the database
@@ -73,15 +70,19 @@ async function clearRosterData(seasonYears = []) {
             const deleted = await dbService.rosters.deleteSeasonRosters(item.season.id);
             totalDeleted += deleted;
 
+            // Forget the scrape jobs too, so a resumed scrape fetches these rosters again
+            await dbService.scrapeJobs.deleteJobs(item.season.id);
+
             console.log(`Deleted ${deleted} roster entries for season ${item.season.year}`);
         }
 
         console.log(`\nOperation completed successfully. Deleted a total of ${totalDeleted} roster entries.`);
     } catch (error) {
         console.error('Error clearing roster data:', error);
+        throw error;
     } finally {
         await dbService.close();
-        rl.close();
+        closeReadline();
     }
 }
 
@@ -91,6 +92,13 @@ async function clearRosterData(seasonYears = []) {
  * @returns {Promise<string>} - User's answer
  */
 function askQuestion(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+
     return new Promise(resolve => {
         rl.question(question, answer => {
             resolve(answer);
@@ -98,6 +106,16 @@ function askQuestion(question) {
     });
 }
 
+/**
+ * Close the user input interface if it was opened
+ */
+function closeReadline() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
+
 /**
  * Helper function to clear roster data for specific periods within a season
  * @param {string} year - Season year
@@ -139,12 +157,16 @@ async function clearRosterDataForPeriods(year, periodNumbers) {
             totalDeleted += periodDeleted;
         }
 
+        // Forget the scrape jobs too, so a resumed scrape fetches these periods again
+        await dbService.scrapeJobs.deleteJobs(season.id, periodNumbers);
+
         console.log(`\nOperation completed successfully. Deleted a total of ${totalDeleted} roster entries.`);
     } catch (error) {
         console.error('Error clearing roster data for periods:', error);
+        throw error;
     } finally {
         await dbService.close();
-        rl.close();
+        closeReadline();
     }
 }
 
@@ -173,7 +195,7 @@ async function main() {
 
                 if (years.length === 0 || (years.length === 1 && years[0] === '')) {
                     console.log('No valid years entered. Operation cancelled.');
-                    rl.close();
+                    closeReadline();
                     return;
                 }
 
@@ -194,7 +216,7 @@ async function main() {
 
             if (periods.length === 0) {
                 console.log('No valid period numbers entered. Operation cancelled.');
-                rl.close();
+                closeReadline();
                 return;
             }
 
@@ -212,9 +234,7 @@ async function main() {
     } catch (error) {
         console.error('Unhandled error:', error);
     } finally {
-        if (rl.listenerCount('line') > 0) {
-            rl.close();
-        }
+        closeReadline();
     }
 }
 
@@ -226,4 +246,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { clearRosterData, clearRosterDataForPeriods };
\ No newline at end of file
+module.exports = { clearRosterData, clearRosterDataForPeriods, main };
\ No newline at end of file
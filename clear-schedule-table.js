@@ -4,11 +4,8 @@
 const dbService = require('./src/database');
 const readline = require('readline');
 
-// Create interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// Interface for user input, created on first question so requiring this file doesn't hold stdin open
+let rl = null;
 
 /**
  * Clear schedule data from the database
@@ -66,9 +63,10 @@ async function clearScheduleData(seasonYears = []) {
         console.log(`\nOperation completed successfully. Deleted a total of ${totalDeleted} matchups.`);
     } catch (error) {
         console.error('Error clearing schedule data:', error);
+        throw error;
     } finally {
         await dbService.close();
-        rl.close();
+        closeReadline();
     }
 }
 
@@ -78,6 +76,13 @@ async function clearScheduleData(seasonYears = []) {
  * @returns {Promise<string>} - User's answer
  */
 function askQuestion(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+
     return new Promise(resolve => {
         rl.question(question, answer => {
             resolve(answer);
@@ -85,6 +90,16 @@ function askQuestion(question) {
     });
 }
 
+/**
+ * Close the user input interface if it was opened
+ */
+function closeReadline() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
+
 /**
  * Main function to run the script
  */
@@ -106,7 +121,7 @@ async function main() {
 
             if (years.length === 0 || (years.length === 1 && years[0] === '')) {
                 console.log('No valid years entered. Operation cancelled.');
-                rl.close();
+                closeReadline();
                 return;
             }
 
@@ -115,9 +130,7 @@ async function main() {
     } catch (error) {
         console.error('Unhandled error:', error);
     } finally {
-        if (rl.listenerCount('line') > 0) {
-            rl.close();
-        }
+        closeReadline();
     }
 }
 
@@ -129,4 +142,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { clearScheduleData };
\ No newline at end of file
+module.exports = { clearScheduleData, main };
\ No newline at end of file
@@ -5,9 +5,10 @@ const { open } = require('sqlite');
 const path = require('path');
 const fs = require('fs-extra');
 const dbService = require('./src/database');
+const { getSeasonYears } = require('./src/utils/seasons');
 
 // Configure filtering for specific seasons or date ranges
-const SEASONS = ['2024', '2023', '2022', '2021', '2020', '2019', '2018', '2017']; // Default to all seasons
+const SEASONS = getSeasonYears(); // Default to all seasons
 const START_DATE = null; // Optional: filter by start date in YYYY-MM-DD format
 const END_DATE = null; // Optional: filter by end date in YYYY-MM-DD format
 
@@ -158,20 +159,111 @@ function extractBatterStats(boxscore, gamePk, gameDate) {
 }
 
 /**
- * Process a batch of games and save batter stats to the database
+ * Extract pitcher game stats from boxscore data
+ * The Stats API has no quality start field, so one is credited to a starter who got at least
+ * 18 outs and allowed no more than 3 earned runs
+ * @param {Object} boxscore - Boxscore data from MLB Stats API
+ * @param {number} gamePk - MLB game ID
+ * @param {string} gameDate - Game date
+ * @returns {Array<Object>} List of pitcher game stats, in the order each team used them
+ */
+function extractPitcherStats(boxscore, gamePk, gameDate) {
+    const pitcherStats = [];
+
+    if (!boxscore || !boxscore.teams) {
+        console.log(`No valid boxscore data for game ${gamePk}`);
+        return pitcherStats;
+    }
+
+    for (const side of ['away', 'home']) {
+        const team = boxscore.teams[side];
+
+        if (!team || !team.team || !team.players) {
+            console.log(`No ${side} team data for game ${gamePk}`);
+            continue;
+        }
+
+        const teamId = team.team.id;
+        const teamName = team.team.name;
+
+        // Pitchers are listed in the order they appeared, starter first
+        const pitcherIds = team.pitchers || [];
+
+        for (const playerId of pitcherIds) {
+            const playerData = team.players[`ID${playerId}`];
+
+            if (!playerData || !playerData.stats || !playerData.stats.pitching) {
+                continue;
+            }
+
+            const pitching = playerData.stats.pitching;
+            const person = playerData.person;
+
+            const isStarter = (pitching.gamesStarted || 0) > 0;
+            const outs = pitching.outs || 0;
+            const earnedRuns = pitching.earnedRuns || 0;
+
+            pitcherStats.push({
+                gamePk,
+                playerId: person.id,
+                playerName: person.fullName,
+                teamId,
+                teamName,
+                gameDate,
+
+                // Appearance
+                isStarter,
+                inningsPitched: pitching.inningsPitched || '0.0',
+                outs,
+                battersFaced: pitching.battersFaced || 0,
+                pitchesThrown: pitching.numberOfPitches || pitching.pitchesThrown || 0,
+
+                // Counting stats
+                hits: pitching.hits || 0,
+                runs: pitching.runs || 0,
+                earnedRuns,
+                baseOnBalls: pitching.baseOnBalls || 0,
+                strikeouts: pitching.strikeOuts || 0,
+                homeRuns: pitching.homeRuns || 0,
+                hitBatsmen: pitching.hitBatsmen || 0,
+
+                // Decisions
+                wins: pitching.wins || 0,
+                losses: pitching.losses || 0,
+                saves: pitching.saves || 0,
+                holds: pitching.holds || 0,
+                blownSaves: pitching.blownSaves || 0,
+                qualityStart: isStarter && outs >= 18 && earnedRuns <= 3,
+
+                // Summary stats
+                note: pitching.note || '',
+                pitchingSummary: pitching.summary || ''
+            });
+        }
+    }
+
+    return pitcherStats;
+}
+
+/**
+ * Process a batch of games and save batter and pitcher stats to the database
  * @param {Array<Object>} games - List of games to process
+ * @param {Object} options - Processing options
+ * @param {boolean} options.pitchers - Also save pitcher stats (default: true)
  * @returns {Promise<number>} Number of games processed
  */
-async function processBatch(games) {
+async function processBatch(games, options = {}) {
+    const { pitchers = true } = options;
     let processedCount = 0;
 
     for (const game of games) {
         try {
-            // First check if we already have batter stats for this game
-            const hasStats = await dbService.batterGameStats.hasStatsForGame(game.game_pk);
+            // First check which stats we already have for this game
+            const hasBatterStats = await dbService.batterGameStats.hasStatsForGame(game.game_pk);
+            const hasPitcherStats = !pitchers || await dbService.pitcherGameStats.hasStatsForGame(game.game_pk);
 
-            if (hasStats) {
-                console.log(`Game ${game.game_pk} already has batter stats. Skipping.`);
+            if (hasBatterStats && hasPitcherStats) {
+                console.log(`Game ${game.game_pk} already has ${pitchers ? 'batter and pitcher' : 'batter'} stats. Skipping.`);
                 processedCount++;
                 continue;
             }
@@ -184,20 +276,31 @@ async function processBatch(games) {
                 continue;
             }
 
-            // Extract batter stats
-            const batterStats = extractBatterStats(boxscore, game.game_pk, game.official_date);
-
-            if (batterStats.length === 0) {
-                console.log(`No batter stats found for game ${game.game_pk}.`);
-                continue;
+            if (!hasBatterStats) {
+                // Extract batter stats
+                const batterStats = extractBatterStats(boxscore, game.game_pk, game.official_date);
+
+                if (batterStats.length === 0) {
+                    console.log(`No batter stats found for game ${game.game_pk}.`);
+                } else {
+                    // Save batter stats to database
+                    const savedCount = await dbService.batterGameStats.bulkUpsertBatterGameStats(batterStats);
+                    console.log(`Saved ${savedCount} batter stats for game ${game.game_pk}`);
+                }
             }
 
-            console.log(`Saving ${batterStats.length} batter stats for game ${game.game_pk}`);
+            if (!hasPitcherStats) {
+                // Pitching lines come from the same boxscore
+                const pitcherStats = extractPitcherStats(boxscore, game.game_pk, game.official_date);
 
-            // Save batter stats to database
-            const savedCount = await dbService.batterGameStats.bulkUpsertBatterGameStats(batterStats);
+                if (pitcherStats.length === 0) {
+                    console.log(`No pitcher stats found for game ${game.game_pk}.`);
+                } else {
+                    const savedCount = await dbService.pitcherGameStats.bulkUpsertPitcherGameStats(pitcherStats);
+                    console.log(`Saved ${savedCount} pitcher stats for game ${game.game_pk}`);
+                }
+            }
 
-            console.log(`Saved ${savedCount} batter stats for game ${game.game_pk}`);
             processedCount++;
 
             // Add a brief delay between API requests
@@ -212,8 +315,18 @@ async function processBatch(games) {
 
 /**
  * Main function to run the batter stats fetching process
+ * @param {Object} options - Filtering options
+ * @param {Array<string>} options.seasons - Season years to process (default: SEASONS)
+ * @param {string} options.startDate - Start date in YYYY-MM-DD format (default: START_DATE)
+ * @param {string} options.endDate - End date in YYYY-MM-DD format (default: END_DATE)
  */
-async function main() {
+async function main(options = {}) {
+    const {
+        seasons = SEASONS,
+        startDate = START_DATE,
+        endDate = END_DATE
+    } = options;
+
     try {
         console.log('Starting batter game stats fetch process...');
 
@@ -226,20 +339,20 @@ async function main() {
         const params = [];
 
         // Add season filter if specified
-        if (SEASONS && SEASONS.length > 0) {
-            query += ' AND season IN (' + SEASONS.map(() => '?').join(',') + ')';
-            params.push(...SEASONS);
+        if (seasons && seasons.length > 0) {
+            query += ' AND season IN (' + seasons.map(() => '?').join(',') + ')';
+            params.push(...seasons);
         }
 
         // Add date range filter if specified
-        if (START_DATE) {
+        if (startDate) {
             query += ' AND official_date >= ?';
-            params.push(START_DATE);
+            params.push(startDate);
         }
 
-        if (END_DATE) {
+        if (endDate) {
             query += ' AND official_date <= ?';
-            params.push(END_DATE);
+            params.push(endDate);
         }
 
         // Add sorting
@@ -288,6 +401,7 @@ async function main() {
 
     } catch (error) {
         console.error('Error in main process:', error);
+        throw error;
     } finally {
         // Close database connection
         await dbService.close();
@@ -306,6 +420,7 @@ if (require.main === module) {
 module.exports = {
     fetchBoxscore,
     extractBatterStats,
+    extractPitcherStats,
     processBatch,
     main
 };
\ No newline at end of file
@@ -4,26 +4,18 @@ const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
 const fs = require('fs-extra');
+const { getSeasons, getSeasonYears } = require('./src/utils/seasons');
 
 // Configuration
 const DB_PATH = path.join(__dirname, 'data/db/fantrax.db');
 const DEBUG_DIR = path.join(__dirname, 'data/debug');
 fs.ensureDirSync(DEBUG_DIR);
 
-// List of seasons to fetch - matches your index.js file
-const SEASONS = [
-    { year: '2024', leagueId: '413usx30ls6bwvoj' },
-    { year: '2023', leagueId: 'fa79oxi9ld3k0iqz' },
-    { year: '2022', leagueId: '13e6yr1okxw9m4bb' },
-    { year: '2021', leagueId: 'kcog4xfdkl9q0rs8' },
-    { year: '2020', leagueId: 'o4x7hu98k6fgewdh' },
-    { year: '2019', leagueId: 'qlf1p1hnjow4nx9t' },
-    { year: '2018', leagueId: 'u6yaky2bjcplrw14' },
-    { year: '2017', leagueId: 'apl5cn2ciyuis67t' }
-];
+// List of seasons to fetch, from the season registry
+const SEASONS = getSeasons();
 
 // Configure which seasons to fetch data for
-const YEARS_TO_FETCH = ['2024', '2023', '2022', '2021', '2020', '2019', '2018', '2017']; // All seasons
+const YEARS_TO_FETCH = getSeasonYears(); // All seasons
 
 /**
  * Fetch MLB games for a specific season
@@ -45,40 +37,13 @@ async function fetchSeasonGames(season) {
         const debugFile = path.join(DEBUG_DIR, `mlb-games-${season}.json`);
         await fs.writeJson(debugFile, response.data, { spaces: 2 });
 
-        // Process the data to extract games
-        const games = [];
-
         // Verify data structure
         if (!response.data || !response.data.dates) {
             console.log(`No valid data returned for ${season} season`);
             return [];
         }
 
-        // Loop through each date
-        for (const date of response.data.dates) {
-            // Loop through each game on this date
-            if (date.games && Array.isArray(date.games)) {
-                for (const game of date.games) {
-                    // Only include regular season games
-                    if (game.gameType === 'R') {
-                        games.push({
-                            gamePk: game.gamePk,
-                            season: game.season,
-                            officialDate: game.officialDate,
-                            gameType: game.gameType,
-                            abstractGameState: game.status ? game.status.abstractGameState : null,
-                            dayNight: game.dayNight,
-                            homeTeamId: game.teams.home.team.id,
-                            awayTeamId: game.teams.away.team.id,
-                            homeTeamScore: game.teams.home.score,
-                            awayTeamScore: game.teams.away.score,
-                            venueId: game.venue ? game.venue.id : null,
-                            venueName: game.venue ? game.venue.name : null
-                        });
-                    }
-                }
-            }
-        }
+        const games = extractSeasonGames(response.data);
 
         console.log(`Found ${games.length} regular season MLB games for ${season}`);
         return games;
@@ -88,6 +53,43 @@ async function fetchSeasonGames(season) {
     }
 }
 
+/**
+ * Extract regular season games from an MLB Stats API schedule response
+ * @param {Object} schedule - Schedule response ({ dates: [{ games: [...] }] })
+ * @returns {Array} List of regular season games
+ */
+function extractSeasonGames(schedule) {
+    const games = [];
+
+    // Loop through each date
+    for (const date of schedule.dates || []) {
+        // Loop through each game on this date
+        if (date.games && Array.isArray(date.games)) {
+            for (const game of date.games) {
+                // Only include regular season games
+                if (game.gameType === 'R') {
+                    games.push({
+                        gamePk: game.gamePk,
+                        season: game.season,
+                        officialDate: game.officialDate,
+                        gameType: game.gameType,
+                        abstractGameState: game.status ? game.status.abstractGameState : null,
+                        dayNight: game.dayNight,
+                        homeTeamId: game.teams.home.team.id,
+                        awayTeamId: game.teams.away.team.id,
+                        homeTeamScore: game.teams.home.score,
+                        awayTeamScore: game.teams.away.score,
+                        venueId: game.venue ? game.venue.id : null,
+                        venueName: game.venue ? game.venue.name : null
+                    });
+                }
+            }
+        }
+    }
+
+    return games;
+}
+
 /**
  * Save MLB games to the database
  * @param {sqlite.Database} db - Database connection
@@ -179,8 +181,9 @@ async function saveGamesToDatabase(db, games) {
 
 /**
  * Main function to run the MLB games fetching process
+ * @param {Array<string>} yearsToFetch - Season years to fetch, empty for all seasons (default: YEARS_TO_FETCH)
  */
-async function main() {
+async function main(yearsToFetch = YEARS_TO_FETCH) {
     try {
         console.log('Starting MLB games fetch process...');
 
@@ -199,14 +202,14 @@ async function main() {
         `);
 
         if (!tableCheck) {
-            console.error('MLB games table does not exist. Please run apply-mlb-games-schema.js first.');
+            console.error('MLB games table does not exist. Please run `fantrax db migrate` first.');
             await db.close();
             return;
         }
 
-        // Filter seasons based on YEARS_TO_FETCH
-        const seasonsToFetch = YEARS_TO_FETCH.length > 0
-            ? SEASONS.filter(season => YEARS_TO_FETCH.includes(season.year))
+        // Filter seasons based on the requested years
+        const seasonsToFetch = yearsToFetch.length > 0
+            ? SEASONS.filter(season => yearsToFetch.includes(season.year))
             : SEASONS;
 
         console.log(`Will fetch MLB games for ${seasonsToFetch.length} seasons:`,
@@ -240,9 +243,16 @@ async function main() {
 
     } catch (error) {
         console.error('Error in main process:', error);
-        process.exit(1);
+        throw error;
     }
 }
 
-// Run the script
-main().catch(console.error);
\ No newline at end of file
+// Run the script when executed directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, extractSeasonGames };
\ No newline at end of file
@@ -4,10 +4,12 @@ const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
 const fs = require('fs-extra');
+const dbService = require('./src/database');
+const { getSeasonYears } = require('./src/utils/seasons');
 
 // Configuration
 const DB_PATH = path.join(__dirname, 'data/db/fantrax.db');
-const SEASONS = [2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024];
+const SEASONS = getSeasonYears().map(Number).sort((a, b) => a - b);
 const MLB_API_BASE_URL = 'https://statsapi.mlb.com/api/v1';
 const SPORT_ID = 1; // MLB
 const DEBUG_DIR = path.join(__dirname, 'data/debug');
@@ -203,6 +205,61 @@ async function saveUniquePlayersToDatabase(db, players) {
     }
 }
 
+/**
+ * Pull each player's MLB team and position from one season's players response
+ * @param {Array<Object>} people - Players from the MLB Stats API for a season
+ * @returns {Array<Object>} Player seasons ({ playerId, mlbTeamId, mlbTeamName, position })
+ */
+function extractPlayerSeasons(people) {
+    return people
+        .filter(player => player.id)
+        .map(player => ({
+            playerId: player.id,
+            mlbTeamId: player.currentTeam?.id || null,
+            mlbTeamName: player.currentTeam?.name || null,
+            position: player.primaryPosition?.abbreviation || null
+        }));
+}
+
+/**
+ * Save each season's player teams to the player_seasons table
+ * @param {Map} playersBySeason - Season year -> players from the MLB Stats API
+ */
+async function savePlayerSeasons(playersBySeason) {
+    await dbService.initialize();
+
+    try {
+        for (const [season, people] of playersBySeason) {
+            // A failed fetch returns no players; keep what was saved for the season before
+            if (people.length === 0) continue;
+
+            const savedCount = await dbService.playerSeasons.replaceSeason(String(season), extractPlayerSeasons(people));
+            console.log(`Saved ${savedCount} player teams for season ${season}`);
+        }
+    } finally {
+        await dbService.close();
+    }
+}
+
+/**
+ * Fetch every season's players again and save only their teams (for a players table that is already filled)
+ * @param {Object} options - Sync options
+ * @param {Array<number>} options.seasons - Season years (default: every configured season)
+ */
+async function syncPlayerSeasons(options = {}) {
+    const { seasons = SEASONS } = options;
+    const playersBySeason = new Map();
+
+    for (const season of seasons) {
+        playersBySeason.set(season, await fetchPlayersForSeason(season));
+
+        // Add a small delay between API calls to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    await savePlayerSeasons(playersBySeason);
+}
+
 /**
  * Main function to execute the script
  */
@@ -240,10 +297,12 @@ async function main() {
 
         // Process all seasons in reverse order (newest first)
         let allPlayers = [];
+        const playersBySeason = new Map();
         for (const season of SEASONS.slice().reverse()) {
             try {
                 const players = await fetchPlayersForSeason(season);
                 allPlayers = allPlayers.concat(players);
+                playersBySeason.set(season, players);
 
                 // Add a small delay between API calls to avoid rate limiting
                 if (season !== SEASONS[0]) {
@@ -282,11 +341,21 @@ async function main() {
 
         await db.close();
         console.log('Database connection closed');
+
+        // Keep each player's team per season for the roster matcher
+        await savePlayerSeasons(playersBySeason);
     } catch (error) {
         console.error('Error in main process:', error);
-        process.exit(1);
+        throw error;
     }
 }
 
-// Run the script
-main().catch(console.error);
\ No newline at end of file
+// Run the script when executed directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, extractPlayerSeasons, syncPlayerSeasons };
\ No newline at end of file
@@ -7,7 +7,6 @@ const axios = require('axios');
 
 // Configuration
 const DB_PATH = path.join(__dirname, 'data/db/fantrax.db');
-const SCHEMA_FILE = path.join(__dirname, 'mlb_teams-schema.sql');
 const MLB_API_URL = 'https://statsapi.mlb.com/api/v1/teams?sportId=1&season=2024';
 
 async function createMlbTeamsTable() {
@@ -18,33 +17,26 @@ async function createMlbTeamsTable() {
             driver: sqlite3.Database
         });
 
-        // Read schema from file or create it inline if needed
-        let schemaSQL;
-        try {
-            schemaSQL = fs.readFileSync(SCHEMA_FILE, 'utf8');
-            console.log('Read schema from file');
-        } catch (fileError) {
-            console.log('Schema file not found, using inline schema');
-            schemaSQL = `
-                CREATE TABLE IF NOT EXISTS mlb_teams (
-                    id INTEGER PRIMARY KEY,
-                    name TEXT NOT NULL,
-                    abbreviation TEXT,
-                    short_name TEXT,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                );
-                
-                CREATE INDEX IF NOT EXISTS idx_mlb_teams_name ON mlb_teams(name);
-                CREATE INDEX IF NOT EXISTS idx_mlb_teams_abbr ON mlb_teams(abbreviation);
-                
-                CREATE TRIGGER IF NOT EXISTS update_mlb_teams_timestamp
-                AFTER UPDATE ON mlb_teams
-                BEGIN
-                    UPDATE mlb_teams SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-                END;
-            `;
-        }
+        // The table comes from the schema migrations; create it here too so the script works on its own
+        const schemaSQL = `
+            CREATE TABLE IF NOT EXISTS mlb_teams (
+                id INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                abbreviation TEXT,
+                short_name TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_mlb_teams_name ON mlb_teams(name);
+            CREATE INDEX IF NOT EXISTS idx_mlb_teams_abbr ON mlb_teams(abbreviation);
+
+            CREATE TRIGGER IF NOT EXISTS update_mlb_teams_timestamp
+            AFTER UPDATE ON mlb_teams
+            BEGIN
+                UPDATE mlb_teams SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `;
 
         // Begin transaction
         await db.run('BEGIN TRANSACTION');
@@ -121,9 +113,16 @@ async function createMlbTeamsTable() {
         console.log('Database connection closed');
     } catch (err) {
         console.error('Database error:', err);
-        process.exit(1);
+        throw err;
     }
 }
 
-// Run the function
-createMlbTeamsTable().catch(console.error);
\ No newline at end of file
+// Run the function when executed directly
+if (require.main === module) {
+    createMlbTeamsTable().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createMlbTeamsTable };
\ No newline at end of file
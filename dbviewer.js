@@ -3,8 +3,8 @@ const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
 
-// Database configuration - using the exact path that worked in the command line
-const DB_PATH = '/workspaces/fantrax-data-scraper/data/db/fantrax.db';
+// Database configuration
+const DB_PATH = path.join(__dirname, 'data/db/fantrax.db');
 
 async function viewDatabase() {
     try {
@@ -74,11 +74,16 @@ async function viewDatabase() {
 
     } catch (error) {
         console.error('Error viewing database:', error);
+        throw error;
     }
 }
 
-// Run the function
-viewDatabase().catch(err => {
-    console.error('Unhandled error:', err);
-    process.exit(1);
-});
\ No newline at end of file
+// Run the function when executed directly
+if (require.main === module) {
+    viewDatabase().catch(err => {
+        console.error('Unhandled error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = { viewDatabase };
\ No newline at end of file
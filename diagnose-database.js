@@ -138,9 +138,16 @@ async function diagnoseDatabase() {
         console.log('\n===== DIAGNOSTIC COMPLETED =====');
     } catch (error) {
         console.error('\nERROR DURING DIAGNOSTIC:', error);
-        process.exit(1);
+        throw error;
     }
 }
 
-// Run the script
-diagnoseDatabase().catch(console.error);
\ No newline at end of file
+// Run the script when executed directly
+if (require.main === module) {
+    diagnoseDatabase().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { diagnoseDatabase };
\ No newline at end of file
@@ -226,9 +226,16 @@ async function forceFixPlayerDuplicates() {
         console.log('Database connection closed');
     } catch (error) {
         console.error('\nFATAL ERROR:', error);
-        process.exit(1);
+        throw error;
     }
 }
 
-// Run the script
-forceFixPlayerDuplicates().catch(console.error);
\ No newline at end of file
+// Run the script when executed directly
+if (require.main === module) {
+    forceFixPlayerDuplicates().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { forceFixPlayerDuplicates };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const dbService = require('./src/database');
 const fs = require('fs-extra');
 const path = require('path');
+const { isRotoSeason, getFormatLabel } = require('./src/utils/seasons');
 
 // Configuration
 const OUTPUT_DIR = path.join(__dirname, 'data', 'reports');
@@ -46,6 +47,9 @@ async function generateLeagueReport() {
             report.summary.topThreeFinishesByManager[manager.name] = 0;
         });
 
+        // Database IDs of every season's champion team, for the manager profiles
+        const championTeamIds = new Set();
+
         // Process each season
         for (const season of seasons) {
             console.log(`Processing season ${season.year}...`);
@@ -64,8 +68,17 @@ async function generateLeagueReport() {
             // Get season stats
             const seasonStats = await dbService.seasonStats.getStatsBySeason(season.id);
 
-            // Check if this is the 2020 season (special handling)
-            const is2020Season = season.year === '2020';
+            // Roto seasons are ranked on points rather than win/loss
+            const isRoto = isRotoSeason(season);
+
+            // Head-to-head titles are decided in the playoffs; without a bracket (roto, or not built yet)
+            // the regular-season top three stand in
+            const finalists = isRoto ? null : await dbService.playoffBracket.getFinalists(season.id);
+            const rankOf = rank => (standings.find(s => s.rank === rank) || {}).team_id;
+            const championTeamId = finalists ? finalists.championTeamId : rankOf(1);
+            const runnerUpTeamId = finalists ? finalists.runnerUpTeamId : rankOf(2);
+            const thirdPlaceTeamId = finalists ? await dbService.playoffBracket.getThirdPlace(season.id) : rankOf(3);
+            if (championTeamId) championTeamIds.add(championTeamId);
 
             // Process and combine data
             const seasonTeams = [];
@@ -78,8 +91,8 @@ async function generateLeagueReport() {
 
                 let winPercentage = standing.win_percentage;
 
-                // For 2020, use fantasy points to determine ranking instead of win/loss
-                if (is2020Season && stats) {
+                // For roto seasons, use fantasy points to determine ranking instead of win/loss
+                if (isRoto && stats) {
                     winPercentage = stats.fantasy_points / 10000; // Normalize to similar scale
                 }
 
@@ -91,19 +104,22 @@ async function generateLeagueReport() {
                     winPercentage: winPercentage,
                     fantasyPoints: stats ? stats.fantasy_points : 0,
                     gamesBack: standing.games_back,
-                    seasonFormat: is2020Season ? 'Roto' : 'Head-to-Head'
+                    seasonFormat: getFormatLabel(season.format),
+                    isChampion: team.id === championTeamId,
+                    isRunnerUp: team.id === runnerUpTeamId,
+                    isThirdPlace: team.id === thirdPlaceTeamId
                 };
 
                 seasonTeams.push(teamData);
 
                 // Update championship and top-three counts
                 if (team.manager_name) {
-                    if (standing.rank === 1) {
+                    if (teamData.isChampion) {
                         report.summary.championsByManager[team.manager_name] =
                             (report.summary.championsByManager[team.manager_name] || 0) + 1;
                     }
 
-                    if (standing.rank <= 3) {
+                    if (teamData.isChampion || teamData.isRunnerUp || teamData.isThirdPlace) {
                         report.summary.topThreeFinishesByManager[team.manager_name] =
                             (report.summary.topThreeFinishesByManager[team.manager_name] || 0) + 1;
                     }
@@ -118,11 +134,11 @@ async function generateLeagueReport() {
                 year: season.year,
                 name: season.name,
                 leagueId: season.league_id,
-                format: is2020Season ? 'Roto' : 'Head-to-Head',
+                format: getFormatLabel(season.format),
                 teams: seasonTeams,
-                champion: seasonTeams.length > 0 ? seasonTeams[0] : null,
-                runnerUp: seasonTeams.length > 1 ? seasonTeams[1] : null,
-                thirdPlace: seasonTeams.length > 2 ? seasonTeams[2] : null
+                champion: seasonTeams.find(team => team.isChampion) || null,
+                runnerUp: seasonTeams.find(team => team.isRunnerUp) || null,
+                thirdPlace: seasonTeams.find(team => team.isThirdPlace) || null
             };
 
             report.seasons.push(seasonData);
@@ -135,7 +151,7 @@ async function generateLeagueReport() {
         for (const manager of managers) {
             // Get all teams managed by this person
             const managerTeams = await dbService.db.all(`
-                SELECT t.*, s.year, s.id as season_id, st.rank, st.wins, st.losses, st.ties, st.win_percentage
+                SELECT t.*, s.year, s.format, s.id as season_id, st.rank, st.wins, st.losses, st.ties, st.win_percentage
                 FROM teams t
                 JOIN seasons s ON t.season_id = s.id
                 LEFT JOIN standings st ON t.id = st.team_id AND t.season_id = st.season_id
@@ -157,8 +173,8 @@ async function generateLeagueReport() {
                 if (team.rank) {
                     totalSeasons++;
 
-                    // For 2020, don't count win/loss records in career totals
-                    if (team.year !== '2020') {
+                    // Don't count roto win/loss records in career totals
+                    if (!isRotoSeason(team)) {
                         totalWins += team.wins || 0;
                         totalLosses += team.losses || 0;
                         totalTies += team.ties || 0;
@@ -218,8 +234,9 @@ async function generateLeagueReport() {
                         year: team.year,
                         name: team.name,
                         rank: team.rank || 'Unknown',
+                        isChampion: championTeamIds.has(team.id),
                         record: team.wins ? `${team.wins}-${team.losses}-${team.ties}` : 'Unknown',
-                        format: team.year === '2020' ? 'Roto' : 'Head-to-Head',
+                        format: getFormatLabel(team.format),
                         fantasyPoints: fantasyPoints
                     };
                 })
@@ -368,27 +385,27 @@ async function generateHtmlReport(report) {
 
     // Add season data
     report.seasons.forEach(season => {
-        const isRotoSeason = season.format === 'Roto';
+        const isRoto = season.format === 'Roto';
 
         html += `
-        <div class="season ${isRotoSeason ? 'roto-season' : ''}">
-            <h3>${season.year} Season ${isRotoSeason ? '(Roto Format)' : ''}</h3>
+        <div class="season ${isRoto ? 'roto-season' : ''}">
+            <h3>${season.year} Season ${isRoto ? '(Roto Format)' : ''}</h3>
             <table>
                 <tr>
                     <th>Rank</th>
                     <th>Team</th>
                     <th>Manager</th>
                     <th>Record</th>
-                    ${isRotoSeason ? '<th>Fantasy Points</th>' : '<th>Win %</th>'}
+                    ${isRoto ? '<th>Fantasy Points</th>' : '<th>Win %</th>'}
                     <th>GB</th>
                 </tr>
         `;
 
         season.teams.forEach(team => {
             let rowClass = '';
-            if (team.rank === 1) rowClass = 'champion';
-            else if (team.rank === 2) rowClass = 'runner-up';
-            else if (team.rank === 3) rowClass = 'third-place';
+            if (team.isChampion) rowClass = 'champion';
+            else if (team.isRunnerUp) rowClass = 'runner-up';
+            else if (team.isThirdPlace) rowClass = 'third-place';
 
             html += `
             <tr class="${rowClass}">
@@ -396,7 +413,7 @@ async function generateHtmlReport(report) {
                 <td>${team.name}</td>
                 <td>${team.manager}</td>
                 <td>${team.record}</td>
-                <td>${isRotoSeason ? team.fantasyPoints.toLocaleString() : team.winPercentage}</td>
+                <td>${isRoto ? team.fantasyPoints.toLocaleString() : team.winPercentage}</td>
                 <td>${team.gamesBack}</td>
             </tr>
             `;
@@ -438,14 +455,13 @@ async function generateHtmlReport(report) {
         `;
 
         manager.teams.forEach(team => {
-            const isChampion = team.rank === 1;
-            const isRotoSeason = team.format === 'Roto';
+            const isRoto = team.format === 'Roto';
 
             html += `
-            <tr ${isRotoSeason ? 'class="roto-season"' : ''}>
+            <tr ${isRoto ? 'class="roto-season"' : ''}>
                 <td>${team.year}</td>
                 <td>${team.name}</td>
-                <td>${isChampion ? '🏆 ' : ''}${team.rank}</td>
+                <td>${team.isChampion ? '🏆 ' : ''}${team.rank}</td>
                 <td>${team.record}</td>
                 <td>${team.format}</td>
                 <td>${team.fantasyPoints ? team.fantasyPoints.toLocaleString() : 'N/A'}</td>
@@ -1,9 +1,10 @@
 const dbService = require('./src/database');
 const path = require('path');
 const fs = require('fs-extra');
+const { getSeasonYears, isRotoSeason, getFormatLabel } = require('./src/utils/seasons');
 
 // Configuration
-const SEASONS = ['2024', '2023', '2022', '2021', '2020', '2019', '2018', '2017']; // Include all seasons
+const SEASONS = getSeasonYears(); // Include all seasons
 const OUTPUT_DIR = path.join(__dirname, 'data', 'analysis');
 
 // Ensure output directory exists
@@ -54,8 +55,8 @@ async function analyzeManagerPerformance() {
 
             console.log(`Processing season ${year} (ID: ${season.id})...`);
 
-            // Check if this is the 2020 season (special handling for roto format)
-            const isRotoSeason = year === '2020';
+            // Roto seasons have no head-to-head record
+            const isRoto = isRotoSeason(season);
 
             // Get teams for this season with manager info
             const teams = await dbService.db.all(`
@@ -74,7 +75,7 @@ async function analyzeManagerPerformance() {
             // Get standings
             const standings = await dbService.standings.getStandingsBySeason(season.id);
 
-            // Get season stats (important for 2020 roto season)
+            // Get season stats (important for roto seasons)
             const seasonStats = await dbService.seasonStats.getStatsBySeason(season.id);
 
             // Map standings and stats to teams/managers
@@ -102,14 +103,14 @@ async function analyzeManagerPerformance() {
                     ties: standing.ties,
                     winPercentage: standing.win_percentage,
                     fantasyPoints: stats ? stats.fantasy_points : 0,
-                    format: isRotoSeason ? 'Roto' : 'Head-to-Head'
+                    format: getFormatLabel(season.format)
                 };
 
                 // Update manager stats
                 managerStat.seasons++;
 
                 // Only count wins/losses for head-to-head seasons
-                if (!isRotoSeason) {
+                if (!isRoto) {
                     managerStat.wins += standing.wins;
                     managerStat.losses += standing.losses;
                     managerStat.ties += standing.ties;
@@ -370,184 +371,218 @@ async function generateHtmlReport(managerStats, summary) {
 }
 
 /**
- * Analyze head-to-head records between managers
- * Note: For 2020 season, we'll handle differently since it was roto format
+ * Create an empty head-to-head record for one manager against one opponent
+ * @returns {Object} Empty record
+ */
+function createEmptyRecord() {
+    return {
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        currentWinStreak: 0,
+        longestWinStreak: 0
+    };
+}
+
+/**
+ * Apply a single matchup result to a head-to-head record
+ * Results must be applied in chronological order for the win streak to be correct
+ * @param {Object} record - Record created by createEmptyRecord
+ * @param {number} pointsFor - Points scored by the manager
+ * @param {number} pointsAgainst - Points scored by the opponent
+ */
+function applyResult(record, pointsFor, pointsAgainst) {
+    record.pointsFor += pointsFor;
+    record.pointsAgainst += pointsAgainst;
+
+    if (pointsFor > pointsAgainst) {
+        record.wins++;
+        record.currentWinStreak++;
+        record.longestWinStreak = Math.max(record.longestWinStreak, record.currentWinStreak);
+    } else if (pointsFor < pointsAgainst) {
+        record.losses++;
+        record.currentWinStreak = 0;
+    } else {
+        // A tie ends a win streak
+        record.ties++;
+        record.currentWinStreak = 0;
+    }
+}
+
+/**
+ * Format a head-to-head record for output
+ * @param {Object} record - Record created by createEmptyRecord
+ * @returns {Object} Formatted record
+ */
+function formatRecord(record) {
+    const totalGames = record.wins + record.losses + record.ties;
+
+    return {
+        record: `${record.wins}-${record.losses}-${record.ties}`,
+        wins: record.wins,
+        losses: record.losses,
+        ties: record.ties,
+        winPct: totalGames > 0
+            ? ((record.wins + (record.ties * 0.5)) / totalGames).toFixed(3)
+            : '0.000',
+        totalGames,
+        pointsFor: record.pointsFor.toFixed(1),
+        pointsAgainst: record.pointsAgainst.toFixed(1),
+        avgPointsFor: totalGames > 0 ? (record.pointsFor / totalGames).toFixed(1) : '0.0',
+        avgPointsAgainst: totalGames > 0 ? (record.pointsAgainst / totalGames).toFixed(1) : '0.0',
+        avgMargin: totalGames > 0 ? ((record.pointsFor - record.pointsAgainst) / totalGames).toFixed(1) : '0.0',
+        longestWinStreak: record.longestWinStreak
+    };
+}
+
+/**
+ * Analyze head-to-head records between managers from actual matchup scores
+ * Only seasons with scraped matchup results are counted; the rest are reported as excluded
  */
 async function analyzeHeadToHeadRecords() {
     try {
         await dbService.initialize();
         console.log('Database connection established');
 
-        // Get all managers
-        const managers = await dbService.db.all(`
-            SELECT * FROM managers ORDER BY name
-        `);
-
-        // Initialize head-to-head records
+        // Head-to-head records keyed by manager, then opponent
         const h2hRecords = {};
-        managers.forEach(manager => {
-            h2hRecords[manager.name] = {};
-            managers.forEach(opponent => {
-                if (manager.id !== opponent.id) {
-                    h2hRecords[manager.name][opponent.name] = {
-                        wins: 0,
-                        losses: 0,
-                        ties: 0,
-                        pointsFor: 0,
-                        pointsAgainst: 0,
-                        matchupsAnalyzed: 0
-                    };
-                }
-            });
-        });
+        const getRecords = (manager, opponent) => {
+            if (!h2hRecords[manager]) h2hRecords[manager] = {};
+            if (!h2hRecords[manager][opponent]) {
+                h2hRecords[manager][opponent] = {
+                    overall: createEmptyRecord(),
+                    regularSeason: createEmptyRecord(),
+                    playoffs: createEmptyRecord()
+                };
+            }
+            return h2hRecords[manager][opponent];
+        };
 
-        // Process each season
-        for (const year of SEASONS) {
+        const seasonsIncluded = [];
+        const seasonsExcluded = [];
+
+        // Process seasons oldest first so win streaks run in chronological order
+        const chronologicalSeasons = [...SEASONS].sort((a, b) => parseInt(a) - parseInt(b));
+
+        for (const year of chronologicalSeasons) {
             const season = await dbService.seasons.getSeasonByYear(year);
-            if (!season) continue;
+            if (!season) {
+                seasonsExcluded.push({ year, reason: 'Season not in database' });
+                continue;
+            }
 
-            // Skip 2020 season as it was roto format
-            if (year === '2020') {
-                console.log('Skipping 2020 season for head-to-head analysis (roto format)');
+            // Skip roto seasons; they have no head-to-head matchups
+            if (isRotoSeason(season)) {
+                console.log(`Skipping ${year} season for head-to-head analysis (roto format)`);
+                seasonsExcluded.push({ year, reason: 'Roto format, no head-to-head matchups' });
                 continue;
             }
 
             console.log(`Analyzing head-to-head records for ${year} season...`);
 
-            // Get all matchups for this season
+            const assignedTeams = await dbService.db.get(`
+                SELECT COUNT(*) as count FROM teams WHERE season_id = ? AND manager_id IS NOT NULL
+            `, [season.id]);
+
+            if (!assignedTeams || assignedTeams.count === 0) {
+                console.log(`No manager assignments for season ${year}, skipping...`);
+                seasonsExcluded.push({ year, reason: 'No manager assignments' });
+                continue;
+            }
+
+            // Get every scheduled matchup for this season in period order, with its score once scraped,
+            // so matchups counted and matchups scheduled come from the same set
             const matchups = await dbService.db.all(`
-                SELECT 
+                SELECT
                     s.period_number, s.period_type,
-                    away.id as away_team_id, away.name as away_team_name, away_m.name as away_manager, away_m.id as away_manager_id,
-                    home.id as home_team_id, home.name as home_team_name, home_m.name as home_manager, home_m.id as home_manager_id
+                    mr.id as result_id, mr.away_score, mr.home_score,
+                    away_m.name as away_manager, home_m.name as home_manager
                 FROM schedule s
+                LEFT JOIN matchup_results mr ON mr.schedule_id = s.id
                 JOIN teams away ON s.away_team_id = away.id
                 JOIN teams home ON s.home_team_id = home.id
                 LEFT JOIN managers away_m ON away.manager_id = away_m.id
                 LEFT JOIN managers home_m ON home.manager_id = home_m.id
-                WHERE s.season_id = ? AND away.manager_id IS NOT NULL AND home.manager_id IS NOT NULL
+                WHERE s.season_id = ?
+                ORDER BY CAST(s.period_number AS INTEGER), s.id
             `, [season.id]);
 
-            console.log(`Found ${matchups.length} matchups for ${year} season`);
-
-            // Get standings for this season for team records
-            const standings = await dbService.db.all(`
-                SELECT t.id as team_id, t.manager_id, st.wins, st.losses, st.ties, st.fantasy_points_for, st.fantasy_points_against
-                FROM standings st
-                JOIN teams t ON st.team_id = t.id
-                WHERE st.season_id = ?
-            `, [season.id]);
+            if (!matchups.some(matchup => matchup.result_id !== null)) {
+                console.log(`No matchup results for season ${year}, skipping...`);
+                seasonsExcluded.push({ year, reason: 'No matchup results scraped' });
+                continue;
+            }
 
-            // Create a map of team win-loss records for easier lookup
-            const teamRecords = new Map();
-            standings.forEach(record => {
-                teamRecords.set(record.team_id, {
-                    wins: record.wins,
-                    losses: record.losses,
-                    ties: record.ties,
-                    fantasyPointsFor: record.fantasy_points_for,
-                    fantasyPointsAgainst: record.fantasy_points_against
-                });
-            });
+            // Counted and scheduled matchups per split
+            const counts = {
+                regularSeason: { counted: 0, scheduled: 0 },
+                playoffs: { counted: 0, scheduled: 0 }
+            };
 
-            // For each matchup, determine winner based on period and team records
-            // This is a heuristic approach since we don't have actual matchup results
             for (const matchup of matchups) {
                 const awayManager = matchup.away_manager;
                 const homeManager = matchup.home_manager;
+                const split = matchup.period_type === 'Regular Season' ? 'regularSeason' : 'playoffs';
 
-                if (!awayManager || !homeManager || awayManager === homeManager) continue;
-
-                // Get team records
-                const awayTeamRecord = teamRecords.get(matchup.away_team_id);
-                const homeTeamRecord = teamRecords.get(matchup.home_team_id);
-
-                if (!awayTeamRecord || !homeTeamRecord) continue;
-
-                // Approximate whether this matchup resulted in a win for away or home
-                // We use the team's overall win percentage as a probability
-                // This is not perfect but gives a reasonable estimation
-                const awayWinPct = awayTeamRecord.wins / (awayTeamRecord.wins + awayTeamRecord.losses + awayTeamRecord.ties || 1);
-                const homeWinPct = homeTeamRecord.wins / (homeTeamRecord.wins + homeTeamRecord.losses + homeTeamRecord.ties || 1);
-
-                // Estimate matchup outcome based on relative win percentages
-                // If away team has higher win percentage, they're more likely to have won
-                const awayWinProb = awayWinPct / (awayWinPct + homeWinPct);
-                const random = Math.random();
-
-                if (random < awayWinProb) {
-                    // Away team wins
-                    h2hRecords[awayManager][homeManager].wins++;
-                    h2hRecords[homeManager][awayManager].losses++;
-                } else if (random > 0.95) { // 5% chance of a tie
-                    // Tie
-                    h2hRecords[awayManager][homeManager].ties++;
-                    h2hRecords[homeManager][awayManager].ties++;
-                } else {
-                    // Home team wins
-                    h2hRecords[homeManager][awayManager].wins++;
-                    h2hRecords[awayManager][homeManager].losses++;
-                }
+                counts[split].scheduled++;
+
+                if (matchup.result_id === null || !awayManager || !homeManager || awayManager === homeManager) continue;
 
-                // Track fantasy points too (even though these are estimates)
-                const avgAwayPointsPerGame = awayTeamRecord.fantasyPointsFor / (awayTeamRecord.wins + awayTeamRecord.losses + awayTeamRecord.ties || 1);
-                const avgHomePointsPerGame = homeTeamRecord.fantasyPointsFor / (homeTeamRecord.wins + homeTeamRecord.losses + homeTeamRecord.ties || 1);
+                const awayRecords = getRecords(awayManager, homeManager);
+                const homeRecords = getRecords(homeManager, awayManager);
 
-                h2hRecords[awayManager][homeManager].pointsFor += avgAwayPointsPerGame;
-                h2hRecords[awayManager][homeManager].pointsAgainst += avgHomePointsPerGame;
-                h2hRecords[homeManager][awayManager].pointsFor += avgHomePointsPerGame;
-                h2hRecords[homeManager][awayManager].pointsAgainst += avgAwayPointsPerGame;
+                applyResult(awayRecords.overall, matchup.away_score, matchup.home_score);
+                applyResult(awayRecords[split], matchup.away_score, matchup.home_score);
+                applyResult(homeRecords.overall, matchup.home_score, matchup.away_score);
+                applyResult(homeRecords[split], matchup.home_score, matchup.away_score);
 
-                h2hRecords[awayManager][homeManager].matchupsAnalyzed++;
-                h2hRecords[homeManager][awayManager].matchupsAnalyzed++;
+                counts[split].counted++;
             }
+
+            console.log(`Counted ${counts.regularSeason.counted} of ${counts.regularSeason.scheduled} regular-season and ` +
+                `${counts.playoffs.counted} of ${counts.playoffs.scheduled} playoff matchups for ${year} season`);
+            seasonsIncluded.push({ year, matchups: counts });
         }
 
-        // Calculate win percentages and format records
+        // Format records for output
         const formattedRecords = {};
-        Object.keys(h2hRecords).forEach(manager => {
+        Object.keys(h2hRecords).sort().forEach(manager => {
             formattedRecords[manager] = {};
-            Object.keys(h2hRecords[manager]).forEach(opponent => {
-                const record = h2hRecords[manager][opponent];
-                const totalGames = record.wins + record.losses + record.ties;
-                const winPct = totalGames > 0
-                    ? ((record.wins + (record.ties * 0.5)) / totalGames).toFixed(3)
-                    : '0.000';
-
-                // Calculate average points if matchups were analyzed
-                const avgPointsFor = record.matchupsAnalyzed > 0
-                    ? (record.pointsFor / record.matchupsAnalyzed).toFixed(1)
-                    : '0.0';
-
-                const avgPointsAgainst = record.matchupsAnalyzed > 0
-                    ? (record.pointsAgainst / record.matchupsAnalyzed).toFixed(1)
-                    : '0.0';
-
+            Object.keys(h2hRecords[manager]).sort().forEach(opponent => {
+                const records = h2hRecords[manager][opponent];
                 formattedRecords[manager][opponent] = {
-                    record: `${record.wins}-${record.losses}-${record.ties}`,
-                    winPct: winPct,
-                    totalGames: totalGames,
-                    avgPointsFor: avgPointsFor,
-                    avgPointsAgainst: avgPointsAgainst
+                    overall: formatRecord(records.overall),
+                    regularSeason: formatRecord(records.regularSeason),
+                    playoffs: formatRecord(records.playoffs)
                 };
             });
         });
 
+        const coverage = { seasonsIncluded, seasonsExcluded };
+
         // Save results
         const outputFile = path.join(OUTPUT_DIR, 'head-to-head-records.json');
-        await fs.writeFile(outputFile, JSON.stringify(formattedRecords, null, 2));
+        await fs.writeFile(outputFile, JSON.stringify({ ...coverage, records: formattedRecords }, null, 2));
         console.log(`Head-to-head records saved to ${outputFile}`);
 
         // Generate HTML report
-        await generateH2HHtmlReport(formattedRecords);
+        await generateH2HHtmlReport(formattedRecords, coverage);
 
         // Print sample of results
-        console.log('\n=== HEAD-TO-HEAD RECORDS (SAMPLE) ===\n');
         const sampleManager = Object.keys(formattedRecords)[0];
-        console.log(`${sampleManager}'s record vs. other managers:`);
-        console.table(formattedRecords[sampleManager]);
+        if (sampleManager) {
+            console.log('\n=== HEAD-TO-HEAD RECORDS (SAMPLE) ===\n');
+            console.log(`${sampleManager}'s record vs. other managers:`);
+            console.table(Object.fromEntries(
+                Object.entries(formattedRecords[sampleManager]).map(([opponent, record]) => [opponent, record.overall])
+            ));
+        } else {
+            console.log('No head-to-head results found. Scrape matchup results first.');
+        }
 
-        return formattedRecords;
+        return { ...coverage, records: formattedRecords };
     } catch (error) {
         console.error('Error analyzing head-to-head records:', error);
         throw error;
@@ -559,10 +594,26 @@ async function analyzeHeadToHeadRecords() {
 /**
  * Generate HTML report for head-to-head analysis
  * @param {Object} records - Manager head-to-head records
+ * @param {Object} coverage - Seasons included in and excluded from the records
+ * @param {Array} coverage.seasonsIncluded - Seasons with matchup results ({ year, matchups: counted and scheduled per split })
+ * @param {Array} coverage.seasonsExcluded - Seasons left out, with the reason
  */
-async function generateH2HHtmlReport(records) {
+async function generateH2HHtmlReport(records, coverage) {
     const htmlFile = path.join(OUTPUT_DIR, 'head-to-head-records.html');
 
+    const includedList = coverage.seasonsIncluded.length > 0
+        ? coverage.seasonsIncluded
+            .map(season => `${season.year} (${season.matchups.regularSeason.counted} of ${season.matchups.regularSeason.scheduled} regular-season, ` +
+                `${season.matchups.playoffs.counted} of ${season.matchups.playoffs.scheduled} playoff matchups)`)
+            .join(', ')
+        : 'None';
+
+    const excludedList = coverage.seasonsExcluded.length > 0
+        ? coverage.seasonsExcluded
+            .map(season => `${season.year} (${season.reason})`)
+            .join(', ')
+        : 'None';
+
     let html = `
     <!DOCTYPE html>
     <html lang="en">
@@ -621,9 +672,9 @@ async function generateH2HHtmlReport(records) {
         <h1>Joe Buck Sucks Fantasy Baseball League - Head-to-Head Records</h1>
         
         <div class="note">
-            <p>Note: These head-to-head records are approximated based on overall season performance. 
-            Due to data limitations, they represent statistical estimations rather than exact historical matchup results.
-            The 2020 season is not included in these calculations because it used a roto format.</p>
+            <p>Records are computed from the final score of every scraped matchup.</p>
+            <p><strong>Seasons included:</strong> ${includedList}</p>
+            <p><strong>Seasons excluded:</strong> ${excludedList}</p>
         </div>
         
         <h2>Manager vs. Manager Records</h2>
@@ -639,37 +690,42 @@ async function generateH2HHtmlReport(records) {
                     <th>Opponent</th>
                     <th>Record</th>
                     <th>Win %</th>
-                    <th>Games</th>
-                    <th>Avg Points For</th>
-                    <th>Avg Points Against</th>
+                    <th>Points For</th>
+                    <th>Points Against</th>
+                    <th>Avg Margin</th>
+                    <th>Longest Win Streak</th>
+                    <th>Regular Season (Avg Margin)</th>
+                    <th>Playoffs (Avg Margin)</th>
                 </tr>
         `;
 
         // Sort opponents by win percentage (descending)
         const sortedOpponents = Object.keys(records[manager]).sort((a, b) => {
-            return parseFloat(records[manager][b].winPct) - parseFloat(records[manager][a].winPct);
+            return parseFloat(records[manager][b].overall.winPct) - parseFloat(records[manager][a].overall.winPct);
         });
 
         sortedOpponents.forEach(opponent => {
-            const record = records[manager][opponent];
-            const [wins, losses] = record.record.split('-');
+            const { overall, regularSeason, playoffs } = records[manager][opponent];
 
             // Determine record class
             let recordClass = 'even-record';
-            if (parseInt(wins) > parseInt(losses)) {
+            if (overall.wins > overall.losses) {
                 recordClass = 'winning-record';
-            } else if (parseInt(wins) < parseInt(losses)) {
+            } else if (overall.wins < overall.losses) {
                 recordClass = 'losing-record';
             }
 
             html += `
             <tr class="${recordClass}">
                 <td>${opponent}</td>
-                <td>${record.record}</td>
-                <td>${record.winPct}</td>
-                <td>${record.totalGames}</td>
-                <td>${record.avgPointsFor}</td>
-                <td>${record.avgPointsAgainst}</td>
+                <td>${overall.record}</td>
+                <td>${overall.winPct}</td>
+                <td>${overall.pointsFor}</td>
+                <td>${overall.pointsAgainst}</td>
+                <td>${overall.avgMargin}</td>
+                <td>${overall.longestWinStreak}</td>
+                <td>${regularSeason.totalGames > 0 ? `${regularSeason.record} (${regularSeason.avgMargin})` : '-'}</td>
+                <td>${playoffs.totalGames > 0 ? `${playoffs.record} (${playoffs.avgMargin})` : '-'}</td>
             </tr>
             `;
         });
@@ -2,15 +2,13 @@
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const readline = require('readline');
+const path = require('path');
 
 // Database configuration
-const DB_PATH = '/workspaces/fantrax-data-scraper/data/db/fantrax.db';
+const DB_PATH = path.join(__dirname, 'data/db/fantrax.db');
 
-// Create interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// Interface for user input, created on first question so requiring this file doesn't hold stdin open
+let rl = null;
 
 async function manageManagerAssignments() {
     let db;
@@ -72,12 +70,19 @@ async function manageManagerAssignments() {
             await db.close();
             console.log('Database connection closed');
         }
-        rl.close();
+        closeReadline();
     }
 }
 
 // Helper function to ask questions
 function askQuestion(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+
     return new Promise(resolve => {
         rl.question(question, answer => {
             resolve(answer);
@@ -85,6 +90,14 @@ function askQuestion(question) {
     });
 }
 
+// Close the user input interface if it was opened
+function closeReadline() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
+
 // List all managers
 async function listManagers(db) {
     const managers = await db.all(`
@@ -403,5 +416,9 @@ async function showManagerTransitions(db) {
     }
 }
 
-// Run the manager assignment utility
-manageManagerAssignments();
\ No newline at end of file
+// Run the manager assignment utility when executed directly
+if (require.main === module) {
+    manageManagerAssignments();
+}
+
+module.exports = { manageManagerAssignments };
\ No newline at end of file
@@ -0,0 +1,220 @@
+// Player ID review utility
+const readline = require('readline');
+const path = require('path');
+const dbService = require('./src/database');
+const { OVERRIDES_FILE, savePlayerIdOverride } = require('./src/utils/player-ids');
+
+// Interface for user input, created on first question so requiring this file doesn't hold stdin open
+let rl = null;
+
+/**
+ * Walk through the roster players with no MLB link or a low-confidence name match, most rostered first,
+ * and save every decision to the overrides file so later runs reuse it
+ * @param {Object} options - Review options
+ * @param {Array<string>} options.seasons - Only roster entries in these season years (default: all)
+ * @param {number} options.maxConfidence - Review name matches below this confidence (default: 0.9)
+ * @returns {Promise<number>} Number of overrides saved
+ */
+async function reviewPlayerIds(options = {}) {
+    const { seasons = null, maxConfidence = 0.9 } = options;
+    let saved = 0;
+
+    try {
+        await dbService.initialize();
+
+        const seasonIds = seasons
+            ? (await dbService.seasons.getAllSeasons()).filter(season => seasons.includes(season.year)).map(season => season.id)
+            : null;
+        const queue = await dbService.getPlayerReviewQueue({ seasonIds, maxConfidence });
+
+        if (queue.length === 0) {
+            console.log('No players to review');
+            return 0;
+        }
+
+        const lowConfidence = queue.filter(item => item.kind === 'low-confidence').length;
+        console.log(`${queue.length} players to review (${queue.length - lowConfidence} unlinked, ${lowConfidence} low-confidence matches)`);
+
+        for (const [index, item] of queue.entries()) {
+            printQueueItem(item, index, queue.length);
+
+            const choice = await askChoice(item);
+            if (choice.action === 'quit') break;
+            if (choice.action === 'skip') continue;
+
+            const override = await buildOverride(item, choice);
+            if (!override) continue;
+
+            savePlayerIdOverride(override);
+            await dbService.resolvePlayerReview(override);
+            saved++;
+            console.log(override.nonMlb
+                ? `Marked ${item.playerName} as not an MLB player`
+                : `Linked ${item.playerName} to MLB player ${override.mlbPlayerId}`);
+        }
+
+        console.log(`\nSaved ${saved} overrides to ${path.relative(process.cwd(), OVERRIDES_FILE)}`);
+        return saved;
+    } finally {
+        await dbService.close();
+        closeReadline();
+    }
+}
+
+/**
+ * Print a queue item with its candidates
+ * @param {Object} item - Item from getPlayerReviewQueue
+ * @param {number} index - Position in the queue
+ * @param {number} total - Queue length
+ */
+function printQueueItem(item, index, total) {
+    const status = item.current
+        ? `matched to ${item.current.fullName} (MLB ${item.current.playerId}, ${item.current.method}, confidence ${item.current.confidence})`
+        : 'not linked';
+
+    console.log(`\n[${index + 1}/${total}] ${item.playerName} - ${item.year} ${item.mlbTeam || 'no team'}, bats ${item.batSide || '?'}`);
+    console.log(`Rostered ${item.rosterEntries} times; ${status}`);
+    if (!item.fantraxPlayerId) {
+        console.log(`No Fantrax ID: the decision is saved for this ${item.year} name and team only`);
+    }
+
+    if (item.candidates.length === 0) {
+        console.log('No MLB players with this name');
+    }
+    item.candidates.forEach((candidate, candidateIndex) => {
+        const marker = item.current && item.current.playerId === candidate.playerId ? '*' : ' ';
+        console.log(`${marker}${candidateIndex + 1}. ${formatCandidate(candidate)}`);
+    });
+}
+
+/**
+ * Describe a candidate on one line: name, team that season, position, birth year, score and MLB ID
+ * @param {Object} candidate - Ranked candidate
+ * @returns {string} Candidate line
+ */
+function formatCandidate(candidate) {
+    return [
+        candidate.fullName,
+        candidate.mlbTeamName || 'no team that season',
+        candidate.position || '-',
+        candidate.birthYear ? `b. ${candidate.birthYear}` : 'b. ?',
+        `score ${candidate.score}`,
+        `(MLB ${candidate.playerId})`
+    ].join('  ');
+}
+
+/**
+ * Parse an answer to the review prompt
+ * @param {string} answer - What was typed
+ * @param {Object} item - Queue item being reviewed
+ * @returns {Object|null} Choice ({ action: 'link', playerId } or { action: 'non-mlb' | 'skip' | 'quit' }),
+ *   or null when the answer doesn't make sense for this item
+ */
+function parseReviewChoice(answer, item) {
+    const input = answer.trim().toLowerCase();
+
+    if (input === 'a') {
+        // Accept keeps a low-confidence match, or takes the best candidate for an unlinked player
+        const accepted = item.current ? item.current.playerId : (item.candidates[0] && item.candidates[0].playerId);
+        return accepted ? { action: 'link', playerId: accepted } : null;
+    }
+    if (/^\d+$/.test(input)) {
+        const candidate = item.candidates[parseInt(input, 10) - 1];
+        return candidate ? { action: 'link', playerId: candidate.playerId } : null;
+    }
+
+    const idMatch = input.match(/^m\s*(\d+)$/);
+    if (idMatch) return { action: 'link', playerId: parseInt(idMatch[1], 10) };
+
+    if (input === 'n') return { action: 'non-mlb' };
+    if (input === 's') return { action: 'skip' };
+    if (input === 'q') return { action: 'quit' };
+    return null;
+}
+
+/**
+ * Ask what to do with a queue item until the answer makes sense
+ * @param {Object} item - Queue item
+ * @returns {Promise<Object>} Choice from parseReviewChoice
+ */
+async function askChoice(item) {
+    let options = 'm <MLB ID> = other player, n = not MLB, s = skip, q = quit: ';
+    if (item.candidates.length > 0) options = `number = pick, ${options}`;
+    if (item.current) options = `a = keep match, ${options}`;
+    else if (item.candidates.length > 0) options = `a = accept 1, ${options}`;
+
+    for (;;) {
+        const answer = await askQuestion(options);
+        const choice = parseReviewChoice(answer, item);
+        if (choice) return choice;
+        console.log('Invalid option, please try again.');
+    }
+}
+
+/**
+ * Turn a choice into an override, checking that a typed MLB ID is a saved player
+ * A player without a Fantrax ID is keyed on the item's season, normalized name and MLB team
+ * @param {Object} item - Queue item
+ * @param {Object} choice - Choice from parseReviewChoice
+ * @returns {Promise<Object|null>} Override, or null when the typed MLB ID isn't in the players table
+ */
+async function buildOverride(item, choice) {
+    const key = item.fantraxPlayerId
+        ? { fantraxPlayerId: item.fantraxPlayerId }
+        : { season: item.year, normalizedName: item.normalizedName, mlbTeam: item.mlbTeam || null };
+
+    if (choice.action === 'non-mlb') {
+        return { ...key, nonMlb: true, playerName: item.playerName, note: 'Not an MLB player' };
+    }
+
+    let chosen = item.candidates.find(candidate => candidate.playerId === choice.playerId);
+    if (!chosen && item.current && item.current.playerId === choice.playerId) chosen = item.current;
+    if (!chosen) {
+        chosen = await dbService.db.get('SELECT id as playerId, full_name as fullName FROM players WHERE id = ?', [choice.playerId]);
+        if (!chosen) {
+            console.log(`MLB player ${choice.playerId} isn't in the players table; run fantrax mlb sync-players first`);
+            return null;
+        }
+    }
+
+    return {
+        ...key,
+        mlbPlayerId: choice.playerId,
+        playerName: item.playerName,
+        note: `Reviewed: ${chosen.fullName}`
+    };
+}
+
+// Helper function to ask questions
+function askQuestion(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            resolve(answer);
+        });
+    });
+}
+
+// Close the user input interface if it was opened
+function closeReadline() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
+
+// Run the review utility when executed directly
+if (require.main === module) {
+    reviewPlayerIds().catch(error => {
+        console.error('Error:', error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { reviewPlayerIds, parseReviewChoice };
@@ -0,0 +1,145 @@
+const fs = require('fs-extra');
+const path = require('path');
+const dbService = require('../database');
+const { round } = require('../utils/scoring');
+
+// Output directory shared with the other analysis reports
+const OUTPUT_DIR = path.join(__dirname, '../../data/analysis');
+
+/**
+ * Score every season's draft by value over expected and write data/analysis/draft-value.json
+ * @param {Object} options - Analysis options
+ * @param {Array<string>} options.years - Season years to analyze (default: every season with draft picks)
+ * @returns {Promise<Object>} Scored picks per season and the value summary per manager
+ */
+async function analyzeDraftValue(options = {}) {
+    const { years } = options;
+
+    await dbService.initialize();
+
+    const seasons = (await dbService.seasons.getAllSeasons())
+        .filter(season => !years || years.includes(season.year))
+        .sort((a, b) => parseInt(a.year, 10) - parseInt(b.year, 10));
+
+    const seasonReports = [];
+    const allPicks = [];
+
+    for (const season of seasons) {
+        const picks = await dbService.draftPicks.getPicksWithSeasonPoints(season.id);
+        if (picks.length === 0) continue;
+
+        const scored = scoreDraftPicks(picks);
+        const unscored = scored.picks.filter(pick => pick.valueOverExpected === null).length;
+        if (unscored > 0) {
+            console.warn(`${season.year}: ${unscored} of ${picks.length} picks have no roster points and are left out`);
+        }
+
+        seasonReports.push({
+            year: season.year,
+            fit: scored.fit,
+            teams: summarizeDraftValue(scored.picks),
+            picks: scored.picks
+        });
+        scored.picks.forEach(pick => allPicks.push({ ...pick, year: season.year }));
+    }
+
+    const report = {
+        seasons: seasonReports,
+        managers: summarizeDraftValue(allPicks, pick => pick.manager_name || pick.team_name)
+    };
+
+    await fs.ensureDir(OUTPUT_DIR);
+    const outputFile = path.join(OUTPUT_DIR, 'draft-value.json');
+    await fs.writeFile(outputFile, JSON.stringify(report, null, 2));
+    console.log(`Draft value report saved to ${outputFile}`);
+
+    return report;
+}
+
+/**
+ * Give every pick an expected points value for its draft slot and its value over that expectation
+ * Expected points come from a least-squares fit of season points against ln(overall pick) over the
+ * season's non-keeper picks, so a pick is judged against what its slot usually returns in this league
+ * @param {Array<Object>} picks - Picks with overall_pick, is_keeper and season_points (null if unknown)
+ * @returns {Object} Fit ({ intercept, slope, picks } or null with fewer than two scored picks) and the picks
+ *   with expectedPoints and valueOverExpected (null when the pick has no points)
+ */
+function scoreDraftPicks(picks) {
+    const fitted = picks.filter(pick => !pick.is_keeper && pick.season_points !== null && pick.season_points !== undefined);
+    const fit = fitLine(fitted.map(pick => [Math.log(pick.overall_pick), pick.season_points]));
+
+    return {
+        fit: fit ? { ...fit, picks: fitted.length } : null,
+        picks: picks.map(pick => {
+            const expectedPoints = fit ? round(fit.intercept + fit.slope * Math.log(pick.overall_pick), 1) : null;
+            const hasPoints = pick.season_points !== null && pick.season_points !== undefined;
+
+            return {
+                ...pick,
+                expectedPoints,
+                valueOverExpected: hasPoints && expectedPoints !== null ? round(pick.season_points - expectedPoints, 1) : null
+            };
+        })
+    };
+}
+
+/**
+ * Total each team's (or manager's) value over expected
+ * Keepers are left out: they weren't chosen at the draft slot they use
+ * @param {Array<Object>} picks - Picks from scoreDraftPicks
+ * @param {Function} getKey - pick => name to group by (default: team name)
+ * @returns {Array<Object>} One row per group, best drafter first
+ */
+function summarizeDraftValue(picks, getKey = pick => pick.team_name) {
+    const groups = new Map();
+
+    picks
+        .filter(pick => !pick.is_keeper && pick.valueOverExpected !== null)
+        .forEach(pick => {
+            const key = getKey(pick);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(pick);
+        });
+
+    const describePick = pick => `${pick.player_name} (${pick.year ? `${pick.year} ` : ''}#${pick.overall_pick}, ${pick.valueOverExpected > 0 ? '+' : ''}${pick.valueOverExpected})`;
+
+    return [...groups.entries()]
+        .map(([name, groupPicks]) => {
+            const byValue = [...groupPicks].sort((a, b) => b.valueOverExpected - a.valueOverExpected);
+            const total = groupPicks.reduce((sum, pick) => sum + pick.valueOverExpected, 0);
+
+            return {
+                name,
+                picks: groupPicks.length,
+                totalValue: round(total, 1),
+                valuePerPick: round(total / groupPicks.length, 1),
+                bestPick: describePick(byValue[0]),
+                worstPick: describePick(byValue[byValue.length - 1])
+            };
+        })
+        .sort((a, b) => b.totalValue - a.totalValue || a.name.localeCompare(b.name));
+}
+
+/**
+ * Least-squares line through (x, y) points
+ * @param {Array<Array<number>>} points - [x, y] pairs
+ * @returns {Object|null} { intercept, slope }, or null if the points can't define a line
+ */
+function fitLine(points) {
+    if (points.length < 2) return null;
+
+    const n = points.length;
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+    const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    if (sxx === 0) return null;
+
+    const slope = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0) / sxx;
+    return { intercept: meanY - slope * meanX, slope };
+}
+
+module.exports = {
+    analyzeDraftValue,
+    scoreDraftPicks,
+    summarizeDraftValue
+};
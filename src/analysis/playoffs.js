@@ -0,0 +1,229 @@
+const fs = require('fs-extra');
+const path = require('path');
+const dbService = require('../database');
+const { parsePlayoffRounds } = require('../parsers/schedule');
+const { loadLatestPage } = require('../utils/archive');
+const { isRotoSeason } = require('../utils/seasons');
+
+// Schedule pages saved by older versions of the schedule scraper
+const LEGACY_SCHEDULE_DIR = path.join(__dirname, '../data/debug');
+
+// Brackets a playoff matchup can belong to
+const BRACKETS = {
+    WINNERS: 'winners',
+    CONSOLATION: 'consolation'
+};
+
+/**
+ * Build and save a season's playoff bracket
+ * Matchups come from the playoff section of the saved schedule page, seeds from the standings
+ * (regular-season rank) and scores from matchup_results, so scrape those first
+ * @param {Object} season - Seasons table row
+ * @returns {Promise<Array>} Saved bracket entries (empty for roto seasons or without a schedule page)
+ */
+async function buildPlayoffBracket(season) {
+    await dbService.initialize();
+
+    if (isRotoSeason(season)) {
+        console.log(`${season.year} is a roto season, no playoff bracket`);
+        return [];
+    }
+
+    const html = await loadSchedulePage(season);
+    if (!html) {
+        console.warn(`No saved schedule page for ${season.year} season; scrape the schedule first`);
+        return [];
+    }
+
+    const rounds = parsePlayoffRounds(html);
+    if (rounds.length === 0) {
+        console.warn(`No playoff rounds found on the ${season.year} schedule page`);
+        return [];
+    }
+
+    // Work in database team IDs from here on
+    const teams = await dbService.teams.getTeamsBySeason(season.id);
+    const teamIdMap = new Map(teams.map(team => [team.team_id, team.id]));
+    const dbRounds = rounds.map(round => ({
+        ...round,
+        matchups: round.matchups
+            .map(matchup => ({ awayTeamId: teamIdMap.get(matchup.awayTeamId), homeTeamId: teamIdMap.get(matchup.homeTeamId) }))
+            .filter(matchup => matchup.awayTeamId && matchup.homeTeamId)
+    }));
+
+    const standings = await dbService.standings.getStandingsBySeason(season.id);
+    const seeds = new Map(standings.map(standing => [standing.team_id, standing.rank]));
+    if (seeds.size === 0) {
+        console.warn(`No standings for ${season.year} season; byes and seeds can't be worked out`);
+    }
+
+    // Playoff rounds continue the regular-season period numbering
+    const schedule = await dbService.schedule.getScheduleBySeason(season.id);
+    const lastRegularPeriod = Math.max(0, ...schedule
+        .filter(entry => entry.period_type === 'Regular Season')
+        .map(entry => parseInt(entry.period_number, 10)));
+
+    const results = await dbService.matchupResults.getResultsBySeason(season.id);
+    const scores = new Map();
+    results.forEach(result => {
+        scores.set(`${result.period_number}|${result.away_team_id}|${result.home_team_id}`, { away: result.away_score, home: result.home_score });
+    });
+
+    const getScores = (round, teamId, opponentId) => {
+        const period = lastRegularPeriod + round;
+        const asAway = scores.get(`${period}|${teamId}|${opponentId}`);
+        if (asAway) return { teamScore: asAway.away, opponentScore: asAway.home };
+
+        const asHome = scores.get(`${period}|${opponentId}|${teamId}`);
+        return asHome ? { teamScore: asHome.home, opponentScore: asHome.away } : null;
+    };
+
+    const entries = buildBracket(dbRounds, {
+        seeds,
+        playoffTeams: season.playoff_teams,
+        getScores
+    }).map(entry => ({ ...entry, periodNumber: lastRegularPeriod + entry.round }));
+
+    await dbService.playoffBracket.replaceSeasonBracket(season.id, entries);
+    console.log(`Saved ${entries.length} playoff bracket entries for ${season.year} season`);
+
+    return entries;
+}
+
+/**
+ * Work out the bracket, byes and advancement from the playoff matchups of each round
+ * A matchup between two teams still alive in the winners bracket is a winners-bracket game; any
+ * other playoff matchup is a consolation game. Winners-bracket teams without a matchup in a round
+ * have a bye, as long as every earlier winners-bracket game has a result. A tie goes to the higher
+ * (lower-numbered) seed.
+ * @param {Array<Object>} rounds - Rounds ({ round, matchups: [{ awayTeamId, homeTeamId }] }) in order
+ * @param {Object} options - Bracket inputs
+ * @param {Map} options.seeds - Team ID -> seed
+ * @param {number} options.playoffTeams - Teams in the winners bracket (default: the teams playing in round 1)
+ * @param {Function} options.getScores - (round, teamId, opponentId) => { teamScore, opponentScore } or null if unplayed
+ * @returns {Array<Object>} Entries ({ round, bracket, teamId, seed, opponentTeamId, opponentSeed, teamScore, opponentScore, result, advanced })
+ */
+function buildBracket(rounds, options) {
+    const { seeds = new Map(), playoffTeams, getScores = () => null } = options;
+
+    const seeded = [...seeds.entries()].filter(([, seed]) => playoffTeams && seed <= playoffTeams);
+    const alive = seeded.length > 0
+        ? new Set(seeded.map(([teamId]) => teamId))
+        : new Set((rounds[0] ? rounds[0].matchups : []).flatMap(matchup => [matchup.awayTeamId, matchup.homeTeamId]));
+
+    const entries = [];
+
+    // Once a winners-bracket game has no result, who is still alive (and so who has a bye) is unknown
+    let undecided = false;
+
+    rounds.forEach(({ round, matchups }) => {
+        const playing = new Set();
+        const eliminated = [];
+        let roundUndecided = false;
+
+        matchups.forEach(({ awayTeamId, homeTeamId }) => {
+            const bracket = alive.has(awayTeamId) && alive.has(homeTeamId) ? BRACKETS.WINNERS : BRACKETS.CONSOLATION;
+            const scores = getScores(round, awayTeamId, homeTeamId);
+            const winnerId = scores ? getWinner(awayTeamId, homeTeamId, scores, seeds) : null;
+
+            const addEntry = (teamId, opponentId, teamScores) => {
+                playing.add(teamId);
+                entries.push({
+                    round,
+                    bracket,
+                    teamId,
+                    seed: seeds.get(teamId) || null,
+                    opponentTeamId: opponentId,
+                    opponentSeed: seeds.get(opponentId) || null,
+                    teamScore: teamScores ? teamScores.teamScore : null,
+                    opponentScore: teamScores ? teamScores.opponentScore : null,
+                    result: teamScores ? getResult(teamScores) : null,
+                    advanced: winnerId ? winnerId === teamId : null
+                });
+
+                if (bracket === BRACKETS.WINNERS && winnerId && winnerId !== teamId) {
+                    eliminated.push(teamId);
+                }
+                if (bracket === BRACKETS.WINNERS && !winnerId) {
+                    roundUndecided = true;
+                }
+            };
+
+            addEntry(awayTeamId, homeTeamId, scores);
+            addEntry(homeTeamId, awayTeamId, scores && { teamScore: scores.opponentScore, opponentScore: scores.teamScore });
+        });
+
+        [...alive]
+            .filter(teamId => !playing.has(teamId) && !undecided)
+            .forEach(teamId => entries.push({
+                round,
+                bracket: BRACKETS.WINNERS,
+                teamId,
+                seed: seeds.get(teamId) || null,
+                opponentTeamId: null,
+                opponentSeed: null,
+                teamScore: null,
+                opponentScore: null,
+                result: 'bye',
+                advanced: true
+            }));
+
+        eliminated.forEach(teamId => alive.delete(teamId));
+        undecided = undecided || roundUndecided;
+    });
+
+    return entries;
+}
+
+/**
+ * Pick the winner of a played matchup; a tie goes to the higher seed
+ * @param {number} teamId - First team
+ * @param {number} opponentId - Second team
+ * @param {Object} scores - { teamScore, opponentScore } from the first team's side
+ * @param {Map} seeds - Team ID -> seed
+ * @returns {number|null} Winning team ID, or null for a tie between unseeded teams
+ */
+function getWinner(teamId, opponentId, scores, seeds) {
+    if (scores.teamScore !== scores.opponentScore) {
+        return scores.teamScore > scores.opponentScore ? teamId : opponentId;
+    }
+
+    const seed = seeds.get(teamId);
+    const opponentSeed = seeds.get(opponentId);
+    if (!seed || !opponentSeed) return null;
+    return seed < opponentSeed ? teamId : opponentId;
+}
+
+/**
+ * Describe a played matchup from one team's side
+ * @param {Object} scores - { teamScore, opponentScore }
+ * @returns {string} 'win', 'loss' or 'tie'
+ */
+function getResult(scores) {
+    if (scores.teamScore > scores.opponentScore) return 'win';
+    if (scores.teamScore < scores.opponentScore) return 'loss';
+    return 'tie';
+}
+
+/**
+ * Load the most recent saved schedule page for a season
+ * @param {Object} season - Seasons table row
+ * @returns {Promise<string|null>} Page HTML, or null if the schedule was never saved
+ */
+async function loadSchedulePage(season) {
+    const capture = await loadLatestPage({ leagueId: season.league_id, pageType: 'schedule' });
+    if (capture) return capture.content;
+
+    const legacyPath = path.join(LEGACY_SCHEDULE_DIR, `schedule-page-${season.league_id}.html`);
+    if (await fs.pathExists(legacyPath)) {
+        return fs.readFile(legacyPath, 'utf8');
+    }
+
+    return null;
+}
+
+module.exports = {
+    BRACKETS,
+    buildPlayoffBracket,
+    buildBracket
+};
@@ -0,0 +1,67 @@
+const dbService = require('../database');
+const { STAT_GROUPS, scoreStatLine, batterGameLine } = require('../utils/scoring');
+
+/**
+ * Recompute a hitter's fantasy points from MLB game logs with a season's scoring rules
+ * @param {Object} options - Recompute options
+ * @param {Object} options.season - Seasons table row whose scoring rules apply
+ * @param {number} options.playerId - MLB player ID (batter_game_stats.player_id)
+ * @param {string} options.startDate - First date to count (YYYY-MM-DD, default: the season's first period)
+ * @param {string} options.endDate - Last date to count (YYYY-MM-DD, default: the season's last period)
+ * @returns {Promise<Object>} Date window, total points, points per category and per game
+ *   ({ startDate, endDate, points, breakdown, games: [{ gameDate, gamePk, periodNumber, points, breakdown }] })
+ */
+async function recomputePlayerPoints(options) {
+    const { season, playerId } = options;
+
+    await dbService.initialize();
+
+    const rules = await dbService.scoringRules.getRulesBySeason(season.id);
+    if (!rules.some(rule => rule.stat_group === STAT_GROUPS.HITTING)) {
+        throw new Error(`No hitting scoring rules for ${season.year} season (run \`fantrax scrape scoring-rules\`)`);
+    }
+
+    // Default to the dates the season's periods cover, or the whole calendar year without a period calendar
+    const periods = await dbService.periods.getPeriodsBySeason(season.id);
+    const startDate = options.startDate || (periods.length > 0 ? periods[0].start_date : `${season.year}-01-01`);
+    const endDate = options.endDate || (periods.length > 0 ? periods[periods.length - 1].end_date : `${season.year}-12-31`);
+
+    const findPeriod = date => periods.find(period => period.start_date <= date && period.end_date >= date);
+
+    const stats = await dbService.batterGameStats.getStatsByPlayerAndDateRange(playerId, startDate, endDate);
+    const breakdown = {};
+    let points = 0;
+
+    const games = stats.map(row => {
+        const score = scoreStatLine(batterGameLine(row), rules, STAT_GROUPS.HITTING);
+        points += score.points;
+        Object.entries(score.breakdown).forEach(([category, categoryPoints]) => {
+            breakdown[category] = (breakdown[category] || 0) + categoryPoints;
+        });
+
+        const period = findPeriod(String(row.game_date).slice(0, 10));
+        return {
+            gameDate: row.game_date,
+            gamePk: row.game_pk,
+            periodNumber: period ? period.period_number : null,
+            points: score.points,
+            breakdown: score.breakdown
+        };
+    });
+
+    Object.keys(breakdown).forEach(category => {
+        breakdown[category] = Math.round(breakdown[category] * 100) / 100;
+    });
+
+    return {
+        startDate,
+        endDate,
+        points: Math.round(points * 100) / 100,
+        breakdown,
+        games
+    };
+}
+
+module.exports = {
+    recomputePlayerPoints
+};
@@ -0,0 +1,179 @@
+const dbService = require('../database');
+const { STAT_GROUPS, scoreStatLine, batterGameLine, round } = require('../utils/scoring');
+
+// Largest gap between computed and Fantrax points that still counts as agreeing (rounding)
+const POINTS_TOLERANCE = 0.1;
+
+// Outcomes of a team-period check
+const CHECK_STATUSES = {
+    OK: 'ok',
+    MISMATCH: 'mismatch',
+    NO_TOTAL: 'no-total'
+};
+
+/**
+ * Rebuild what every active hitter earned in each period of a season from MLB game logs and
+ * check each team-period's total against the hitting points Fantrax showed for the matchup
+ * Needs rosters linked to MLB players (rosters.player_id), the period calendar, the scoring
+ * rules and batter_game_stats covering the season
+ * @param {Object} season - Seasons table row
+ * @returns {Promise<Array>} Team-period checks
+ */
+async function reconstructSlotPoints(season) {
+    await dbService.initialize();
+
+    const rules = await dbService.scoringRules.getRulesBySeason(season.id);
+    if (!rules.some(rule => rule.stat_group === STAT_GROUPS.HITTING)) {
+        throw new Error(`No hitting scoring rules for ${season.year} season (run \`fantrax scrape scoring-rules\`)`);
+    }
+
+    const periods = await dbService.periods.getPeriodsBySeason(season.id);
+    if (periods.length === 0) {
+        throw new Error(`No period calendar for ${season.year} season (run \`fantrax periods build\`)`);
+    }
+
+    const hitters = await dbService.rosters.getActiveHittersBySeason(season.id);
+    const scrapedTotals = await getScrapedPoints(season.id, STAT_GROUPS.HITTING);
+
+    const gamePoints = [];
+    const checks = [];
+
+    for (const period of periods) {
+        const slots = hitters.filter(slot => slot.period_number === period.period_number);
+        if (slots.length === 0) continue;
+
+        const games = await dbService.batterGameStats.getStatsByDateRange(period.start_date, period.end_date);
+        const result = reconstructPeriod({
+            periodNumber: period.period_number,
+            slots,
+            games,
+            rules,
+            scrapedTotals
+        });
+
+        gamePoints.push(...result.gamePoints);
+        checks.push(...result.checks);
+    }
+
+    await dbService.slotPoints.replaceSeasonSlotPoints(season.id, gamePoints, checks);
+
+    const problems = checks.filter(check => check.status !== CHECK_STATUSES.OK).length;
+    console.log(`Reconstructed ${gamePoints.length} hitter games for ${season.year} season; ${checks.length - problems} of ${checks.length} team-periods agree with Fantrax`);
+
+    return checks;
+}
+
+/**
+ * Score every active hitter's games in one period and check each team's total
+ * @param {Object} input - Period data
+ * @param {number} input.periodNumber - Period number
+ * @param {Array<Object>} input.slots - Active hitter roster rows in the period ({ id, team_id, player_id, fantasy_points })
+ * @param {Array<Object>} input.games - batter_game_stats rows dated inside the period
+ * @param {Array<Object>} input.rules - Season scoring rules
+ * @param {Map} input.scrapedTotals - "period|teamId" -> hitting points Fantrax showed for the team
+ * @returns {Object} Per-game points ({ periodNumber, teamId, rosterId, playerId, gamePk, gameDate, points })
+ *   and one check per team ({ periodNumber, teamId, computedPoints, scrapedPoints, difference,
+ *   activeHitters, unlinkedHitters, slotMismatches, status })
+ */
+function reconstructPeriod({ periodNumber, slots, games, rules, scrapedTotals = new Map() }) {
+    const gamesByPlayer = new Map();
+    games.forEach(game => {
+        if (!gamesByPlayer.has(game.player_id)) gamesByPlayer.set(game.player_id, []);
+        gamesByPlayer.get(game.player_id).push(game);
+    });
+
+    const gamePoints = [];
+    const teams = new Map();
+
+    slots.forEach(slot => {
+        if (!teams.has(slot.team_id)) {
+            teams.set(slot.team_id, { computed: 0, activeHitters: 0, unlinkedHitters: 0, slotMismatches: 0 });
+        }
+        const team = teams.get(slot.team_id);
+        team.activeHitters++;
+
+        if (!slot.player_id) {
+            team.unlinkedHitters++;
+            return;
+        }
+
+        let slotPoints = 0;
+        (gamesByPlayer.get(slot.player_id) || []).forEach(game => {
+            const { points } = scoreStatLine(batterGameLine(game), rules, STAT_GROUPS.HITTING);
+            slotPoints += points;
+            gamePoints.push({
+                periodNumber,
+                teamId: slot.team_id,
+                rosterId: slot.id,
+                playerId: slot.player_id,
+                gamePk: game.game_pk,
+                gameDate: game.game_date,
+                points
+            });
+        });
+
+        team.computed += slotPoints;
+
+        // Fantrax's own points for the slot pin a disagreement on a single player (usually a wrong link)
+        if (slot.fantasy_points !== null && slot.fantasy_points !== undefined
+            && Math.abs(slotPoints - slot.fantasy_points) > POINTS_TOLERANCE) {
+            team.slotMismatches++;
+        }
+    });
+
+    const checks = buildTeamChecks(periodNumber, teams, scrapedTotals);
+
+    return { gamePoints, checks };
+}
+
+/**
+ * Check each team's computed points for a period against the points Fantrax showed
+ * @param {number} periodNumber - Period number
+ * @param {Map} teams - Team ID -> { computed, ...counts }; the counts (e.g. activeHitters) are copied into the check
+ * @param {Map} scrapedTotals - "period|teamId" -> points Fantrax showed for the team
+ * @returns {Array<Object>} One check per team ({ periodNumber, teamId, computedPoints, scrapedPoints,
+ *   difference, ...counts, status }); difference is null and status NO_TOTAL when Fantrax showed no total
+ */
+function buildTeamChecks(periodNumber, teams, scrapedTotals) {
+    return [...teams.entries()].map(([teamId, { computed, ...counts }]) => {
+        const computedPoints = round(computed);
+        const scraped = scrapedTotals.get(`${periodNumber}|${teamId}`);
+        const scrapedPoints = scraped === undefined || scraped === null ? null : scraped;
+        const difference = scrapedPoints === null ? null : round(computedPoints - scrapedPoints);
+
+        let status = CHECK_STATUSES.NO_TOTAL;
+        if (difference !== null) {
+            status = Math.abs(difference) <= POINTS_TOLERANCE ? CHECK_STATUSES.OK : CHECK_STATUSES.MISMATCH;
+        }
+
+        return { periodNumber, teamId, computedPoints, scrapedPoints, difference, ...counts, status };
+    });
+}
+
+/**
+ * Get the hitting or pitching points Fantrax showed for each team in each matchup of a season
+ * @param {number} seasonId - Season ID
+ * @param {string} group - Stat group (STAT_GROUPS)
+ * @returns {Promise<Map>} "period|teamId" -> points
+ */
+async function getScrapedPoints(seasonId, group) {
+    const results = await dbService.matchupResults.getResultsBySeason(seasonId);
+    const totals = new Map();
+
+    results.forEach(result => {
+        const period = parseInt(result.period_number, 10);
+        totals.set(`${period}|${result.away_team_id}`, result[`away_${group}_points`]);
+        totals.set(`${period}|${result.home_team_id}`, result[`home_${group}_points`]);
+    });
+
+    return totals;
+}
+
+module.exports = {
+    CHECK_STATUSES,
+    POINTS_TOLERANCE,
+    reconstructSlotPoints,
+    reconstructPeriod,
+    buildTeamChecks,
+    getScrapedPoints
+};
@@ -0,0 +1,131 @@
+const dbService = require('../database');
+const { STAT_GROUPS, scoreStatLine, pitcherGameLine } = require('../utils/scoring');
+const { CHECK_STATUSES, POINTS_TOLERANCE, buildTeamChecks, getScrapedPoints } = require('./slot-points');
+
+/**
+ * Total every MLB pitching staff's games in each period of a season, score them with the league
+ * rules and check each fantasy team's TmP slots against the pitching points Fantrax showed for the matchup
+ * Needs pitcher_game_stats covering the season, the period calendar, the scoring rules and
+ * TmP roster slots linked to MLB teams (rosters.pitching_staff_id)
+ * @param {Object} season - Seasons table row
+ * @returns {Promise<Array>} Team-period checks
+ */
+async function reconstructStaffPoints(season) {
+    await dbService.initialize();
+
+    const rules = await dbService.scoringRules.getRulesBySeason(season.id);
+    if (!rules.some(rule => rule.stat_group === STAT_GROUPS.PITCHING)) {
+        throw new Error(`No pitching scoring rules for ${season.year} season (run \`fantrax scrape scoring-rules\`)`);
+    }
+
+    const periods = await dbService.periods.getPeriodsBySeason(season.id);
+    if (periods.length === 0) {
+        throw new Error(`No period calendar for ${season.year} season (run \`fantrax periods build\`)`);
+    }
+
+    const staffs = await dbService.rosters.getActiveStaffsBySeason(season.id);
+    const scrapedTotals = await getScrapedPoints(season.id, STAT_GROUPS.PITCHING);
+
+    const staffPoints = [];
+    const checks = [];
+
+    for (const period of periods) {
+        const staffGames = await dbService.pitcherGameStats.getStaffGameTotals(period.start_date, period.end_date);
+        const result = reconstructStaffPeriod({
+            periodNumber: period.period_number,
+            slots: staffs.filter(slot => slot.period_number === period.period_number),
+            staffGames,
+            rules,
+            scrapedTotals
+        });
+
+        staffPoints.push(...result.staffPoints);
+        checks.push(...result.checks);
+    }
+
+    await dbService.staffPoints.replaceSeasonStaffPoints(season.id, staffPoints, checks);
+
+    const problems = checks.filter(check => check.status !== CHECK_STATUSES.OK).length;
+    console.log(`Scored ${staffPoints.length} staff periods for ${season.year} season; ${checks.length - problems} of ${checks.length} team-periods agree with Fantrax`);
+
+    return checks;
+}
+
+/**
+ * Score every MLB staff's games in one period and check each fantasy team's TmP total
+ * Points are linear in the stats, so the period's summed line scores the same as its games one by one
+ * @param {Object} input - Period data
+ * @param {number} input.periodNumber - Period number
+ * @param {Array<Object>} input.slots - Active TmP roster rows in the period ({ team_id, pitching_staff_id, fantasy_points })
+ * @param {Array<Object>} input.staffGames - Staff totals per game dated inside the period (getStaffGameTotals)
+ * @param {Array<Object>} input.rules - Season scoring rules
+ * @param {Map} input.scrapedTotals - "period|teamId" -> pitching points Fantrax showed for the team
+ * @returns {Object} One total per MLB staff ({ periodNumber, mlbTeamId, mlbTeamName, games, outs, wins,
+ *   earnedRuns, hitsPlusWalks, strikeouts, points }) and one check per fantasy team ({ periodNumber, teamId,
+ *   computedPoints, scrapedPoints, difference, activeStaffs, unlinkedStaffs, slotMismatches, status })
+ */
+function reconstructStaffPeriod({ periodNumber, slots, staffGames, rules, scrapedTotals = new Map() }) {
+    const totals = new Map();
+
+    staffGames.forEach(game => {
+        if (!totals.has(game.team_id)) {
+            totals.set(game.team_id, {
+                name: game.team_name,
+                games: 0,
+                line: { outs: 0, wins: 0, earned_runs: 0, hits: 0, base_on_balls: 0, strikeouts: 0 }
+            });
+        }
+        const total = totals.get(game.team_id);
+        total.games++;
+        Object.keys(total.line).forEach(stat => {
+            total.line[stat] += game[stat] || 0;
+        });
+    });
+
+    const staffPoints = [...totals.entries()].map(([mlbTeamId, total]) => ({
+        periodNumber,
+        mlbTeamId,
+        mlbTeamName: total.name,
+        games: total.games,
+        outs: total.line.outs,
+        wins: total.line.wins,
+        earnedRuns: total.line.earned_runs,
+        hitsPlusWalks: total.line.hits + total.line.base_on_balls,
+        strikeouts: total.line.strikeouts,
+        points: scoreStatLine(pitcherGameLine(total.line), rules, STAT_GROUPS.PITCHING).points
+    }));
+
+    const pointsByStaff = new Map(staffPoints.map(staff => [staff.mlbTeamId, staff.points]));
+    const teams = new Map();
+
+    slots.forEach(slot => {
+        if (!teams.has(slot.team_id)) {
+            teams.set(slot.team_id, { computed: 0, activeStaffs: 0, unlinkedStaffs: 0, slotMismatches: 0 });
+        }
+        const team = teams.get(slot.team_id);
+        team.activeStaffs++;
+
+        if (!slot.pitching_staff_id) {
+            team.unlinkedStaffs++;
+            return;
+        }
+
+        // A staff with no games in the period (e.g. the All-Star break) scores nothing
+        const slotPoints = pointsByStaff.get(slot.pitching_staff_id) || 0;
+        team.computed += slotPoints;
+
+        if (slot.fantasy_points !== null && slot.fantasy_points !== undefined
+            && Math.abs(slotPoints - slot.fantasy_points) > POINTS_TOLERANCE) {
+            team.slotMismatches++;
+        }
+    });
+
+    const checks = buildTeamChecks(periodNumber, teams, scrapedTotals);
+
+    return { staffPoints, checks };
+}
+
+module.exports = {
+    reconstructStaffPoints,
+    reconstructStaffPeriod
+};
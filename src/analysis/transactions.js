@@ -0,0 +1,236 @@
+const dbService = require('../database');
+const { normalizePlayerName } = require('../parsers/roster');
+
+// Kinds of roster move that can be read off two consecutive roster periods
+const MOVE_TYPES = {
+    ADD: 'add',
+    DROP: 'drop',
+    TRADE: 'trade',
+    IR_PLACEMENT: 'ir_placement',
+    IR_ACTIVATION: 'ir_activation',
+    BENCHED: 'benched',
+    STARTED: 'started'
+};
+
+// Where a rostered player sits: in the lineup, on the bench or on injured reserve
+const SLOT_STATUSES = {
+    ACTIVE: 'active',
+    BENCH: 'bench',
+    IR: 'ir'
+};
+
+/**
+ * Derive a season's roster moves by diffing every team's roster in each period against the next one
+ * Replaces any moves saved for the season before
+ * @param {number} seasonId - Season ID
+ * @returns {Promise<Array>} Derived moves
+ */
+async function deriveTransactions(seasonId) {
+    await dbService.initialize();
+
+    const rosters = await dbService.rosters.getRostersBySeason(seasonId);
+    const snapshots = groupRosterSnapshots(rosters);
+    const { moves, gaps } = diffRosterPeriods(snapshots);
+
+    gaps.forEach(gap => {
+        console.warn(`No rosters saved between periods ${gap.from} and ${gap.to}; moves in that stretch aren't derived`);
+    });
+
+    await dbService.rosterMoves.replaceSeasonMoves(seasonId, moves);
+    console.log(`Derived ${moves.length} roster moves from ${snapshots.size} roster periods`);
+
+    return moves;
+}
+
+/**
+ * Diff each roster period against the one right before it
+ * Periods with a missing period between them aren't diffed: a week's add and drop would otherwise
+ * cancel out or be credited to the wrong period, so the stretch is reported as a gap instead
+ * @param {Map<number, Map<number, Array>>} snapshots - Period number -> team ID -> roster rows
+ * @returns {Object} { moves (each with the periodNumber it shows up in), gaps ({ from, to } period pairs not diffed) }
+ */
+function diffRosterPeriods(snapshots) {
+    const periods = [...snapshots.keys()].sort((a, b) => a - b);
+
+    const moves = [];
+    const gaps = [];
+    for (let i = 1; i < periods.length; i++) {
+        if (periods[i] !== periods[i - 1] + 1) {
+            gaps.push({ from: periods[i - 1], to: periods[i] });
+            continue;
+        }
+
+        const periodMoves = diffRosterSnapshots(snapshots.get(periods[i - 1]), snapshots.get(periods[i]));
+        periodMoves.forEach(move => moves.push({ ...move, periodNumber: periods[i] }));
+    }
+
+    return { moves, gaps };
+}
+
+/**
+ * Group roster rows into one snapshot per period: team ID -> roster entries
+ * @param {Array<Object>} rosters - Rows from the rosters table
+ * @returns {Map<number, Map<number, Array>>} Period number -> team ID -> roster rows
+ */
+function groupRosterSnapshots(rosters) {
+    const snapshots = new Map();
+
+    rosters.forEach(entry => {
+        const period = parseInt(entry.period_number, 10);
+        if (!snapshots.has(period)) snapshots.set(period, new Map());
+
+        const teams = snapshots.get(period);
+        if (!teams.has(entry.team_id)) teams.set(entry.team_id, []);
+        teams.get(entry.team_id).push(entry);
+    });
+
+    return snapshots;
+}
+
+/**
+ * List the moves between two roster periods
+ * Only teams with a roster in both periods are compared. A player who leaves one team and joins
+ * another between the periods is a trade (recorded for both teams); other departures are drops
+ * and other arrivals are adds.
+ * Players who stay are checked for IR placements, IR activations and lineup changes.
+ * @param {Map<number, Array>} previous - Team ID -> roster rows for the earlier period
+ * @param {Map<number, Array>} next - Team ID -> roster rows for the later period
+ * @returns {Array<Object>} Moves ({ teamId, moveType, playerName, otherTeamId, fromStatus, toStatus, ... })
+ */
+function diffRosterSnapshots(previous, next) {
+    const teamIds = [...next.keys()].filter(teamId => previous.has(teamId)).sort((a, b) => a - b);
+
+    const departures = [];
+    const arrivals = [];
+    const moves = [];
+
+    teamIds.forEach(teamId => {
+        const before = indexByPlayer(previous.get(teamId));
+        const after = indexByPlayer(next.get(teamId));
+
+        before.forEach((entry, key) => {
+            if (!after.has(key)) departures.push({ key, teamId, entry });
+        });
+
+        after.forEach((entry, key) => {
+            const earlier = before.get(key);
+            if (!earlier) {
+                arrivals.push({ key, teamId, entry });
+                return;
+            }
+
+            const moveType = getStatusChange(getSlotStatus(earlier), getSlotStatus(entry));
+            if (moveType) {
+                moves.push(createMove(teamId, moveType, entry, { from: earlier, to: entry }));
+            }
+        });
+    });
+
+    // A player leaving one team and joining another in the same period changed teams by trade
+    const tradedKeys = new Set();
+    arrivals.forEach(arrival => {
+        const departure = departures.find(candidate => candidate.key === arrival.key && candidate.teamId !== arrival.teamId);
+        if (!departure) return;
+
+        // Both teams get a trade record: the receiving side has a to-status, the sending side a from-status
+        tradedKeys.add(arrival.key);
+        moves.push(createMove(arrival.teamId, MOVE_TYPES.TRADE, arrival.entry, {
+            to: arrival.entry,
+            otherTeamId: departure.teamId
+        }));
+        moves.push(createMove(departure.teamId, MOVE_TYPES.TRADE, departure.entry, {
+            from: departure.entry,
+            otherTeamId: arrival.teamId
+        }));
+    });
+
+    arrivals
+        .filter(arrival => !tradedKeys.has(arrival.key))
+        .forEach(arrival => moves.push(createMove(arrival.teamId, MOVE_TYPES.ADD, arrival.entry, { to: arrival.entry })));
+
+    departures
+        .filter(departure => !tradedKeys.has(departure.key))
+        .forEach(departure => moves.push(createMove(departure.teamId, MOVE_TYPES.DROP, departure.entry, { from: departure.entry })));
+
+    return moves.sort((a, b) =>
+        a.teamId - b.teamId || a.moveType.localeCompare(b.moveType) || a.playerName.localeCompare(b.playerName));
+}
+
+/**
+ * Index a team's roster rows by player
+ * @param {Array<Object>} entries - Roster rows for one team and period
+ * @returns {Map<string, Object>} Player key -> roster row
+ */
+function indexByPlayer(entries) {
+    const players = new Map();
+    entries.forEach(entry => players.set(getPlayerKey(entry), entry));
+    return players;
+}
+
+/**
+ * Identify a rostered player across teams and periods
+ * The Fantrax player ID is used when the page had one, otherwise the normalized name
+ * @param {Object} entry - Roster row
+ * @returns {string} Player key
+ */
+function getPlayerKey(entry) {
+    if (entry.fantrax_player_id) return `id:${entry.fantrax_player_id}`;
+    return `name:${entry.player_name_normalized || normalizePlayerName(entry.player_name)}`;
+}
+
+/**
+ * Work out where a roster row sits
+ * @param {Object} entry - Roster row
+ * @returns {string} One of SLOT_STATUSES
+ */
+function getSlotStatus(entry) {
+    if (entry.position_code === 'IR') return SLOT_STATUSES.IR;
+    return entry.is_active ? SLOT_STATUSES.ACTIVE : SLOT_STATUSES.BENCH;
+}
+
+/**
+ * Classify a change of slot status for a player who stayed on the roster
+ * @param {string} fromStatus - Status in the earlier period
+ * @param {string} toStatus - Status in the later period
+ * @returns {string|null} Move type, or null if the status didn't change
+ */
+function getStatusChange(fromStatus, toStatus) {
+    if (fromStatus === toStatus) return null;
+    if (toStatus === SLOT_STATUSES.IR) return MOVE_TYPES.IR_PLACEMENT;
+    if (fromStatus === SLOT_STATUSES.IR) return MOVE_TYPES.IR_ACTIVATION;
+    return toStatus === SLOT_STATUSES.BENCH ? MOVE_TYPES.BENCHED : MOVE_TYPES.STARTED;
+}
+
+/**
+ * Build a move record
+ * @param {number} teamId - Team the move belongs to
+ * @param {string} moveType - One of MOVE_TYPES
+ * @param {Object} entry - Roster row identifying the player
+ * @param {Object} details - Roster rows before and after ({ from, to }) and the trade partner (otherTeamId)
+ * @returns {Object} Move
+ */
+function createMove(teamId, moveType, entry, details) {
+    const { from = null, to = null, otherTeamId = null } = details;
+
+    return {
+        teamId,
+        moveType,
+        playerName: entry.player_name,
+        playerNameNormalized: entry.player_name_normalized,
+        fantraxPlayerId: entry.fantrax_player_id || null,
+        playerId: entry.player_id || null,
+        otherTeamId,
+        fromStatus: from ? getSlotStatus(from) : null,
+        toStatus: to ? getSlotStatus(to) : null,
+        fromPosition: from ? from.position_code : null,
+        toPosition: to ? to.position_code : null
+    };
+}
+
+module.exports = {
+    MOVE_TYPES,
+    deriveTransactions,
+    groupRosterSnapshots,
+    diffRosterPeriods,
+    diffRosterSnapshots
+};
@@ -1,26 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
 const { takeScreenshot } = require('./utils/browser');
 
 // Fantrax base URL
 const FANTRAX_BASE_URL = 'https://www.fantrax.com';
 
+// Cookies and local storage from the last login (holds credentials, never commit it)
+const SESSION_FILE = path.join(__dirname, '../data/session/fantrax-session.json');
+
+// Fantrax's JSON API; a logged-out request comes back with a WARNING_NOT_LOGGED_IN page error
+const FANTRAX_API_URL = `${FANTRAX_BASE_URL}/fxpa/req`;
+
+// Credentials from the last authenticateFantrax call, used to log in again mid-run
+let credentials = null;
+
+// Login in progress after a mid-run logout, shared by every page that hits the login page
+let reauthentication = null;
+
 /**
- * Authenticates with Fantrax and returns page object
+ * Authenticates with Fantrax, reusing the saved session when it is still valid
+ * A full login only happens when there is no saved session or it has expired
  * @param {Page} page - Puppeteer page object
  * @param {string} username - Fantrax username
  * @param {string} password - Fantrax password
+ * @param {Object} options - Authentication options
+ * @param {boolean} options.forceLogin - Skip the saved session and log in with the credentials
  * @returns {Promise<boolean>} - Whether authentication was successful
  */
-async function authenticateFantrax(page, username, password) {
+async function authenticateFantrax(page, username, password, options = {}) {
+    const { forceLogin = false } = options;
     console.log('Starting Fantrax authentication...');
 
+    credentials = { username, password };
+
+    if (!forceLogin && await restoreSession(page)) {
+        console.log('Reusing saved Fantrax session');
+        return true;
+    }
+
+    const loggedIn = await login(page, username, password);
+
+    if (loggedIn) {
+        try {
+            await saveSession(page);
+        } catch (error) {
+            // The login still worked; the next run will just log in again
+            console.error('Could not save Fantrax session:', error.message);
+        }
+    }
+
+    return loggedIn;
+}
+
+/**
+ * Log in again with the credentials from the last authenticateFantrax call
+ * Used when a page bounces to the login page because the session expired mid-run
+ * Pages that share a browser share the session, so concurrent calls wait for a single login
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<boolean>} - Whether the new login was successful
+ */
+async function reauthenticate(page) {
+    if (!credentials) {
+        throw new Error('Cannot re-authenticate before authenticateFantrax has been called');
+    }
+
+    if (!reauthentication) {
+        console.log('Fantrax session expired, logging in again...');
+        reauthentication = authenticateFantrax(page, credentials.username, credentials.password, { forceLogin: true })
+            .finally(() => {
+                reauthentication = null;
+            });
+    }
+
+    return reauthentication;
+}
+
+/**
+ * Check whether a URL is the Fantrax login page (where logged-out requests are redirected)
+ * @param {string} url - Page URL
+ * @returns {boolean} True for the login page
+ */
+function isLoginPage(url) {
+    try {
+        return new URL(url).pathname.startsWith('/login');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Logs in through the Fantrax login form
+ * @param {Page} page - Puppeteer page object
+ * @param {string} username - Fantrax username
+ * @param {string} password - Fantrax password
+ * @returns {Promise<boolean>} - Whether the login was successful
+ */
+async function login(page, username, password) {
     try {
         // Navigate to Fantrax login page
         console.log('Navigating to Fantrax login page...');
         await page.goto(`${FANTRAX_BASE_URL}/login`, { waitUntil: 'networkidle2' });
 
-        // Take a screenshot of the login page
-        await takeScreenshot(page, 'login-page');
-
         // Login flow
         console.log('Starting login process...');
 
@@ -33,9 +113,6 @@ async function authenticateFantrax(page, username, password) {
             await page.type('input[formcontrolname="email"]', username);
             await page.type('input[formcontrolname="password"]', password);
 
-            // Take a screenshot of the filled form
-            await takeScreenshot(page, 'form-filled');
-
             // Try using page.evaluate to find and click the login button
             console.log('Attempting to click login button...');
             const buttonClicked = await page.evaluate(() => {
@@ -98,15 +175,13 @@ async function authenticateFantrax(page, username, password) {
             }
         }
 
-        // Take a screenshot after login attempt
-        await takeScreenshot(page, 'after-login');
-
         // Check if login was successful
         const url = page.url();
         console.log(`Current URL after login attempt: ${url}`);
 
-        if (url.includes('login')) {
+        if (isLoginPage(url)) {
             console.error('Login failed. Still on the login page.');
+            await takeScreenshot(page, 'login-failed');
             return false;
         }
 
@@ -118,7 +193,169 @@ async function authenticateFantrax(page, username, password) {
     }
 }
 
+/**
+ * Save the page's Fantrax cookies and local storage to the session file
+ * @param {Page} page - Puppeteer page object (logged in, on a Fantrax page)
+ */
+async function saveSession(page) {
+    const cookies = await page.cookies(FANTRAX_BASE_URL);
+    const localStorage = await page.evaluate(() => Object.assign({}, window.localStorage));
+
+    await fs.ensureDir(path.dirname(SESSION_FILE));
+    await fs.writeJson(SESSION_FILE, {
+        savedAt: new Date().toISOString(),
+        cookies,
+        localStorage
+    }, { spaces: 2, mode: 0o600 });
+
+    console.log(`Saved Fantrax session (${cookies.length} cookies) to ${SESSION_FILE}`);
+}
+
+/**
+ * Load the saved session into the browser if it is still logged in
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<boolean>} True if the saved session was valid and has been restored
+ */
+async function restoreSession(page) {
+    if (!await fs.pathExists(SESSION_FILE)) {
+        console.log('No saved Fantrax session found');
+        return false;
+    }
+
+    let session;
+    try {
+        session = await fs.readJson(SESSION_FILE);
+    } catch (error) {
+        console.warn('Saved Fantrax session is unreadable, logging in again:', error.message);
+        return false;
+    }
+
+    const cookies = getUnexpiredCookies(session.cookies || []);
+    if (cookies.length === 0) {
+        console.log('Saved Fantrax session has expired');
+        return false;
+    }
+
+    if (!await isSessionValid(cookies)) {
+        console.log(`Saved Fantrax session from ${session.savedAt} is no longer logged in`);
+        return false;
+    }
+
+    await page.setCookie(...cookies.map(toCookieParam));
+
+    // Local storage can only be written on a Fantrax page, so fill it in before each Fantrax document loads
+    const storage = session.localStorage || {};
+    if (Object.keys(storage).length > 0) {
+        await page.evaluateOnNewDocument((origin, items) => {
+            if (window.location.origin !== origin) return;
+
+            Object.entries(items).forEach(([key, value]) => {
+                if (window.localStorage.getItem(key) === null) {
+                    window.localStorage.setItem(key, value);
+                }
+            });
+        }, FANTRAX_BASE_URL, storage);
+    }
+
+    return true;
+}
+
+/**
+ * Check a saved session with one lightweight API request instead of loading a page
+ * @param {Array<Object>} cookies - Unexpired Fantrax cookies
+ * @returns {Promise<boolean>} True if Fantrax still treats the cookies as logged in
+ */
+async function isSessionValid(cookies) {
+    try {
+        const response = await fetch(FANTRAX_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Cookie: getCookieHeader(cookies)
+            },
+            body: JSON.stringify({ msgs: [{ method: 'getAllLeagues', data: { view: 'LEAGUES' } }] })
+        });
+
+        if (!response.ok) {
+            console.warn(`Session check failed with HTTP ${response.status}`);
+            return false;
+        }
+
+        const body = await response.json();
+        if (body.pageError) {
+            console.log(`Session check returned ${body.pageError.code || 'an error'}`);
+            return false;
+        }
+
+        return Array.isArray(body.responses) && body.responses.length > 0;
+    } catch (error) {
+        console.warn('Session check failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Drop cookies that have expired (session cookies, with no expiry, are kept)
+ * @param {Array<Object>} cookies - Cookies as returned by page.cookies()
+ * @param {number} now - Current time in seconds since the epoch
+ * @returns {Array<Object>} Cookies that are still usable
+ */
+function getUnexpiredCookies(cookies, now = Date.now() / 1000) {
+    return cookies.filter(cookie => !(cookie.expires > 0) || cookie.expires > now);
+}
+
+/**
+ * Build a Cookie request header for the Fantrax site
+ * @param {Array<Object>} cookies - Cookies as returned by page.cookies()
+ * @returns {string} Header value ("name=value; name=value")
+ */
+function getCookieHeader(cookies) {
+    const host = new URL(FANTRAX_BASE_URL).hostname;
+
+    return cookies
+        .filter(cookie => {
+            const domain = (cookie.domain || '').replace(/^\./, '');
+            return host === domain || host.endsWith(`.${domain}`);
+        })
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+}
+
+/**
+ * Keep only the cookie fields page.setCookie accepts
+ * @param {Object} cookie - Cookie as returned by page.cookies()
+ * @returns {Object} Cookie parameters
+ */
+function toCookieParam(cookie) {
+    const { name, value, domain, path: cookiePath, expires, httpOnly, secure, sameSite } = cookie;
+    const param = { name, value, domain, path: cookiePath, httpOnly, secure };
+
+    if (expires > 0) param.expires = expires;
+    if (sameSite) param.sameSite = sameSite;
+
+    return param;
+}
+
+/**
+ * Delete the saved session so the next run logs in with the credentials
+ * @returns {Promise<boolean>} True if a session file was removed
+ */
+async function clearSession() {
+    if (!await fs.pathExists(SESSION_FILE)) {
+        return false;
+    }
+
+    await fs.remove(SESSION_FILE);
+    return true;
+}
+
 module.exports = {
     authenticateFantrax,
-    FANTRAX_BASE_URL
-};
\ No newline at end of file
+    reauthenticate,
+    isLoginPage,
+    clearSession,
+    getUnexpiredCookies,
+    getCookieHeader,
+    FANTRAX_BASE_URL,
+    SESSION_FILE
+};
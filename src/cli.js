@@ -0,0 +1,1104 @@
+#!/usr/bin/env node
+// fantrax - single command-line entry point for scraping, MLB data, reports and database utilities
+const { parseArgs } = require('util');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Scrape types accepted by `fantrax scrape` and the DATA_TYPES flag each one enables
+const SCRAPE_TYPES = {
+    schedule: 'SCHEDULE',
+    matchups: 'MATCHUP_RESULTS',
+    standings: 'STANDINGS',
+    'season-stats': 'SEASON_STATS',
+    transactions: 'TRANSACTIONS',
+    draft: 'DRAFT',
+    'scoring-rules': 'SCORING_RULES',
+    rosters: 'ROSTERS'
+};
+
+// Shared option definitions
+const SEASON_OPTION = {
+    type: 'string',
+    multiple: true,
+    description: 'Season year; repeat or comma-separate for several (e.g. --season 2023,2024)'
+};
+
+/**
+ * Error raised for bad command-line usage (exit code 2)
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Load a root-level script on demand
+ * Scripts are only required when their command runs because some open readline on load
+ * @param {string} fileName - Script file name in the project root
+ * @returns {Object} The script's exports
+ */
+function loadScript(fileName) {
+    return require(path.join(ROOT_DIR, fileName));
+}
+
+/**
+ * Parse --season values into a flat list of years
+ * @param {Array<string>} values - Raw --season values
+ * @returns {Array<string>|undefined} Season years, or undefined if none were given
+ */
+function parseSeasons(values) {
+    if (!values || values.length === 0) return undefined;
+
+    const years = values
+        .flatMap(value => value.split(','))
+        .map(year => year.trim())
+        .filter(Boolean);
+
+    const invalid = years.filter(year => !/^\d{4}$/.test(year));
+    if (invalid.length > 0) {
+        throw new UsageError(`Invalid season: ${invalid.join(', ')}`);
+    }
+
+    return years;
+}
+
+/**
+ * Parse a --periods range such as "5-12", "7" or "5-"
+ * @param {string} value - Raw --periods value
+ * @returns {Object} Start and end period (endPeriod is null for an open range)
+ */
+function parsePeriods(value) {
+    const match = value.match(/^(\d+)(?:-(\d*))?$/);
+    if (!match) {
+        throw new UsageError(`Invalid period range: ${value} (expected e.g. 5-12, 7 or 5-)`);
+    }
+
+    const startPeriod = parseInt(match[1], 10);
+    const endPeriod = match[2] === undefined
+        ? startPeriod
+        : (match[2] === '' ? null : parseInt(match[2], 10));
+
+    if (startPeriod < 1 || (endPeriod !== null && endPeriod < startPeriod)) {
+        throw new UsageError(`Invalid period range: ${value}`);
+    }
+
+    return { startPeriod, endPeriod };
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @returns {number} Parsed integer
+ */
+function parsePositiveInt(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} must be a positive integer`);
+    }
+    return number;
+}
+
+/**
+ * Parse a migration version option
+ * @param {string} value - Raw option value
+ * @returns {number} Version (0 means before the first migration)
+ */
+function parseMigrationVersion(value) {
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 0) {
+        throw new UsageError('--to must be a migration version (e.g. 3)');
+    }
+    return version;
+}
+
+/**
+ * Require exactly one positional argument from a fixed set
+ * @param {Array<string>} positionals - Positional arguments after the command name
+ * @param {Array<string>} choices - Accepted values
+ * @param {string} label - Argument name for error messages
+ * @returns {string} The chosen value
+ */
+function requireChoice(positionals, choices, label) {
+    if (positionals.length !== 1 || !choices.includes(positionals[0])) {
+        throw new UsageError(`Expected one ${label}: ${choices.join(', ')}`);
+    }
+    return positionals[0];
+}
+
+/**
+ * Command definitions
+ * Each command lists its options (in util.parseArgs form plus a description) and a run function
+ */
+const COMMANDS = [
+    {
+        name: 'scrape',
+        args: `<${Object.keys(SCRAPE_TYPES).join('|')}>...`,
+        description: 'Scrape data from Fantrax (several types can be given at once)',
+        options: {
+            season: SEASON_OPTION,
+            periods: { type: 'string', description: 'Roster periods to scrape, e.g. 5-12, 7 or 5- (rosters only)' },
+            'max-periods': { type: 'string', description: 'Maximum number of roster periods to scrape (rosters only)' },
+            resume: { type: 'boolean', description: 'Only scrape roster periods that are missing or failed (rosters only)' },
+            concurrency: { type: 'string', description: 'Number of roster pages to load at once (rosters only, default 3)' },
+            'request-interval': { type: 'string', description: 'Minimum milliseconds between page loads (rosters only, default 2000)' },
+            discover: { type: 'boolean', description: 'Discover new seasons on the Fantrax account before scraping' }
+        },
+        run: async ({ values, positionals }) => {
+            if (positionals.length === 0) {
+                throw new UsageError(`Expected at least one scrape type: ${Object.keys(SCRAPE_TYPES).join(', ')}`);
+            }
+
+            const unknown = positionals.filter(type => !SCRAPE_TYPES[type]);
+            if (unknown.length > 0) {
+                throw new UsageError(`Unknown scrape type: ${unknown.join(', ')}`);
+            }
+
+            const scrapesRosters = positionals.includes('rosters');
+            const rosterFlags = ['periods', 'max-periods', 'resume', 'concurrency', 'request-interval'];
+            if (!scrapesRosters && rosterFlags.some(flag => values[flag])) {
+                throw new UsageError(`${rosterFlags.map(flag => `--${flag}`).join(', ')} only apply to rosters`);
+            }
+
+            // Enable only the requested data types
+            const dataTypes = {};
+            Object.values(SCRAPE_TYPES).forEach(flag => {
+                dataTypes[flag] = false;
+            });
+            positionals.forEach(type => {
+                dataTypes[SCRAPE_TYPES[type]] = true;
+            });
+
+            const rosterOptions = values.periods ? parsePeriods(values.periods) : { startPeriod: 1 };
+            if (values['max-periods']) {
+                rosterOptions.maxPeriods = parsePositiveInt(values['max-periods'], 'max-periods');
+            }
+            rosterOptions.resume = Boolean(values.resume);
+            if (values.concurrency) {
+                rosterOptions.concurrency = parsePositiveInt(values.concurrency, 'concurrency');
+            }
+            if (values['request-interval']) {
+                rosterOptions.requestInterval = parsePositiveInt(values['request-interval'], 'request-interval');
+            }
+            dataTypes.ROSTER_OPTIONS = rosterOptions;
+            dataTypes.DISCOVER_LEAGUES = Boolean(values.discover);
+
+            const { main } = require('./index');
+            await main({ years: parseSeasons(values.season), dataTypes });
+        }
+    },
+    {
+        name: 'leagues discover',
+        description: 'Find the account\'s leagues on Fantrax and add missing seasons',
+        options: {
+            all: { type: 'boolean', description: 'Save every league on the account, not just this league\'s seasons' }
+        },
+        run: async ({ values }) => {
+            const { main } = require('./index');
+            await main({
+                years: [],
+                dataTypes: { DISCOVER_LEAGUES: true },
+                allLeagues: Boolean(values.all)
+            });
+        }
+    },
+    {
+        name: 'rosters coverage',
+        description: 'Show which team roster periods are scraped, missing or failed',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const { reportRosterCoverage } = require('./scrapers/rosters');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                if (seasons.length === 0) {
+                    console.log('No matching seasons in the database');
+                    return;
+                }
+
+                for (const season of seasons) {
+                    await reportRosterCoverage(dbService, season);
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'players link',
+        description: 'Link saved roster entries to MLB players through the player ID map and its overrides file',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                const rows = [];
+                for (const season of seasons) {
+                    const result = await dbService.linkRosterPlayers(season.id);
+                    rows.push({ season: season.year, ...result });
+                }
+                console.table(rows);
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'players review-report',
+        description: 'List roster names the player matcher couldn\'t link on its own, with their ranked candidates',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const reviews = (await dbService.playerIdMap.getReviews())
+                    .filter(review => !years || years.includes(review.year));
+
+                if (reviews.length === 0) {
+                    console.log('No player matches waiting for review');
+                    return;
+                }
+
+                for (const review of reviews) {
+                    console.log(`\n${review.year} ${review.player_name} (${review.mlb_team || 'no team'}, bats ${review.bat_side || '?'}; ${review.roster_entries} roster entries)`);
+                    console.table(review.candidates.map(candidate => ({
+                        mlbId: candidate.playerId,
+                        name: candidate.fullName,
+                        score: candidate.score,
+                        nameMatch: candidate.name,
+                        sameTeam: candidate.team,
+                        sameBats: candidate.batSide
+                    })));
+                }
+                console.log(`\n${reviews.length} player matches waiting for review`);
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'players review',
+        description: 'Interactively link unlinked and low-confidence roster players, saving each decision to the overrides file',
+        options: {
+            season: SEASON_OPTION,
+            'max-confidence': { type: 'string', description: 'Review name matches below this confidence (default: 0.9)' }
+        },
+        run: async ({ values }) => {
+            let maxConfidence;
+            if (values['max-confidence'] !== undefined) {
+                maxConfidence = Number(values['max-confidence']);
+                if (!(maxConfidence > 0 && maxConfidence <= 1)) {
+                    throw new UsageError('--max-confidence must be a number between 0 and 1');
+                }
+            }
+
+            await loadScript('player-id-review.js').reviewPlayerIds({
+                seasons: parseSeasons(values.season),
+                maxConfidence
+            });
+        }
+    },
+    {
+        name: 'transactions derive',
+        description: 'Derive adds, drops, trades, IR moves and lineup changes from consecutive roster periods',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const { deriveTransactions } = require('./analysis/transactions');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                if (seasons.length === 0) {
+                    console.log('No matching seasons in the database');
+                    return;
+                }
+
+                for (const season of seasons) {
+                    console.log(`\nDeriving roster moves for ${season.year} season...`);
+                    await deriveTransactions(season.id);
+
+                    const counts = await dbService.rosterMoves.getMoveCountsByTeam(season.id);
+                    if (counts.length > 0) {
+                        console.table(counts);
+                    }
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'transactions summary',
+        description: 'Show each team\'s claims, drops, trades and FAAB spend from the scraped transaction log',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                for (const season of seasons) {
+                    const counts = await dbService.transactions.getTransactionCountsByTeam(season.id);
+                    if (counts.length === 0) {
+                        console.log(`\nNo transactions saved for ${season.year} season (run \`fantrax scrape transactions\`)`);
+                        continue;
+                    }
+
+                    console.log(`\n${season.year} transactions`);
+                    console.table(counts);
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'periods build',
+        description: 'Rebuild the period calendar (start and end date of every scoring period) from the saved schedule',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                for (const season of seasons) {
+                    const saved = await dbService.rebuildPeriods(season);
+                    if (saved === 0) {
+                        console.log(`\nNo schedule saved for ${season.year} season (run \`fantrax scrape schedule\`)`);
+                        continue;
+                    }
+
+                    console.log(`\n${season.year} periods`);
+                    console.table((await dbService.periods.getPeriodsBySeason(season.id)).map(period => ({
+                        period: period.period_number,
+                        type: period.period_type,
+                        start: period.start_date,
+                        end: period.end_date
+                    })));
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'scoring rules',
+        description: 'Show the scraped scoring rules (points per hitting and team-pitching category)',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                for (const season of seasons) {
+                    const rules = await dbService.scoringRules.getRulesBySeason(season.id);
+                    if (rules.length === 0) {
+                        console.log(`\nNo scoring rules saved for ${season.year} season (run \`fantrax scrape scoring-rules\`)`);
+                        continue;
+                    }
+
+                    console.log(`\n${season.year} scoring rules`);
+                    console.table(rules.map(rule => ({ group: rule.stat_group, category: rule.category, label: rule.label, points: rule.points })));
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'points player',
+        description: 'Recompute a hitter\'s fantasy points from MLB game logs with a season\'s scoring rules',
+        options: {
+            season: SEASON_OPTION,
+            player: { type: 'string', description: 'MLB player ID or (part of) the player\'s name' },
+            'start-date': { type: 'string', description: 'Only games on or after this date (YYYY-MM-DD, default: season start)' },
+            'end-date': { type: 'string', description: 'Only games on or before this date (YYYY-MM-DD, default: season end)' }
+        },
+        run: async ({ values }) => {
+            const years = parseSeasons(values.season);
+            if (!years || years.length !== 1) {
+                throw new UsageError('points player needs exactly one --season');
+            }
+            if (!values.player) {
+                throw new UsageError('points player needs --player');
+            }
+
+            const dbService = require('./database');
+            const { recomputePlayerPoints } = require('./analysis/points');
+
+            try {
+                await dbService.initialize();
+                const season = (await dbService.seasons.getAllSeasons()).find(s => s.year === years[0]);
+                if (!season) {
+                    throw new UsageError(`Season ${years[0]} isn't in the database`);
+                }
+
+                let playerId = /^\d+$/.test(values.player) ? parseInt(values.player, 10) : null;
+                if (!playerId) {
+                    const matches = await dbService.batterGameStats.findPlayersByName(values.player);
+                    if (matches.length !== 1) {
+                        if (matches.length > 1) console.table(matches);
+                        throw new UsageError(`${matches.length === 0 ? 'No' : 'More than one'} player matches "${values.player}"; pass an MLB player ID`);
+                    }
+                    playerId = matches[0].player_id;
+                }
+
+                const result = await recomputePlayerPoints({
+                    season,
+                    playerId,
+                    startDate: values['start-date'],
+                    endDate: values['end-date']
+                });
+
+                console.table(result.games.map(game => ({ date: game.gameDate, period: game.periodNumber, points: game.points, ...game.breakdown })));
+                console.log(`\n${result.points} points in ${result.games.length} games from ${result.startDate} to ${result.endDate}`);
+                console.table([result.breakdown]);
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'points reconstruct',
+        description: 'Rebuild every active hitter\'s points per game from MLB logs and check team-period totals against Fantrax',
+        options: {
+            season: SEASON_OPTION,
+            all: { type: 'boolean', description: 'List every team-period, not just the ones that don\'t check out' }
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const { reconstructSlotPoints } = require('./analysis/slot-points');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                for (const season of seasons) {
+                    console.log(`\nReconstructing ${season.year} hitter points...`);
+                    await reconstructSlotPoints(season);
+
+                    const checks = await dbService.slotPoints.getChecksBySeason(season.id, { problemsOnly: !values.all });
+                    if (checks.length > 0) {
+                        console.table(checks.map(check => ({
+                            period: check.period_number,
+                            team: check.team_name,
+                            computed: check.computed_points,
+                            fantrax: check.scraped_points,
+                            difference: check.difference,
+                            unlinked: check.unlinked_hitters,
+                            slotMismatches: check.slot_mismatches,
+                            status: check.status
+                        })));
+                    }
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'points staffs',
+        description: 'Score every MLB pitching staff per period from MLB logs and check TmP totals against Fantrax',
+        options: {
+            season: SEASON_OPTION,
+            all: { type: 'boolean', description: 'List every team-period, not just the ones that don\'t check out' }
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const { reconstructStaffPoints } = require('./analysis/staff-points');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                for (const season of seasons) {
+                    console.log(`\nScoring ${season.year} pitching staffs...`);
+                    await reconstructStaffPoints(season);
+
+                    const checks = await dbService.staffPoints.getChecksBySeason(season.id, { problemsOnly: !values.all });
+                    if (checks.length > 0) {
+                        console.table(checks.map(check => ({
+                            period: check.period_number,
+                            team: check.team_name,
+                            computed: check.computed_points,
+                            fantrax: check.scraped_points,
+                            difference: check.difference,
+                            unlinked: check.unlinked_staffs,
+                            slotMismatches: check.slot_mismatches,
+                            status: check.status
+                        })));
+                    }
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'playoffs build',
+        description: 'Build the playoff bracket (seeds, winners/consolation, advancement) from the saved schedule pages',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const { buildPlayoffBracket } = require('./analysis/playoffs');
+            const years = parseSeasons(values.season);
+
+            try {
+                await dbService.initialize();
+                const seasons = (await dbService.seasons.getAllSeasons())
+                    .filter(season => !years || years.includes(season.year));
+
+                for (const season of seasons) {
+                    console.log(`\nBuilding ${season.year} playoff bracket...`);
+                    const entries = await buildPlayoffBracket(season);
+                    if (entries.length === 0) continue;
+
+                    const bracket = await dbService.playoffBracket.getBracketBySeason(season.id);
+                    console.table(bracket.map(entry => ({
+                        round: entry.round,
+                        bracket: entry.bracket,
+                        seed: entry.seed,
+                        team: entry.team_name,
+                        opponent: entry.opponent_name,
+                        score: entry.team_score === null ? '' : `${entry.team_score}-${entry.opponent_score}`,
+                        result: entry.result,
+                        advanced: entry.advanced
+                    })));
+                }
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'session clear',
+        description: 'Delete the saved Fantrax login session so the next scrape logs in again',
+        run: async () => {
+            const { clearSession, SESSION_FILE } = require('./auth');
+
+            if (await clearSession()) {
+                console.log(`Deleted ${SESSION_FILE}`);
+            } else {
+                console.log('No saved Fantrax session');
+            }
+        }
+    },
+    {
+        name: 'reparse',
+        args: '[standings|season-stats|matchups]...',
+        description: 'Rebuild standings, season stats and matchup results from saved pages, without logging in to Fantrax',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values, positionals }) => {
+            const { reparse, REPARSE_TYPES } = require('./reparse');
+
+            const unknown = positionals.filter(type => !REPARSE_TYPES[type]);
+            if (unknown.length > 0) {
+                throw new UsageError(`Unknown reparse type: ${unknown.join(', ')}`);
+            }
+
+            await reparse({
+                years: parseSeasons(values.season),
+                types: positionals.length > 0 ? positionals : undefined
+            });
+        }
+    },
+    {
+        name: 'archive summary',
+        description: 'Show archived page counts by league and page type',
+        run: async () => {
+            const dbService = require('./database');
+            try {
+                await dbService.initialize();
+                const summary = await dbService.pageArchive.getSummary();
+
+                if (summary.length === 0) {
+                    console.log('The page archive is empty');
+                    return;
+                }
+                console.table(summary);
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'mlb sync-teams',
+        description: 'Create the mlb_teams table and load teams from the MLB Stats API',
+        run: async () => {
+            await loadScript('create-mlb-teams.js').createMlbTeamsTable();
+        }
+    },
+    {
+        name: 'mlb sync-games',
+        description: 'Fetch the MLB schedule into mlb_games',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const { main } = loadScript('create-mlb-games.js');
+            await main(parseSeasons(values.season));
+        }
+    },
+    {
+        name: 'mlb sync-players',
+        description: 'Fetch MLB players for every season into an empty players table',
+        run: async () => {
+            await loadScript('create-mlb-players.js').main();
+        }
+    },
+    {
+        name: 'mlb sync-player-seasons',
+        description: 'Fetch each MLB player\'s team per season (used to tell players with the same name apart)',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const years = parseSeasons(values.season);
+            await loadScript('create-mlb-players.js').syncPlayerSeasons(years ? { seasons: years.map(Number) } : {});
+        }
+    },
+    {
+        name: 'mlb sync-batter-stats',
+        description: 'Fetch box scores and store per-game batter and pitcher stats',
+        options: {
+            season: SEASON_OPTION,
+            'start-date': { type: 'string', description: 'Only games on or after this date (YYYY-MM-DD)' },
+            'end-date': { type: 'string', description: 'Only games on or before this date (YYYY-MM-DD)' }
+        },
+        run: async ({ values }) => {
+            const { main } = loadScript('create-batter-game-stats.js');
+            await main({
+                seasons: parseSeasons(values.season),
+                startDate: values['start-date'],
+                endDate: values['end-date']
+            });
+        }
+    },
+    {
+        name: 'mlb update-staff-ids',
+        description: 'Link team pitching roster entries to MLB teams',
+        run: async () => {
+            await loadScript('update-pitching-staff-ids.js').updatePitchingStaffIds();
+        }
+    },
+    {
+        name: 'report league',
+        description: 'Generate the league history report (data/reports)',
+        run: async () => {
+            await loadScript('league-report.js').generateLeagueReport();
+        }
+    },
+    {
+        name: 'report managers',
+        description: 'Generate the manager performance and head-to-head reports (data/analysis)',
+        run: async () => {
+            const { analyzeManagerPerformance, analyzeHeadToHeadRecords } = loadScript('manager-analysis.js');
+            await analyzeManagerPerformance();
+            await analyzeHeadToHeadRecords();
+        }
+    },
+    {
+        name: 'report h2h',
+        description: 'Generate only the head-to-head report (data/analysis)',
+        run: async () => {
+            await loadScript('manager-analysis.js').analyzeHeadToHeadRecords();
+        }
+    },
+    {
+        name: 'report draft',
+        description: 'Score each manager\'s draft picks by points over what the draft slot usually returns (data/analysis)',
+        options: {
+            season: SEASON_OPTION
+        },
+        run: async ({ values }) => {
+            const dbService = require('./database');
+            const { analyzeDraftValue } = require('./analysis/draft-value');
+
+            try {
+                const report = await analyzeDraftValue({ years: parseSeasons(values.season) });
+
+                if (report.seasons.length === 0) {
+                    console.log('No draft picks in the database (run `fantrax scrape draft`)');
+                    return;
+                }
+
+                report.seasons.forEach(season => {
+                    console.log(`\n${season.year} draft value`);
+                    console.table(season.teams);
+                });
+
+                console.log('\nDraft value by manager, all seasons');
+                console.table(report.managers);
+            } finally {
+                await dbService.close();
+            }
+        }
+    },
+    {
+        name: 'managers assign',
+        description: 'Interactive manager assignment menu',
+        run: async () => {
+            await loadScript('manager-assignment.js').manageManagerAssignments();
+        }
+    },
+    {
+        name: 'db view',
+        description: 'Print seasons, teams and a schedule sample',
+        run: async () => {
+            await loadScript('dbviewer.js').viewDatabase();
+        }
+    },
+    {
+        name: 'db diagnose',
+        description: 'Run database diagnostics',
+        run: async () => {
+            await loadScript('diagnose-database.js').diagnoseDatabase();
+        }
+    },
+    {
+        name: 'db clear',
+        args: '<rosters|schedule|batter-stats|players>',
+        description: 'Clear table data (interactive when no filters are given)',
+        options: {
+            season: SEASON_OPTION,
+            periods: { type: 'string', description: 'Roster periods to clear, e.g. 5-12 (rosters only, needs one --season)' },
+            'start-date': { type: 'string', description: 'Clear batter stats on or after this date (YYYY-MM-DD)' },
+            'end-date': { type: 'string', description: 'Clear batter stats on or before this date (YYYY-MM-DD)' }
+        },
+        run: async ({ values, positionals }) => {
+            const table = requireChoice(positionals, ['rosters', 'schedule', 'batter-stats', 'players'], 'table');
+            const years = parseSeasons(values.season);
+
+            if (values.periods && table !== 'rosters') {
+                throw new UsageError('--periods only applies to rosters');
+            }
+            if ((values['start-date'] || values['end-date']) && table !== 'batter-stats') {
+                throw new UsageError('--start-date and --end-date only apply to batter-stats');
+            }
+
+            if (table === 'rosters') {
+                const { clearRosterData, clearRosterDataForPeriods, main } = loadScript('clear-rosters-table.js');
+
+                if (values.periods) {
+                    if (!years || years.length !== 1) {
+                        throw new UsageError('--periods needs exactly one --season');
+                    }
+                    const { startPeriod, endPeriod } = parsePeriods(values.periods);
+                    if (endPeriod === null) {
+                        throw new UsageError('--periods needs an end period when clearing');
+                    }
+                    const periods = [];
+                    for (let period = startPeriod; period <= endPeriod; period++) {
+                        periods.push(period);
+                    }
+                    await clearRosterDataForPeriods(years[0], periods);
+                } else if (years) {
+                    await clearRosterData(years);
+                } else {
+                    await main();
+                }
+            } else if (table === 'schedule') {
+                const { clearScheduleData, main } = loadScript('clear-schedule-table.js');
+                await (years ? clearScheduleData(years) : main());
+            } else if (table === 'batter-stats') {
+                const { clearBatterGameStats, main } = loadScript('clear-batter-game-stats.js');
+                if (years || values['start-date'] || values['end-date']) {
+                    await clearBatterGameStats({
+                        seasons: years,
+                        startDate: values['start-date'],
+                        endDate: values['end-date']
+                    });
+                } else {
+                    await main();
+                }
+            } else {
+                if (years) {
+                    throw new UsageError('--season does not apply to players');
+                }
+                await loadScript('clear-players-table.js').createCleanPlayersTable();
+            }
+        }
+    },
+    {
+        name: 'db migrate',
+        description: 'Apply pending schema migrations (builds a fresh database from scratch)',
+        options: {
+            to: { type: 'string', description: 'Stop after this migration version' }
+        },
+        run: async ({ values }) => {
+            const { initializeDatabase, migrateDatabase } = require('./utils/database');
+            const to = values.to !== undefined ? parseMigrationVersion(values.to) : undefined;
+            const db = await initializeDatabase({ migrate: false });
+
+            try {
+                const applied = await migrateDatabase(db, { to });
+                console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'Database schema is up to date');
+            } finally {
+                await db.close();
+            }
+        }
+    },
+    {
+        name: 'db status',
+        description: 'List schema migrations and whether each has been applied',
+        run: async () => {
+            const { initializeDatabase, getMigrationStatus } = require('./utils/database');
+            const db = await initializeDatabase({ migrate: false });
+
+            try {
+                const status = await getMigrationStatus(db);
+                console.table(status.map(migration => ({
+                    version: migration.version,
+                    name: migration.name,
+                    description: migration.description,
+                    applied: migration.appliedAt || 'pending'
+                })));
+
+                const pending = status.filter(migration => !migration.appliedAt).length;
+                console.log(pending > 0 ? `${pending} migrations pending (run fantrax db migrate)` : 'Database schema is up to date');
+            } finally {
+                await db.close();
+            }
+        }
+    },
+    {
+        name: 'db rollback',
+        description: 'Roll back the latest schema migration, or every migration after --to (drops the tables it created, data included)',
+        options: {
+            to: { type: 'string', description: 'Roll back every migration after this version (0 for all)' }
+        },
+        run: async ({ values }) => {
+            const { initializeDatabase, rollbackDatabase } = require('./utils/database');
+            const to = values.to !== undefined ? parseMigrationVersion(values.to) : undefined;
+            const db = await initializeDatabase({ migrate: false });
+
+            try {
+                const rolledBack = await rollbackDatabase(db, { to });
+                console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migrations` : 'No migrations to roll back');
+            } finally {
+                await db.close();
+            }
+        }
+    },
+    {
+        name: 'db fix-player-duplicates',
+        description: 'Merge duplicate player records',
+        run: async () => {
+            await loadScript('force-fix-player-duplicates.js').forceFixPlayerDuplicates();
+        }
+    }
+];
+
+/**
+ * Format the usage line for a command
+ * @param {Object} command - Command definition
+ * @returns {string} Usage line
+ */
+function formatUsage(command) {
+    const hasOptions = command.options && Object.keys(command.options).length > 0;
+    return ['fantrax', command.name, command.args, hasOptions ? '[options]' : null]
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Build the help text for all commands, or those under a command group
+ * @param {string} [group] - Optional group such as "db"
+ * @returns {string} Help text
+ */
+function formatHelp(group) {
+    const commands = group
+        ? COMMANDS.filter(command => command.name.split(' ')[0] === group)
+        : COMMANDS;
+
+    const width = Math.max(...commands.map(command => [command.name, command.args].filter(Boolean).join(' ').length));
+    const lines = commands.map(command => {
+        const signature = [command.name, command.args].filter(Boolean).join(' ');
+        return `  ${signature.padEnd(width)}  ${command.description}`;
+    });
+
+    const usage = group
+        ? `Usage: fantrax ${group} <subcommand> [options]`
+        : 'Usage: fantrax <command> [options]';
+
+    return [
+        usage,
+        '',
+        'Commands:',
+        ...lines,
+        '',
+        'Run "fantrax <command> --help" for the options of a command.'
+    ].join('\n');
+}
+
+/**
+ * Build the help text for a single command
+ * @param {Object} command - Command definition
+ * @returns {string} Help text
+ */
+function formatCommandHelp(command) {
+    const lines = [`Usage: ${formatUsage(command)}`, '', command.description];
+    const options = Object.entries(command.options || {});
+
+    if (options.length > 0) {
+        const flags = options.map(([name, option]) => `--${name}${option.type === 'string' ? ' <value>' : ''}`);
+        const width = Math.max(...flags.map(flag => flag.length));
+
+        lines.push('', 'Options:');
+        options.forEach(([, option], index) => {
+            lines.push(`  ${flags[index].padEnd(width)}  ${option.description}`);
+        });
+    }
+
+    lines.push('', '  -h, --help  Show this help');
+    return lines.join('\n');
+}
+
+/**
+ * Find the command matching the leading words of the arguments
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Object|null} Matching command and the remaining arguments
+ */
+function findCommand(argv) {
+    const matches = COMMANDS
+        .filter(command => {
+            const words = command.name.split(' ');
+            return words.every((word, index) => argv[index] === word);
+        })
+        .sort((a, b) => b.name.split(' ').length - a.name.split(' ').length);
+
+    if (matches.length === 0) return null;
+
+    const command = matches[0];
+    return { command, rest: argv.slice(command.name.split(' ').length) };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Command-line arguments (without node and script path)
+ * @returns {Promise<number>} Process exit code: 0 on success, 1 on failure, 2 on bad usage
+ */
+async function run(argv) {
+    if (argv.length === 0 || argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+        console.log(formatHelp());
+        return argv.length === 0 ? 2 : 0;
+    }
+
+    const match = findCommand(argv);
+
+    if (!match) {
+        const isGroup = COMMANDS.some(command => command.name.split(' ')[0] === argv[0]);
+        if (isGroup) {
+            const wantsHelp = argv.length === 1 || argv[1] === '--help' || argv[1] === '-h';
+            if (!wantsHelp) console.error(`Unknown command: ${argv.slice(0, 2).join(' ')}\n`);
+            console.log(formatHelp(argv[0]));
+            return wantsHelp && argv.length > 1 ? 0 : 2;
+        }
+
+        console.error(`Unknown command: ${argv[0]}\n`);
+        console.log(formatHelp());
+        return 2;
+    }
+
+    const { command, rest } = match;
+
+    if (rest.includes('--help') || rest.includes('-h')) {
+        console.log(formatCommandHelp(command));
+        return 0;
+    }
+
+    try {
+        // Strip descriptions before handing the options to parseArgs
+        const options = {};
+        Object.entries(command.options || {}).forEach(([name, { description, ...option }]) => {
+            options[name] = option;
+        });
+
+        let parsed;
+        try {
+            parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+        } catch (parseError) {
+            throw new UsageError(parseError.message);
+        }
+
+        if (!command.args && parsed.positionals.length > 0) {
+            throw new UsageError(`Unexpected argument: ${parsed.positionals[0]}`);
+        }
+
+        await command.run(parsed);
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`Error: ${error.message}\n`);
+            console.error(formatCommandHelp(command));
+            return 2;
+        }
+
+        console.error(`fantrax ${command.name} failed:`, error.message);
+        return 1;
+    }
+}
+
+// Run the CLI when executed directly
+if (require.main === module) {
+    run(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    });
+}
+
+module.exports = {
+    run,
+    COMMANDS
+};
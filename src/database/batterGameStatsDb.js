@@ -56,6 +56,53 @@ class BatterGameStatsDb {
         `, [teamId, startDate, endDate]);
     }
 
+    /**
+     * Get every batter game stats row in a date range
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Promise<Array>} List of batter game stats, oldest first
+     */
+    async getStatsByDateRange(startDate, endDate) {
+        return this.db.all(`
+            SELECT * FROM batter_game_stats
+            WHERE game_date >= ?
+            AND game_date <= ?
+            ORDER BY game_date, game_pk, player_id
+        `, [startDate, endDate]);
+    }
+
+    /**
+     * Get a player's batter game stats in a date range
+     * @param {number} playerId - MLB player ID
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Promise<Array>} List of batter game stats for the player, oldest first
+     */
+    async getStatsByPlayerAndDateRange(playerId, startDate, endDate) {
+        return this.db.all(`
+            SELECT * FROM batter_game_stats
+            WHERE player_id = ?
+            AND game_date >= ?
+            AND game_date <= ?
+            ORDER BY game_date, game_pk
+        `, [playerId, startDate, endDate]);
+    }
+
+    /**
+     * Find players in the batter game stats by name
+     * @param {string} name - Full or partial player name
+     * @returns {Promise<Array>} Matching players ({ player_id, player_name, games })
+     */
+    async findPlayersByName(name) {
+        return this.db.all(`
+            SELECT player_id, player_name, COUNT(*) as games
+            FROM batter_game_stats
+            WHERE player_name LIKE ?
+            GROUP BY player_id, player_name
+            ORDER BY games DESC
+        `, [`%${name}%`]);
+    }
+
     /**
      * Check if batter game stats exist for a specific game
      * @param {number} gamePk - MLB game ID
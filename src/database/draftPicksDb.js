@@ -0,0 +1,86 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing draft picks in the database
+ */
+class DraftPicksDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace a season's draft board
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} picks - Picks with database team IDs ({ round, pick, overallPick, teamId, playerName, ... })
+     * @returns {Promise<number>} Number of picks saved
+     */
+    async replaceSeasonPicks(seasonId, picks) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM draft_picks WHERE season_id = ?', [seasonId]);
+
+            for (const pick of picks) {
+                await this.db.run(`
+                    INSERT INTO draft_picks (
+                        season_id, round, pick, overall_pick, team_id,
+                        player_name, player_name_normalized, fantrax_player_id, position, is_keeper
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, pick.round || null, pick.pick || null, pick.overallPick, pick.teamId,
+                    pick.playerName, pick.playerNameNormalized || null, pick.fantraxPlayerId || null,
+                    pick.position || null, pick.isKeeper ? 1 : 0
+                ]);
+            }
+
+            return picks.length;
+        });
+    }
+
+    /**
+     * Get a season's draft board
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Picks with team and manager names, in draft order
+     */
+    async getPicksBySeason(seasonId) {
+        return this.db.all(`
+            SELECT dp.*, t.name as team_name, m.name as manager_name
+            FROM draft_picks dp
+            JOIN teams t ON dp.team_id = t.id
+            LEFT JOIN managers m ON t.manager_id = m.id
+            WHERE dp.season_id = ?
+            ORDER BY dp.overall_pick
+        `, [seasonId]);
+    }
+
+    /**
+     * Get a season's draft board with the fantasy points each drafted player scored that season
+     * Points are summed over every period the player was on a roster in the league (matched by
+     * Fantrax player ID, or by normalized name when the pick or the roster row has no ID); season_points
+     * is null when the rosters hold no points for the player
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Picks with team and manager names and season_points, in draft order
+     */
+    async getPicksWithSeasonPoints(seasonId) {
+        return this.db.all(`
+            SELECT dp.*, t.name as team_name, m.name as manager_name,
+                   (
+                       SELECT SUM(r.fantasy_points)
+                       FROM rosters r
+                       WHERE r.season_id = dp.season_id
+                         AND (r.fantrax_player_id = dp.fantrax_player_id
+                              OR ((NULLIF(dp.fantrax_player_id, '') IS NULL OR NULLIF(r.fantrax_player_id, '') IS NULL)
+                                  AND r.player_name_normalized = dp.player_name_normalized))
+                   ) as season_points
+            FROM draft_picks dp
+            JOIN teams t ON dp.team_id = t.id
+            LEFT JOIN managers m ON t.manager_id = m.id
+            WHERE dp.season_id = ?
+            ORDER BY dp.overall_pick
+        `, [seasonId]);
+    }
+}
+
+module.exports = DraftPicksDb;
@@ -1,4 +1,8 @@
 const { initializeDatabase } = require('../utils/database');
+const { getSeasons, getSeasonConfig } = require('../utils/seasons');
+const { createMutex } = require('../utils/concurrency');
+const { buildPeriodCalendar } = require('../utils/periods');
+const { getOverrideKey, loadPlayerIdOverrides } = require('../utils/player-ids');
 const SeasonsDb = require('./seasonsDb');
 const TeamsDb = require('./teamsDb');
 const ScheduleDb = require('./scheduleDb');
@@ -10,6 +14,20 @@ const RostersDb = require('./rostersDb'); // Add this import
 const MlbTeamsDb = require('./mlbTeamsDb'); // Add this import
 const MlbGamesDb = require('./mlbGamesDb');
 const BatterGameStatsDb = require('./batterGameStatsDb');
+const PitcherGameStatsDb = require('./pitcherGameStatsDb');
+const MatchupResultsDb = require('./matchupResultsDb');
+const PageArchiveDb = require('./pageArchiveDb');
+const ScrapeJobsDb = require('./scrapeJobsDb');
+const RosterMovesDb = require('./rosterMovesDb');
+const TransactionsDb = require('./transactionsDb');
+const DraftPicksDb = require('./draftPicksDb');
+const PlayoffBracketDb = require('./playoffBracketDb');
+const PeriodsDb = require('./periodsDb');
+const ScoringRulesDb = require('./scoringRulesDb');
+const SlotPointsDb = require('./slotPointsDb');
+const StaffPointsDb = require('./staffPointsDb');
+const PlayerIdMapDb = require('./playerIdMapDb');
+const PlayerSeasonsDb = require('./playerSeasonsDb');
 
 /**
  * Database service that provides access to all database operations
@@ -26,7 +44,24 @@ class DatabaseService {
         this.mlbTeams = null; // Add this new property
         this.mlbGames = null;
         this.batterGameStats = null;
+        this.pitcherGameStats = null;
+        this.matchupResults = null;
+        this.pageArchive = null;
+        this.scrapeJobs = null;
+        this.rosterMoves = null;
+        this.transactions = null;
+        this.draftPicks = null;
+        this.playoffBracket = null;
+        this.periods = null;
+        this.scoringRules = null;
+        this.slotPoints = null;
+        this.staffPoints = null;
+        this.playerIdMap = null;
+        this.playerSeasons = null;
         this.initialized = false;
+
+        // Serialises writes from scrapes running at the same time (they share one connection)
+        this.writeLock = createMutex();
     }
 
     async initialize() {
@@ -50,6 +85,23 @@ class DatabaseService {
             this.mlbTeams = new MlbTeamsDb(this.db);
             this.mlbGames = new MlbGamesDb(this.db);
             this.batterGameStats = new BatterGameStatsDb(this.db);
+            this.pitcherGameStats = new PitcherGameStatsDb(this.db);
+            this.matchupResults = new MatchupResultsDb(this.db);
+            this.pageArchive = new PageArchiveDb(this.db);
+            this.scrapeJobs = new ScrapeJobsDb(this.db);
+            this.rosterMoves = new RosterMovesDb(this.db);
+            this.transactions = new TransactionsDb(this.db);
+            this.draftPicks = new DraftPicksDb(this.db);
+            this.playoffBracket = new PlayoffBracketDb(this.db);
+            this.periods = new PeriodsDb(this.db);
+            this.scoringRules = new ScoringRulesDb(this.db);
+            this.slotPoints = new SlotPointsDb(this.db);
+            this.staffPoints = new StaffPointsDb(this.db);
+            this.playerIdMap = new PlayerIdMapDb(this.db);
+            this.playerSeasons = new PlayerSeasonsDb(this.db);
+
+            // Keep stored seasons in line with the season registry
+            await this.syncSeasonRegistry();
 
             this.initialized = true;
             return this;
@@ -59,6 +111,113 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Copy format and playoff settings from the season registry onto stored seasons
+     * Seasons are only inserted when first scraped, so unscraped registry entries are left alone
+     * @returns {Promise<number>} Number of seasons updated
+     */
+    async syncSeasonRegistry() {
+        let updated = 0;
+
+        for (const season of getSeasons()) {
+            const existing = await this.seasons.getSeasonByLeagueId(season.leagueId);
+            if (!existing) continue;
+
+            // Roto seasons have no playoffs
+            const playoffs = season.playoffs || {};
+            const inSync = existing.year === season.year &&
+                existing.format === season.format &&
+                existing.regular_season_periods === season.regularSeasonPeriods &&
+                existing.playoff_teams === (playoffs.teams ?? null) &&
+                existing.playoff_rounds === (playoffs.rounds ?? null);
+
+            if (!inSync) {
+                await this.seasons.upsertSeason(season);
+                updated++;
+            }
+        }
+
+        if (updated > 0) {
+            console.log(`Updated ${updated} season(s) from the season registry`);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Save seasons found by league discovery
+     * Only lineages that include a registered season are saved unless allLeagues is set,
+     * so other leagues on the same account don't end up in the seasons table
+     * @param {Array} leagues - Discovered seasons ({ leagueId, year, name, lineageId })
+     * @param {Object} options - Save options
+     * @param {boolean} options.allLeagues - Save every lineage, not just the registered league's
+     * @returns {Promise<Object>} Counts of added, linked and skipped seasons
+     */
+    async saveDiscoveredLeagues(leagues, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const { allLeagues = false } = options;
+        const registeredIds = new Set(getSeasons().map(season => season.leagueId));
+        const ourLineages = new Set(leagues
+            .filter(league => registeredIds.has(league.leagueId))
+            .map(league => league.lineageId));
+
+        let added = 0;
+        let linked = 0;
+        let skipped = 0;
+
+        for (const league of leagues) {
+            if (!allLeagues && !ourLineages.has(league.lineageId)) {
+                skipped++;
+                continue;
+            }
+
+            const existing = await this.seasons.getSeasonByLeagueId(league.leagueId);
+
+            if (existing) {
+                if (existing.lineage_id !== league.lineageId) {
+                    await this.seasons.upsertSeason({
+                        year: existing.year,
+                        leagueId: league.leagueId,
+                        lineageId: league.lineageId
+                    });
+                    linked++;
+                }
+                continue;
+            }
+
+            // New season: use registry settings when the season is registered but not stored yet
+            const config = getSeasonConfig(league.year);
+            await this.seasons.upsertSeason({
+                ...(config && config.leagueId === league.leagueId ? config : {}),
+                year: league.year,
+                leagueId: league.leagueId,
+                name: `${league.year} Season`,
+                lineageId: league.lineageId
+            });
+            console.log(`Added discovered season ${league.year} (League ID: ${league.leagueId})`);
+            added++;
+        }
+
+        if (skipped > 0) {
+            console.log(`Skipped ${skipped} seasons from other leagues on the account`);
+        }
+
+        return { added, linked, skipped };
+    }
+
+    /**
+     * Run database writes without interleaving them with writes from other concurrent scrapes
+     * Statements from one task would otherwise land inside another task's open transaction
+     * @param {Function} callback - async () => result
+     * @returns {Promise<any>} Result of the callback
+     */
+    async runExclusive(callback) {
+        return this.writeLock.runExclusive(callback);
+    }
+
     // Add a close method to properly shut down the database connection
     async close() {
         if (this.db) {
@@ -140,9 +299,13 @@ class DatabaseService {
                 savedMatchupsCount = await this.schedule.bulkUpsertMatchups(matchupsToSave);
             }
 
+            // Keep the period calendar in step with the schedule
+            const savedPeriodsCount = await this.rebuildPeriods(season);
+
             return {
                 teams: savedTeamsCount,
-                matchups: savedMatchupsCount
+                matchups: savedMatchupsCount,
+                periods: savedPeriodsCount
             };
         } catch (error) {
             console.error(`Error saving schedule data for ${year}:`, error);
@@ -150,6 +313,356 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Link a season's roster entries to MLB players
+     * The overrides file is written into the player ID map first, then every entry with a mapped
+     * Fantrax ID takes the mapped player, and the rest are matched by name, team and bat side and added
+     * to the map; names the matcher can't settle replace the season's pending reviews.
+     * Entries without a Fantrax ID take the season's overrides for their name and team instead of the map
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Object>} Overrides applied, entries linked from the map and name matching results
+     */
+    async linkRosterPlayers(seasonId) {
+        if (!this.initialized) await this.initialize();
+
+        try {
+            const overrideList = loadPlayerIdOverrides();
+            const season = await this.seasons.getSeasonById(seasonId);
+            const unidentified = overrideList.filter(override =>
+                !override.fantraxPlayerId && season && override.season === season.year);
+
+            let overrides = await this.playerIdMap.applyOverrides(overrideList);
+            for (const override of unidentified.filter(override => !override.nonMlb)) {
+                await this.rosters.linkUnidentifiedPlayer(toUnidentifiedPlayer(override, seasonId), override.mlbPlayerId);
+                overrides++;
+            }
+            const mapped = await this.playerIdMap.linkRosters(seasonId);
+
+            const matching = await this.rosters.matchPlayerNames(seasonId, {
+                skipFantraxIds: new Set(overrideList
+                    .filter(override => override.nonMlb && override.fantraxPlayerId)
+                    .map(override => override.fantraxPlayerId)),
+                skipUnidentified: new Set(unidentified
+                    .filter(override => override.nonMlb)
+                    .map(override => `${override.normalizedName}|${override.mlbTeam || ''}`))
+            });
+            const newMappings = await this.playerIdMap.recordMatches(matching.matches, seasonId);
+            const reviews = await this.playerIdMap.replacePendingReviews(seasonId, matching.reviews);
+
+            return {
+                overrides,
+                mapped,
+                matched: matching.matched,
+                ambiguous: matching.ambiguous,
+                stillUnmatched: matching.stillUnmatched,
+                newMappings,
+                reviews
+            };
+        } catch (error) {
+            console.error(`Error linking roster players for season ID ${seasonId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the player ID review queue: roster players with no MLB link and name matches below a confidence,
+     * most often rostered first, each with its top MLB candidates
+     * @param {Object} options - Queue options
+     * @param {Array<number>} options.seasonIds - Only roster entries in these seasons
+     * @param {number} options.maxConfidence - Review name matches below this confidence (default: 0.9)
+     * @param {number} options.candidates - Candidates to keep per player (default: 5)
+     * @returns {Promise<Array>} Queue items ({ kind: 'unlinked' or 'low-confidence', fantraxPlayerId, playerName, year,
+     *   seasonId, normalizedName, mlbTeam, batSide, rosterEntries, current, candidates }); fantraxPlayerId is null
+     *   for a player the roster pages gave no ID, current is the low-confidence mapping
+     *   ({ playerId, fullName, confidence, method }) and candidates come from rankCandidates
+     */
+    async getPlayerReviewQueue(options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const { seasonIds = null, maxConfidence = 0.9, candidates = 5 } = options;
+
+        try {
+            const nonMlb = new Set(loadPlayerIdOverrides()
+                .filter(override => override.nonMlb)
+                .map(getOverrideKey));
+
+            const unlinked = (await this.rosters.getUnlinkedPlayers({ seasonIds }))
+                .filter(row => !nonMlb.has(getOverrideKey(row.fantrax_player_id ? { fantraxPlayerId: row.fantrax_player_id } : {
+                    season: row.year, normalizedName: row.player_name_normalized, mlbTeam: row.mlb_team
+                })))
+                .map(row => ({ kind: 'unlinked', row, current: null }));
+            const lowConfidence = (await this.playerIdMap.getLowConfidenceMappings(maxConfidence, { seasonIds }))
+                .map(row => ({
+                    kind: 'low-confidence',
+                    row: { ...row, player_name: row.roster_player_name },
+                    current: {
+                        playerId: row.mlb_player_id,
+                        fullName: row.mlb_player_name,
+                        confidence: row.confidence,
+                        method: row.match_method
+                    }
+                }));
+
+            const contexts = new Map();
+            const queue = [];
+            for (const { kind, row, current } of [...unlinked, ...lowConfidence]) {
+                if (!contexts.has(row.year)) contexts.set(row.year, await this.rosters.getMatchContext(row.year));
+                const { ranked } = await this.rosters.rankPlayerCandidates(row, contexts.get(row.year));
+
+                queue.push({
+                    kind,
+                    fantraxPlayerId: row.fantrax_player_id,
+                    playerName: row.player_name,
+                    year: row.year,
+                    seasonId: row.season_id,
+                    normalizedName: row.player_name_normalized,
+                    mlbTeam: row.mlb_team,
+                    batSide: row.bat_side,
+                    rosterEntries: row.roster_entries,
+                    current,
+                    candidates: ranked.slice(0, candidates)
+                });
+            }
+
+            return queue.sort((a, b) => b.rosterEntries - a.rosterEntries);
+        } catch (error) {
+            console.error('Error building the player review queue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a review decision: write the override into the map, relink the player's roster entries
+     * in every season and settle their pending reviews (saving the override to the file is up to the caller).
+     * An override for a player without a Fantrax ID links that season's entries with the same name and MLB team
+     * @param {Object} override - Override ({ fantraxPlayerId or season, normalizedName and mlbTeam;
+     *   mlbPlayerId or nonMlb; playerName })
+     * @returns {Promise<number>} Number of roster entries linked without a Fantrax ID (0 otherwise)
+     * @throws {Error} If the override is for a season that isn't saved
+     */
+    async resolvePlayerReview(override) {
+        if (!this.initialized) await this.initialize();
+
+        const status = override.nonMlb ? 'non-mlb' : 'linked';
+
+        try {
+            if (override.fantraxPlayerId) {
+                await this.playerIdMap.applyOverrides([override]);
+                if (!override.nonMlb) await this.playerIdMap.linkPlayer(override.fantraxPlayerId);
+                await this.playerIdMap.settleReviews(override.fantraxPlayerId, status);
+                return 0;
+            }
+
+            const season = await this.seasons.getSeasonByYear(override.season);
+            if (!season) throw new Error(`No saved season for ${override.season}`);
+
+            const player = toUnidentifiedPlayer(override, season.id);
+            const linked = override.nonMlb ? 0 : await this.rosters.linkUnidentifiedPlayer(player, override.mlbPlayerId);
+            await this.playerIdMap.settleUnidentifiedReviews(player, status);
+            return linked;
+        } catch (error) {
+            console.error(`Error resolving the player review for ${override.fantraxPlayerId || override.playerName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rebuild a season's period calendar from the date ranges in its saved schedule
+     * @param {Object} season - Seasons table row
+     * @returns {Promise<number>} Number of periods saved
+     */
+    async rebuildPeriods(season) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const schedule = await this.schedule.getScheduleBySeason(season.id);
+        const periods = buildPeriodCalendar(schedule.map(entry => ({
+            periodNumber: entry.period_number,
+            periodType: entry.period_type,
+            dateRange: entry.date_range
+        })), season.year);
+
+        return this.periods.replaceSeasonPeriods(season.id, periods);
+    }
+
+    /**
+     * Save matchup results scraped for a period
+     * @param {Array} results - Matchup results from scrapeMatchupResults
+     * @param {number} seasonId - Season database ID
+     * @returns {Promise<Object>} Counts of saved and skipped results
+     */
+    async saveMatchupResults(results, seasonId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        if (!results || results.length === 0) {
+            return { saved: 0, skipped: 0 };
+        }
+
+        try {
+            // Map Fantrax team IDs to database IDs
+            const teams = await this.teams.getTeamsBySeason(seasonId);
+            const teamIdMap = new Map(teams.map(team => [team.team_id, team.id]));
+
+            const resultsToSave = [];
+            let skipped = 0;
+
+            for (const result of results) {
+                const awayTeamId = teamIdMap.get(result.awayTeamId);
+                const homeTeamId = teamIdMap.get(result.homeTeamId);
+
+                if (!awayTeamId || !homeTeamId) {
+                    console.warn(`Skipping result due to missing team ID: ${result.awayTeamName} vs ${result.homeTeamName}`);
+                    skipped++;
+                    continue;
+                }
+
+                // Find the schedule entry; the scoreboard may list the teams in either order
+                let matchup = await this.schedule.findMatchup(seasonId, result.periodNumber, awayTeamId, homeTeamId);
+                let swapped = false;
+
+                if (!matchup) {
+                    matchup = await this.schedule.findMatchup(seasonId, result.periodNumber, homeTeamId, awayTeamId);
+                    swapped = !!matchup;
+                }
+
+                if (!matchup) {
+                    console.warn(`No schedule entry for period ${result.periodNumber}: ${result.awayTeamName} vs ${result.homeTeamName}`);
+                    skipped++;
+                    continue;
+                }
+
+                resultsToSave.push(swapped ? {
+                    scheduleId: matchup.id,
+                    awayTeamId: homeTeamId,
+                    homeTeamId: awayTeamId,
+                    awayScore: result.homeScore,
+                    homeScore: result.awayScore,
+                    awayHittingPoints: result.homeHittingPoints,
+                    awayPitchingPoints: result.homePitchingPoints,
+                    homeHittingPoints: result.awayHittingPoints,
+                    homePitchingPoints: result.awayPitchingPoints
+                } : {
+                    scheduleId: matchup.id,
+                    awayTeamId,
+                    homeTeamId,
+                    awayScore: result.awayScore,
+                    homeScore: result.homeScore,
+                    awayHittingPoints: result.awayHittingPoints,
+                    awayPitchingPoints: result.awayPitchingPoints,
+                    homeHittingPoints: result.homeHittingPoints,
+                    homePitchingPoints: result.homePitchingPoints
+                });
+            }
+
+            const saved = await this.matchupResults.bulkUpsertResults(resultsToSave);
+            return { saved, skipped };
+        } catch (error) {
+            console.error(`Error saving matchup results for season ID ${seasonId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a season's transaction log, replacing the one saved before
+     * @param {Array} transactions - Transactions from scrapeTransactions
+     * @param {number} seasonId - Season database ID
+     * @returns {Promise<Object>} Counts of saved and skipped transactions
+     */
+    async saveTransactionsData(transactions, seasonId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            // Map Fantrax team IDs to database IDs
+            const teams = await this.teams.getTeamsBySeason(seasonId);
+            const teamIdMap = new Map(teams.map(team => [team.team_id, team.id]));
+
+            const transactionsToSave = [];
+            let skipped = 0;
+
+            for (const transaction of transactions || []) {
+                const teamId = teamIdMap.get(transaction.teamId);
+                const otherTeamId = transaction.otherTeamId ? teamIdMap.get(transaction.otherTeamId) : null;
+
+                if (!teamId || (transaction.otherTeamId && !otherTeamId)) {
+                    console.warn(`Skipping ${transaction.transactionType} of ${transaction.playerName} due to missing team ID: ${transaction.teamName}`);
+                    skipped++;
+                    continue;
+                }
+
+                transactionsToSave.push({ ...transaction, teamId, otherTeamId });
+            }
+
+            const saved = await this.transactions.replaceSeasonTransactions(seasonId, transactionsToSave);
+            return { saved, skipped };
+        } catch (error) {
+            console.error(`Error saving transactions for season ID ${seasonId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a season's draft board, replacing the one saved before
+     * @param {Array} picks - Draft picks from scrapeDraftResults
+     * @param {number} seasonId - Season database ID
+     * @returns {Promise<Object>} Counts of saved and skipped picks
+     */
+    async saveDraftData(picks, seasonId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            // Map Fantrax team IDs to database IDs
+            const teams = await this.teams.getTeamsBySeason(seasonId);
+            const teamIdMap = new Map(teams.map(team => [team.team_id, team.id]));
+
+            const picksToSave = [];
+            let skipped = 0;
+
+            for (const pick of picks || []) {
+                const teamId = teamIdMap.get(pick.teamId);
+
+                if (!teamId) {
+                    console.warn(`Skipping pick ${pick.overallPick} (${pick.playerName}) due to missing team ID: ${pick.teamName}`);
+                    skipped++;
+                    continue;
+                }
+
+                picksToSave.push({ ...pick, teamId });
+            }
+
+            const saved = await this.draftPicks.replaceSeasonPicks(seasonId, picksToSave);
+            return { saved, skipped };
+        } catch (error) {
+            console.error(`Error saving draft picks for season ID ${seasonId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a season's scoring rules, replacing the ones saved before
+     * @param {Array} rules - Scoring rules from scrapeScoringRules
+     * @param {number} seasonId - Season database ID
+     * @returns {Promise<number>} Number of rules saved
+     */
+    async saveScoringRules(rules, seasonId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            return await this.scoringRules.replaceSeasonRules(seasonId, rules || []);
+        } catch (error) {
+            console.error(`Error saving scoring rules for season ID ${seasonId}:`, error);
+            throw error;
+        }
+    }
+
     // Add a method to save standings data
     async saveStandingsData(data, seasonId) {
         if (!this.initialized) {
@@ -469,18 +982,11 @@ class DatabaseService {
                             console.log(`Matched team pitching "${player.playerName}" to MLB team ID: ${pitchingStaffId}`);
                         }
                     } else {
-                        // Try to find player by normalized name (for regular players)
-                        const normalizedName = player.normalizedName;
-
-                        // First try exact match on normalized name
-                        const playerMatch = await this.db.get(`
-          SELECT id FROM players 
-          WHERE normalized_full_name = ?
-          LIMIT 1
-        `, [normalizedName]);
-
-                        if (playerMatch) {
-                            playerId = playerMatch.id;
+                        // Reuse the MLB player this Fantrax player was mapped to before; everyone else
+                        // is matched by name once the whole season is saved
+                        playerId = await this.playerIdMap.getMlbPlayerId(player.fantraxPlayerId);
+
+                        if (playerId) {
                             matchedPlayers++;
                         }
                     }
@@ -499,7 +1005,10 @@ class DatabaseService {
                         playerNameNormalized: player.normalizedName,
                         mlbTeam: player.mlbTeam,
                         batSide: player.batSide,
-                        fantraxPlayerId: player.fantraxPlayerId
+                        fantraxPlayerId: player.fantraxPlayerId || null,
+                        positionsEligible: player.positionsEligible,
+                        fantasyPoints: player.fantasyPoints,
+                        fpg: player.fpg
                     });
                 }
 
@@ -514,13 +1023,14 @@ class DatabaseService {
             }
 
             // Try to match any remaining unmatched players
-            const matchingResults = await this.rosters.matchPlayerNames(dbSeason.id);
+            const matchingResults = await this.linkRosterPlayers(dbSeason.id);
 
             return {
                 processedRosters: rosterData.length,
                 processedEntries,
                 initialMatches: matchedPlayers,
                 additionalMatches: matchingResults.matched,
+                ambiguousEntries: matchingResults.ambiguous,
                 unmatchedEntries: matchingResults.stillUnmatched
             };
         } catch (error) {
@@ -530,6 +1040,16 @@ class DatabaseService {
     }
 }
 
+/**
+ * Turn an override for a player without a Fantrax ID into the player the roster and review queries look up
+ * @param {Object} override - Override ({ season, normalizedName, mlbTeam })
+ * @param {number} seasonId - ID of the override's season
+ * @returns {Object} Player ({ seasonId, normalizedName, mlbTeam })
+ */
+function toUnidentifiedPlayer(override, seasonId) {
+    return { seasonId, normalizedName: override.normalizedName, mlbTeam: override.mlbTeam || null };
+}
+
 // Create and export a singleton instance
 const dbService = new DatabaseService();
 
@@ -0,0 +1,185 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing matchup results (final scores) in the database
+ */
+class MatchupResultsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Get all matchup results for a season, joined to the schedule
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} List of matchup results for the season
+     */
+    async getResultsBySeason(seasonId) {
+        return this.db.all(`
+            SELECT
+                mr.*,
+                s.season_id, s.period_number, s.period_type, s.date_range,
+                s.away_team_id, s.home_team_id,
+                away.name as away_team_name, home.name as home_team_name
+            FROM matchup_results mr
+            JOIN schedule s ON mr.schedule_id = s.id
+            JOIN teams away ON s.away_team_id = away.id
+            JOIN teams home ON s.home_team_id = home.id
+            WHERE s.season_id = ?
+            ORDER BY CAST(s.period_number AS INTEGER), s.id
+        `, [seasonId]);
+    }
+
+    /**
+     * Get the periods of a season that already have results
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array<string>>} Period numbers with at least one result
+     */
+    async getScoredPeriods(seasonId) {
+        const rows = await this.db.all(`
+            SELECT DISTINCT s.period_number
+            FROM matchup_results mr
+            JOIN schedule s ON mr.schedule_id = s.id
+            WHERE s.season_id = ?
+            ORDER BY CAST(s.period_number AS INTEGER)
+        `, [seasonId]);
+
+        return rows.map(row => row.period_number);
+    }
+
+    /**
+     * Find the result for a schedule entry
+     * @param {number} scheduleId - Schedule entry ID
+     * @returns {Promise<Object|null>} Matchup result or null if not found
+     */
+    async findResult(scheduleId) {
+        return this.db.get('SELECT * FROM matchup_results WHERE schedule_id = ?', [scheduleId]);
+    }
+
+    /**
+     * Add or update a matchup result
+     * @param {Object} result - Matchup result data
+     * @param {number} result.scheduleId - Schedule entry ID
+     * @param {number} result.awayTeamId - Away team database ID
+     * @param {number} result.homeTeamId - Home team database ID
+     * @param {number} result.awayScore - Away team fantasy points
+     * @param {number} result.homeScore - Home team fantasy points
+     * @param {number} [result.awayHittingPoints] - Away team hitting subtotal
+     * @param {number} [result.awayPitchingPoints] - Away team pitching subtotal
+     * @param {number} [result.homeHittingPoints] - Home team hitting subtotal
+     * @param {number} [result.homePitchingPoints] - Home team pitching subtotal
+     * @returns {Promise<Object>} The inserted or updated matchup result
+     */
+    async upsertResult(result) {
+        return withTransaction(this.db, async () => {
+            await this._upsertResult(result);
+            return this.findResult(result.scheduleId);
+        });
+    }
+
+    /**
+     * Bulk insert or update matchup results
+     * @param {Array<Object>} results - Array of matchup result objects
+     * @returns {Promise<number>} Number of results processed
+     */
+    async bulkUpsertResults(results) {
+        // Handle transaction manually
+        try {
+            await this.db.run('BEGIN TRANSACTION');
+
+            let processedCount = 0;
+            for (const result of results) {
+                try {
+                    await this._upsertResult(result);
+                    processedCount++;
+                } catch (error) {
+                    console.error(`Error processing matchup result: ${error.message}`);
+                }
+            }
+
+            await this.db.run('COMMIT');
+            return processedCount;
+        } catch (error) {
+            try {
+                await this.db.run('ROLLBACK');
+            } catch (rollbackError) {
+                console.error('Error during matchup results rollback:', rollbackError);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Insert or update a single result without managing a transaction
+     * @param {Object} result - Matchup result data (see upsertResult)
+     * @private
+     */
+    async _upsertResult(result) {
+        const {
+            scheduleId, awayTeamId, homeTeamId, awayScore, homeScore,
+            awayHittingPoints = null, awayPitchingPoints = null,
+            homeHittingPoints = null, homePitchingPoints = null
+        } = result;
+
+        // Validate required fields
+        if (!scheduleId || awayScore === null || awayScore === undefined ||
+            homeScore === null || homeScore === undefined) {
+            throw new Error('Schedule ID and both scores are required for a matchup result');
+        }
+
+        // Decide the winner from the scores
+        const isTie = awayScore === homeScore;
+        const winnerTeamId = isTie ? null : (awayScore > homeScore ? awayTeamId : homeTeamId);
+
+        const existingResult = await this.findResult(scheduleId);
+
+        if (existingResult) {
+            await this.db.run(`
+                UPDATE matchup_results
+                SET away_score = ?, home_score = ?,
+                    away_hitting_points = ?, away_pitching_points = ?,
+                    home_hitting_points = ?, home_pitching_points = ?,
+                    winner_team_id = ?, is_tie = ?
+                WHERE schedule_id = ?
+            `, [
+                awayScore, homeScore,
+                awayHittingPoints, awayPitchingPoints,
+                homeHittingPoints, homePitchingPoints,
+                winnerTeamId, isTie ? 1 : 0,
+                scheduleId
+            ]);
+        } else {
+            await this.db.run(`
+                INSERT INTO matchup_results (
+                    schedule_id, away_score, home_score,
+                    away_hitting_points, away_pitching_points,
+                    home_hitting_points, home_pitching_points,
+                    winner_team_id, is_tie
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                scheduleId, awayScore, homeScore,
+                awayHittingPoints, awayPitchingPoints,
+                homeHittingPoints, homePitchingPoints,
+                winnerTeamId, isTie ? 1 : 0
+            ]);
+        }
+    }
+
+    /**
+     * Delete all matchup results for a season
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<number>} Number of deleted results
+     */
+    async deleteSeasonResults(seasonId) {
+        const result = await this.db.run(`
+            DELETE FROM matchup_results
+            WHERE schedule_id IN (SELECT id FROM schedule WHERE season_id = ?)
+        `, [seasonId]);
+        return result.changes;
+    }
+}
+
+module.exports = MatchupResultsDb;
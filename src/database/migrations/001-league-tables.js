@@ -0,0 +1,112 @@
+const { addColumnIfMissing, recordAdoptedTables, dropCreatedTables } = require('../../utils/database');
+
+// Tables the migration creates, in the order rollback drops them
+const TABLES = ['matchup_results', 'schedule', 'teams', 'seasons'];
+
+module.exports = {
+    description: 'Seasons, teams, schedule and matchup results',
+
+    async up(db) {
+        await recordAdoptedTables(db, TABLES);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS seasons (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                year TEXT NOT NULL,
+                league_id TEXT UNIQUE NOT NULL,
+                name TEXT,
+                format TEXT NOT NULL DEFAULT 'h2h-points',
+                regular_season_periods INTEGER,
+                playoff_teams INTEGER,
+                playoff_rounds INTEGER,
+                lineage_id TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Season registry columns for databases created before they existed
+        await addColumnIfMissing(db, 'seasons', 'format', "TEXT NOT NULL DEFAULT 'h2h-points'");
+        await addColumnIfMissing(db, 'seasons', 'regular_season_periods', 'INTEGER');
+        await addColumnIfMissing(db, 'seasons', 'playoff_teams', 'INTEGER');
+        await addColumnIfMissing(db, 'seasons', 'playoff_rounds', 'INTEGER');
+        await addColumnIfMissing(db, 'seasons', 'lineage_id', 'TEXT');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS teams (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                team_id TEXT NOT NULL,
+                season_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                icon_url TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                UNIQUE (team_id, season_id)
+            );
+
+            CREATE TABLE IF NOT EXISTS schedule (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                period_number TEXT NOT NULL,
+                period_type TEXT NOT NULL,
+                date_range TEXT,
+                away_team_id INTEGER NOT NULL,
+                home_team_id INTEGER NOT NULL,
+                matchup_id TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (away_team_id) REFERENCES teams (id),
+                FOREIGN KEY (home_team_id) REFERENCES teams (id),
+                UNIQUE (season_id, period_number, away_team_id, home_team_id)
+            );
+
+            -- Final scores for each schedule entry
+            CREATE TABLE IF NOT EXISTS matchup_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                schedule_id INTEGER UNIQUE NOT NULL,
+                away_score REAL NOT NULL,
+                home_score REAL NOT NULL,
+                away_hitting_points REAL,
+                away_pitching_points REAL,
+                home_hitting_points REAL,
+                home_pitching_points REAL,
+                winner_team_id INTEGER,
+                is_tie BOOLEAN NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (schedule_id) REFERENCES schedule (id) ON DELETE CASCADE,
+                FOREIGN KEY (winner_team_id) REFERENCES teams (id)
+            );
+
+            CREATE TRIGGER IF NOT EXISTS update_season_timestamp
+            AFTER UPDATE ON seasons
+            BEGIN
+                UPDATE seasons SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS update_team_timestamp
+            AFTER UPDATE ON teams
+            BEGIN
+                UPDATE teams SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS update_schedule_timestamp
+            AFTER UPDATE ON schedule
+            BEGIN
+                UPDATE schedule SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS update_matchup_results_timestamp
+            AFTER UPDATE ON matchup_results
+            BEGIN
+                UPDATE matchup_results SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `);
+    },
+
+    async down(db) {
+        await dropCreatedTables(db, TABLES);
+    }
+};
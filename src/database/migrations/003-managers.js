@@ -0,0 +1,86 @@
+const { addColumnIfMissing, recordAdoptedTables, dropCreatedTables } = require('../../utils/database');
+
+// Tables the migration creates, in the order rollback drops them
+const TABLES = ['managers'];
+
+// The league's managers and the years they were in it
+const MANAGERS = [
+    ['Marcus', 2017, null],
+    ['Danny', 2017, null],
+    ['Brennan', 2017, null],
+    ['Jake', 2017, null],
+    ['Justin', 2017, null],
+    ['Pat', 2017, null],
+    ['Ray', 2017, null],
+    ['Bjorn', 2017, null],
+    ['Bobby', 2017, null],
+    ['Ben', 2017, 2019],
+    ['AJ', 2020, null]
+];
+
+module.exports = {
+    description: 'Managers and the manager behind each team',
+
+    async up(db) {
+        await recordAdoptedTables(db, TABLES);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS managers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                active_from INTEGER,
+                active_until INTEGER,
+                email TEXT,
+                avatar_url TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TRIGGER IF NOT EXISTS update_manager_timestamp
+            AFTER UPDATE ON managers
+            BEGIN
+                UPDATE managers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `);
+
+        for (const [name, activeFrom, activeUntil] of MANAGERS) {
+            await db.run(
+                'INSERT OR IGNORE INTO managers (name, active_from, active_until) VALUES (?, ?, ?)',
+                [name, activeFrom, activeUntil]
+            );
+        }
+
+        await addColumnIfMissing(db, 'teams', 'manager_id', 'INTEGER REFERENCES managers(id)');
+    },
+
+    async down(db) {
+        await dropCreatedTables(db, TABLES);
+
+        // SQLite can't drop a foreign key column, so teams is rebuilt without it
+        await db.exec(`
+            CREATE TABLE teams_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                team_id TEXT NOT NULL,
+                season_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                icon_url TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                UNIQUE (team_id, season_id)
+            );
+
+            INSERT INTO teams_new (id, team_id, season_id, name, icon_url, created_at, updated_at)
+            SELECT id, team_id, season_id, name, icon_url, created_at, updated_at FROM teams;
+
+            DROP TABLE teams;
+            ALTER TABLE teams_new RENAME TO teams;
+
+            CREATE TRIGGER IF NOT EXISTS update_team_timestamp
+            AFTER UPDATE ON teams
+            BEGIN
+                UPDATE teams SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `);
+    }
+};
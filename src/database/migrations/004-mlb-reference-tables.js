@@ -0,0 +1,146 @@
+const { addColumnIfMissing, tableExists, recordAdoptedTables, dropCreatedTables } = require('../../utils/database');
+
+// Tables the migration creates, in the order rollback drops them
+const TABLES = ['players', 'mlb_games', 'mlb_teams'];
+
+// One row per MLB player, with the normalized names roster entries are matched on
+const PLAYERS_TABLE = `
+    id INTEGER PRIMARY KEY,
+    full_name TEXT NOT NULL,
+    first_name TEXT,
+    last_name TEXT,
+    normalized_full_name TEXT,
+    normalized_first_name TEXT,
+    normalized_last_name TEXT,
+    birth_date DATE,
+    birth_city TEXT,
+    birth_country TEXT,
+    birth_state_province TEXT,
+    height TEXT,
+    weight INTEGER,
+    mlb_debut_date DATE,
+    bat_side TEXT,
+    pitch_hand TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+`;
+
+const PLAYER_COLUMNS = [
+    'id', 'full_name', 'first_name', 'last_name', 'normalized_full_name', 'normalized_first_name', 'normalized_last_name',
+    'birth_date', 'birth_city', 'birth_country', 'birth_state_province', 'height', 'weight', 'mlb_debut_date', 'bat_side',
+    'pitch_hand'
+];
+
+/**
+ * Create the players table, or reduce an old one with a row per player per season to a row per player
+ * (keeping each player's latest season)
+ * @param {sqlite.Database} db - Database connection
+ */
+async function createPlayersTable(db) {
+    const hasPlayers = await tableExists(db, 'players');
+
+    if (hasPlayers) {
+        await addColumnIfMissing(db, 'players', 'normalized_full_name', 'TEXT');
+        await addColumnIfMissing(db, 'players', 'normalized_first_name', 'TEXT');
+        await addColumnIfMissing(db, 'players', 'normalized_last_name', 'TEXT');
+    }
+
+    const columns = hasPlayers ? (await db.all('PRAGMA table_info(players)')).map(column => column.name) : [];
+
+    if (columns.includes('season')) {
+        // Older tables may be missing some of the biographical columns
+        const copied = PLAYER_COLUMNS.filter(column => columns.includes(column)).join(', ');
+
+        await db.exec(`
+            CREATE TABLE players_new (${PLAYERS_TABLE});
+
+            INSERT OR IGNORE INTO players_new (${copied})
+            SELECT ${copied}
+            FROM players p
+            JOIN (
+                SELECT id as latest_id, MAX(season) as max_season FROM players GROUP BY id
+            ) latest ON p.id = latest.latest_id AND p.season = latest.max_season;
+
+            DROP TABLE players;
+            ALTER TABLE players_new RENAME TO players;
+        `);
+    } else {
+        await db.exec(`CREATE TABLE IF NOT EXISTS players (${PLAYERS_TABLE});`);
+    }
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_players_name ON players(full_name);
+        CREATE INDEX IF NOT EXISTS idx_players_normalized_name ON players(normalized_full_name);
+        CREATE INDEX IF NOT EXISTS idx_players_first_last ON players(first_name, last_name);
+        CREATE INDEX IF NOT EXISTS idx_players_normalized_first_last ON players(normalized_first_name, normalized_last_name);
+
+        CREATE TRIGGER IF NOT EXISTS update_players_timestamp
+        AFTER UPDATE ON players
+        BEGIN
+            UPDATE players SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END;
+    `);
+}
+
+module.exports = {
+    description: 'MLB teams, games and players',
+
+    async up(db) {
+        await recordAdoptedTables(db, TABLES);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS mlb_teams (
+                id INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                abbreviation TEXT,
+                short_name TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_mlb_teams_name ON mlb_teams(name);
+            CREATE INDEX IF NOT EXISTS idx_mlb_teams_abbr ON mlb_teams(abbreviation);
+
+            CREATE TRIGGER IF NOT EXISTS update_mlb_teams_timestamp
+            AFTER UPDATE ON mlb_teams
+            BEGIN
+                UPDATE mlb_teams SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+            CREATE TABLE IF NOT EXISTS mlb_games (
+                game_pk INTEGER PRIMARY KEY,
+                season TEXT NOT NULL,
+                official_date TEXT NOT NULL,
+                game_type TEXT NOT NULL,
+                abstract_game_state TEXT,
+                day_night TEXT,
+                home_team_id INTEGER,
+                away_team_id INTEGER,
+                home_team_score INTEGER,
+                away_team_score INTEGER,
+                venue_id INTEGER,
+                venue_name TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (home_team_id) REFERENCES mlb_teams(id),
+                FOREIGN KEY (away_team_id) REFERENCES mlb_teams(id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_mlb_games_season ON mlb_games(season);
+            CREATE INDEX IF NOT EXISTS idx_mlb_games_date ON mlb_games(official_date);
+            CREATE INDEX IF NOT EXISTS idx_mlb_games_teams ON mlb_games(home_team_id, away_team_id);
+
+            CREATE TRIGGER IF NOT EXISTS update_mlb_games_timestamp
+            AFTER UPDATE ON mlb_games
+            BEGIN
+                UPDATE mlb_games SET updated_at = CURRENT_TIMESTAMP WHERE game_pk = NEW.game_pk;
+            END;
+        `);
+
+        await createPlayersTable(db);
+    },
+
+    async down(db) {
+        await dropCreatedTables(db, TABLES);
+    }
+};
@@ -0,0 +1,64 @@
+const { addColumnIfMissing, tableExists, recordAdoptedTables, dropCreatedTables } = require('../../utils/database');
+
+// Tables the migration creates, in the order rollback drops them
+const TABLES = ['rosters'];
+
+module.exports = {
+    description: 'Roster slots per team and period, linked to MLB players and pitching staffs',
+
+    async up(db) {
+        await recordAdoptedTables(db, TABLES);
+
+        // Databases created before the scoring and pitching staff columns existed get them added
+        if (await tableExists(db, 'rosters')) {
+            await addColumnIfMissing(db, 'rosters', 'positions_eligible', 'TEXT');
+            await addColumnIfMissing(db, 'rosters', 'fantasy_points', 'REAL');
+            await addColumnIfMissing(db, 'rosters', 'fpg', 'REAL');
+            await addColumnIfMissing(db, 'rosters', 'pitching_staff_id', 'INTEGER REFERENCES mlb_teams(id)');
+        }
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS rosters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,              -- Foreign key to seasons table
+                team_id INTEGER NOT NULL,                -- Foreign key to teams table (fantasy team)
+                period_number INTEGER NOT NULL,          -- Scoring period number (e.g., 1 for "Apr 2 - Apr 9")
+                player_id INTEGER,                       -- MLB player (NULL until matched, and for TmP slots)
+                position_code TEXT NOT NULL,             -- Position code (C, 1B, 2B, 3B, SS, OF, UT, TmP, Res, IR)
+                roster_slot INTEGER NOT NULL,            -- Slot number within position (e.g., OF1, OF2, OF3 or Res1, Res2)
+                is_active BOOLEAN NOT NULL,              -- Whether player is in active lineup (not on bench)
+                player_name TEXT NOT NULL,               -- Player name from Fantrax (for reference)
+                player_name_normalized TEXT,             -- Normalized player name (for matching with players table)
+                mlb_team TEXT,                           -- MLB team abbreviation
+                bat_side TEXT,                           -- Batting handedness (L, R, S for switch)
+                fantrax_player_id TEXT,                  -- Fantrax's player ID (key of player_id_map)
+                positions_eligible TEXT,                 -- Positions the player is eligible for (e.g. "2B,SS,OF")
+                fantasy_points REAL,                     -- Fantasy points the player scored for the team in the period
+                fpg REAL,                                -- Fantasy points per game in the period
+                pitching_staff_id INTEGER,               -- MLB team of a TmP slot's pitching staff
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons(id),
+                FOREIGN KEY (team_id) REFERENCES teams(id),
+                FOREIGN KEY (player_id) REFERENCES players(id),
+                FOREIGN KEY (pitching_staff_id) REFERENCES mlb_teams(id),
+                UNIQUE (season_id, team_id, period_number, position_code, roster_slot)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_rosters_lookup ON rosters(season_id, team_id, period_number);
+            CREATE INDEX IF NOT EXISTS idx_rosters_player ON rosters(player_id, season_id);
+            CREATE INDEX IF NOT EXISTS idx_rosters_name ON rosters(player_name_normalized);
+            CREATE INDEX IF NOT EXISTS idx_rosters_pitching_staff ON rosters(pitching_staff_id);
+
+            CREATE TRIGGER IF NOT EXISTS update_rosters_timestamp
+            AFTER UPDATE ON rosters
+            BEGIN
+                UPDATE rosters SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `);
+    },
+
+    async down(db) {
+        await dropCreatedTables(db, TABLES);
+    }
+};
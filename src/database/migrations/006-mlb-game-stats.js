@@ -0,0 +1,147 @@
+const { recordAdoptedTables, dropCreatedTables } = require('../../utils/database');
+
+// Tables the migration creates, in the order rollback drops them
+const TABLES = ['pitcher_game_stats', 'batter_game_stats'];
+
+module.exports = {
+    description: 'Batter and pitcher lines from MLB box scores',
+
+    async up(db) {
+        await recordAdoptedTables(db, TABLES);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS batter_game_stats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game_pk INTEGER NOT NULL,
+                player_id INTEGER NOT NULL,
+                player_name TEXT NOT NULL,
+                team_id INTEGER NOT NULL,
+                team_name TEXT,
+                game_date TEXT,
+
+                -- Basic counting stats
+                games_played INTEGER,
+                plate_appearances INTEGER,
+                at_bats INTEGER,
+                runs INTEGER,
+                hits INTEGER,
+                doubles INTEGER,
+                triples INTEGER,
+                home_runs INTEGER,
+                rbi INTEGER,
+                stolen_bases INTEGER,
+                caught_stealing INTEGER,
+
+                -- Plate discipline
+                base_on_balls INTEGER,
+                intentional_walks INTEGER,
+                strikeouts INTEGER,
+                hit_by_pitch INTEGER,
+
+                -- Other batting events
+                sac_flies INTEGER,
+                sac_bunts INTEGER,
+                ground_into_double_play INTEGER,
+                ground_into_triple_play INTEGER,
+
+                -- Batted ball types
+                fly_outs INTEGER,
+                ground_outs INTEGER,
+                pop_outs INTEGER,
+                line_outs INTEGER,
+                air_outs INTEGER,
+
+                -- Summary stats from API
+                batting_summary TEXT,
+
+                -- Calculated stats
+                avg TEXT,
+                obp TEXT,
+                slg TEXT,
+                ops TEXT,
+                total_bases INTEGER,
+                left_on_base INTEGER,
+                at_bats_per_home_run TEXT,
+                stolen_base_percentage TEXT,
+
+                -- Meta info
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (game_pk) REFERENCES mlb_games(game_pk),
+                UNIQUE (game_pk, player_id, team_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_batter_game_stats_game ON batter_game_stats(game_pk);
+            CREATE INDEX IF NOT EXISTS idx_batter_game_stats_player ON batter_game_stats(player_id);
+            CREATE INDEX IF NOT EXISTS idx_batter_game_stats_team ON batter_game_stats(team_id);
+            CREATE INDEX IF NOT EXISTS idx_batter_game_stats_date ON batter_game_stats(game_date);
+
+            CREATE TRIGGER IF NOT EXISTS update_batter_game_stats_timestamp
+            AFTER UPDATE ON batter_game_stats
+            BEGIN
+                UPDATE batter_game_stats SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+            CREATE TABLE IF NOT EXISTS pitcher_game_stats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game_pk INTEGER NOT NULL,
+                player_id INTEGER NOT NULL,
+                player_name TEXT NOT NULL,
+                team_id INTEGER NOT NULL,
+                team_name TEXT,
+                game_date TEXT,
+
+                -- Appearance
+                is_starter INTEGER DEFAULT 0,
+                innings_pitched TEXT,
+                outs INTEGER,
+                batters_faced INTEGER,
+                pitches_thrown INTEGER,
+
+                -- Counting stats
+                hits INTEGER,
+                runs INTEGER,
+                earned_runs INTEGER,
+                base_on_balls INTEGER,
+                strikeouts INTEGER,
+                home_runs INTEGER,
+                hit_batsmen INTEGER,
+
+                -- Decisions
+                wins INTEGER,
+                losses INTEGER,
+                saves INTEGER,
+                holds INTEGER,
+                blown_saves INTEGER,
+                quality_start INTEGER DEFAULT 0,
+
+                -- Summary stats from API
+                note TEXT,
+                pitching_summary TEXT,
+
+                -- Meta info
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (game_pk) REFERENCES mlb_games(game_pk),
+                UNIQUE (game_pk, player_id, team_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_pitcher_game_stats_game ON pitcher_game_stats(game_pk);
+            CREATE INDEX IF NOT EXISTS idx_pitcher_game_stats_player ON pitcher_game_stats(player_id);
+            CREATE INDEX IF NOT EXISTS idx_pitcher_game_stats_team_date ON pitcher_game_stats(team_id, game_date);
+            CREATE INDEX IF NOT EXISTS idx_pitcher_game_stats_date ON pitcher_game_stats(game_date);
+
+            CREATE TRIGGER IF NOT EXISTS update_pitcher_game_stats_timestamp
+            AFTER UPDATE ON pitcher_game_stats
+            BEGIN
+                UPDATE pitcher_game_stats SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `);
+    },
+
+    async down(db) {
+        await dropCreatedTables(db, TABLES);
+    }
+};
@@ -0,0 +1,63 @@
+module.exports = {
+    description: 'Page archive index and roster scrape jobs',
+
+    async up(db) {
+        // Create the page archive index (one row per captured page; files live under data/archive)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS page_archive (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                league_id TEXT,
+                page_type TEXT NOT NULL,
+                team_id TEXT,
+                period INTEGER,
+                url TEXT,
+                content_hash TEXT NOT NULL,
+                file_path TEXT NOT NULL,
+                size_bytes INTEGER,
+                captured_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_page_archive_page
+            ON page_archive (league_id, page_type, team_id, period, captured_at);
+
+            CREATE INDEX IF NOT EXISTS idx_page_archive_hash
+            ON page_archive (content_hash);
+        `);
+
+        // Create the scrape job ledger (one row per season, team and period the roster scraper visits)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS scrape_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                team_id INTEGER NOT NULL,
+                period INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                started_at TIMESTAMP,
+                finished_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id),
+                UNIQUE (season_id, team_id, period)
+            );
+        `);
+
+        // Keep updated_at current as jobs change status
+        await db.exec(`
+            CREATE TRIGGER IF NOT EXISTS update_scrape_jobs_timestamp
+            AFTER UPDATE ON scrape_jobs
+            BEGIN
+                UPDATE scrape_jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS scrape_jobs;
+            DROP TABLE IF EXISTS page_archive;
+        `);
+    }
+};
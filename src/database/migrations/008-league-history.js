@@ -0,0 +1,115 @@
+module.exports = {
+    description: 'Roster moves, transactions, draft picks and playoff brackets',
+
+    async up(db) {
+        // Create the roster moves table (transactions derived by diffing consecutive roster periods)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS roster_moves (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                period_number INTEGER NOT NULL,
+                team_id INTEGER NOT NULL,
+                move_type TEXT NOT NULL,
+                player_name TEXT NOT NULL,
+                player_name_normalized TEXT,
+                fantrax_player_id TEXT,
+                player_id INTEGER,
+                other_team_id INTEGER,
+                from_status TEXT,
+                to_status TEXT,
+                from_position TEXT,
+                to_position TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id),
+                FOREIGN KEY (other_team_id) REFERENCES teams (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_roster_moves_season
+            ON roster_moves (season_id, period_number, team_id);
+        `);
+
+        // Create the transactions table (the league's official transaction log scraped from Fantrax)
+        // fantrax_player_id links each row to rosters.fantrax_player_id
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                transaction_type TEXT NOT NULL,
+                is_commissioner BOOLEAN NOT NULL DEFAULT 0,
+                transaction_date TEXT,
+                date_text TEXT,
+                period_number INTEGER,
+                team_id INTEGER NOT NULL,
+                other_team_id INTEGER,
+                player_name TEXT NOT NULL,
+                fantrax_player_id TEXT,
+                faab_bid REAL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id),
+                FOREIGN KEY (other_team_id) REFERENCES teams (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_transactions_season
+            ON transactions (season_id, transaction_date, team_id);
+
+            CREATE INDEX IF NOT EXISTS idx_transactions_player
+            ON transactions (fantrax_player_id);
+        `);
+
+        // Create the draft picks table (each season's draft board; keepers are flagged)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS draft_picks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                round INTEGER,
+                pick INTEGER,
+                overall_pick INTEGER NOT NULL,
+                team_id INTEGER NOT NULL,
+                player_name TEXT NOT NULL,
+                player_name_normalized TEXT,
+                fantrax_player_id TEXT,
+                position TEXT,
+                is_keeper BOOLEAN NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id),
+                UNIQUE (season_id, overall_pick)
+            );
+        `);
+
+        // Create the playoff bracket table (one row per team per playoff round, including byes)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS playoff_bracket (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                round INTEGER NOT NULL,
+                period_number INTEGER,
+                bracket TEXT NOT NULL,
+                team_id INTEGER NOT NULL,
+                seed INTEGER,
+                opponent_team_id INTEGER,
+                opponent_seed INTEGER,
+                team_score REAL,
+                opponent_score REAL,
+                result TEXT,
+                advanced BOOLEAN,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id),
+                FOREIGN KEY (opponent_team_id) REFERENCES teams (id),
+                UNIQUE (season_id, round, team_id)
+            );
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS playoff_bracket;
+            DROP TABLE IF EXISTS draft_picks;
+            DROP TABLE IF EXISTS transactions;
+            DROP TABLE IF EXISTS roster_moves;
+        `);
+    }
+};
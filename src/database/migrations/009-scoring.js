@@ -0,0 +1,129 @@
+module.exports = {
+    description: 'Period calendar, scoring rules and reconstructed hitter and staff points',
+
+    async up(db) {
+        // Create the period calendar (dates each scoring period covers, inclusive; built from the schedule)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS periods (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                period_number INTEGER NOT NULL,
+                start_date TEXT NOT NULL,
+                end_date TEXT NOT NULL,
+                period_type TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                UNIQUE (season_id, period_number)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_periods_dates
+            ON periods (season_id, start_date, end_date);
+        `);
+
+        // Create the scoring rules table (points per unit of each hitting and team-pitching category)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS scoring_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                stat_group TEXT NOT NULL,
+                category TEXT NOT NULL,
+                label TEXT,
+                points REAL NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                UNIQUE (season_id, stat_group, category)
+            );
+        `);
+
+        // Create the slot points tables: points each active hitter earned per MLB game, rebuilt from
+        // batter_game_stats, and the per team-period check of their total against Fantrax's hitting points
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS slot_game_points (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                period_number INTEGER NOT NULL,
+                team_id INTEGER NOT NULL,
+                roster_id INTEGER NOT NULL,
+                player_id INTEGER NOT NULL,
+                game_pk INTEGER NOT NULL,
+                game_date TEXT,
+                points REAL NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_slot_game_points_lookup
+            ON slot_game_points (season_id, period_number, team_id);
+
+            CREATE TABLE IF NOT EXISTS hitting_points_checks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                period_number INTEGER NOT NULL,
+                team_id INTEGER NOT NULL,
+                computed_points REAL NOT NULL,
+                scraped_points REAL,
+                difference REAL,
+                active_hitters INTEGER NOT NULL,
+                unlinked_hitters INTEGER NOT NULL,
+                slot_mismatches INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id),
+                UNIQUE (season_id, period_number, team_id)
+            );
+        `);
+
+        // Create the staff points tables: every MLB pitching staff's totals and points per period, rebuilt
+        // from pitcher_game_stats, and the per team-period check of the TmP slots against Fantrax's pitching points
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS staff_period_points (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                period_number INTEGER NOT NULL,
+                mlb_team_id INTEGER NOT NULL,
+                mlb_team_name TEXT,
+                games INTEGER NOT NULL,
+                outs INTEGER NOT NULL,
+                wins INTEGER NOT NULL,
+                earned_runs INTEGER NOT NULL,
+                hits_plus_walks INTEGER NOT NULL,
+                strikeouts INTEGER NOT NULL,
+                points REAL NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                UNIQUE (season_id, period_number, mlb_team_id)
+            );
+
+            CREATE TABLE IF NOT EXISTS pitching_points_checks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                period_number INTEGER NOT NULL,
+                team_id INTEGER NOT NULL,
+                computed_points REAL NOT NULL,
+                scraped_points REAL,
+                difference REAL,
+                active_staffs INTEGER NOT NULL,
+                unlinked_staffs INTEGER NOT NULL,
+                slot_mismatches INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id),
+                FOREIGN KEY (team_id) REFERENCES teams (id),
+                UNIQUE (season_id, period_number, team_id)
+            );
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS pitching_points_checks;
+            DROP TABLE IF EXISTS staff_period_points;
+            DROP TABLE IF EXISTS hitting_points_checks;
+            DROP TABLE IF EXISTS slot_game_points;
+            DROP TABLE IF EXISTS scoring_rules;
+            DROP TABLE IF EXISTS periods;
+        `);
+    }
+};
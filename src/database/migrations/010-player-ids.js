@@ -0,0 +1,70 @@
+module.exports = {
+    description: 'Fantrax-to-MLB player ID map, MLB player seasons and the match review queue',
+
+    async up(db) {
+        // Create the Fantrax-to-MLB player ID crosswalk (one row per Fantrax player, reused across seasons)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS player_id_map (
+                fantrax_player_id TEXT PRIMARY KEY,
+                mlb_player_id INTEGER NOT NULL,
+                player_name TEXT,
+                match_method TEXT NOT NULL,
+                confidence REAL NOT NULL,
+                is_override INTEGER NOT NULL DEFAULT 0,
+                first_season_id INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (first_season_id) REFERENCES seasons (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_player_id_map_mlb
+            ON player_id_map (mlb_player_id);
+        `);
+
+        // Create the MLB player seasons table (each player's team in each season, from the MLB players fetch)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS player_seasons (
+                player_id INTEGER NOT NULL,
+                season TEXT NOT NULL,
+                mlb_team_id INTEGER,
+                mlb_team_name TEXT,
+                position TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (player_id, season)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_player_seasons_team
+            ON player_seasons (season, mlb_team_id);
+        `);
+
+        // Create the player match review queue (roster names the matcher couldn't link on its own,
+        // with the ranked candidates as JSON)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS player_match_reviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                season_id INTEGER NOT NULL,
+                fantrax_player_id TEXT,
+                player_name TEXT NOT NULL,
+                player_name_normalized TEXT,
+                mlb_team TEXT,
+                bat_side TEXT,
+                roster_entries INTEGER NOT NULL,
+                candidates TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (season_id) REFERENCES seasons (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_player_match_reviews_status
+            ON player_match_reviews (season_id, status);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS player_match_reviews;
+            DROP TABLE IF EXISTS player_seasons;
+            DROP TABLE IF EXISTS player_id_map;
+        `);
+    }
+};
@@ -0,0 +1,13 @@
+module.exports = {
+    description: 'Store roster rows without a Fantrax player ID as NULL instead of an empty string',
+
+    async up(db) {
+        await db.run("UPDATE rosters SET fantrax_player_id = NULL WHERE fantrax_player_id = ''");
+        await db.run("UPDATE player_match_reviews SET fantrax_player_id = NULL WHERE fantrax_player_id = ''");
+        await db.run("DELETE FROM player_id_map WHERE fantrax_player_id = ''");
+    },
+
+    async down() {
+        // Nothing to undo: an empty string and NULL both mean the row has no Fantrax ID
+    }
+};
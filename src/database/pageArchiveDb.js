@@ -0,0 +1,106 @@
+/**
+ * Functions for managing the page archive index in the database
+ */
+class PageArchiveDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Record a captured page
+     * @param {Object} capture - Capture data
+     * @param {string|null} capture.leagueId - Fantrax league ID (null for account-wide pages)
+     * @param {string} capture.pageType - Page type (e.g. 'standings', 'roster')
+     * @param {string} [capture.teamId] - Fantrax team ID for team pages
+     * @param {number} [capture.period] - Scoring period for period pages
+     * @param {string} [capture.url] - URL the page was loaded from
+     * @param {string} capture.contentHash - SHA-256 hash of the page HTML
+     * @param {string} capture.filePath - Archive file path, relative to the archive directory
+     * @param {number} [capture.sizeBytes] - Size of the page HTML in bytes
+     * @param {string} [capture.capturedAt] - ISO timestamp (default: now)
+     * @returns {Promise<number>} ID of the new capture
+     */
+    async addCapture(capture) {
+        const {
+            leagueId = null, pageType, teamId = null, period = null, url = null,
+            contentHash, filePath, sizeBytes = null, capturedAt = new Date().toISOString()
+        } = capture;
+
+        if (!pageType || !contentHash || !filePath) {
+            throw new Error('Page type, content hash and file path are required for an archived page');
+        }
+
+        const result = await this.db.run(`
+            INSERT INTO page_archive (
+                league_id, page_type, team_id, period, url,
+                content_hash, file_path, size_bytes, captured_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            leagueId, pageType, teamId, period, url,
+            contentHash, filePath, sizeBytes, capturedAt
+        ]);
+
+        return result.lastID;
+    }
+
+    /**
+     * Get the most recent capture of a page
+     * @param {Object} key - Page key
+     * @param {string|null} key.leagueId - Fantrax league ID
+     * @param {string} key.pageType - Page type
+     * @param {string} [key.teamId] - Fantrax team ID
+     * @param {number} [key.period] - Scoring period
+     * @returns {Promise<Object|null>} Latest capture or null if the page was never archived
+     */
+    async getLatestCapture({ leagueId = null, pageType, teamId = null, period = null }) {
+        return this.db.get(`
+            SELECT * FROM page_archive
+            WHERE league_id IS ? AND page_type = ? AND team_id IS ? AND period IS ?
+            ORDER BY captured_at DESC, id DESC
+            LIMIT 1
+        `, [leagueId, pageType, teamId, period]);
+    }
+
+    /**
+     * Get the latest capture of every page of a type for a league
+     * @param {string} leagueId - Fantrax league ID
+     * @param {string} pageType - Page type
+     * @returns {Promise<Array>} Latest captures, ordered by period and team
+     */
+    async getLatestCaptures(leagueId, pageType) {
+        return this.db.all(`
+            SELECT pa.* FROM page_archive pa
+            WHERE pa.league_id = ? AND pa.page_type = ?
+            AND pa.id = (
+                SELECT latest.id FROM page_archive latest
+                WHERE latest.league_id = pa.league_id AND latest.page_type = pa.page_type
+                AND latest.team_id IS pa.team_id AND latest.period IS pa.period
+                ORDER BY latest.captured_at DESC, latest.id DESC
+                LIMIT 1
+            )
+            ORDER BY pa.period, pa.team_id
+        `, [leagueId, pageType]);
+    }
+
+    /**
+     * Summarise the archive by league and page type
+     * @returns {Promise<Array>} Capture counts, distinct pages and latest capture time
+     */
+    async getSummary() {
+        return this.db.all(`
+            SELECT league_id, page_type,
+                   COUNT(*) as captures,
+                   COUNT(DISTINCT content_hash) as distinct_pages,
+                   MAX(captured_at) as last_captured_at
+            FROM page_archive
+            GROUP BY league_id, page_type
+            ORDER BY league_id, page_type
+        `);
+    }
+}
+
+module.exports = PageArchiveDb;
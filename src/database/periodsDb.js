@@ -0,0 +1,70 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing the period calendar in the database
+ */
+class PeriodsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace a season's period calendar
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} periods - Periods from buildPeriodCalendar ({ periodNumber, periodType, startDate, endDate })
+     * @returns {Promise<number>} Number of periods saved
+     */
+    async replaceSeasonPeriods(seasonId, periods) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM periods WHERE season_id = ?', [seasonId]);
+
+            for (const period of periods) {
+                await this.db.run(`
+                    INSERT INTO periods (season_id, period_number, start_date, end_date, period_type)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [seasonId, period.periodNumber, period.startDate, period.endDate, period.periodType]);
+            }
+
+            return periods.length;
+        });
+    }
+
+    /**
+     * Get a season's period calendar
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Periods in order
+     */
+    async getPeriodsBySeason(seasonId) {
+        return this.db.all(`
+            SELECT * FROM periods
+            WHERE season_id = ?
+            ORDER BY period_number
+        `, [seasonId]);
+    }
+
+    /**
+     * Find the fantasy period a date counted in
+     * Accepts mlb_games.official_date and batter_game_stats.game_date values as they are stored
+     * @param {number} seasonId - Season ID
+     * @param {string|Date} date - Date (YYYY-MM-DD, an ISO timestamp or a Date)
+     * @returns {Promise<Object|null>} Period row, or null if the date falls outside every period
+     */
+    async getPeriodForDate(seasonId, date) {
+        const day = date instanceof Date ? date.toISOString().slice(0, 10) : String(date).slice(0, 10);
+
+        const period = await this.db.get(`
+            SELECT * FROM periods
+            WHERE season_id = ? AND start_date <= ? AND end_date >= ?
+            ORDER BY period_number
+            LIMIT 1
+        `, [seasonId, day, day]);
+
+        return period || null;
+    }
+}
+
+module.exports = PeriodsDb;
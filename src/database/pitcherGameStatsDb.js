@@ -0,0 +1,170 @@
+// src/database/pitcherGameStatsDb.js
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing MLB pitcher game stats in the database
+ */
+class PitcherGameStatsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Get all pitcher game stats for a specific game
+     * @param {number} gamePk - MLB game ID
+     * @returns {Promise<Array>} List of pitcher game stats for the game, starters first
+     */
+    async getStatsByGame(gamePk) {
+        return this.db.all(`
+            SELECT * FROM pitcher_game_stats
+            WHERE game_pk = ?
+            ORDER BY team_id, is_starter DESC, id
+        `, [gamePk]);
+    }
+
+    /**
+     * Get a pitcher's game stats in a date range
+     * @param {number} playerId - MLB player ID
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Promise<Array>} List of pitcher game stats for the player, oldest first
+     */
+    async getStatsByPlayerAndDateRange(playerId, startDate, endDate) {
+        return this.db.all(`
+            SELECT * FROM pitcher_game_stats
+            WHERE player_id = ?
+            AND game_date >= ?
+            AND game_date <= ?
+            ORDER BY game_date, game_pk
+        `, [playerId, startDate, endDate]);
+    }
+
+    /**
+     * Get each MLB team's pitching staff totals per game in a date range
+     * Innings are summed as outs and given back in baseball notation ("8.2"), and the staff's
+     * decisions are the ones its pitchers got (a win, loss or save counts once per game)
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @param {number} [teamId] - Only this MLB team's staff
+     * @returns {Promise<Array>} One row per game and team ({ game_pk, team_id, team_name, game_date,
+     *   pitchers, outs, innings_pitched, hits, runs, earned_runs, base_on_balls, strikeouts,
+     *   home_runs, hit_batsmen, wins, losses, saves, holds, blown_saves, quality_starts }), oldest first
+     */
+    async getStaffGameTotals(startDate, endDate, teamId = null) {
+        const params = [startDate, endDate];
+        if (teamId !== null && teamId !== undefined) params.push(teamId);
+
+        return this.db.all(`
+            SELECT game_pk, team_id, team_name, game_date,
+                   COUNT(*) as pitchers,
+                   SUM(outs) as outs,
+                   (SUM(outs) / 3) || '.' || (SUM(outs) % 3) as innings_pitched,
+                   SUM(hits) as hits,
+                   SUM(runs) as runs,
+                   SUM(earned_runs) as earned_runs,
+                   SUM(base_on_balls) as base_on_balls,
+                   SUM(strikeouts) as strikeouts,
+                   SUM(home_runs) as home_runs,
+                   SUM(hit_batsmen) as hit_batsmen,
+                   SUM(wins) as wins,
+                   SUM(losses) as losses,
+                   SUM(saves) as saves,
+                   SUM(holds) as holds,
+                   SUM(blown_saves) as blown_saves,
+                   SUM(quality_start) as quality_starts
+            FROM pitcher_game_stats
+            WHERE game_date >= ?
+            AND game_date <= ?
+            ${teamId !== null && teamId !== undefined ? 'AND team_id = ?' : ''}
+            GROUP BY game_pk, team_id
+            ORDER BY game_date, game_pk, team_id
+        `, params);
+    }
+
+    /**
+     * Check if pitcher game stats exist for a specific game
+     * @param {number} gamePk - MLB game ID
+     * @returns {Promise<boolean>} True if stats exist for the game
+     */
+    async hasStatsForGame(gamePk) {
+        const result = await this.db.get(`
+            SELECT COUNT(*) as count FROM pitcher_game_stats
+            WHERE game_pk = ?
+        `, [gamePk]);
+
+        return result.count > 0;
+    }
+
+    /**
+     * Bulk insert or update pitcher game stats
+     * @param {Array<Object>} statsArray - Array of pitcher game stats objects (from extractPitcherStats)
+     * @returns {Promise<number>} Number of stats processed
+     */
+    async bulkUpsertPitcherGameStats(statsArray) {
+        return withTransaction(this.db, async () => {
+            let processedCount = 0;
+
+            for (const stats of statsArray) {
+                await this.db.run(`
+                    INSERT INTO pitcher_game_stats (
+                        game_pk, player_id, player_name, team_id, team_name, game_date,
+                        is_starter, innings_pitched, outs, batters_faced, pitches_thrown,
+                        hits, runs, earned_runs, base_on_balls, strikeouts, home_runs, hit_batsmen,
+                        wins, losses, saves, holds, blown_saves, quality_start,
+                        note, pitching_summary
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT (game_pk, player_id, team_id) DO UPDATE SET
+                        player_name = excluded.player_name,
+                        team_name = excluded.team_name,
+                        game_date = excluded.game_date,
+                        is_starter = excluded.is_starter,
+                        innings_pitched = excluded.innings_pitched,
+                        outs = excluded.outs,
+                        batters_faced = excluded.batters_faced,
+                        pitches_thrown = excluded.pitches_thrown,
+                        hits = excluded.hits,
+                        runs = excluded.runs,
+                        earned_runs = excluded.earned_runs,
+                        base_on_balls = excluded.base_on_balls,
+                        strikeouts = excluded.strikeouts,
+                        home_runs = excluded.home_runs,
+                        hit_batsmen = excluded.hit_batsmen,
+                        wins = excluded.wins,
+                        losses = excluded.losses,
+                        saves = excluded.saves,
+                        holds = excluded.holds,
+                        blown_saves = excluded.blown_saves,
+                        quality_start = excluded.quality_start,
+                        note = excluded.note,
+                        pitching_summary = excluded.pitching_summary
+                `, [
+                    stats.gamePk, stats.playerId, stats.playerName, stats.teamId, stats.teamName, stats.gameDate,
+                    stats.isStarter ? 1 : 0, stats.inningsPitched, stats.outs, stats.battersFaced, stats.pitchesThrown,
+                    stats.hits, stats.runs, stats.earnedRuns, stats.baseOnBalls, stats.strikeouts, stats.homeRuns, stats.hitBatsmen,
+                    stats.wins, stats.losses, stats.saves, stats.holds, stats.blownSaves, stats.qualityStart ? 1 : 0,
+                    stats.note, stats.pitchingSummary
+                ]);
+
+                processedCount++;
+            }
+
+            return processedCount;
+        });
+    }
+
+    /**
+     * Delete pitcher game stats for a specific game
+     * @param {number} gamePk - MLB game ID
+     * @returns {Promise<number>} Number of deleted stats
+     */
+    async deleteStatsByGame(gamePk) {
+        const result = await this.db.run('DELETE FROM pitcher_game_stats WHERE game_pk = ?', [gamePk]);
+        return result.changes;
+    }
+}
+
+module.exports = PitcherGameStatsDb;
@@ -0,0 +1,266 @@
+const { withTransaction } = require('../utils/database');
+const { MATCH_METHODS } = require('../utils/player-ids');
+
+/**
+ * Functions for managing the Fantrax-to-MLB player ID crosswalk in the database
+ */
+class PlayerIdMapDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Get the MLB player ID a Fantrax player ID is mapped to
+     * @param {string} fantraxPlayerId - Fantrax player ID
+     * @returns {Promise<number|null>} MLB player ID or null when unmapped
+     */
+    async getMlbPlayerId(fantraxPlayerId) {
+        if (!fantraxPlayerId) return null;
+
+        const row = await this.db.get(
+            'SELECT mlb_player_id FROM player_id_map WHERE fantrax_player_id = ?',
+            [fantraxPlayerId]
+        );
+        return row ? row.mlb_player_id : null;
+    }
+
+    /**
+     * Get every mapping
+     * @param {Object} options - Query options
+     * @param {number} options.maxConfidence - Only mappings at or below this confidence
+     * @returns {Promise<Array>} Mappings, least confident first
+     */
+    async getAllMappings(options = {}) {
+        const { maxConfidence = null } = options;
+
+        return this.db.all(`
+            SELECT * FROM player_id_map
+            ${maxConfidence !== null ? 'WHERE confidence <= ?' : ''}
+            ORDER BY confidence, player_name
+        `, maxConfidence !== null ? [maxConfidence] : []);
+    }
+
+    /**
+     * Write the overrides file into the map, replacing whatever was matched for those players.
+     * A player marked nonMlb is taken out of the map and unlinked from every roster entry.
+     * Overrides keyed on season, name and team (players with no Fantrax ID) have no map row and are skipped.
+     * @param {Array<Object>} overrides - Overrides from loadPlayerIdOverrides
+     * @returns {Promise<number>} Number of overrides written
+     */
+    async applyOverrides(overrides) {
+        const mapped = overrides.filter(override => override.fantraxPlayerId);
+        if (mapped.length === 0) return 0;
+
+        return withTransaction(this.db, async () => {
+            for (const override of mapped) {
+                if (override.nonMlb) {
+                    await this.db.run('DELETE FROM player_id_map WHERE fantrax_player_id = ?', [override.fantraxPlayerId]);
+                    await this.db.run(
+                        'UPDATE rosters SET player_id = NULL WHERE fantrax_player_id = ? AND player_id IS NOT NULL',
+                        [override.fantraxPlayerId]
+                    );
+                    continue;
+                }
+
+                await this.db.run(`
+                    INSERT INTO player_id_map (
+                        fantrax_player_id, mlb_player_id, player_name, match_method, confidence, is_override
+                    ) VALUES (?, ?, ?, ?, 1, 1)
+                    ON CONFLICT (fantrax_player_id) DO UPDATE SET
+                        mlb_player_id = excluded.mlb_player_id,
+                        player_name = COALESCE(excluded.player_name, player_name),
+                        match_method = excluded.match_method,
+                        confidence = 1,
+                        is_override = 1,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [
+                    override.fantraxPlayerId, override.mlbPlayerId, override.playerName || null, MATCH_METHODS.OVERRIDE
+                ]);
+            }
+
+            return mapped.length;
+        });
+    }
+
+    /**
+     * Record name matches for Fantrax players that aren't mapped yet (an existing mapping is never replaced)
+     * @param {Array<Object>} matches - Matches ({ fantraxPlayerId, playerId, playerName, method, confidence })
+     * @param {number} seasonId - Season the matches were made in
+     * @returns {Promise<number>} Number of new mappings
+     */
+    async recordMatches(matches, seasonId) {
+        return withTransaction(this.db, async () => {
+            let added = 0;
+
+            for (const match of matches) {
+                if (!match.fantraxPlayerId) continue;
+
+                const result = await this.db.run(`
+                    INSERT INTO player_id_map (
+                        fantrax_player_id, mlb_player_id, player_name, match_method, confidence, is_override, first_season_id
+                    ) VALUES (?, ?, ?, ?, ?, 0, ?)
+                    ON CONFLICT (fantrax_player_id) DO NOTHING
+                `, [match.fantraxPlayerId, match.playerId, match.playerName, match.method, match.confidence, seasonId]);
+                added += result.changes;
+            }
+
+            return added;
+        });
+    }
+
+    /**
+     * Replace a season's pending player match reviews (reviews already settled are kept)
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} reviews - Reviews from matchPlayerNames ({ fantraxPlayerId, playerName,
+     *   normalizedName, mlbTeam, batSide, rosterEntries, candidates })
+     * @returns {Promise<number>} Number of reviews saved
+     */
+    async replacePendingReviews(seasonId, reviews) {
+        return withTransaction(this.db, async () => {
+            await this.db.run("DELETE FROM player_match_reviews WHERE season_id = ? AND status = 'pending'", [seasonId]);
+
+            for (const review of reviews) {
+                await this.db.run(`
+                    INSERT INTO player_match_reviews (
+                        season_id, fantrax_player_id, player_name, player_name_normalized,
+                        mlb_team, bat_side, roster_entries, candidates
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, review.fantraxPlayerId, review.playerName, review.normalizedName,
+                    review.mlbTeam, review.batSide, review.rosterEntries, JSON.stringify(review.candidates)
+                ]);
+            }
+
+            return reviews.length;
+        });
+    }
+
+    /**
+     * Get player match reviews
+     * @param {Object} options - Query options
+     * @param {number} options.seasonId - Only this season
+     * @param {string} options.status - Only reviews with this status (default: 'pending')
+     * @returns {Promise<Array>} Reviews with the season year and parsed candidates, most roster entries first
+     */
+    async getReviews(options = {}) {
+        const { seasonId = null, status = 'pending' } = options;
+        const params = [status];
+        if (seasonId !== null) params.push(seasonId);
+
+        const rows = await this.db.all(`
+            SELECT r.*, s.year
+            FROM player_match_reviews r
+            JOIN seasons s ON r.season_id = s.id
+            WHERE r.status = ? ${seasonId !== null ? 'AND r.season_id = ?' : ''}
+            ORDER BY s.year, r.roster_entries DESC, r.player_name
+        `, params);
+
+        return rows.map(row => ({ ...row, candidates: JSON.parse(row.candidates) }));
+    }
+
+    /**
+     * Set rosters.player_id from the map for one Fantrax player's roster entries in every season
+     * @param {string} fantraxPlayerId - Fantrax player ID (must be mapped)
+     * @returns {Promise<number>} Number of roster rows changed
+     */
+    async linkPlayer(fantraxPlayerId) {
+        if (!fantraxPlayerId) return 0;
+
+        const result = await this.db.run(`
+            UPDATE rosters
+            SET player_id = (SELECT mlb_player_id FROM player_id_map WHERE fantrax_player_id = ?)
+            WHERE fantrax_player_id = ?
+              AND player_id IS NOT (SELECT mlb_player_id FROM player_id_map WHERE fantrax_player_id = ?)
+        `, [fantraxPlayerId, fantraxPlayerId, fantraxPlayerId]);
+
+        return result.changes;
+    }
+
+    /**
+     * Settle a Fantrax player's pending reviews in every season
+     * @param {string} fantraxPlayerId - Fantrax player ID
+     * @param {string} status - New status ('linked' or 'non-mlb')
+     * @returns {Promise<number>} Number of reviews settled
+     */
+    async settleReviews(fantraxPlayerId, status) {
+        if (!fantraxPlayerId) return 0;
+
+        const result = await this.db.run(
+            "UPDATE player_match_reviews SET status = ? WHERE fantrax_player_id = ? AND status = 'pending'",
+            [status, fantraxPlayerId]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Settle the pending review of a player without a Fantrax ID
+     * @param {Object} player - Player ({ seasonId, normalizedName, mlbTeam })
+     * @param {string} status - New status ('linked' or 'non-mlb')
+     * @returns {Promise<number>} Number of reviews settled
+     */
+    async settleUnidentifiedReviews(player, status) {
+        const result = await this.db.run(`
+            UPDATE player_match_reviews SET status = ?
+            WHERE season_id = ? AND player_name_normalized IS ? AND mlb_team IS ?
+              AND NULLIF(fantrax_player_id, '') IS NULL AND status = 'pending'
+        `, [status, player.seasonId, player.normalizedName, player.mlbTeam]);
+
+        return result.changes;
+    }
+
+    /**
+     * Get the name-matched mappings below a confidence, with how often each player was rostered
+     * @param {number} maxConfidence - Only mappings below this confidence
+     * @param {Object} options - Query options
+     * @param {Array<number>} options.seasonIds - Only count roster entries in these seasons
+     * @returns {Promise<Array>} Mappings with the MLB player's name (mlb_player_name), roster_entries, the latest season
+     *   (year, season_id) and that season's roster details (roster_player_name, player_name_normalized, mlb_team, bat_side)
+     */
+    async getLowConfidenceMappings(maxConfidence, options = {}) {
+        const { seasonIds = null } = options;
+        const seasonFilter = seasonIds ? `AND r.season_id IN (${seasonIds.map(() => '?').join(', ')})` : '';
+
+        // With MAX() the only min/max aggregate, SQLite takes the other roster columns from the latest season's row
+        return this.db.all(`
+            SELECT m.*, p.full_name as mlb_player_name, COUNT(r.id) as roster_entries, MAX(s.year) as year, r.season_id,
+                   r.player_name as roster_player_name, r.player_name_normalized, r.mlb_team, r.bat_side
+            FROM player_id_map m
+            JOIN rosters r ON r.fantrax_player_id = m.fantrax_player_id
+            JOIN seasons s ON r.season_id = s.id
+            LEFT JOIN players p ON p.id = m.mlb_player_id
+            WHERE m.is_override = 0 AND m.confidence < ? ${seasonFilter}
+            GROUP BY m.fantrax_player_id
+            ORDER BY roster_entries DESC, m.player_name
+        `, [maxConfidence, ...(seasonIds || [])]);
+    }
+
+    /**
+     * Set rosters.player_id from the map for every roster row of a season with a mapped Fantrax ID,
+     * replacing any earlier name match that disagrees
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<number>} Number of roster rows changed
+     */
+    async linkRosters(seasonId) {
+        const result = await this.db.run(`
+            UPDATE rosters
+            SET player_id = (
+                SELECT m.mlb_player_id FROM player_id_map m
+                WHERE m.fantrax_player_id = rosters.fantrax_player_id
+            )
+            WHERE season_id = ?
+              AND fantrax_player_id IN (SELECT fantrax_player_id FROM player_id_map)
+              AND player_id IS NOT (
+                  SELECT m.mlb_player_id FROM player_id_map m
+                  WHERE m.fantrax_player_id = rosters.fantrax_player_id
+              )
+        `, [seasonId]);
+
+        return result.changes;
+    }
+}
+
+module.exports = PlayerIdMapDb;
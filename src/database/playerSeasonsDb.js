@@ -0,0 +1,37 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing MLB players' teams per season in the database
+ */
+class PlayerSeasonsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace the player seasons saved for one season
+     * @param {string} season - Season year
+     * @param {Array<Object>} playerSeasons - Rows from extractPlayerSeasons ({ playerId, mlbTeamId, mlbTeamName, position })
+     * @returns {Promise<number>} Number of rows saved
+     */
+    async replaceSeason(season, playerSeasons) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM player_seasons WHERE season = ?', [season]);
+
+            for (const row of playerSeasons) {
+                await this.db.run(`
+                    INSERT OR REPLACE INTO player_seasons (player_id, season, mlb_team_id, mlb_team_name, position)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [row.playerId, season, row.mlbTeamId, row.mlbTeamName, row.position]);
+            }
+
+            return playerSeasons.length;
+        });
+    }
+}
+
+module.exports = PlayerSeasonsDb;
@@ -0,0 +1,107 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing the playoff bracket in the database
+ */
+class PlayoffBracketDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace a season's bracket
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} entries - Bracket entries with database team IDs ({ round, bracket, teamId, seed, ... })
+     * @returns {Promise<number>} Number of entries saved
+     */
+    async replaceSeasonBracket(seasonId, entries) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM playoff_bracket WHERE season_id = ?', [seasonId]);
+
+            for (const entry of entries) {
+                await this.db.run(`
+                    INSERT INTO playoff_bracket (
+                        season_id, round, period_number, bracket, team_id, seed,
+                        opponent_team_id, opponent_seed, team_score, opponent_score, result, advanced
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, entry.round, entry.periodNumber || null, entry.bracket, entry.teamId, entry.seed || null,
+                    entry.opponentTeamId || null, entry.opponentSeed || null,
+                    entry.teamScore === undefined ? null : entry.teamScore,
+                    entry.opponentScore === undefined ? null : entry.opponentScore,
+                    entry.result || null,
+                    entry.advanced === null || entry.advanced === undefined ? null : (entry.advanced ? 1 : 0)
+                ]);
+            }
+
+            return entries.length;
+        });
+    }
+
+    /**
+     * Get a season's bracket
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Entries with team names, by round, bracket and seed
+     */
+    async getBracketBySeason(seasonId) {
+        return this.db.all(`
+            SELECT pb.*, t.name as team_name, opp.name as opponent_name
+            FROM playoff_bracket pb
+            JOIN teams t ON pb.team_id = t.id
+            LEFT JOIN teams opp ON pb.opponent_team_id = opp.id
+            WHERE pb.season_id = ?
+            ORDER BY pb.round, pb.bracket DESC, pb.seed, t.name
+        `, [seasonId]);
+    }
+
+    /**
+     * Get the finalists of a season: the two teams in the last winners-bracket round
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Object|null>} Champion and runner-up team IDs ({ championTeamId, runnerUpTeamId }),
+     *   or null if the final hasn't been decided or there is no bracket
+     */
+    async getFinalists(seasonId) {
+        const final = await this.db.get(`
+            SELECT team_id, opponent_team_id
+            FROM playoff_bracket
+            WHERE season_id = ? AND bracket = 'winners' AND advanced = 1 AND result != 'bye'
+              AND round = (SELECT MAX(round) FROM playoff_bracket WHERE season_id = ? AND bracket = 'winners')
+        `, [seasonId, seasonId]);
+
+        if (!final) return null;
+        return { championTeamId: final.team_id, runnerUpTeamId: final.opponent_team_id };
+    }
+
+    /**
+     * Get the third-placed team of a season: the winner of the last-round consolation game between
+     * the two teams knocked out of the winners bracket the round before the final
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<number|null>} Team ID, or null if there is no decided third-place game
+     */
+    async getThirdPlace(seasonId) {
+        const game = await this.db.get(`
+            WITH final AS (
+                SELECT MAX(round) as round FROM playoff_bracket WHERE season_id = ? AND bracket = 'winners'
+            ),
+            semifinal_losers AS (
+                SELECT pb.team_id
+                FROM playoff_bracket pb, final
+                WHERE pb.season_id = ? AND pb.bracket = 'winners' AND pb.round = final.round - 1
+                  AND pb.advanced = 0 AND pb.result != 'bye'
+            )
+            SELECT pb.team_id
+            FROM playoff_bracket pb, final
+            WHERE pb.season_id = ? AND pb.bracket = 'consolation' AND pb.round = final.round AND pb.advanced = 1
+              AND pb.team_id IN (SELECT team_id FROM semifinal_losers)
+              AND pb.opponent_team_id IN (SELECT team_id FROM semifinal_losers)
+        `, [seasonId, seasonId, seasonId]);
+
+        return game ? game.team_id : null;
+    }
+}
+
+module.exports = PlayoffBracketDb;
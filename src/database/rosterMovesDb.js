@@ -0,0 +1,84 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing roster moves (transactions derived from roster snapshots) in the database
+ */
+class RosterMovesDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace every move of a season
+     * Moves are derived data, so a new derivation replaces the old one as a whole
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} moves - Moves ({ periodNumber, teamId, moveType, playerName, ... })
+     * @returns {Promise<number>} Number of moves saved
+     */
+    async replaceSeasonMoves(seasonId, moves) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM roster_moves WHERE season_id = ?', [seasonId]);
+
+            for (const move of moves) {
+                await this.db.run(`
+                    INSERT INTO roster_moves (
+                        season_id, period_number, team_id, move_type,
+                        player_name, player_name_normalized, fantrax_player_id, player_id,
+                        other_team_id, from_status, to_status, from_position, to_position
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, move.periodNumber, move.teamId, move.moveType,
+                    move.playerName, move.playerNameNormalized || null, move.fantraxPlayerId || null, move.playerId || null,
+                    move.otherTeamId || null, move.fromStatus || null, move.toStatus || null,
+                    move.fromPosition || null, move.toPosition || null
+                ]);
+            }
+
+            return moves.length;
+        });
+    }
+
+    /**
+     * Get every move of a season
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Moves with team names, in period order
+     */
+    async getMovesBySeason(seasonId) {
+        return this.db.all(`
+            SELECT rm.*, t.name as team_name, other.name as other_team_name
+            FROM roster_moves rm
+            JOIN teams t ON rm.team_id = t.id
+            LEFT JOIN teams other ON rm.other_team_id = other.id
+            WHERE rm.season_id = ?
+            ORDER BY rm.period_number, t.name, rm.move_type, rm.player_name
+        `, [seasonId]);
+    }
+
+    /**
+     * Count each team's moves by type
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} One row per team with a count per move type, busiest team first
+     */
+    async getMoveCountsByTeam(seasonId) {
+        return this.db.all(`
+            SELECT t.name as team_name,
+                   SUM(rm.move_type = 'add') as adds,
+                   SUM(rm.move_type = 'drop') as drops,
+                   SUM(rm.move_type = 'trade') as trades,
+                   SUM(rm.move_type IN ('ir_placement', 'ir_activation')) as ir_moves,
+                   SUM(rm.move_type IN ('benched', 'started')) as lineup_changes,
+                   COUNT(*) as total
+            FROM roster_moves rm
+            JOIN teams t ON rm.team_id = t.id
+            WHERE rm.season_id = ?
+            GROUP BY rm.team_id
+            ORDER BY adds + drops DESC, t.name
+        `, [seasonId]);
+    }
+}
+
+module.exports = RosterMovesDb;
@@ -1,4 +1,6 @@
 const { withTransaction } = require('../utils/database');
+const { MATCH_METHODS } = require('../utils/player-ids');
+const { rankCandidates, resolveTeamId } = require('../utils/player-matching');
 
 /**
  * Functions for managing roster data in the database
@@ -30,6 +32,37 @@ class RostersDb {
         `, [seasonId]);
     }
 
+    /**
+     * Get the hitters in active lineup slots for a season (not bench, injured reserve or team pitching)
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Roster entries by period and team
+     */
+    async getActiveHittersBySeason(seasonId) {
+        return this.db.all(`
+            SELECT r.*, t.name as team_name
+            FROM rosters r
+            JOIN teams t ON r.team_id = t.id
+            WHERE r.season_id = ? AND r.is_active = 1
+              AND r.position_code NOT IN ('TmP', 'Res', 'IR')
+            ORDER BY r.period_number, t.name, r.position_code, r.roster_slot
+        `, [seasonId]);
+    }
+
+    /**
+     * Get the MLB pitching staffs in active lineup slots for a season (TmP, not reserve)
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Roster entries by period and team; pitching_staff_id is the MLB team ID
+     */
+    async getActiveStaffsBySeason(seasonId) {
+        return this.db.all(`
+            SELECT r.*, t.name as team_name
+            FROM rosters r
+            JOIN teams t ON r.team_id = t.id
+            WHERE r.season_id = ? AND r.is_active = 1 AND r.position_code = 'TmP'
+            ORDER BY r.period_number, t.name, r.roster_slot
+        `, [seasonId]);
+    }
+
     /**
      * Get roster for a specific team and period
      * @param {number} teamId - Team ID
@@ -75,7 +108,8 @@ class RostersDb {
         const {
             seasonId, teamId, periodNumber, playerId, positionCode,
             rosterSlot, isActive, playerName, playerNameNormalized,
-            mlbTeam, batSide, fantraxPlayerId, pitchingStaffId
+            mlbTeam, batSide, fantraxPlayerId, pitchingStaffId,
+            positionsEligible = null, fantasyPoints = null, fpg = null
         } = entry;
 
         // Validate required fields
@@ -95,13 +129,15 @@ class RostersDb {
           UPDATE rosters 
           SET player_id = ?, is_active = ?, player_name = ?, 
               player_name_normalized = ?, mlb_team = ?, bat_side = ?, 
-              fantrax_player_id = ?, pitching_staff_id = ?
+              fantrax_player_id = ?, pitching_staff_id = ?,
+              positions_eligible = ?, fantasy_points = ?, fpg = ?
           WHERE season_id = ? AND team_id = ? AND period_number = ? 
           AND position_code = ? AND roster_slot = ?
         `, [
                     playerId, isActive ? 1 : 0, playerName,
                     playerNameNormalized, mlbTeam, batSide,
                     fantraxPlayerId, pitchingStaffId,
+                    positionsEligible, fantasyPoints, fpg,
                     seasonId, teamId, periodNumber, positionCode, rosterSlot
                 ]);
             } else {
@@ -110,12 +146,14 @@ class RostersDb {
           INSERT INTO rosters (
             season_id, team_id, period_number, player_id, position_code,
             roster_slot, is_active, player_name, player_name_normalized,
-            mlb_team, bat_side, fantrax_player_id, pitching_staff_id
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            mlb_team, bat_side, fantrax_player_id, pitching_staff_id,
+            positions_eligible, fantasy_points, fpg
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
                     seasonId, teamId, periodNumber, playerId, positionCode,
                     rosterSlot, isActive ? 1 : 0, playerName, playerNameNormalized,
-                    mlbTeam, batSide, fantraxPlayerId, pitchingStaffId
+                    mlbTeam, batSide, fantraxPlayerId, pitchingStaffId,
+                    positionsEligible, fantasyPoints, fpg
                 ]);
             }
 
@@ -139,7 +177,8 @@ class RostersDb {
                     const {
                         seasonId, teamId, periodNumber, playerId, positionCode,
                         rosterSlot, isActive, playerName, playerNameNormalized,
-                        mlbTeam, batSide, fantraxPlayerId, pitchingStaffId
+                        mlbTeam, batSide, fantraxPlayerId, pitchingStaffId,
+                        positionsEligible = null, fantasyPoints = null, fpg = null
                     } = entry;
 
                     // Check if entry exists
@@ -155,13 +194,15 @@ class RostersDb {
                   UPDATE rosters 
                   SET player_id = ?, is_active = ?, player_name = ?, 
                       player_name_normalized = ?, mlb_team = ?, bat_side = ?, 
-                      fantrax_player_id = ?, pitching_staff_id = ?
+                      fantrax_player_id = ?, pitching_staff_id = ?,
+                      positions_eligible = ?, fantasy_points = ?, fpg = ?
                   WHERE season_id = ? AND team_id = ? AND period_number = ? 
                   AND position_code = ? AND roster_slot = ?
                 `, [
                             playerId, isActive ? 1 : 0, playerName,
                             playerNameNormalized, mlbTeam, batSide,
                             fantraxPlayerId, pitchingStaffId,
+                            positionsEligible, fantasyPoints, fpg,
                             seasonId, teamId, periodNumber, positionCode, rosterSlot
                         ]);
                     } else {
@@ -170,12 +211,14 @@ class RostersDb {
                   INSERT INTO rosters (
                     season_id, team_id, period_number, player_id, position_code,
                     roster_slot, is_active, player_name, player_name_normalized,
-                    mlb_team, bat_side, fantrax_player_id, pitching_staff_id
-                  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    mlb_team, bat_side, fantrax_player_id, pitching_staff_id,
+                    positions_eligible, fantasy_points, fpg
+                  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `, [
                             seasonId, teamId, periodNumber, playerId, positionCode,
                             rosterSlot, isActive ? 1 : 0, playerName, playerNameNormalized,
-                            mlbTeam, batSide, fantraxPlayerId, pitchingStaffId
+                            mlbTeam, batSide, fantraxPlayerId, pitchingStaffId,
+                            positionsEligible, fantasyPoints, fpg
                         ]);
                     }
 
@@ -222,11 +265,23 @@ class RostersDb {
     }
 
     /**
-     * Match player names with the players table
+     * Match roster entries without an MLB player ID to the players table
+     * Candidates sharing the entry's last name (or whole name) are ranked on name similarity, the MLB team
+     * they played for that season and bat side; only a clear winner is linked, and close calls are
+     * returned for review instead of being guessed
      * @param {number} seasonId - Season ID to process
-     * @returns {Promise<Object>} Results of the matching process
+     * @param {Object} options - Matching options
+     * @param {Set<string>} options.skipFantraxIds - Fantrax players to leave alone (those marked as not MLB players)
+     * @param {Set<string>} options.skipUnidentified - Players without a Fantrax ID to leave alone, as
+     *   "normalizedName|mlbTeam" keys (those marked as not MLB players)
+     * @returns {Promise<Object>} Results of the matching process, with the matches made
+     *   ({ fantraxPlayerId, playerId, playerName, method, confidence }) for the player ID map and
+     *   the entries to review ({ fantraxPlayerId, playerName, normalizedName, mlbTeam, batSide, rosterEntries, candidates })
      */
-    async matchPlayerNames(seasonId) {
+    async matchPlayerNames(seasonId, options = {}) {
+        const { skipFantraxIds = new Set(), skipUnidentified = new Set() } = options;
+        const season = await this.db.get('SELECT year FROM seasons WHERE id = ?', [seasonId]);
+
         // Get all roster entries for the season that have no player_id
         const unmatched = await this.db.all(`
             SELECT * FROM rosters 
@@ -236,60 +291,200 @@ class RostersDb {
 
         console.log(`Found ${unmatched.length} unmatched roster entries`);
 
-        let matched = 0;
-        let stillUnmatched = 0;
-
-        // Process each unmatched entry
+        // The same player shows up in every period, so match each player once
+        const players = new Map();
         for (const entry of unmatched) {
             // Skip team pitching - these don't match to real players
-            if (entry.position_code === 'TmP') {
+            if (entry.position_code === 'TmP' || skipFantraxIds.has(entry.fantrax_player_id)) {
                 continue;
             }
-
-            // Try exact match on normalized name
-            const exactMatch = await this.db.get(`
-                SELECT id FROM players
-                WHERE normalized_full_name = ?
-                LIMIT 1
-            `, [entry.player_name_normalized]);
-
-            if (exactMatch) {
-                // Update the entry with the player_id
-                await this.db.run(`
-                    UPDATE rosters SET player_id = ? 
-                    WHERE id = ?
-                `, [exactMatch.id, entry.id]);
-                matched++;
+            if (!entry.fantrax_player_id && skipUnidentified.has(`${entry.player_name_normalized}|${entry.mlb_team || ''}`)) {
                 continue;
             }
 
-            // Try fuzzy match (name starts with)
-            const fuzzyMatch = await this.db.get(`
-                SELECT id FROM players
-                WHERE normalized_full_name LIKE ?
-                LIMIT 1
-            `, [`${entry.player_name_normalized}%`]);
+            const key = [entry.fantrax_player_id, entry.player_name_normalized, entry.mlb_team, entry.bat_side].join('|');
+            if (!players.has(key)) players.set(key, []);
+            players.get(key).push(entry);
+        }
 
-            if (fuzzyMatch) {
-                // Update the entry with the player_id
-                await this.db.run(`
-                    UPDATE rosters SET player_id = ? 
-                    WHERE id = ?
-                `, [fuzzyMatch.id, entry.id]);
-                matched++;
+        const context = await this.getMatchContext(season && season.year);
+
+        let matched = 0;
+        let ambiguous = 0;
+        let stillUnmatched = 0;
+        const matches = [];
+        const reviews = [];
+
+        for (const entries of players.values()) {
+            const [entry] = entries;
+            const { ranked, match, review } = await this.rankPlayerCandidates(entry, context);
+
+            if (match) {
+                // Update the entries with the player_id
+                for (const row of entries) {
+                    await this.db.run(`
+                        UPDATE rosters SET player_id = ? 
+                        WHERE id = ?
+                    `, [match.playerId, row.id]);
+                }
+                matches.push({
+                    fantraxPlayerId: entry.fantrax_player_id,
+                    playerId: match.playerId,
+                    playerName: entry.player_name,
+                    method: match.name === 1 ? MATCH_METHODS.EXACT_NAME : MATCH_METHODS.SIMILAR_NAME,
+                    confidence: match.score
+                });
+                matched += entries.length;
                 continue;
             }
 
-            // If we get here, the entry is still unmatched
-            stillUnmatched++;
+            // If we get here, the entries are still unmatched
+            stillUnmatched += entries.length;
+            if (review) {
+                ambiguous += entries.length;
+                reviews.push({
+                    fantraxPlayerId: entry.fantrax_player_id,
+                    playerName: entry.player_name,
+                    normalizedName: entry.player_name_normalized,
+                    mlbTeam: entry.mlb_team,
+                    batSide: entry.bat_side,
+                    rosterEntries: entries.length,
+                    candidates: ranked.slice(0, 5)
+                });
+            }
         }
 
         return {
             processed: unmatched.length,
             matched,
-            stillUnmatched
+            ambiguous,
+            stillUnmatched,
+            matches,
+            reviews
         };
     }
+
+    /**
+     * Load what ranking candidates for a season's roster entries needs
+     * @param {string} season - Season year
+     * @returns {Promise<Object>} Match context ({ season, teamsByAbbreviation, seasonTeamsKnown })
+     */
+    async getMatchContext(season) {
+        return {
+            season,
+            teamsByAbbreviation: await this.getMlbTeamAbbreviations(),
+            seasonTeamsKnown: season ? await this.hasPlayerSeasons(season) : false
+        };
+    }
+
+    /**
+     * Rank the MLB players a roster entry could be
+     * @param {Object} entry - Rosters row (player_name_normalized, mlb_team, bat_side)
+     * @param {Object} context - Match context from getMatchContext for the entry's season
+     * @returns {Promise<Object>} Ranked candidates and the decision, from rankCandidates
+     */
+    async rankPlayerCandidates(entry, context) {
+        const candidates = await this.findCandidatePlayers(entry.player_name_normalized, context.season, context.seasonTeamsKnown);
+
+        return rankCandidates({
+            normalizedName: entry.player_name_normalized,
+            mlbTeamId: resolveTeamId(entry.mlb_team, context.teamsByAbbreviation),
+            batSide: entry.bat_side || null
+        }, candidates);
+    }
+
+    /**
+     * Get the roster players with no MLB player link, with how often each was rostered
+     * Players with a Fantrax ID are grouped on it across seasons; players without one can only be told
+     * apart by name and MLB team, so they are grouped per season on those instead
+     * @param {Object} options - Query options
+     * @param {Array<number>} options.seasonIds - Only these seasons
+     * @returns {Promise<Array>} One row per player, most roster entries first, with the Fantrax ID (null when
+     *   there is none), the latest season (year, season_id) and that season's roster details
+     *   (player_name_normalized, mlb_team, bat_side)
+     */
+    async getUnlinkedPlayers(options = {}) {
+        const { seasonIds = null } = options;
+        const seasonFilter = seasonIds ? `AND r.season_id IN (${seasonIds.map(() => '?').join(', ')})` : '';
+
+        // With MAX() the only min/max aggregate, SQLite takes the other columns from the latest season's row
+        return this.db.all(`
+            SELECT NULLIF(r.fantrax_player_id, '') as fantrax_player_id, r.player_name, r.player_name_normalized,
+                   r.mlb_team, r.bat_side, r.season_id, MAX(s.year) as year, COUNT(*) as roster_entries
+            FROM rosters r
+            JOIN seasons s ON r.season_id = s.id
+            WHERE r.player_id IS NULL AND r.position_code != 'TmP' ${seasonFilter}
+            GROUP BY NULLIF(r.fantrax_player_id, ''),
+                     CASE WHEN NULLIF(r.fantrax_player_id, '') IS NULL THEN r.season_id END,
+                     CASE WHEN NULLIF(r.fantrax_player_id, '') IS NULL THEN r.player_name_normalized END,
+                     CASE WHEN NULLIF(r.fantrax_player_id, '') IS NULL THEN r.mlb_team END
+            ORDER BY roster_entries DESC, r.player_name
+        `, seasonIds || []);
+    }
+
+    /**
+     * Link the roster rows of a player without a Fantrax ID to an MLB player
+     * With no ID to put in the player ID map, only the season's unlinked rows with the same name and MLB team change
+     * @param {Object} player - Player ({ seasonId, normalizedName, mlbTeam })
+     * @param {number} mlbPlayerId - MLB player ID
+     * @returns {Promise<number>} Number of roster rows linked
+     */
+    async linkUnidentifiedPlayer(player, mlbPlayerId) {
+        const result = await this.db.run(`
+            UPDATE rosters SET player_id = ?
+            WHERE season_id = ? AND player_name_normalized IS ? AND mlb_team IS ?
+              AND NULLIF(fantrax_player_id, '') IS NULL AND player_id IS NULL AND position_code != 'TmP'
+        `, [mlbPlayerId, player.seasonId, player.normalizedName, player.mlbTeam]);
+
+        return result.changes;
+    }
+
+    /**
+     * Find the MLB players a roster name could be: the same name, or the same last name
+     * @param {string} normalizedName - Normalized player name
+     * @param {string} season - Season year, for each candidate's team that season
+     * @param {boolean} seasonTeamsKnown - Whether player_seasons holds the season
+     * @returns {Promise<Array>} Candidates ({ playerId, fullName, normalizedName, batSide, birthYear, mlbTeamId,
+     *   mlbTeamName, position }); mlbTeamId is null for a player who didn't play that season and undefined
+     *   when the season's teams aren't saved
+     */
+    async findCandidatePlayers(normalizedName, season, seasonTeamsKnown) {
+        if (!normalizedName) return [];
+
+        const lastName = normalizedName.split(' ').pop();
+        const rows = await this.db.all(`
+            SELECT p.id as playerId, p.full_name as fullName, p.normalized_full_name as normalizedName,
+                   p.bat_side as batSide, substr(p.birth_date, 1, 4) as birthYear,
+                   ps.mlb_team_id as mlbTeamId, ps.mlb_team_name as mlbTeamName, ps.position
+            FROM players p
+            LEFT JOIN player_seasons ps ON ps.player_id = p.id AND ps.season = ?
+            WHERE p.normalized_full_name = ?
+               OR p.normalized_last_name = ?
+               OR p.normalized_full_name LIKE ?
+            GROUP BY p.id
+        `, [season, normalizedName, lastName, `% ${lastName}`]);
+
+        return rows.map(row => ({ ...row, mlbTeamId: seasonTeamsKnown ? row.mlbTeamId : undefined }));
+    }
+
+    /**
+     * Get MLB team IDs by abbreviation
+     * @returns {Promise<Map>} Upper-case abbreviation -> MLB team ID
+     */
+    async getMlbTeamAbbreviations() {
+        const teams = await this.db.all('SELECT id, abbreviation FROM mlb_teams WHERE abbreviation IS NOT NULL');
+        return new Map(teams.map(team => [team.abbreviation.toUpperCase(), team.id]));
+    }
+
+    /**
+     * Check whether players' MLB teams are saved for a season
+     * @param {string} season - Season year
+     * @returns {Promise<boolean>} True if player_seasons holds the season
+     */
+    async hasPlayerSeasons(season) {
+        const result = await this.db.get('SELECT COUNT(*) as count FROM player_seasons WHERE season = ?', [season]);
+        return result.count > 0;
+    }
 }
 
 module.exports = RostersDb;
\ No newline at end of file
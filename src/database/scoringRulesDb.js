@@ -0,0 +1,50 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing league scoring rules in the database
+ */
+class ScoringRulesDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace a season's scoring rules
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} rules - Rules from scrapeScoringRules ({ group, category, label, points })
+     * @returns {Promise<number>} Number of rules saved
+     */
+    async replaceSeasonRules(seasonId, rules) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM scoring_rules WHERE season_id = ?', [seasonId]);
+
+            for (const rule of rules) {
+                await this.db.run(`
+                    INSERT INTO scoring_rules (season_id, stat_group, category, label, points)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [seasonId, rule.group, rule.category, rule.label || null, rule.points]);
+            }
+
+            return rules.length;
+        });
+    }
+
+    /**
+     * Get a season's scoring rules
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Rules ({ stat_group, category, label, points }), hitting first
+     */
+    async getRulesBySeason(seasonId) {
+        return this.db.all(`
+            SELECT * FROM scoring_rules
+            WHERE season_id = ?
+            ORDER BY stat_group, id
+        `, [seasonId]);
+    }
+}
+
+module.exports = ScoringRulesDb;
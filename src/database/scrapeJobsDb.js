@@ -0,0 +1,117 @@
+/**
+ * Functions for managing the scrape job ledger in the database
+ * Each job is one (season, team, period) unit of the roster scrape
+ */
+class ScrapeJobsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Mark a unit as running and count the attempt
+     * @param {number} seasonId - Season ID
+     * @param {number} teamId - Team ID (database ID)
+     * @param {number} period - Period number
+     */
+    async startJob(seasonId, teamId, period) {
+        await this.db.run(`
+            INSERT INTO scrape_jobs (season_id, team_id, period, status, attempts, started_at)
+            VALUES (?, ?, ?, 'running', 1, CURRENT_TIMESTAMP)
+            ON CONFLICT (season_id, team_id, period) DO UPDATE SET
+                status = 'running',
+                attempts = attempts + 1,
+                started_at = CURRENT_TIMESTAMP,
+                finished_at = NULL
+        `, [seasonId, teamId, period]);
+    }
+
+    /**
+     * Mark a unit as scraped and saved
+     * @param {number} seasonId - Season ID
+     * @param {number} teamId - Team ID (database ID)
+     * @param {number} period - Period number
+     */
+    async completeJob(seasonId, teamId, period) {
+        await this.db.run(`
+            UPDATE scrape_jobs
+            SET status = 'done', last_error = NULL, finished_at = CURRENT_TIMESTAMP
+            WHERE season_id = ? AND team_id = ? AND period = ?
+        `, [seasonId, teamId, period]);
+    }
+
+    /**
+     * Mark a unit as failed
+     * @param {number} seasonId - Season ID
+     * @param {number} teamId - Team ID (database ID)
+     * @param {number} period - Period number
+     * @param {string} errorMessage - Error that stopped the unit
+     */
+    async failJob(seasonId, teamId, period, errorMessage) {
+        await this.db.run(`
+            UPDATE scrape_jobs
+            SET status = 'failed', last_error = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE season_id = ? AND team_id = ? AND period = ?
+        `, [errorMessage, seasonId, teamId, period]);
+    }
+
+    /**
+     * Get every job recorded for a season
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Jobs with team names, ordered by team and period
+     */
+    async getJobsBySeason(seasonId) {
+        return this.db.all(`
+            SELECT sj.*, t.name as team_name
+            FROM scrape_jobs sj
+            JOIN teams t ON sj.team_id = t.id
+            WHERE sj.season_id = ?
+            ORDER BY t.name, sj.period
+        `, [seasonId]);
+    }
+
+    /**
+     * Get the units of a season that don't need scraping again
+     * Team periods with stored rosters but no job were scraped before the ledger existed and count as done
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Completed units ({ team_id, period })
+     */
+    async getCompletedUnits(seasonId) {
+        return this.db.all(`
+            SELECT team_id, period FROM scrape_jobs
+            WHERE season_id = ? AND status = 'done'
+            UNION
+            SELECT DISTINCT r.team_id, r.period_number as period FROM rosters r
+            WHERE r.season_id = ?
+            AND NOT EXISTS (
+                SELECT 1 FROM scrape_jobs sj
+                WHERE sj.season_id = r.season_id AND sj.team_id = r.team_id AND sj.period = r.period_number
+            )
+        `, [seasonId, seasonId]);
+    }
+
+    /**
+     * Delete a season's jobs so its cleared rosters are scraped again on resume
+     * @param {number} seasonId - Season ID
+     * @param {Array<number>} [periods] - Only delete jobs for these periods (default: every period)
+     * @returns {Promise<number>} Number of deleted jobs
+     */
+    async deleteJobs(seasonId, periods = null) {
+        if (periods) {
+            const placeholders = periods.map(() => '?').join(', ');
+            const result = await this.db.run(
+                `DELETE FROM scrape_jobs WHERE season_id = ? AND period IN (${placeholders})`,
+                [seasonId, ...periods]
+            );
+            return result.changes;
+        }
+
+        const result = await this.db.run('DELETE FROM scrape_jobs WHERE season_id = ?', [seasonId]);
+        return result.changes;
+    }
+}
+
+module.exports = ScrapeJobsDb;
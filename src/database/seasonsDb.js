@@ -1,4 +1,5 @@
 const { withTransaction } = require('../utils/database');
+const { SEASON_FORMATS, getSeasons, getSeasonConfig } = require('../utils/seasons');
 
 /**
  * Functions for managing seasons in the database
@@ -30,12 +31,49 @@ class SeasonsDb {
     }
 
     /**
-     * Get a season by year
+     * Get a season by its ID
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Object|null>} Season or null if not found
+     */
+    async getSeasonById(seasonId) {
+        return this.db.get('SELECT * FROM seasons WHERE id = ?', [seasonId]);
+    }
+
+    /**
+     * Get the league's season for a year
+     * Other leagues on the account can have seasons in the same year (`leagues discover --all` stores them),
+     * so a registered year is looked up by its league ID and any other year within the registered league's lineage
      * @param {string} year - The season year
      * @returns {Promise<Object|null>} Season or null if not found
      */
     async getSeasonByYear(year) {
-        return this.db.get('SELECT * FROM seasons WHERE year = ?', [year]);
+        const config = getSeasonConfig(year);
+        if (config) {
+            return this.getSeasonByLeagueId(config.leagueId);
+        }
+
+        const registeredIds = getSeasons().map(season => season.leagueId);
+        const lineages = await this.db.all(`
+            SELECT DISTINCT lineage_id FROM seasons
+            WHERE lineage_id IS NOT NULL AND league_id IN (${registeredIds.map(() => '?').join(', ')})
+            ORDER BY lineage_id
+        `, registeredIds);
+
+        for (const { lineage_id: lineageId } of lineages) {
+            const season = (await this.getSeasonsByLineage(lineageId)).find(candidate => candidate.year === String(year));
+            if (season) return season;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get every season in a league lineage (the same league renewed each year)
+     * @param {string} lineageId - League ID of the lineage's earliest season
+     * @returns {Promise<Array>} Seasons in the lineage, newest first
+     */
+    async getSeasonsByLineage(lineageId) {
+        return this.db.all('SELECT * FROM seasons WHERE lineage_id = ? ORDER BY year DESC', [lineageId]);
     }
 
     /**
@@ -44,10 +82,16 @@ class SeasonsDb {
      * @param {string} season.year - Season year
      * @param {string} season.leagueId - Fantrax league ID
      * @param {string} [season.name] - League name
+     * @param {string} [season.format] - Scoring format ('h2h-points' or 'roto')
+     * @param {number} [season.regularSeasonPeriods] - Number of regular-season scoring periods
+     * @param {Object} [season.playoffs] - Playoff settings (ignored for a roto season)
+     * @param {number} [season.playoffs.teams] - Number of playoff teams
+     * @param {number} [season.playoffs.rounds] - Number of playoff rounds
+     * @param {string} [season.lineageId] - League ID of the earliest season in the same league lineage
      * @returns {Promise<Object>} The inserted or updated season
      */
     async upsertSeason(season) {
-        const { year, leagueId, name } = season;
+        const { year, leagueId, name, format, regularSeasonPeriods, playoffs = {}, lineageId } = season;
 
         // Validate required fields
         if (!year || !leagueId) {
@@ -59,18 +103,39 @@ class SeasonsDb {
             const existingSeason = await this.getSeasonByLeagueId(leagueId);
 
             if (existingSeason) {
-                // Update existing season
-                await this.db.run(
-                    'UPDATE seasons SET year = ?, name = ? WHERE league_id = ?',
-                    [year, name || existingSeason.name, leagueId]
-                );
+                // Update existing season; a roto season keeps no playoff settings
+                const isRoto = (format || existingSeason.format) === SEASON_FORMATS.ROTO;
+                await this.db.run(`
+                    UPDATE seasons
+                    SET year = ?, name = ?, format = ?,
+                        regular_season_periods = ?, playoff_teams = ?, playoff_rounds = ?,
+                        lineage_id = ?
+                    WHERE league_id = ?
+                `, [
+                    year,
+                    name || existingSeason.name,
+                    format || existingSeason.format,
+                    regularSeasonPeriods ?? existingSeason.regular_season_periods,
+                    isRoto ? null : playoffs.teams ?? existingSeason.playoff_teams,
+                    isRoto ? null : playoffs.rounds ?? existingSeason.playoff_rounds,
+                    lineageId || existingSeason.lineage_id,
+                    leagueId
+                ]);
                 return this.getSeasonByLeagueId(leagueId);
             } else {
                 // Insert new season
-                await this.db.run(
-                    'INSERT INTO seasons (year, league_id, name) VALUES (?, ?, ?)',
-                    [year, leagueId, name || null]
-                );
+                await this.db.run(`
+                    INSERT INTO seasons (
+                        year, league_id, name, format,
+                        regular_season_periods, playoff_teams, playoff_rounds, lineage_id
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    year, leagueId, name || null, format || SEASON_FORMATS.H2H_POINTS,
+                    regularSeasonPeriods ?? null,
+                    format === SEASON_FORMATS.ROTO ? null : playoffs.teams ?? null,
+                    format === SEASON_FORMATS.ROTO ? null : playoffs.rounds ?? null,
+                    lineageId || null
+                ]);
                 return this.getSeasonByLeagueId(leagueId);
             }
         });
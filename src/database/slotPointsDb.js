@@ -0,0 +1,91 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing reconstructed roster slot points and their checks in the database
+ */
+class SlotPointsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace a season's slot game points and hitting points checks
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} gamePoints - Per-game points ({ periodNumber, teamId, rosterId, playerId, gamePk, gameDate, points })
+     * @param {Array<Object>} checks - Team-period checks from reconstructPeriod
+     * @returns {Promise<Object>} Counts of saved game points and checks
+     */
+    async replaceSeasonSlotPoints(seasonId, gamePoints, checks) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM slot_game_points WHERE season_id = ?', [seasonId]);
+            await this.db.run('DELETE FROM hitting_points_checks WHERE season_id = ?', [seasonId]);
+
+            for (const game of gamePoints) {
+                await this.db.run(`
+                    INSERT INTO slot_game_points (
+                        season_id, period_number, team_id, roster_id, player_id, game_pk, game_date, points
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [seasonId, game.periodNumber, game.teamId, game.rosterId, game.playerId, game.gamePk, game.gameDate, game.points]);
+            }
+
+            for (const check of checks) {
+                await this.db.run(`
+                    INSERT INTO hitting_points_checks (
+                        season_id, period_number, team_id, computed_points, scraped_points, difference,
+                        active_hitters, unlinked_hitters, slot_mismatches, status
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, check.periodNumber, check.teamId, check.computedPoints, check.scrapedPoints, check.difference,
+                    check.activeHitters, check.unlinkedHitters, check.slotMismatches, check.status
+                ]);
+            }
+
+            return { games: gamePoints.length, checks: checks.length };
+        });
+    }
+
+    /**
+     * Get a season's hitting points checks
+     * @param {number} seasonId - Season ID
+     * @param {Object} options - Query options
+     * @param {boolean} options.problemsOnly - Only team-periods that didn't check out (default: false)
+     * @returns {Promise<Array>} Checks with team names, by period and team
+     */
+    async getChecksBySeason(seasonId, options = {}) {
+        const { problemsOnly = false } = options;
+
+        return this.db.all(`
+            SELECT c.*, t.name as team_name
+            FROM hitting_points_checks c
+            JOIN teams t ON c.team_id = t.id
+            WHERE c.season_id = ? ${problemsOnly ? "AND c.status != 'ok'" : ''}
+            ORDER BY c.period_number, t.name
+        `, [seasonId]);
+    }
+
+    /**
+     * Get each active hitter's reconstructed points for a team-period, next to what Fantrax showed
+     * @param {number} seasonId - Season ID
+     * @param {number} teamId - Team database ID
+     * @param {number} periodNumber - Period number
+     * @returns {Promise<Array>} One row per roster slot ({ roster_id, player_name, position_code, games, points, fantasy_points })
+     */
+    async getSlotTotals(seasonId, teamId, periodNumber) {
+        return this.db.all(`
+            SELECT r.id as roster_id, r.player_name, r.position_code, r.roster_slot, r.player_id,
+                   COUNT(sgp.id) as games, COALESCE(SUM(sgp.points), 0) as points, r.fantasy_points
+            FROM rosters r
+            LEFT JOIN slot_game_points sgp ON sgp.roster_id = r.id AND sgp.season_id = r.season_id
+            WHERE r.season_id = ? AND r.team_id = ? AND r.period_number = ?
+              AND r.is_active = 1 AND r.position_code NOT IN ('TmP', 'Res', 'IR')
+            GROUP BY r.id
+            ORDER BY r.position_code, r.roster_slot
+        `, [seasonId, teamId, periodNumber]);
+    }
+}
+
+module.exports = SlotPointsDb;
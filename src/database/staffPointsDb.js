@@ -0,0 +1,95 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing MLB pitching staff period points and their checks in the database
+ */
+class StaffPointsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace a season's staff period points and pitching points checks
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} staffPoints - Staff totals from reconstructStaffPeriod ({ periodNumber, mlbTeamId,
+     *   mlbTeamName, games, outs, wins, earnedRuns, hitsPlusWalks, strikeouts, points })
+     * @param {Array<Object>} checks - Team-period checks from reconstructStaffPeriod
+     * @returns {Promise<Object>} Counts of saved staff periods and checks
+     */
+    async replaceSeasonStaffPoints(seasonId, staffPoints, checks) {
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM staff_period_points WHERE season_id = ?', [seasonId]);
+            await this.db.run('DELETE FROM pitching_points_checks WHERE season_id = ?', [seasonId]);
+
+            for (const staff of staffPoints) {
+                await this.db.run(`
+                    INSERT INTO staff_period_points (
+                        season_id, period_number, mlb_team_id, mlb_team_name, games, outs,
+                        wins, earned_runs, hits_plus_walks, strikeouts, points
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, staff.periodNumber, staff.mlbTeamId, staff.mlbTeamName, staff.games, staff.outs,
+                    staff.wins, staff.earnedRuns, staff.hitsPlusWalks, staff.strikeouts, staff.points
+                ]);
+            }
+
+            for (const check of checks) {
+                await this.db.run(`
+                    INSERT INTO pitching_points_checks (
+                        season_id, period_number, team_id, computed_points, scraped_points, difference,
+                        active_staffs, unlinked_staffs, slot_mismatches, status
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, check.periodNumber, check.teamId, check.computedPoints, check.scrapedPoints, check.difference,
+                    check.activeStaffs, check.unlinkedStaffs, check.slotMismatches, check.status
+                ]);
+            }
+
+            return { staffs: staffPoints.length, checks: checks.length };
+        });
+    }
+
+    /**
+     * Get a season's staff period points
+     * @param {number} seasonId - Season ID
+     * @param {Object} options - Query options
+     * @param {number} options.periodNumber - Only this period
+     * @returns {Promise<Array>} Staff periods, by period and points (best first)
+     */
+    async getStaffPointsBySeason(seasonId, options = {}) {
+        const { periodNumber = null } = options;
+        const params = [seasonId];
+        if (periodNumber !== null) params.push(periodNumber);
+
+        return this.db.all(`
+            SELECT * FROM staff_period_points
+            WHERE season_id = ? ${periodNumber !== null ? 'AND period_number = ?' : ''}
+            ORDER BY period_number, points DESC
+        `, params);
+    }
+
+    /**
+     * Get a season's pitching points checks
+     * @param {number} seasonId - Season ID
+     * @param {Object} options - Query options
+     * @param {boolean} options.problemsOnly - Only team-periods that didn't check out (default: false)
+     * @returns {Promise<Array>} Checks with team names, by period and team
+     */
+    async getChecksBySeason(seasonId, options = {}) {
+        const { problemsOnly = false } = options;
+
+        return this.db.all(`
+            SELECT c.*, t.name as team_name
+            FROM pitching_points_checks c
+            JOIN teams t ON c.team_id = t.id
+            WHERE c.season_id = ? ${problemsOnly ? "AND c.status != 'ok'" : ''}
+            ORDER BY c.period_number, t.name
+        `, [seasonId]);
+    }
+}
+
+module.exports = StaffPointsDb;
@@ -0,0 +1,106 @@
+const { withTransaction } = require('../utils/database');
+
+/**
+ * Functions for managing the league transaction log (scraped from Fantrax's transaction history) in the database
+ */
+class TransactionsDb {
+    /**
+     * Initialize with a database connection
+     * @param {sqlite.Database} db - SQLite database connection
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Replace every transaction of a season
+     * The history page lists the whole season's log, so each scrape replaces the last one. An empty log
+     * (usually a page that didn't load or changed layout) never replaces a saved one
+     * @param {number} seasonId - Season ID
+     * @param {Array<Object>} transactions - Transactions with database team IDs ({ transactionType, teamId, playerName, ... })
+     * @returns {Promise<number>} Number of transactions saved
+     */
+    async replaceSeasonTransactions(seasonId, transactions) {
+        if (transactions.length === 0) {
+            console.warn(`No transactions to save for season ID ${seasonId}; keeping the saved transaction log`);
+            return 0;
+        }
+
+        return withTransaction(this.db, async () => {
+            await this.db.run('DELETE FROM transactions WHERE season_id = ?', [seasonId]);
+
+            for (const transaction of transactions) {
+                await this.db.run(`
+                    INSERT INTO transactions (
+                        season_id, transaction_type, is_commissioner, transaction_date, date_text,
+                        period_number, team_id, other_team_id, player_name, fantrax_player_id, faab_bid
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    seasonId, transaction.transactionType, transaction.isCommissioner ? 1 : 0,
+                    transaction.transactionDate || null, transaction.dateText || null,
+                    transaction.periodNumber || null, transaction.teamId, transaction.otherTeamId || null,
+                    transaction.playerName, transaction.fantraxPlayerId || null,
+                    transaction.faabBid === undefined ? null : transaction.faabBid
+                ]);
+            }
+
+            return transactions.length;
+        });
+    }
+
+    /**
+     * Get every transaction of a season
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} Transactions with team names, in date order
+     */
+    async getTransactionsBySeason(seasonId) {
+        return this.db.all(`
+            SELECT tx.*, t.name as team_name, other.name as other_team_name
+            FROM transactions tx
+            JOIN teams t ON tx.team_id = t.id
+            LEFT JOIN teams other ON tx.other_team_id = other.id
+            WHERE tx.season_id = ?
+            ORDER BY tx.transaction_date, tx.id
+        `, [seasonId]);
+    }
+
+    /**
+     * Get a player's transactions, matched to rosters by Fantrax player ID
+     * @param {string} fantraxPlayerId - Fantrax player ID (as in rosters.fantrax_player_id)
+     * @returns {Promise<Array>} Transactions across every season, in date order
+     */
+    async getTransactionsByPlayer(fantraxPlayerId) {
+        return this.db.all(`
+            SELECT tx.*, s.year, t.name as team_name, other.name as other_team_name
+            FROM transactions tx
+            JOIN seasons s ON tx.season_id = s.id
+            JOIN teams t ON tx.team_id = t.id
+            LEFT JOIN teams other ON tx.other_team_id = other.id
+            WHERE tx.fantrax_player_id = ?
+            ORDER BY s.year, tx.transaction_date, tx.id
+        `, [fantraxPlayerId]);
+    }
+
+    /**
+     * Count each team's transactions and FAAB spend
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array>} One row per team, busiest team first
+     */
+    async getTransactionCountsByTeam(seasonId) {
+        return this.db.all(`
+            SELECT t.name as team_name,
+                   SUM(tx.transaction_type = 'claim') as claims,
+                   SUM(tx.transaction_type = 'drop') as drops,
+                   SUM(tx.transaction_type = 'trade') as trades_received,
+                   SUM(tx.is_commissioner) as commissioner_moves,
+                   COALESCE(SUM(tx.faab_bid), 0) as faab_spent
+            FROM transactions tx
+            JOIN teams t ON tx.team_id = t.id
+            WHERE tx.season_id = ?
+            GROUP BY tx.team_id
+            ORDER BY claims + drops DESC, t.name
+        `, [seasonId]);
+    }
+}
+
+module.exports = TransactionsDb;
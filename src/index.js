@@ -4,25 +4,22 @@ const { authenticateFantrax } = require('./auth');
 const { scrapeSchedule } = require('./scrapers/schedule');
 const { scrapeStandings } = require('./scrapers/standings');
 const { scrapeSeasonStats } = require('./scrapers/season-stats');
-const { scrapeLeagueRosters } = require('./scrapers/rosters');
+const { scrapeLeagueRosters, reportRosterCoverage } = require('./scrapers/rosters');
+const { scrapeMatchupResults } = require('./scrapers/matchups');
+const { scrapeTransactions } = require('./scrapers/transactions');
+const { scrapeDraftResults } = require('./scrapers/draft');
+const { scrapeScoringRules } = require('./scrapers/scoring-rules');
+const { discoverLeagues } = require('./scrapers/leagues');
 const dbService = require('./database');
+const { getSeasons, getSeasonConfig } = require('./utils/seasons');
 
 // Configuration
 const USERNAME = process.env.FANTRAX_USERNAME;
 const PASSWORD = process.env.FANTRAX_PASSWORD;
 
-// League IDs for each season
+// League IDs for each season come from the season registry (src/config/seasons.json)
 // Each season in Fantrax has its own unique league ID
-const SEASONS = [
-    { year: '2024', leagueId: '413usx30ls6bwvoj' },
-    { year: '2023', leagueId: 'fa79oxi9ld3k0iqz' },
-    { year: '2022', leagueId: '13e6yr1okxw9m4bb' },
-    { year: '2021', leagueId: 'kcog4xfdkl9q0rs8' },
-    { year: '2020', leagueId: 'o4x7hu98k6fgewdh' },
-    { year: '2019', leagueId: 'qlf1p1hnjow4nx9t' },
-    { year: '2018', leagueId: 'u6yaky2bjcplrw14' },
-    { year: '2017', leagueId: 'apl5cn2ciyuis67t' }
-];
+const SEASONS = getSeasons();
 
 // Select which seasons to scrape
 // Set to empty array to scrape all seasons
@@ -31,44 +28,57 @@ const YEARS_TO_SCRAPE = ['2024', '2023', '2022']; // Example: only scrape 2024 a
 
 // Choose which data types to scrape
 const DATA_TYPES = {
+    DISCOVER_LEAGUES: false, // Add seasons found on the Fantrax account that aren't stored yet
     SCHEDULE: false,      // Scrape schedule data
+    MATCHUP_RESULTS: false, // Scrape final matchup scores (requires schedule data)
     STANDINGS: false,     // Scrape standings data
     SEASON_STATS: false,  // Scrape season stats data
+    TRANSACTIONS: false,  // Scrape the transaction history (claims, drops, trades)
+    DRAFT: false,         // Scrape the draft board
+    SCORING_RULES: false, // Scrape the league scoring settings
     ROSTERS: true,        // Scrape roster data
     ROSTER_OPTIONS: {     // Roster scraping options
-        startPeriod: 23,   // Start from this period (set to 1 to start from beginning)
+        startPeriod: 1,    // Start from this period (set to 1 to start from beginning)
         // endPeriod: 8,     // End at this period (comment out to use maxPeriods)
-        maxPeriods: 10    // Maximum number of periods to scrape (ignored if endPeriod is set)
+        // maxPeriods: 10,   // Maximum number of periods to scrape (ignored if endPeriod is set)
+        resume: true,      // Skip team periods already scraped (see the scrape_jobs table)
+        concurrency: 3,    // Roster pages loaded at once
+        requestInterval: 2000 // Minimum milliseconds between page loads across all pages
     }
 };
 
-// Filter seasons based on YEARS_TO_SCRAPE
-const seasonsToScrape = YEARS_TO_SCRAPE.length > 0
-    ? SEASONS.filter(season => YEARS_TO_SCRAPE.includes(season.year))
-    : SEASONS;
-
 /**
  * Main function to run the scraper
+ * @param {Object} options - Scraping options
+ * @param {Array<string>} options.years - Season years to scrape, empty for all seasons (default: YEARS_TO_SCRAPE)
+ * @param {Object} options.dataTypes - Data types to scrape, same shape as DATA_TYPES (default: DATA_TYPES)
+ * @param {boolean} options.allLeagues - Save every discovered league, not just this league's seasons (default: false)
+ * @returns {Promise<void>} Rejects if authentication or any data type fails
  */
-async function main() {
+async function main(options = {}) {
+    const {
+        years = YEARS_TO_SCRAPE,
+        dataTypes = DATA_TYPES,
+        allLeagues = false
+    } = options;
+
     // Validate credentials
     if (!USERNAME || !PASSWORD) {
         console.error('Error: Fantrax credentials are required.');
         console.error('Please set FANTRAX_USERNAME and FANTRAX_PASSWORD in your .env file.');
-        process.exit(1);
+        throw new Error('Missing Fantrax credentials');
     }
 
-    console.log(`Starting Fantrax data scraper for ${seasonsToScrape.length} season(s)...`);
-    console.log('Seasons to scrape:', seasonsToScrape.map(s => s.year).join(', '));
     console.log('Data types to scrape:',
-        Object.entries(DATA_TYPES)
-            .filter(([_, enabled]) => enabled)
+        Object.entries(dataTypes)
+            .filter(([type, enabled]) => type !== 'ROSTER_OPTIONS' && enabled)
             .map(([type]) => type)
             .join(', ')
     );
 
     let browser;
     let page;
+    const failures = [];
 
     try {
         // Initialize database
@@ -86,6 +96,30 @@ async function main() {
             throw new Error('Authentication failed. Please check your credentials.');
         }
 
+        // Find seasons on the account that aren't stored yet
+        if (dataTypes.DISCOVER_LEAGUES && !await processLeagueDiscovery(page, allLeagues)) {
+            failures.push('league discovery');
+        }
+
+        // Registered seasons plus any found by discovery
+        const knownSeasons = await getKnownSeasons();
+
+        // Validate requested seasons
+        const unknownYears = years.filter(year => !knownSeasons.some(season => season.year === year));
+        if (unknownYears.length > 0) {
+            throw new Error(`Unknown season(s): ${unknownYears.join(', ')}. Add them to src/config/seasons.json or run league discovery.`);
+        }
+
+        // Filter seasons based on the requested years
+        const scrapesSeasonData = ['SCHEDULE', 'MATCHUP_RESULTS', 'STANDINGS', 'SEASON_STATS', 'TRANSACTIONS', 'DRAFT', 'SCORING_RULES', 'ROSTERS']
+            .some(type => dataTypes[type]);
+        const seasonsToScrape = !scrapesSeasonData
+            ? []
+            : (years.length > 0 ? knownSeasons.filter(season => years.includes(season.year)) : knownSeasons);
+
+        console.log(`Starting Fantrax data scraper for ${seasonsToScrape.length} season(s)...`);
+        console.log('Seasons to scrape:', seasonsToScrape.map(s => s.year).join(', '));
+
         // Process each season
         for (const season of seasonsToScrape) {
             console.log(`\n=== Processing season: ${season.year} (League ID: ${season.leagueId}) ===\n`);
@@ -95,30 +129,64 @@ async function main() {
             const seasonId = dbSeason.id;
 
             // Scrape and save schedule data
-            if (DATA_TYPES.SCHEDULE) {
-                await processScheduleData(page, season, seasonId);
+            if (dataTypes.SCHEDULE && !await processScheduleData(page, season, seasonId)) {
+                failures.push(`${season.year} schedule`);
+            }
+
+            // Scrape and save matchup results
+            if (dataTypes.MATCHUP_RESULTS && !await processMatchupResultsData(page, season, seasonId)) {
+                failures.push(`${season.year} matchup results`);
             }
 
             // Scrape and save standings data
-            if (DATA_TYPES.STANDINGS) {
-                await processStandingsData(page, season, seasonId);
+            if (dataTypes.STANDINGS && !await processStandingsData(page, season, seasonId)) {
+                failures.push(`${season.year} standings`);
             }
 
             // Scrape and save season stats data
-            if (DATA_TYPES.SEASON_STATS) {
-                await processSeasonStatsData(page, season, seasonId);
+            if (dataTypes.SEASON_STATS && !await processSeasonStatsData(page, season, seasonId)) {
+                failures.push(`${season.year} season stats`);
+            }
+
+            // Scrape and save the transaction history
+            if (dataTypes.TRANSACTIONS && !await processTransactionsData(page, season, seasonId)) {
+                failures.push(`${season.year} transactions`);
+            }
+
+            // Scrape and save the draft board
+            if (dataTypes.DRAFT && !await processDraftData(page, season, seasonId)) {
+                failures.push(`${season.year} draft`);
+            }
+
+            // Scrape and save the scoring rules
+            if (dataTypes.SCORING_RULES && !await processScoringRulesData(page, season, seasonId)) {
+                failures.push(`${season.year} scoring rules`);
             }
 
             // Scrape and save roster data
-            if (DATA_TYPES.ROSTERS) {
-                await processRosterData(page, season, seasonId, DATA_TYPES.ROSTER_OPTIONS);
+            if (dataTypes.ROSTERS && !await processRosterData(page, season, seasonId, dataTypes.ROSTER_OPTIONS)) {
+                failures.push(`${season.year} rosters`);
+            }
+        }
+
+        // Show which team periods are still missing so a resumed run can fill them in
+        if (dataTypes.ROSTERS && seasonsToScrape.length > 0) {
+            console.log('\n=== Roster coverage ===');
+            for (const season of seasonsToScrape) {
+                const dbSeason = await dbService.seasons.getSeasonByLeagueId(season.leagueId);
+                await reportRosterCoverage(dbService, dbSeason);
             }
         }
 
+        if (failures.length > 0) {
+            throw new Error(`Scraping failed for: ${failures.join(', ')}`);
+        }
+
         console.log('\n=== All scraping tasks completed successfully! ===\n');
 
     } catch (error) {
         console.error('Error during scraping:', error);
+        throw error;
     } finally {
         // Close the browser
         if (browser) {
@@ -131,6 +199,63 @@ async function main() {
     }
 }
 
+/**
+ * Get every season that can be scraped: the registry plus stored seasons found by league discovery
+ * One season per year, so a year is never scraped twice: the registered season, or for a year that was only
+ * discovered, the one getSeasonByYear picks from the registered league's lineage (other leagues are left out)
+ * @returns {Promise<Array>} Seasons ({ year, leagueId }), newest first
+ */
+async function getKnownSeasons() {
+    const storedSeasons = await dbService.seasons.getAllSeasons();
+
+    const seasons = [...SEASONS];
+    const years = new Set(seasons.map(season => season.year));
+
+    for (const stored of storedSeasons) {
+        if (years.has(stored.year)) continue;
+        years.add(stored.year);
+
+        const season = await dbService.seasons.getSeasonByYear(stored.year);
+        if (season) {
+            seasons.push({ year: season.year, leagueId: season.league_id });
+        }
+    }
+
+    const leftOut = storedSeasons.filter(stored => !seasons.some(season => season.leagueId === stored.league_id));
+    if (leftOut.length > 0) {
+        console.warn(`Leaving out ${leftOut.length} stored seasons from other leagues: ${leftOut.map(stored => `${stored.year} (${stored.league_id})`).join(', ')}`);
+    }
+
+    return seasons.sort((a, b) => parseInt(b.year) - parseInt(a.year));
+}
+
+/**
+ * Discover the account's leagues and save any missing seasons
+ * @param {Page} page - Puppeteer page object
+ * @param {boolean} allLeagues - Save every discovered league, not just this league's seasons
+ * @returns {Promise<boolean>} False if discovery failed
+ */
+async function processLeagueDiscovery(page, allLeagues) {
+    console.log('Discovering leagues on the Fantrax account...');
+    try {
+        const leagues = await discoverLeagues(page);
+
+        if (leagues.length === 0) {
+            console.warn('No leagues found on the Fantrax account');
+            return true;
+        }
+
+        const result = await dbService.saveDiscoveredLeagues(leagues, { allLeagues });
+        console.log(`League discovery complete: ${result.added} seasons added, ${result.linked} linked to their lineage`);
+
+    } catch (error) {
+        console.error('Error discovering leagues:', error.message);
+        return false;
+    }
+
+    return true;
+}
+
 /**
  * Ensures a season exists in the database and returns it
  * @param {string} year - Season year
@@ -142,8 +267,10 @@ async function ensureSeasonExists(year, leagueId) {
     let season = await dbService.seasons.getSeasonByLeagueId(leagueId);
 
     if (!season) {
-        // Create new season
+        // Create new season with its registry settings
+        const config = getSeasonConfig(year);
         season = await dbService.seasons.upsertSeason({
+            ...(config && config.leagueId === leagueId ? config : {}),
             year,
             leagueId,
             name: `${year} Season`
@@ -161,6 +288,7 @@ async function ensureSeasonExists(year, leagueId) {
  * @param {Page} page - Puppeteer page object
  * @param {Object} season - Season object
  * @param {number} seasonId - Season database ID
+ * @returns {Promise<boolean>} False if processing failed
  */
 async function processScheduleData(page, season, seasonId) {
     console.log(`Scraping schedule for ${season.year} season...`);
@@ -169,7 +297,7 @@ async function processScheduleData(page, season, seasonId) {
 
         if (scheduleData.length === 0) {
             console.warn(`No schedule data found for ${season.year} season`);
-            return;
+            return true;
         }
 
         // Save schedule data to database
@@ -181,11 +309,79 @@ async function processScheduleData(page, season, seasonId) {
         );
 
         console.log(`Database update complete for ${season.year} schedule`);
-        console.log(`Saved ${result.teams} teams and ${result.matchups} matchups`);
+        console.log(`Saved ${result.teams} teams, ${result.matchups} matchups and ${result.periods} periods`);
 
     } catch (error) {
         console.error(`Error processing schedule for ${season.year} season:`, error.message);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Process matchup results for every scheduled period of a season
+ * A failed period doesn't stop the others, but still fails the season
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} season - Season object
+ * @param {number} seasonId - Season database ID
+ * @returns {Promise<boolean>} False if processing failed for the season or any of its periods
+ */
+async function processMatchupResultsData(page, season, seasonId) {
+    console.log(`Scraping matchup results for ${season.year} season...`);
+    try {
+        const schedule = await dbService.schedule.getScheduleBySeason(seasonId);
+
+        if (schedule.length === 0) {
+            console.warn(`No schedule data found for ${season.year} season. Please scrape schedule data first.`);
+            return true;
+        }
+
+        // Every period that has at least one scheduled matchup
+        const periods = [...new Set(schedule.map(entry => entry.period_number))]
+            .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+        let totalSaved = 0;
+        let totalSkipped = 0;
+        const failedPeriods = [];
+
+        for (const period of periods) {
+            try {
+                const results = await scrapeMatchupResults(page, season.leagueId, period);
+
+                if (results.length === 0) {
+                    console.warn(`No matchup results found for period ${period}`);
+                    continue;
+                }
+
+                const { saved, skipped } = await dbService.saveMatchupResults(results, seasonId);
+                totalSaved += saved;
+                totalSkipped += skipped;
+                console.log(`Saved ${saved} matchup results for period ${period}`);
+            } catch (periodError) {
+                console.error(`Error processing matchup results for period ${period}:`, periodError.message);
+                failedPeriods.push(period);
+            }
+
+            // Brief pause between requests to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+
+        console.log(`Database update complete for ${season.year} matchup results`);
+        console.log(`Saved ${totalSaved} matchup results (${totalSkipped} skipped)`);
+
+        // The other periods are saved, but the season's results are incomplete
+        if (failedPeriods.length > 0) {
+            console.error(`Matchup results failed for ${failedPeriods.length} of ${periods.length} periods: ${failedPeriods.join(', ')}`);
+            return false;
+        }
+
+    } catch (error) {
+        console.error(`Error processing matchup results for ${season.year} season:`, error.message);
+        return false;
     }
+
+    return true;
 }
 
 /**
@@ -193,6 +389,7 @@ async function processScheduleData(page, season, seasonId) {
  * @param {Page} page - Puppeteer page object
  * @param {Object} season - Season object
  * @param {number} seasonId - Season database ID
+ * @returns {Promise<boolean>} False if processing failed
  */
 async function processStandingsData(page, season, seasonId) {
     console.log(`Scraping standings for ${season.year} season...`);
@@ -201,7 +398,7 @@ async function processStandingsData(page, season, seasonId) {
 
         if (standingsData.length === 0) {
             console.warn(`No standings data found for ${season.year} season`);
-            return;
+            return true;
         }
 
         // Save standings data to database
@@ -213,7 +410,10 @@ async function processStandingsData(page, season, seasonId) {
 
     } catch (error) {
         console.error(`Error processing standings for ${season.year} season:`, error.message);
+        return false;
     }
+
+    return true;
 }
 
 /**
@@ -221,6 +421,7 @@ async function processStandingsData(page, season, seasonId) {
  * @param {Page} page - Puppeteer page object
  * @param {Object} season - Season object
  * @param {number} seasonId - Season database ID
+ * @returns {Promise<boolean>} False if processing failed
  */
 async function processSeasonStatsData(page, season, seasonId) {
     console.log(`Scraping season stats for ${season.year} season...`);
@@ -229,7 +430,7 @@ async function processSeasonStatsData(page, season, seasonId) {
 
         if (!statsData.seasonStats || statsData.seasonStats.length === 0) {
             console.warn(`No season stats data found for ${season.year} season`);
-            return;
+            return true;
         }
 
         // Save season stats data to database
@@ -242,7 +443,105 @@ async function processSeasonStatsData(page, season, seasonId) {
 
     } catch (error) {
         console.error(`Error processing season stats for ${season.year} season:`, error.message);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Process the transaction history for a season
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} season - Season object
+ * @param {number} seasonId - Season database ID
+ * @returns {Promise<boolean>} False if processing failed
+ */
+async function processTransactionsData(page, season, seasonId) {
+    console.log(`Scraping transaction history for ${season.year} season...`);
+    try {
+        const transactions = await scrapeTransactions(page, season.leagueId, season.year);
+
+        if (transactions.length === 0) {
+            console.warn(`No transactions found for ${season.year} season`);
+            return true;
+        }
+
+        // Save transactions to database
+        console.log(`Saving ${transactions.length} transactions to database...`);
+        const { saved, skipped } = await dbService.saveTransactionsData(transactions, seasonId);
+
+        console.log(`Database update complete for ${season.year} transactions`);
+        console.log(`Saved ${saved} transactions (${skipped} skipped)`);
+
+    } catch (error) {
+        console.error(`Error processing transactions for ${season.year} season:`, error.message);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Process the draft board for a season
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} season - Season object
+ * @param {number} seasonId - Season database ID
+ * @returns {Promise<boolean>} False if processing failed
+ */
+async function processDraftData(page, season, seasonId) {
+    console.log(`Scraping draft results for ${season.year} season...`);
+    try {
+        const picks = await scrapeDraftResults(page, season.leagueId);
+
+        if (picks.length === 0) {
+            console.warn(`No draft picks found for ${season.year} season`);
+            return true;
+        }
+
+        // Save draft picks to database
+        console.log(`Saving ${picks.length} draft picks to database...`);
+        const { saved, skipped } = await dbService.saveDraftData(picks, seasonId);
+
+        console.log(`Database update complete for ${season.year} draft`);
+        console.log(`Saved ${saved} draft picks (${skipped} skipped)`);
+
+    } catch (error) {
+        console.error(`Error processing draft results for ${season.year} season:`, error.message);
+        return false;
     }
+
+    return true;
+}
+
+/**
+ * Process the scoring rules for a season
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} season - Season object
+ * @param {number} seasonId - Season database ID
+ * @returns {Promise<boolean>} False if processing failed
+ */
+async function processScoringRulesData(page, season, seasonId) {
+    console.log(`Scraping scoring rules for ${season.year} season...`);
+    try {
+        const rules = await scrapeScoringRules(page, season.leagueId);
+
+        if (rules.length === 0) {
+            console.warn(`No scoring rules found for ${season.year} season`);
+            return true;
+        }
+
+        // Save scoring rules to database
+        const saved = await dbService.saveScoringRules(rules, seasonId);
+
+        console.log(`Database update complete for ${season.year} scoring rules`);
+        console.log(`Saved ${saved} scoring rules`);
+
+    } catch (error) {
+        console.error(`Error processing scoring rules for ${season.year} season:`, error.message);
+        return false;
+    }
+
+    return true;
 }
 
 /**
@@ -254,14 +553,23 @@ async function processSeasonStatsData(page, season, seasonId) {
  * @param {number} options.startPeriod - Period to start scraping from (default: 1)
  * @param {number} options.endPeriod - Period to stop scraping at
  * @param {number} options.maxPeriods - Maximum number of periods to scrape
+ * @param {boolean} options.resume - Only scrape team periods that are missing or failed
+ * @param {number} options.concurrency - Number of roster pages loaded at once
+ * @param {number} options.requestInterval - Minimum milliseconds between page loads
+ * @returns {Promise<boolean>} False if processing failed
  */
 async function processRosterData(page, season, seasonId, options = {}) {
-    const { startPeriod = 1, endPeriod = null, maxPeriods = null } = options;
+    const {
+        startPeriod = 1, endPeriod = null, maxPeriods = null, resume = false,
+        concurrency, requestInterval
+    } = options;
 
     const optionsDesc = [];
     if (startPeriod > 1) optionsDesc.push(`starting from period ${startPeriod}`);
     if (endPeriod) optionsDesc.push(`ending at period ${endPeriod}`);
     if (maxPeriods) optionsDesc.push(`max ${maxPeriods} periods`);
+    if (resume) optionsDesc.push('resuming');
+    if (concurrency) optionsDesc.push(`${concurrency} pages at once`);
 
     const optionsStr = optionsDesc.length > 0 ? ` (${optionsDesc.join(', ')})` : '';
     console.log(`Scraping rosters for ${season.year} season${optionsStr}...`);
@@ -272,7 +580,7 @@ async function processRosterData(page, season, seasonId, options = {}) {
 
         if (teams.length === 0) {
             console.warn(`No teams found for ${season.year} season, skipping roster scraping`);
-            return;
+            return true;
         }
 
         // Check if schedule data exists
@@ -283,7 +591,7 @@ async function processRosterData(page, season, seasonId, options = {}) {
 
         if (scheduleCount.count === 0) {
             console.warn(`No schedule data found for ${season.year} season. Please scrape schedule data first.`);
-            return;
+            return true;
         }
 
         // Use the improved scraper that leverages existing schedule data
@@ -294,12 +602,12 @@ async function processRosterData(page, season, seasonId, options = {}) {
             teams,
             dbService,
             seasonId,
-            { startPeriod, endPeriod, maxPeriods }
+            { startPeriod, endPeriod, maxPeriods, resume, concurrency, requestInterval }
         );
 
         if (rosterData.length === 0) {
             console.warn(`No roster data found for ${season.year} season`);
-            return;
+            return true;
         }
 
         console.log(`Scraping complete for ${season.year} rosters`);
@@ -307,7 +615,10 @@ async function processRosterData(page, season, seasonId, options = {}) {
 
     } catch (error) {
         console.error(`Error processing rosters for ${season.year} season:`, error.message);
+        return false;
     }
+
+    return true;
 }
 
 /**
@@ -413,6 +724,7 @@ if (require.main === module) {
 
 module.exports = {
     main,
+    SEASONS,
     getScheduleForSeason,
     getStandingsForSeason,
     getStatsForSeason
@@ -0,0 +1,83 @@
+const { loadHtml, cellText, getTeamId, getPlayerId } = require('./html');
+const { normalizePlayerName } = require('./roster');
+
+/**
+ * Parses the draft results table from a saved draft results page
+ * Columns are found by header (Rd, Pick, Ov Pick, Pos, Team); picks without an overall number
+ * are numbered in page order
+ * @param {string} html - Draft results page HTML
+ * @returns {Array<Object>} Picks ({ round, pick, overallPick, teamId, teamName, playerName, fantraxPlayerId, position, isKeeper })
+ */
+function parseDraftResults(html) {
+    const $ = loadHtml(html);
+    const picks = [];
+
+    const table = $('.ultimate-table').first();
+    const playerRows = table.find('section > aside > td').toArray();
+    const dataRows = table.find('section > div > table > tr').toArray();
+
+    if (playerRows.length === 0) {
+        console.warn('No player rows found in draft results table');
+        return picks;
+    }
+
+    const headers = table.find('header ._ut__head th').toArray().map(th => cellText($(th)).toLowerCase());
+    const findColumn = (...names) => headers.findIndex(header => names.some(name => header.startsWith(name)));
+    const columns = {
+        round: findColumn('rd', 'round'),
+        pick: findColumn('pick', 'pk'),
+        overall: findColumn('ov', 'overall'),
+        position: findColumn('pos'),
+        team: findColumn('team', 'fantasy team', 'owner')
+    };
+
+    playerRows.forEach((row, i) => {
+        try {
+            const playerLink = $(row).find('.scorer__info__name a').first();
+            const nameText = cellText(playerLink) || cellText($(row).find('.scorer__info__name').first());
+            const playerName = nameText.replace(/\s*\(K\)$/, '');
+            if (!playerName) return;
+
+            const cells = dataRows[i] ? $(dataRows[i]).children('td').toArray() : [];
+            const textAt = (index) => (index === -1 || !cells[index] ? '' : cellText($(cells[index])));
+
+            // The team link may sit in the Team column or anywhere else in the row
+            const teamCell = columns.team !== -1 && cells[columns.team] ? $(cells[columns.team]) : $(dataRows[i]);
+            const teamLink = teamCell.find('a[href*="teamId="]').first();
+            const teamId = getTeamId(teamLink.attr('href'));
+            if (!teamId) {
+                console.warn(`No fantasy team found for draft pick ${i + 1} (${playerName})`);
+                return;
+            }
+
+            const round = parseInt(textAt(columns.round), 10);
+            const pick = parseInt(textAt(columns.pick), 10);
+            const overallPick = parseInt(textAt(columns.overall), 10);
+
+            // Keepers are marked with "(K)" after the name or a keeper label or class somewhere in the row
+            const rowHtml = `${$.html(row)} ${dataRows[i] ? $.html(dataRows[i]) : ''}`;
+            const isKeeper = /keeper/i.test(rowHtml) || nameText !== playerName;
+
+            picks.push({
+                round: Number.isNaN(round) ? null : round,
+                pick: Number.isNaN(pick) ? null : pick,
+                overallPick: Number.isNaN(overallPick) ? picks.length + 1 : overallPick,
+                teamId,
+                teamName: cellText(teamLink),
+                playerName,
+                playerNameNormalized: normalizePlayerName(playerName),
+                fantraxPlayerId: getPlayerId(playerLink.attr('href')),
+                position: textAt(columns.position) || null,
+                isKeeper
+            });
+        } catch (error) {
+            console.error(`Error processing draft pick row ${i}:`, error.message);
+        }
+    });
+
+    return picks;
+}
+
+module.exports = {
+    parseDraftResults
+};
@@ -0,0 +1,95 @@
+const cheerio = require('cheerio');
+
+// Month abbreviations as Fantrax prints them in dates
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Load saved page HTML for parsing
+ * Uses htmlparser2 rather than the default HTML5 parser: Fantrax's ultimate tables put
+ * <td> cells straight inside <aside> and <tr> rows straight inside <table>, which the
+ * HTML5 parser would drop or rewrap, breaking the selectors the scrapers rely on
+ * @param {string} html - Full page HTML (e.g. from page.content())
+ * @returns {CheerioAPI} Cheerio root
+ */
+function loadHtml(html) {
+    return cheerio.load(html, { xml: { xmlMode: false, decodeEntities: true } });
+}
+
+/**
+ * Get the trimmed text of an element
+ * @param {Cheerio} element - Cheerio selection
+ * @returns {string} Trimmed text, or an empty string if the element is missing
+ */
+function cellText(element) {
+    if (!element || element.length === 0) return '';
+    return element.text().trim();
+}
+
+/**
+ * Parse a number that may contain thousands separators (e.g. "5,194")
+ * @param {string} text - Cell text
+ * @returns {number} Parsed number, or 0 if the text isn't numeric
+ */
+function parseNumeric(text) {
+    if (!text) return 0;
+    return parseFloat(text.trim().replace(/,/g, '')) || 0;
+}
+
+/**
+ * Extract the Fantrax team ID from a team link
+ * @param {string} href - Link href (e.g. ".../team/roster;teamId=6f7fk89sls6bwvon")
+ * @returns {string|null} Team ID or null if the link has none
+ */
+function getTeamId(href) {
+    const match = (href || '').match(/teamId=([^&;]+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract the Fantrax player ID from a player link
+ * @param {string} href - Link href (e.g. "/player/04mqh;season=2024")
+ * @returns {string|null} Player ID or null if the link has none
+ */
+function getPlayerId(href) {
+    const match = (href || '').match(/player\/([^\/;]+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract the Fantrax player ID from a player headshot URL
+ * Roster pages show players without a link, but their headshots are named after the player ID
+ * @param {string} style - Style or URL holding the headshot (e.g. "url(.../headshots/MLB/hs01t9q_96_13.png)")
+ * @returns {string|null} Player ID or null if there's no headshot
+ */
+function getHeadshotPlayerId(style) {
+    const match = (style || '').match(/\/headshots\/[A-Z]+\/hs([a-z0-9]+)_/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Parse a Fantrax date into YYYY-MM-DD
+ * Fantrax prints dates like "Sat Apr 13, 2024" (sometimes followed by a time); some pages leave the year out
+ * @param {string} text - Text containing the date
+ * @param {string|number} year - Year to use when the text has none
+ * @returns {string|null} ISO date, or null if the text isn't a date
+ */
+function parseDate(text, year) {
+    const match = (text || '').match(/\b([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?/);
+    if (!match) return null;
+
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    const dateYear = match[3] || year;
+    if (month === 0 || !dateYear) return null;
+
+    return `${dateYear}-${String(month).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+module.exports = {
+    loadHtml,
+    cellText,
+    parseNumeric,
+    getTeamId,
+    getPlayerId,
+    getHeadshotPlayerId,
+    parseDate
+};
@@ -0,0 +1,178 @@
+const { loadHtml, cellText, getTeamId } = require('./html');
+
+// Matchup containers on the live scoring page, most specific first
+const MATCHUP_SELECTORS = [
+    '.livescoring-matchup',
+    '.scoreboard__matchup',
+    'livescoring-matchup',
+    '[class*="matchup"]'
+];
+
+// Elements that can hold a team's score
+const SCORE_SELECTOR = '.score, [class*="score"], [class*="points"], b';
+
+// A score is the whole text of its element ("212.5", "1,016.25"), never part of a name or record
+const SCORE_PATTERN = /^-?[\d,]*\.?\d+$/;
+
+/**
+ * Parses the final matchup scores from a saved live scoring page
+ * Each team's score and hitting/pitching subtotals are read from that team's own block of the matchup,
+ * so a block without a score leaves the matchup out instead of borrowing the other team's
+ * @param {string} html - Live scoring page HTML
+ * @param {number|string} period - Scoring period the page shows
+ * @returns {Array} - Matchup results ({ periodNumber, awayTeamId, awayScore, homeTeamId, homeScore, ... })
+ */
+function parseMatchupResults(html, period) {
+    const $ = loadHtml(html);
+    const matchups = [];
+
+    const containers = findMatchupContainers($);
+    if (containers.length === 0) {
+        console.error('Could not find matchup containers');
+        return matchups;
+    }
+
+    const seen = new Set();
+
+    containers.forEach((container, i) => {
+        try {
+            // Keep the first link for each team, in page order (away team first)
+            const teamLinks = [];
+            $(container).find('a[href*="teamId="]').toArray().forEach(link => {
+                const teamId = getTeamId($(link).attr('href'));
+                if (teamId && !teamLinks.some(other => getTeamId($(other).attr('href')) === teamId)) {
+                    teamLinks.push(link);
+                }
+            });
+
+            if (teamLinks.length !== 2) return;
+
+            const [away, home] = teamLinks.map(link => readTeam($, link, container));
+
+            // Nested containers can match the same pair twice
+            const key = `${away.teamId}_${home.teamId}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            if (away.score === null || home.score === null) {
+                console.warn(`No score found for ${away.score === null ? away.teamName : home.teamName} in matchup ${i}, skipping`);
+                return;
+            }
+
+            matchups.push({
+                periodNumber: String(period),
+                awayTeamId: away.teamId,
+                awayTeamName: away.teamName,
+                awayScore: away.score,
+                awayHittingPoints: away.hittingPoints,
+                awayPitchingPoints: away.pitchingPoints,
+                homeTeamId: home.teamId,
+                homeTeamName: home.teamName,
+                homeScore: home.score,
+                homeHittingPoints: home.hittingPoints,
+                homePitchingPoints: home.pitchingPoints
+            });
+        } catch (error) {
+            console.error(`Error processing matchup ${i}:`, error.message);
+        }
+    });
+
+    return matchups;
+}
+
+/**
+ * Find the matchup containers: elements that hold exactly two teams
+ * @param {CheerioAPI} $ - Cheerio root
+ * @returns {Array<Element>} Containers from the first selector that matches any
+ */
+function findMatchupContainers($) {
+    for (const selector of MATCHUP_SELECTORS) {
+        const candidates = $(selector).toArray().filter(element => {
+            const teamIds = new Set($(element).find('a[href*="teamId="]').toArray()
+                .map(link => getTeamId($(link).attr('href')))
+                .filter(Boolean));
+            return teamIds.size === 2;
+        });
+
+        if (candidates.length > 0) return candidates;
+    }
+
+    return [];
+}
+
+/**
+ * Read one team of a matchup from its own block
+ * The block is the outermost ancestor of the team link, inside the matchup, that holds no other team
+ * @param {CheerioAPI} $ - Cheerio root
+ * @param {Element} link - The team's link
+ * @param {Element} container - Matchup container
+ * @returns {Object} Team ({ teamId, teamName, score, hittingPoints, pitchingPoints })
+ */
+function readTeam($, link, container) {
+    const teamId = getTeamId($(link).attr('href'));
+
+    let block = $(link);
+    while (block.parent().length > 0 && block.parent()[0] !== container && countTeams($, block.parent()) === 1) {
+        block = block.parent();
+    }
+
+    const hitting = findSubtotal($, block, 'hitting');
+    const pitching = findSubtotal($, block, 'pitching');
+    const subtotals = [hitting, pitching].filter(Boolean);
+
+    // The first score-like element that holds just a number and isn't a subtotal or the team link
+    const scoreElement = block.find(SCORE_SELECTOR).toArray().find(element =>
+        SCORE_PATTERN.test(cellText($(element)))
+        && !subtotals.includes(element)
+        && $(element).find('a[href*="teamId="]').length === 0);
+
+    return {
+        teamId,
+        teamName: cellText($(link)),
+        score: scoreElement ? parseScore(cellText($(scoreElement))) : null,
+        hittingPoints: hitting ? parseScore(cellText($(hitting))) : null,
+        pitchingPoints: pitching ? parseScore(cellText($(pitching))) : null
+    };
+}
+
+/**
+ * Count the distinct teams linked inside an element
+ * @param {CheerioAPI} $ - Cheerio root
+ * @param {Cheerio} element - Element to look in
+ * @returns {number} Number of distinct team IDs
+ */
+function countTeams($, element) {
+    return new Set(element.find('a[href*="teamId="]').toArray()
+        .map(link => getTeamId($(link).attr('href')))
+        .filter(Boolean)).size;
+}
+
+/**
+ * Find the value next to a "Hitting" / "Pitching" label in a team block, when the scoreboard shows subtotals
+ * @param {CheerioAPI} $ - Cheerio root
+ * @param {Cheerio} block - Team block
+ * @param {string} label - Lower-case label the subtotal starts with
+ * @returns {Element|null} Element holding the subtotal, or null if there's none
+ */
+function findSubtotal($, block, label) {
+    const labelElement = block.find('*').toArray()
+        .find(element => $(element).children().length === 0 && cellText($(element)).toLowerCase().startsWith(label));
+    if (!labelElement) return null;
+
+    const valueElement = $(labelElement).next().length > 0 ? $(labelElement).next() : $(labelElement).parent().next();
+    return valueElement.length > 0 && SCORE_PATTERN.test(cellText(valueElement)) ? valueElement[0] : null;
+}
+
+/**
+ * Parse a score, keeping "no score" apart from a real 0
+ * @param {string} text - Element text
+ * @returns {number|null} Score, or null if the text isn't a number
+ */
+function parseScore(text) {
+    if (!SCORE_PATTERN.test(text || '')) return null;
+    return parseFloat(text.replace(/,/g, ''));
+}
+
+module.exports = {
+    parseMatchupResults
+};
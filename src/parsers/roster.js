@@ -0,0 +1,163 @@
+const { loadHtml, cellText, parseNumeric, getPlayerId, getHeadshotPlayerId } = require('./html');
+
+/**
+ * Normalize a player name for matching against the players table
+ * @param {string} name - Player name as shown on Fantrax
+ * @returns {string} Lowercase name without accents, suffixes or punctuation
+ */
+function normalizePlayerName(name) {
+    if (!name) return '';
+
+    // Convert to lowercase and normalize Unicode
+    let normalized = name.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, ''); // Remove diacritical marks
+
+    // Remove common suffixes and prefixes
+    normalized = normalized
+        .replace(/\s+jr\.?$|\s+sr\.?$|\s+ii$|\s+iii$|\s+iv$/, '') // Remove suffixes like Jr., Sr., III
+        .replace(/^the\s+/, ''); // Remove "The" prefix
+
+    // Remove punctuation and ensure single spaces
+    normalized = normalized
+        .replace(/[.,''"\-]/g, '')  // Remove punctuation
+        .replace(/\s+/g, ' ')      // Ensure single spaces
+        .trim();                    // Remove leading/trailing spaces
+
+    return normalized;
+}
+
+/**
+ * Parses a team roster page for one scoring period
+ * The first ultimate table holds hitters, the second holds team pitching staffs
+ * @param {string} html - Roster page HTML
+ * @returns {Object} - Team info, period label and roster entries ({ teamInfo, periodText, players })
+ */
+function parseRoster(html) {
+    const $ = loadHtml(html);
+    const buttons = $('button').toArray();
+
+    // Slot number of a position button among every button with the same position code (e.g. the second OF)
+    const getRosterSlotIndex = (positionElement) => {
+        const positionCode = cellText($(positionElement));
+        return buttons.filter(button => cellText($(button)) === positionCode).indexOf(positionElement) + 1;
+    };
+
+    // Each ultimate table sits in its own pane, so pick them by position rather than :nth-of-type
+    const tables = $('ultimate-table');
+
+    // Fantasy points and FP/G from the stats row matching a roster row
+    // Stat cells are <table-cell> elements after a leading <td>, in FPts, FP/G order
+    const getRowStats = (table, index) => {
+        const cells = table.find('._ut__content tr').eq(index).children('td, table-cell');
+        return {
+            fantasyPoints: parseNumeric(cells.eq(1).find('span').first().text()),
+            fpg: parseNumeric(cells.eq(2).find('span').first().text())
+        };
+    };
+
+    // Position, slot and active state shared by hitter and pitching rows
+    const getSlot = (row) => {
+        // Skip empty rows
+        if (row.find('mark').length > 0) return null;
+
+        const positionElement = row.find('button').first();
+        if (positionElement.length === 0) return null;
+
+        return {
+            positionCode: cellText(positionElement),
+            rosterSlot: getRosterSlotIndex(positionElement[0]),
+            isActive: !row.hasClass('row--amber') && !row.hasClass('row--red')
+        };
+    };
+
+    const teamInfo = {
+        teamName: cellText($('.league-team-select__list h5').first()) || 'Unknown Team',
+        record: cellText($('.league-team-select__list p b').first()),
+        rank: cellText($('.league-team-select__list p span b').first()),
+        managerName: cellText($('.league-team-select__pill').first()) || 'Unknown Manager'
+    };
+
+    const periodText = cellText($('mat-select[aria-labelledby="mat-mdc-form-field-label-1"] .mat-mdc-select-value-text').first());
+
+    const players = [];
+
+    // Process hitting players
+    const hittingTable = tables.eq(0);
+    hittingTable.find('aside > td').each((index, element) => {
+        const row = $(element);
+        const slot = getSlot(row);
+        if (!slot) return;
+
+        const playerElement = row.find('.scorer').first();
+        if (playerElement.length === 0) return;
+
+        const playerLink = playerElement.find('.scorer__info__name a').first();
+        const playerName = cellText(playerLink);
+        const positionsText = cellText(playerElement.find('.scorer__info__positions span').first());
+
+        // MLB team is shown as " - NYY" after the positions
+        const teamSpan = playerElement.find('.scorer__info__positions span[class*="mat-mdc-tooltip-trigger"]').first();
+        const mlbTeam = cellText(teamSpan).replace(/^-\s*/, '');
+
+        // Fantrax player ID from the player link or, as roster pages have no player links, the headshot
+        const fantraxPlayerId = getPlayerId(playerLink.attr('href'))
+            || getHeadshotPlayerId(playerElement.find('.scorer__image').attr('style'));
+
+        let batSide = '';
+        if (playerElement.find('.scorer-icon--BAT_LEFT').length > 0) batSide = 'L';
+        else if (playerElement.find('.scorer-icon--BAT_RIGHT').length > 0) batSide = 'R';
+        else if (playerElement.find('.scorer-icon--BAT_SWITCH').length > 0) batSide = 'S';
+
+        const stats = getRowStats(hittingTable, index);
+
+        players.push({
+            type: 'hitter',
+            playerName,
+            normalizedName: normalizePlayerName(playerName),
+            ...slot,
+            positionsEligible: positionsText,
+            mlbTeam,
+            batSide,
+            fantraxPlayerId,
+            fantasyPoints: stats.fantasyPoints,
+            fpg: stats.fpg
+        });
+    });
+
+    // Process team pitching
+    const pitchingTable = tables.eq(1);
+    pitchingTable.find('aside > td').each((index, element) => {
+        const row = $(element);
+        const slot = getSlot(row);
+        if (!slot) return;
+
+        const teamElement = row.find('.scorer').first();
+        if (teamElement.length === 0) return;
+
+        const teamName = cellText(teamElement.find('.scorer__info__name a').first());
+        const stats = getRowStats(pitchingTable, index);
+
+        players.push({
+            type: 'teamPitching',
+            playerName: teamName,
+            normalizedName: normalizePlayerName(teamName),
+            ...slot,
+            positionsEligible: 'TmP',
+            mlbTeam: teamName.replace('NY ', 'New York '),  // Convert team name to proper form
+            fantasyPoints: stats.fantasyPoints,
+            fpg: stats.fpg
+        });
+    });
+
+    return {
+        teamInfo,
+        periodText,
+        players
+    };
+}
+
+module.exports = {
+    parseRoster,
+    normalizePlayerName
+};
@@ -0,0 +1,300 @@
+const { loadHtml, cellText } = require('./html');
+
+// Selectors tried in order, across the old and new Fantrax layouts
+const SEASON_SELECTORS = [
+    '.contentMainTabsContainer h3',
+    '.fx-headline h4',
+    '.titleBarContainer h3',
+    '.content__headline + h3'
+];
+
+const SCORING_PERIOD_SELECTORS = [
+    '.statsContainer2',
+    '.rosterArea2',
+    '.fantasyMatchups'
+];
+
+const TITLE_SELECTORS = [
+    '.fantasyHeaderItem p.title',
+    '.fantasyHeaderBlock2 .title',
+    'h4.title',
+    '.title'
+];
+
+// Matchup rows are classed "matchupRow|<away id>|<home id>", so tr.matchupRow rarely matches
+const MATCHUP_ROW_SELECTORS = [
+    'tr.matchupRow',
+    'tr:not(:first-child)',
+    '.fantasyMatchups tr:not(:first-child)'
+];
+
+/**
+ * Parses the full season schedule from a saved schedule (fantasy matchups) page
+ * @param {string} html - Schedule page HTML
+ * @param {string} leagueId - Fantrax league ID
+ * @returns {Array} - Array of schedule data (one entry per matchup)
+ */
+function parseSchedule(html, leagueId) {
+    const $ = loadHtml(html);
+    const allMatchups = [];
+
+    if ($('#container, .fantasyMainContainer, .main').length === 0) {
+        console.error('Cannot find main container on the page. Page might not have loaded correctly.');
+        return allMatchups;
+    }
+
+    const seasonElement = SEASON_SELECTORS.map(selector => $(selector).first()).find(element => element.length > 0);
+    const seasonText = cellText(seasonElement);
+
+    const scoringPeriods = findScoringPeriods($);
+    if (scoringPeriods.length === 0) {
+        console.warn(`No scoring periods found in schedule page (season: ${seasonText || 'unknown'})`);
+        return allMatchups;
+    }
+
+    // Track the last period number for reference
+    let lastRegularPeriodNumber = 0;
+
+    scoringPeriods.forEach((periodContainer, index) => {
+        try {
+            const title = getPeriodTitle(periodContainer);
+
+            // If we couldn't find a title, use the container index
+            const periodHeader = title.header || `Period ${index + 1}`;
+            const periodDates = title.dates;
+
+            const { periodNumber, periodType } = getPeriodInfo(periodHeader, index, lastRegularPeriodNumber);
+            if (periodHeader.includes('Scoring Period')) {
+                lastRegularPeriodNumber = parseInt(periodNumber, 10);
+            }
+
+            // Clean up dates
+            const dateRange = periodDates.replace(/\(|\)/g, '').trim();
+
+            findMatchupRows(periodContainer).forEach(row => {
+                const matchup = parseMatchupRow($, $(row));
+                if (!matchup) return;
+
+                allMatchups.push({
+                    leagueId,
+                    season: seasonText || 'Unknown',
+                    periodNumber,
+                    periodType,
+                    dateRange: dateRange || 'Unknown',
+                    ...matchup,
+                    matchupId: `${matchup.awayTeamId}_${matchup.homeTeamId}`
+                });
+            });
+        } catch (periodError) {
+            // Skip problematic periods but continue processing
+            console.error('Error processing scoring period:', periodError);
+        }
+    });
+
+    // The last playoff round is the championship, however many rounds the playoffs have
+    const playoffPeriods = allMatchups
+        .filter(matchup => matchup.periodType === 'Playoff')
+        .map(matchup => parseInt(matchup.periodNumber, 10));
+    if (playoffPeriods.length > 0) {
+        const championshipPeriod = String(Math.max(...playoffPeriods));
+        allMatchups
+            .filter(matchup => matchup.periodType === 'Playoff' && matchup.periodNumber === championshipPeriod)
+            .forEach(matchup => {
+                matchup.periodType = 'Championship';
+            });
+    }
+
+    return allMatchups;
+}
+
+/**
+ * Parses the playoff rounds from a saved schedule page, one entry per round
+ * Unlike parseSchedule this keeps the round numbers and counts the "To be Determined" matchups
+ * (usually consolation games Fantrax never filled in)
+ * @param {string} html - Schedule page HTML
+ * @returns {Array<Object>} Rounds ({ round, dateRange, matchups, undetermined }) in round order
+ */
+function parsePlayoffRounds(html) {
+    const $ = loadHtml(html);
+    const rounds = [];
+
+    findScoringPeriods($).forEach(periodContainer => {
+        const { header, dates } = getPeriodTitle(periodContainer);
+        const roundMatch = header.match(/Round (\d+)/);
+        if (!header.toLowerCase().includes('playoff') || !roundMatch) return;
+
+        const matchups = [];
+        let undetermined = 0;
+
+        findMatchupRows(periodContainer).forEach(row => {
+            if ($(row).text().includes('To be Determined')) {
+                undetermined++;
+                return;
+            }
+
+            const matchup = parseMatchupRow($, $(row));
+            if (matchup && matchup.awayTeamId && matchup.homeTeamId) matchups.push(matchup);
+        });
+
+        rounds.push({
+            round: parseInt(roundMatch[1], 10),
+            dateRange: dates.replace(/\(|\)/g, '').trim(),
+            matchups,
+            undetermined
+        });
+    });
+
+    return rounds.sort((a, b) => a.round - b.round);
+}
+
+/**
+ * Find the container of every scoring period on a schedule page
+ * @param {CheerioAPI} $ - Cheerio root
+ * @returns {Array<Cheerio>} One container per scoring period, in page order
+ */
+function findScoringPeriods($) {
+    for (const selector of SCORING_PERIOD_SELECTORS) {
+        const elements = $(selector);
+        if (elements.length > 0) {
+            return elements.toArray().map(element => $(element));
+        }
+    }
+
+    // Fall back to any tables, each paired with the nearest heading
+    return $('table').toArray().map(table => {
+        const header = $(table).closest('div').find('h4, h3, h2, .title').first();
+        return $('<div></div>').append(header.clone()).append($(table).clone());
+    });
+}
+
+/**
+ * Read a scoring period's title and date range
+ * @param {Cheerio} periodContainer - Scoring period container
+ * @returns {Object} Title ({ header, dates }), empty strings if the period has none
+ */
+function getPeriodTitle(periodContainer) {
+    for (const selector of TITLE_SELECTORS) {
+        const element = periodContainer.find(selector).first();
+        if (element.length > 0) {
+            return { header: cellText(element), dates: cellText(element.find('span').first()) };
+        }
+    }
+
+    return { header: '', dates: '' };
+}
+
+/**
+ * Find the matchup rows of a scoring period
+ * @param {Cheerio} periodContainer - Scoring period container
+ * @returns {Array<Element>} Table rows (may include header and "To be Determined" rows)
+ */
+function findMatchupRows(periodContainer) {
+    for (const selector of MATCHUP_ROW_SELECTORS) {
+        const elements = periodContainer.find(selector);
+        if (elements.length > 0) {
+            return elements.toArray();
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Work out a scoring period's number and type from its title
+ * Playoff rounds continue the regular-season numbering (round 1 after period 25 is period 26);
+ * parseSchedule relabels the last playoff round as the championship once every round is known
+ * @param {string} periodHeader - Period title (e.g. "Scoring Period 3" or "Playoffs - Round 1")
+ * @param {number} index - Position of the period on the page
+ * @param {number} lastRegularPeriodNumber - Last regular-season period seen so far
+ * @returns {Object} Period number (string) and type ('Regular Season' or 'Playoff')
+ */
+function getPeriodInfo(periodHeader, index, lastRegularPeriodNumber) {
+    const isPlayoff = periodHeader.toLowerCase().includes('playoff');
+    let periodType = isPlayoff ? 'Playoff' : 'Regular Season';
+    let periodNumber;
+
+    if (periodHeader.includes('Scoring Period')) {
+        periodNumber = periodHeader.match(/Scoring Period (\d+)/)?.[1] || '';
+    } else if (periodHeader.includes('Round')) {
+        const playoffRoundMatch = periodHeader.match(/Round (\d+)/);
+        if (playoffRoundMatch) {
+            const playoffRound = parseInt(playoffRoundMatch[1], 10);
+            periodNumber = (lastRegularPeriodNumber + playoffRound).toString();
+            periodType = 'Playoff';
+        } else {
+            // Fallback if we can't parse the round number
+            periodNumber = `${lastRegularPeriodNumber + index + 1}`;
+            periodType = 'Playoff';
+        }
+    } else if (/Period \d+/.test(periodHeader)) {
+        periodNumber = periodHeader.match(/Period (\d+)/)[1];
+    } else {
+        periodNumber = `${index + 1}`;
+    }
+
+    return { periodNumber, periodType };
+}
+
+/**
+ * Read the two teams from a matchup row
+ * @param {CheerioAPI} $ - Cheerio root
+ * @param {Cheerio} row - Table row
+ * @returns {Object|null} Team names and IDs, or null for header and "To be Determined" rows
+ */
+function parseMatchupRow($, row) {
+    try {
+        const rowText = row.text();
+        const cells = row.children('td, th').toArray();
+
+        // Skip "To be Determined" matchups and header rows
+        if (rowText.includes('To be Determined') ||
+            rowText.includes('Away') ||
+            rowText.includes('Home') ||
+            cells.length < 2) {
+            return null;
+        }
+
+        let awayCell, homeCell;
+        if (row.hasClass('matchupRow')) {
+            awayCell = row.find('td.tm1');
+            homeCell = row.find('td.tm2');
+        } else if (cells.length >= 3) {
+            awayCell = $(cells[0]);
+            homeCell = $(cells[2]);
+        } else {
+            awayCell = $(cells[0]);
+            homeCell = $(cells[1]);
+        }
+
+        if (awayCell.length === 0 || homeCell.length === 0) {
+            return null;
+        }
+
+        const readTeam = (cell) => {
+            const link = cell.find('a').first();
+            return {
+                name: link.length > 0 ? cellText(link) : cellText(cell),
+                id: (link.attr('href') || '').match(/teamId=([^&]+)/)?.[1] || ''
+            };
+        };
+
+        const away = readTeam(awayCell);
+        const home = readTeam(homeCell);
+
+        return {
+            awayTeamName: away.name,
+            awayTeamId: away.id,
+            homeTeamName: home.name,
+            homeTeamId: home.id
+        };
+    } catch (rowError) {
+        // Skip problematic rows but continue processing
+        console.error('Error processing matchup row:', rowError);
+        return null;
+    }
+}
+
+module.exports = {
+    parseSchedule,
+    parsePlayoffRounds
+};
@@ -0,0 +1,87 @@
+const { loadHtml, cellText } = require('./html');
+const { STAT_GROUPS, SCORING_CATEGORIES } = require('../utils/scoring');
+
+/**
+ * Parses the scoring settings from a saved league rules page
+ * Every table row is read as a category label followed by its points ("Home Runs (HR)" | "4").
+ * Headings between the tables ("Hitting", "Team Pitching") decide which group a row belongs to;
+ * before the first heading a label may match either group. Rows that don't name a known category
+ * are reported in `unmatched` rather than guessed at
+ * @param {string} html - Rules page HTML
+ * @returns {Object} Rules ({ group, category, label, points }) and unmatched row labels
+ */
+function parseScoringRules(html) {
+    const $ = loadHtml(html);
+    const rules = [];
+    const unmatched = [];
+    let group = null;
+
+    // Headings and rows in document order, so each row sees the last heading before it
+    $('h1, h2, h3, h4, h5, h6, .title, caption, tr').toArray().forEach(element => {
+        if (element.name !== 'tr') {
+            group = getHeadingGroup(cellText($(element))) || group;
+            return;
+        }
+
+        const cells = $(element).children('td, th').toArray().map(cell => cellText($(cell)));
+        if (cells.length < 2) return;
+
+        const label = cells[0];
+        const pointsText = cells.slice(1).find(text => /^[-+]?\d*\.?\d+\b/.test(text.replace(/\s+/g, '')));
+        if (!label || pointsText === undefined) return;
+
+        const category = findCategory(label, group);
+        if (!category) {
+            unmatched.push(label);
+            return;
+        }
+
+        // A category listed twice (e.g. once per position group) keeps its first value
+        if (rules.some(rule => rule.group === category.group && rule.category === category.code)) return;
+
+        rules.push({
+            group: category.group,
+            category: category.code,
+            label,
+            points: parseFloat(pointsText.replace(/\s+/g, ''))
+        });
+    });
+
+    return { rules, unmatched };
+}
+
+/**
+ * Work out which stat group a heading introduces
+ * @param {string} text - Heading text
+ * @returns {string|null} STAT_GROUPS value, or null if the heading isn't a stat group
+ */
+function getHeadingGroup(text) {
+    const heading = text.toLowerCase();
+    if (heading.length > 60) return null;
+    if (heading.includes('pitch')) return STAT_GROUPS.PITCHING;
+    if (heading.includes('hitt') || heading.includes('batt')) return STAT_GROUPS.HITTING;
+    return null;
+}
+
+/**
+ * Match a rules-page label to a scoring category
+ * Labels look like "Home Runs (HR)", "HR" or "Home Runs"
+ * @param {string} label - Category label
+ * @param {string|null} group - Stat group of the current section, or null if unknown
+ * @returns {Object|null} SCORING_CATEGORIES entry
+ */
+function findCategory(label, group) {
+    const abbreviation = (label.match(/\(([^)]+)\)\s*$/) || [])[1];
+    const name = label.replace(/\([^)]*\)\s*$/, '').trim().toLowerCase();
+    const candidates = SCORING_CATEGORIES.filter(category => !group || category.group === group);
+
+    const normalize = text => text.replace(/\s+/g, '').toUpperCase();
+    return candidates.find(category => abbreviation && normalize(abbreviation) === normalize(category.code))
+        || candidates.find(category => normalize(name) === normalize(category.code))
+        || candidates.find(category => category.names.includes(name))
+        || null;
+}
+
+module.exports = {
+    parseScoringRules
+};
@@ -0,0 +1,89 @@
+const { loadHtml, cellText, parseNumeric, getTeamId } = require('./html');
+
+// Season stats columns, matched against the table headers
+// Each entry is [field, header text, fallback column index, integer column]
+const SEASON_STATS_COLUMNS = [
+    ['fantasyPoints', 'FPts', 0, false],
+    ['adjustments', 'Adj', 1, false],
+    ['totalPoints', 'Total', 2, false],
+    ['fantasyPointsPerGame', 'FP/G', 3, false],
+    ['gamesPlayed', 'GP', 4, true],
+    ['hittingPoints', 'Hit', 5, false],
+    ['teamPitchingPoints', 'TP', 6, false],
+    ['waiverPosition', 'WW', 7, true],
+    ['pointsBehindLeader', 'PBL', 8, false]
+];
+
+/**
+ * Parses the season stats table from a saved season stats page
+ * @param {string} html - Season stats page HTML
+ * @returns {Object} - Object containing season stats, hitting stats, and pitching stats
+ */
+function parseSeasonStats(html) {
+    const $ = loadHtml(html);
+    const seasonStats = [];
+
+    // The first ultimate table holds the team totals
+    const table = $('.ultimate-table').first();
+    const teamRows = table.find('section > aside > td').toArray();
+    const dataRows = table.find('section > div > table > tr').toArray();
+
+    if (teamRows.length === 0) {
+        console.error('No team rows found in season stats table');
+    }
+
+    // Find column positions from the headers, falling back to the usual order if there are none.
+    // Older seasons have no Adj or Total columns, so a header that's missing means the column is
+    // missing rather than in its usual place
+    const headers = table.find('header ._ut__head th').toArray().map(th => cellText($(th)));
+    const columns = SEASON_STATS_COLUMNS.map(([field, header, fallback, isInteger]) => {
+        const index = headers.length > 0 ? headers.findIndex(h => h.includes(header)) : fallback;
+        return { field, index, isInteger };
+    });
+    const hasTotal = columns.find(column => column.field === 'totalPoints').index !== -1;
+
+    teamRows.forEach((row, i) => {
+        try {
+            const teamLink = $(row).find('a[href*="teamId="]').first();
+            if (teamLink.length === 0) {
+                console.warn(`No team link found in row ${i + 1}`);
+                return;
+            }
+
+            const href = teamLink.attr('href');
+            const teamId = getTeamId(href);
+            if (!teamId) {
+                console.warn(`No teamId found in href: ${href}`);
+                return;
+            }
+
+            const teamName = cellText(teamLink);
+            const dataRowCells = dataRows[i] ? $(dataRows[i]).children('td').toArray().map(cell => cellText($(cell))) : [];
+
+            const stats = { teamId, teamName };
+            columns.forEach(({ field, index, isInteger }) => {
+                const text = dataRowCells[index];
+                stats[field] = isInteger ? (parseInt(text) || 0) : parseNumeric(text);
+            });
+
+            if (!hasTotal) {
+                stats.totalPoints = stats.fantasyPoints + stats.adjustments;
+            }
+
+            seasonStats.push(stats);
+        } catch (error) {
+            console.error(`Error processing team row ${i}:`, error.message);
+        }
+    });
+
+    // Hitting and pitching stats live on other tabs and aren't captured in the saved page
+    return {
+        seasonStats,
+        hittingStats: [],
+        pitchingStats: []
+    };
+}
+
+module.exports = {
+    parseSeasonStats
+};
@@ -0,0 +1,74 @@
+const { loadHtml, cellText, parseNumeric, getTeamId } = require('./html');
+
+/**
+ * Parses the standings table from a saved standings page
+ * @param {string} html - Standings page HTML
+ * @returns {Array} - Array of standings data, sorted by rank
+ */
+function parseStandings(html) {
+    const $ = loadHtml(html);
+    const standings = [];
+
+    const table = $('.ultimate-table').first();
+    if (table.length === 0 || table.find('section aside').length === 0) {
+        console.error('Could not find team container');
+        return standings;
+    }
+
+    // Team cells sit in the aside; the matching data row follows the header row in the table
+    const teamRows = table.find('section aside td').toArray();
+    const dataRows = table.find('section > div > table > tr').toArray();
+
+    teamRows.forEach((row, i) => {
+        try {
+            const rank = cellText($(row).find('b').first());
+
+            const teamLink = $(row).find('a[href*="teamId="]').first();
+            if (teamLink.length === 0) {
+                console.warn(`No team link found in row ${i}`);
+                return;
+            }
+
+            const href = teamLink.attr('href');
+            const teamId = getTeamId(href);
+            if (!teamId) {
+                console.warn(`No teamId found in href: ${href}`);
+                return;
+            }
+
+            const teamName = cellText(teamLink);
+            const dataRowCells = dataRows[i] ? $(dataRows[i]).children('td').toArray().map(cell => cellText($(cell))) : [];
+
+            if (dataRowCells.length < 9) {
+                console.warn(`Not enough data cells for team ${teamName}, found ${dataRowCells.length}`);
+                return;
+            }
+
+            standings.push({
+                teamId,
+                teamName,
+                rank,
+                wins: parseInt(dataRowCells[0]) || 0,
+                losses: parseInt(dataRowCells[1]) || 0,
+                ties: parseInt(dataRowCells[2]) || 0,
+                // Win% is shown without a leading zero (".640")
+                winPercentage: parseFloat((dataRowCells[3] || '0').replace('.', '0.')) || 0,
+                divisionRecord: dataRowCells[4] || '',
+                gamesBack: parseFloat(dataRowCells[5]) || 0,
+                waiverPosition: parseInt(dataRowCells[6]) || 0,
+                fantasyPointsFor: parseNumeric(dataRowCells[7]),
+                fantasyPointsAgainst: parseNumeric(dataRowCells[8]),
+                streak: dataRowCells[9] || ''
+            });
+        } catch (error) {
+            console.error(`Error processing team row ${i}:`, error.message);
+        }
+    });
+
+    // Sort by rank to ensure correct order
+    return standings.sort((a, b) => (parseInt(a.rank) || 0) - (parseInt(b.rank) || 0));
+}
+
+module.exports = {
+    parseStandings
+};
@@ -0,0 +1,135 @@
+const { loadHtml, cellText, getTeamId, getPlayerId, getHeadshotPlayerId, parseDate } = require('./html');
+
+// Transaction types stored in the transactions table
+const TRANSACTION_TYPES = {
+    CLAIM: 'claim',
+    DROP: 'drop',
+    TRADE: 'trade'
+};
+
+/**
+ * Parses the transaction history table from a saved transaction history page
+ * Claims and drops have the fantasy team in a Team column; trades have From and To columns
+ * (or both team links in one cell), and every trade row is stored from the receiving team's side
+ * @param {string} html - Transaction history page HTML
+ * @param {Object} options - Parsing options
+ * @param {string|number} options.year - Season year, for dates shown without one
+ * @returns {Array<Object>} Transactions ({ transactionType, isCommissioner, transactionDate, teamId, playerName, ... })
+ */
+function parseTransactions(html, options = {}) {
+    const { year } = options;
+    const $ = loadHtml(html);
+    const transactions = [];
+
+    const table = $('.ultimate-table').first();
+    const playerRows = table.find('section > aside > td').toArray();
+    const dataRows = table.find('section > div > table > tr').toArray();
+
+    if (playerRows.length === 0) {
+        console.warn('No player rows found in transaction history table');
+        return transactions;
+    }
+
+    // Column positions come from the headers; the columns differ between the claim/drop and trade views
+    const headers = table.find('header ._ut__head th').toArray().map(th => cellText($(th)).toLowerCase());
+    const findColumn = (...names) => headers.findIndex(header => names.some(name => header.startsWith(name)));
+    const columns = {
+        team: findColumn('team'),
+        from: findColumn('from'),
+        to: findColumn('to'),
+        type: findColumn('type'),
+        date: findColumn('date', 'processed'),
+        period: findColumn('period', 'wk', 'week'),
+        bid: findColumn('bid')
+    };
+
+    // Fantasy teams linked from a cell, in page order
+    const getTeams = (cell) => cell
+        ? $(cell).find('a[href*="teamId="]').toArray().map(link => ({
+            teamId: getTeamId($(link).attr('href')),
+            teamName: cellText($(link))
+        }))
+        : [];
+
+    playerRows.forEach((row, i) => {
+        try {
+            const playerLink = $(row).find('.scorer__info__name a').first();
+            const playerName = cellText(playerLink) || cellText($(row).find('.scorer__info__name').first());
+            if (!playerName) return;
+
+            // Fantrax renders data cells as <table-cell> after a leading <td>, matching the header's <th> cells
+            const cells = dataRows[i] ? $(dataRows[i]).children('td, table-cell').toArray() : [];
+            const textAt = (index) => (index === -1 || !cells[index] ? '' : cellText($(cells[index])));
+
+            const typeText = textAt(columns.type);
+            const rowText = `${typeText} ${cellText($(row))} ${cells.map(cell => cellText($(cell))).join(' ')}`;
+
+            let team = null;
+            let otherTeam = null;
+            if (columns.from !== -1 && columns.to !== -1) {
+                team = getTeams(cells[columns.to])[0] || null;
+                otherTeam = getTeams(cells[columns.from])[0] || null;
+            } else {
+                // A trade shown in a single team cell links the sending team, then the receiving team
+                const teams = getTeams(cells[columns.team]);
+                team = teams[teams.length - 1] || null;
+                otherTeam = teams.length > 1 ? teams[0] : null;
+            }
+
+            if (!team || !team.teamId) {
+                console.warn(`No fantasy team found for transaction row ${i + 1} (${playerName})`);
+                return;
+            }
+
+            const transactionType = otherTeam ? TRANSACTION_TYPES.TRADE : parseTransactionType(typeText);
+            if (!transactionType) {
+                console.warn(`Unknown transaction type "${typeText}" for ${playerName}`);
+                return;
+            }
+
+            const dateText = textAt(columns.date);
+            const bidText = textAt(columns.bid).replace(/[$,]/g, '');
+            const period = parseInt(textAt(columns.period), 10);
+
+            transactions.push({
+                transactionType,
+                isCommissioner: /commissioner/i.test(rowText),
+                transactionDate: parseDate(dateText, year),
+                dateText,
+                periodNumber: Number.isNaN(period) ? null : period,
+                teamId: team.teamId,
+                teamName: team.teamName,
+                otherTeamId: otherTeam ? otherTeam.teamId : null,
+                otherTeamName: otherTeam ? otherTeam.teamName : null,
+                playerName,
+                fantraxPlayerId: getPlayerId(playerLink.attr('href'))
+                    || getHeadshotPlayerId($(row).find('.scorer__image').attr('style')),
+                faabBid: bidText === '' || Number.isNaN(parseFloat(bidText)) ? null : parseFloat(bidText)
+            });
+        } catch (error) {
+            console.error(`Error processing transaction row ${i}:`, error.message);
+        }
+    });
+
+    return transactions;
+}
+
+/**
+ * Map Fantrax's transaction type text to one of TRANSACTION_TYPES
+ * @param {string} text - Type cell text (e.g. "Claim", "Dropped", "FA Add", "Trade")
+ * @returns {string|null} Transaction type, or null if the text isn't recognised
+ */
+function parseTransactionType(text) {
+    const type = (text || '').toLowerCase();
+
+    if (type.includes('trade')) return TRANSACTION_TYPES.TRADE;
+    if (type.includes('drop') || type.includes('release')) return TRANSACTION_TYPES.DROP;
+    if (type.includes('claim') || type.includes('add') || type.includes('sign')) return TRANSACTION_TYPES.CLAIM;
+
+    return null;
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    parseTransactions
+};
@@ -0,0 +1,181 @@
+const fs = require('fs-extra');
+const path = require('path');
+const dbService = require('./database');
+const { parseStandings } = require('./parsers/standings');
+const { parseSeasonStats } = require('./parsers/season-stats');
+const { parseMatchupResults } = require('./parsers/matchups');
+const { loadLatestPage, loadLatestPages } = require('./utils/archive');
+
+// Pages saved by the scrapers before the page archive existed
+const LEGACY_PAGES_DIR = path.join(__dirname, '../data/debug');
+
+// Data types that can be rebuilt from saved pages (keys double as archive page types)
+// Per-period types have one archived page per scoring period and no legacy copies
+const REPARSE_TYPES = {
+    standings: {
+        legacyFileName: leagueId => `standings-page-${leagueId}.html`,
+        reparse: reparseStandings
+    },
+    'season-stats': {
+        legacyFileName: leagueId => `season-stats-page-${leagueId}.html`,
+        reparse: reparseSeasonStats
+    },
+    matchups: {
+        perPeriod: true,
+        reparse: reparseMatchupResults
+    }
+};
+
+/**
+ * Rebuild standings, season stats and matchup results from saved pages instead of scraping Fantrax
+ * Seasons and their teams must already be in the database (teams and the schedule come from the schedule scrape)
+ * @param {Object} options - Reparse options
+ * @param {Array<string>} options.years - Season years to reparse (default: every stored season)
+ * @param {Array<string>} options.types - Data types to reparse (default: all of REPARSE_TYPES)
+ * @returns {Promise<void>} Rejects if any season or data type fails
+ */
+async function reparse(options = {}) {
+    const { years, types = Object.keys(REPARSE_TYPES) } = options;
+
+    const unknownTypes = types.filter(type => !REPARSE_TYPES[type]);
+    if (unknownTypes.length > 0) {
+        throw new Error(`Unknown reparse type: ${unknownTypes.join(', ')}`);
+    }
+
+    const failures = [];
+
+    try {
+        await dbService.initialize();
+
+        const storedSeasons = await dbService.seasons.getAllSeasons();
+        const seasons = years
+            ? storedSeasons.filter(season => years.includes(season.year))
+            : storedSeasons;
+
+        if (years) {
+            const missing = years.filter(year => !storedSeasons.some(season => season.year === year));
+            if (missing.length > 0) {
+                throw new Error(`Seasons not in the database: ${missing.join(', ')}`);
+            }
+        }
+
+        for (const season of seasons) {
+            for (const type of types) {
+                let savedPages;
+                try {
+                    savedPages = await loadSavedPages(season, type);
+                } catch (error) {
+                    console.error(`Error loading saved ${type} pages for ${season.year} season:`, error.message);
+                    failures.push(`${season.year} ${type}`);
+                    continue;
+                }
+
+                if (savedPages.length === 0) {
+                    console.warn(`No saved ${type} page for ${season.year} season`);
+                    continue;
+                }
+
+                for (const savedPage of savedPages) {
+                    const label = savedPage.period === null ? type : `${type} period ${savedPage.period}`;
+                    try {
+                        console.log(`Reparsing ${label} for ${season.year} season from ${savedPage.source}`);
+                        await REPARSE_TYPES[type].reparse(savedPage.content, season, savedPage.period);
+                    } catch (error) {
+                        console.error(`Error reparsing ${label} for ${season.year} season:`, error.message);
+                        failures.push(`${season.year} ${label}`);
+                    }
+                }
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Reparsing failed for: ${failures.join(', ')}`);
+        }
+
+        console.log('Reparse completed successfully');
+    } finally {
+        await dbService.close();
+    }
+}
+
+/**
+ * Load the most recent saved copies of a season's pages: one page, or one per period for per-period types
+ * Archived captures win; pages saved to data/debug by older versions are the fallback
+ * @param {Object} season - Seasons table row
+ * @param {string} type - Reparse type (see REPARSE_TYPES)
+ * @returns {Promise<Array>} Pages with their HTML, period and where they came from ({ content, period, source })
+ */
+async function loadSavedPages(season, type) {
+    if (REPARSE_TYPES[type].perPeriod) {
+        const captures = await loadLatestPages(season.league_id, type);
+        return captures
+            .filter(capture => capture.period !== null)
+            .map(capture => ({ content: capture.content, period: capture.period, source: `archive (captured ${capture.captured_at})` }));
+    }
+
+    const capture = await loadLatestPage({ leagueId: season.league_id, pageType: type });
+    if (capture) {
+        return [{ content: capture.content, period: null, source: `archive (captured ${capture.captured_at})` }];
+    }
+
+    const legacyPath = path.join(LEGACY_PAGES_DIR, REPARSE_TYPES[type].legacyFileName(season.league_id));
+    if (await fs.pathExists(legacyPath)) {
+        return [{ content: await fs.readFile(legacyPath, 'utf8'), period: null, source: legacyPath }];
+    }
+
+    return [];
+}
+
+/**
+ * Parse a saved standings page and save the standings
+ * @param {string} html - Standings page HTML
+ * @param {Object} season - Seasons table row
+ */
+async function reparseStandings(html, season) {
+    const standingsData = parseStandings(html);
+
+    if (standingsData.length === 0) {
+        throw new Error('No standings found in saved page');
+    }
+
+    const result = await dbService.saveStandingsData(standingsData, season.id);
+    console.log(`Saved ${result.saved} team standings`);
+}
+
+/**
+ * Parse a saved season stats page and save the season stats
+ * @param {string} html - Season stats page HTML
+ * @param {Object} season - Seasons table row
+ */
+async function reparseSeasonStats(html, season) {
+    const statsData = parseSeasonStats(html);
+
+    if (statsData.seasonStats.length === 0) {
+        throw new Error('No season stats found in saved page');
+    }
+
+    const result = await dbService.saveSeasonStatsData(statsData, season.id);
+    console.log(`Saved ${result.seasonStats} season stats`);
+}
+
+/**
+ * Parse a saved live scoring page and save the period's matchup results
+ * @param {string} html - Live scoring page HTML
+ * @param {Object} season - Seasons table row
+ * @param {number} period - Scoring period the page shows
+ */
+async function reparseMatchupResults(html, season, period) {
+    const results = parseMatchupResults(html, period);
+
+    if (results.length === 0) {
+        throw new Error('No matchup results found in saved page');
+    }
+
+    const { saved, skipped } = await dbService.saveMatchupResults(results, season.id);
+    console.log(`Saved ${saved} matchup results${skipped > 0 ? ` (${skipped} skipped)` : ''}`);
+}
+
+module.exports = {
+    reparse,
+    REPARSE_TYPES
+};
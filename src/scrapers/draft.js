@@ -0,0 +1,51 @@
+const { FANTRAX_BASE_URL } = require('../auth');
+const { archivePage } = require('../utils/archive');
+const { parseDraftResults } = require('../parsers/draft');
+
+/**
+ * Scrapes a season's draft board
+ * @param {Page} page - Puppeteer page object
+ * @param {string} leagueId - Fantrax league ID
+ * @returns {Promise<Array>} - Array of draft picks in draft order
+ */
+async function scrapeDraftResults(page, leagueId) {
+    console.log(`Scraping draft results for league: ${leagueId}`);
+
+    try {
+        // The list view has one row per pick, which is easier to read than the grid board
+        const url = `${FANTRAX_BASE_URL}/fantasy/league/${leagueId}/draft-results;view=LIST`;
+        console.log(`Navigating to: ${url}`);
+        await page.goto(url, { waitUntil: 'networkidle2' });
+
+        // Add a delay to ensure Angular has time to render components
+        console.log('Waiting for draft results to fully render...');
+        await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 4000)));
+
+        try {
+            await page.waitForSelector('.ultimate-table section > aside > td', { timeout: 5000 });
+        } catch (waitError) {
+            console.warn('Warning: Timed out waiting for the draft results table. Will try to extract data anyway.', waitError.message);
+        }
+
+        // Archive the HTML content (data/archive) so it can be reparsed offline
+        const content = await page.content();
+        await archivePage({
+            leagueId,
+            pageType: 'draft',
+            url,
+            content
+        });
+
+        const picks = parseDraftResults(content);
+        console.log(`Scraped ${picks.length} draft picks (${picks.filter(pick => pick.isKeeper).length} keepers)`);
+
+        return picks;
+    } catch (error) {
+        console.error('Error scraping draft results:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    scrapeDraftResults
+};
@@ -0,0 +1,208 @@
+const { FANTRAX_BASE_URL } = require('../auth');
+const { archivePage } = require('../utils/archive');
+
+/**
+ * Lists every league and season the logged-in account belongs to, linked by league lineage
+ * A lineage is one league renewed season after season; each season has its own league ID
+ * @param {Page} page - Puppeteer page object (already authenticated)
+ * @returns {Promise<Array>} - Discovered seasons ({ leagueId, year, name, sport, lineageId })
+ */
+async function discoverLeagues(page) {
+    console.log('Discovering leagues for the logged-in account...');
+
+    try {
+        const leagues = await scrapeLeagueList(page);
+        console.log(`Found ${leagues.length} leagues on the account`);
+
+        const seasons = new Map();
+        leagues.forEach(league => seasons.set(league.leagueId, { ...league }));
+
+        // Walk each league's history to find earlier seasons of the same league
+        const lineages = [];
+        for (const league of leagues) {
+            if (lineages.some(lineage => lineage.has(league.leagueId))) continue;
+
+            const lineage = new Set([league.leagueId]);
+            try {
+                const history = await scrapeLeagueHistory(page, league.leagueId);
+
+                history.forEach(entry => {
+                    lineage.add(entry.leagueId);
+
+                    const known = seasons.get(entry.leagueId);
+                    if (!known) {
+                        seasons.set(entry.leagueId, {
+                            leagueId: entry.leagueId,
+                            year: entry.year,
+                            name: entry.name || league.name,
+                            sport: league.sport
+                        });
+                    } else if (!known.year && entry.year) {
+                        known.year = entry.year;
+                    }
+                });
+            } catch (historyError) {
+                console.error(`Error reading league history for ${league.leagueId}:`, historyError.message);
+            }
+
+            // Merge with any lineage that shares a season with this one
+            const overlapping = lineages.filter(other => [...lineage].some(id => other.has(id)));
+            overlapping.forEach(other => {
+                other.forEach(id => lineage.add(id));
+                lineages.splice(lineages.indexOf(other), 1);
+            });
+            lineages.push(lineage);
+
+            // Brief pause between requests to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+
+        // Name each lineage after its earliest season's league ID so it stays stable as seasons are added
+        const discovered = [];
+        lineages.forEach(lineage => {
+            const members = [...lineage].map(id => seasons.get(id)).filter(season => season && season.year);
+            if (members.length === 0) return;
+
+            const lineageId = members
+                .slice()
+                .sort((a, b) => parseInt(a.year) - parseInt(b.year))[0].leagueId;
+
+            members.forEach(season => discovered.push({ ...season, lineageId }));
+        });
+
+        const skipped = seasons.size - discovered.length;
+        if (skipped > 0) {
+            console.warn(`Skipped ${skipped} leagues without a season year`);
+        }
+
+        console.log(`Discovered ${discovered.length} seasons in ${lineages.length} league lineage(s)`);
+        return discovered.sort((a, b) => parseInt(b.year) - parseInt(a.year));
+    } catch (error) {
+        console.error('Error discovering leagues:', error);
+        throw error;
+    }
+}
+
+/**
+ * Scrapes the account's MLB leagues from the league list page and the "My Leagues" menu
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Array>} - Leagues ({ leagueId, year, name, teamName, sport })
+ */
+async function scrapeLeagueList(page) {
+    const url = `${FANTRAX_BASE_URL}/fantasy/leagues/list?skipRedirect=true`;
+    console.log(`Navigating to: ${url}`);
+    await page.goto(url, { waitUntil: 'networkidle2' });
+
+    // Add a delay to ensure Angular has time to render components
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 3000)));
+
+    // Archive the HTML content (data/archive) so it can be reparsed offline
+    await archivePage({
+        leagueId: null,
+        pageType: 'league-list',
+        url,
+        content: await page.content()
+    });
+
+    const leagues = await page.evaluate(() => {
+        const results = new Map();
+
+        const getLeagueId = (href) => href.match(/\/fantasy\/league\/([a-z0-9]+)\//i)?.[1] || null;
+        const getYear = (text) => text.match(/\b(19|20)\d{2}\b/)?.[0] || null;
+        const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+        // "My Leagues" menu: each bar ("MLB Commissioner (2025)") heads the leagues below it
+        let currentBar = null;
+        document.querySelectorAll('.drawer-leagues-wrapper .drawer__bar, .drawer-leagues-wrapper a.drawer__leagues').forEach(el => {
+            if (el.classList.contains('drawer__bar')) {
+                currentBar = clean(el.textContent);
+                return;
+            }
+
+            const leagueId = getLeagueId(el.getAttribute('href') || '');
+            if (!leagueId || !currentBar) return;
+
+            // Fantrax labels these the other way round: "__league" holds the team name
+            const teamName = clean(el.querySelector('.drawer__leagues__content__league')?.textContent);
+            const leagueName = clean(el.querySelector('.drawer__leagues__content__team')?.textContent);
+
+            results.set(leagueId, {
+                leagueId,
+                year: getYear(currentBar),
+                name: leagueName || null,
+                teamName: teamName || null,
+                sport: currentBar.split(' ')[0].toUpperCase()
+            });
+        });
+
+        // League list page: any league link, with the year and sport from its row
+        document.querySelectorAll('a[href*="/fantasy/league/"]').forEach(link => {
+            const leagueId = getLeagueId(link.getAttribute('href') || '');
+            if (!leagueId || results.has(leagueId)) return;
+
+            const row = link.closest('tr, li, mat-row, [class*="league"]') || link.parentElement;
+            const rowText = clean(row ? row.textContent : link.textContent);
+            const sport = rowText.match(/\b(MLB|NFL|NBA|NHL)\b/)?.[1] || null;
+
+            results.set(leagueId, {
+                leagueId,
+                year: getYear(rowText),
+                name: clean(link.textContent) || null,
+                teamName: null,
+                sport
+            });
+        });
+
+        return Array.from(results.values());
+    });
+
+    // Other sports can't be scraped by this project
+    return leagues.filter(league => !league.sport || league.sport === 'MLB');
+}
+
+/**
+ * Scrapes a league's history page for the league IDs of its other seasons
+ * @param {Page} page - Puppeteer page object
+ * @param {string} leagueId - Fantrax league ID of any season in the lineage
+ * @returns {Promise<Array>} - Seasons in the lineage ({ leagueId, year, name })
+ */
+async function scrapeLeagueHistory(page, leagueId) {
+    const url = `${FANTRAX_BASE_URL}/newui/fantasy/leagueHistory.go?leagueId=${leagueId}`;
+    console.log(`Navigating to: ${url}`);
+    await page.goto(url, { waitUntil: 'networkidle2' });
+
+    // Archive the HTML content (data/archive) so it can be reparsed offline
+    await archivePage({
+        leagueId,
+        pageType: 'league-history',
+        url,
+        content: await page.content()
+    });
+
+    const history = await page.evaluate(() => {
+        const results = new Map();
+        const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+        document.querySelectorAll('a[href*="leagueId="], a[href*="/fantasy/league/"]').forEach(link => {
+            const href = link.getAttribute('href') || '';
+            const id = href.match(/leagueId=([a-z0-9]+)/i)?.[1] || href.match(/\/fantasy\/league\/([a-z0-9]+)\//i)?.[1];
+            if (!id || results.has(id)) return;
+
+            // Only rows that name a season belong to the history table; header links don't
+            const row = link.closest('tr, li');
+            const year = row ? clean(row.textContent).match(/\b(19|20)\d{2}\b/)?.[0] : null;
+            if (!year) return;
+
+            results.set(id, { leagueId: id, year, name: clean(link.textContent) || null });
+        });
+
+        return Array.from(results.values());
+    });
+
+    console.log(`Found ${history.length} seasons in the history of league ${leagueId}`);
+    return history;
+}
+
+module.exports = {
+    discoverLeagues
+};
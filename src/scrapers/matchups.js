@@ -0,0 +1,48 @@
+const { FANTRAX_BASE_URL } = require('../auth');
+const { archivePage } = require('../utils/archive');
+const { parseMatchupResults } = require('../parsers/matchups');
+
+/**
+ * Scrapes the final matchup scores for a single scoring period
+ * @param {Page} page - Puppeteer page object
+ * @param {string} leagueId - Fantrax league ID
+ * @param {number|string} period - Scoring period number
+ * @returns {Promise<Array>} - Array of matchup results for the period
+ */
+async function scrapeMatchupResults(page, leagueId, period) {
+    console.log(`Scraping matchup results for league: ${leagueId}, period: ${period}`);
+
+    try {
+        // Navigate to the live scoring page for the period (shows final scores once the period is over)
+        const url = `${FANTRAX_BASE_URL}/fantasy/league/${leagueId}/livescoring;period=${period};viewType=1`;
+        console.log(`Navigating to: ${url}`);
+        await page.goto(url, { waitUntil: 'networkidle2' });
+
+        // Add a delay to ensure Angular has time to render components
+        console.log('Waiting for scoreboard to fully render...');
+        await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 4000)));
+
+        // Archive the HTML content (data/archive) so it can be reparsed offline
+        const content = await page.content();
+        await archivePage({
+            leagueId,
+            pageType: 'matchups',
+            period,
+            url,
+            content
+        });
+
+        // Matchups without a score for both teams are left out by the parser; a half-read result is worse than none
+        const results = parseMatchupResults(content, period);
+
+        console.log(`Scraped ${results.length} matchup results for period ${period}`);
+        return results;
+    } catch (error) {
+        console.error(`Error scraping matchup results for period ${period}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    scrapeMatchupResults
+};
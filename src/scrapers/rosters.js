@@ -1,7 +1,15 @@
-const { takeScreenshot } = require('../utils/browser');
-const { FANTRAX_BASE_URL } = require('../auth');
-const fs = require('fs-extra');
-const path = require('path');
+const { takeScreenshot, createPagePool } = require('../utils/browser');
+const { FANTRAX_BASE_URL, isLoginPage, reauthenticate } = require('../auth');
+const { archivePage } = require('../utils/archive');
+const { createRateLimiter, mapWithWorkers } = require('../utils/concurrency');
+const { parseRoster } = require('../parsers/roster');
+
+// Roster pages loaded at once, and the minimum gap between page loads across all of them
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_REQUEST_INTERVAL = 2000;
+
+// Failures in a row after which a team's remaining periods are left for a resumed run
+const MAX_TEAM_FAILURES = 3;
 
 /**
  * Scrape roster data for a team in a specific period
@@ -9,9 +17,13 @@ const path = require('path');
  * @param {string} leagueId - Fantrax league ID
  * @param {string} teamId - Fantrax team ID
  * @param {number} period - Period number
+ * @param {Object} options - Scraping options
+ * @param {Object} options.rateLimiter - Shared rate limiter to wait on before each page load (see createRateLimiter)
  * @returns {Promise<Array>} - Array of roster data for the team
  */
-async function scrapeTeamRoster(page, leagueId, teamId, period) {
+async function scrapeTeamRoster(page, leagueId, teamId, period, options = {}) {
+    const { rateLimiter = null } = options;
+
     console.log(`Scraping roster for league: ${leagueId}, team: ${teamId}, period: ${period}`);
 
     try {
@@ -23,6 +35,7 @@ async function scrapeTeamRoster(page, leagueId, teamId, period) {
         let maxRetries = 3;
         let success = false;
         let error;
+        let reauthenticated = false;
 
         for (let attempt = 1; attempt <= maxRetries && !success; attempt++) {
             try {
@@ -30,21 +43,33 @@ async function scrapeTeamRoster(page, leagueId, teamId, period) {
                 if (attempt > 1) {
                     console.log(`Retry attempt ${attempt}/${maxRetries} for period ${period}, team ${teamId}`);
 
+                    // Cookies are kept: clearing them would log the scraper out
                     try {
                         const client = await page.target().createCDPSession();
                         await client.send('Network.clearBrowserCache');
-                        await client.send('Network.clearBrowserCookies');
                     } catch (e) {
                         console.log('Could not clear cache:', e.message);
                     }
                 }
 
                 // Go to the page and wait for it to load
+                if (rateLimiter) await rateLimiter.wait();
                 await page.goto(url, {
                     waitUntil: 'networkidle2',
                     timeout: 30000  // Increase timeout for potentially slow pages
                 });
 
+                // An expired session bounces to the login page; log in again and retry this page
+                if (isLoginPage(page.url())) {
+                    if (reauthenticated || !await reauthenticate(page)) {
+                        throw new Error('Redirected to the login page and could not log in again');
+                    }
+
+                    reauthenticated = true;
+                    if (rateLimiter) await rateLimiter.wait();
+                    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+                }
+
                 // Wait for the roster content to appear
                 await page.waitForSelector('app-league-team-roster', { timeout: 20000 });
 
@@ -65,185 +90,20 @@ async function scrapeTeamRoster(page, leagueId, teamId, period) {
         // Take a screenshot for debugging
         // await takeScreenshot(page, `roster-team-${teamId}-period-${period}`);
 
-        // Save the HTML content for debugging
-        // const content = await page.content();
-        // const debugDir = path.join(__dirname, '../../data/debug');
-        // fs.ensureDirSync(debugDir);
-        // await fs.writeFile(path.join(debugDir, `roster-page-${teamId}-period-${period}.html`), content);
-        // console.log('Saved HTML content for debugging');
-
-        // Extract roster data using page.evaluate
-        const rosterData = await page.evaluate(() => {
-            // Function to normalize player names for better matching
-            function normalizePlayerName(name) {
-                if (!name) return '';
-
-                // Convert to lowercase and normalize Unicode
-                let normalized = name.toLowerCase()
-                    .normalize('NFD')
-                    .replace(/[\u0300-\u036f]/g, ''); // Remove diacritical marks
-
-                // Remove common suffixes and prefixes
-                normalized = normalized
-                    .replace(/\s+jr\.?$|\s+sr\.?$|\s+ii$|\s+iii$|\s+iv$/, '') // Remove suffixes like Jr., Sr., III
-                    .replace(/^the\s+/, ''); // Remove "The" prefix
-
-                // Remove punctuation and ensure single spaces
-                normalized = normalized
-                    .replace(/[.,''"\-]/g, '')  // Remove punctuation
-                    .replace(/\s+/g, ' ')      // Ensure single spaces
-                    .trim();                    // Remove leading/trailing spaces
-
-                return normalized;
-            }
-
-            // Function to extract the roster slot index within a position
-            function getRosterSlotIndex(posElement) {
-                // Try to find all positional elements with the same position code
-                const positionCode = posElement.textContent.trim();
-                const allSamePosition = Array.from(document.querySelectorAll('button'))
-                    .filter(btn => btn.textContent.trim() === positionCode);
-
-                // Find the index of this element within its position group
-                return allSamePosition.indexOf(posElement) + 1;
-            }
-
-            // Extract team info
-            const teamInfo = {
-                teamName: document.querySelector('.league-team-select__list h5')?.textContent.trim() || 'Unknown Team',
-                record: document.querySelector('.league-team-select__list p b')?.textContent.trim() || '',
-                rank: document.querySelector('.league-team-select__list p span b')?.textContent.trim() || '',
-                managerName: document.querySelector('.league-team-select__pill')?.textContent.trim() || 'Unknown Manager'
-            };
-
-            // Get period info
-            const periodText = document.querySelector('mat-select[aria-labelledby="mat-mdc-form-field-label-1"] .mat-mdc-select-value-text')?.textContent.trim() || '';
-
-            // Extract players from the roster table
-            const players = [];
-
-            // Process hitting players
-            const hittingRows = Array.from(document.querySelectorAll('ultimate-table:nth-of-type(1) aside > td'));
-
-            hittingRows.forEach((row, index) => {
-                // Skip empty rows
-                if (row.querySelector('mark')) return;
-
-                // Extract position information
-                const positionElement = row.querySelector('button');
-                if (!positionElement) return;
-
-                const positionCode = positionElement.textContent.trim();
-                const rosterSlot = getRosterSlotIndex(positionElement);
-                const isActive = !row.classList.contains('row--amber') && !row.classList.contains('row--red');
-
-                // Extract player information
-                const playerElement = row.querySelector('.scorer');
-                if (!playerElement) return;
-
-                const playerName = playerElement.querySelector('.scorer__info__name a')?.textContent.trim() || '';
-                const positionsText = playerElement.querySelector('.scorer__info__positions span')?.textContent.trim() || '';
-
-                // Extract MLB team
-                const teamSpan = playerElement.querySelector('.scorer__info__positions span[class*="mat-mdc-tooltip-trigger"]');
-                const mlbTeam = teamSpan ? teamSpan.textContent.trim().replace(/^-\s*/, '') : '';
-
-                // Extract player URL to get Fantrax ID
-                const playerLink = playerElement.querySelector('.scorer__info__name a');
-                let fantraxPlayerId = '';
-                if (playerLink) {
-                    const onclick = playerLink.getAttribute('onclick') || '';
-                    const hrefMatch = playerLink.getAttribute('href')?.match(/player\/([^\/;]+)/) || [];
-                    fantraxPlayerId = hrefMatch[1] || '';
-                }
-
-                // Extract batting side 
-                const batIcon = playerElement.querySelector('.scorer-icon--BAT_LEFT, .scorer-icon--BAT_RIGHT, .scorer-icon--BAT_SWITCH');
-                let batSide = '';
-                if (batIcon) {
-                    if (batIcon.classList.contains('scorer-icon--BAT_LEFT')) batSide = 'L';
-                    else if (batIcon.classList.contains('scorer-icon--BAT_RIGHT')) batSide = 'R';
-                    else if (batIcon.classList.contains('scorer-icon--BAT_SWITCH')) batSide = 'S';
-                }
-
-                // Get stats from the corresponding row in the table
-                const statsRow = document.querySelector(`ultimate-table:nth-of-type(1) ._ut__content tr:nth-child(${index + 1})`);
-
-                const stats = {
-                    fantasyPoints: parseInt(statsRow?.querySelector('td:nth-child(2) span')?.textContent || '0', 10),
-                    fpg: parseFloat(statsRow?.querySelector('td:nth-child(3) span')?.textContent || '0')
-                };
-
-                const player = {
-                    type: 'hitter',
-                    playerName,
-                    normalizedName: normalizePlayerName(playerName),
-                    positionCode,
-                    rosterSlot,
-                    isActive,
-                    positionsEligible: positionsText,
-                    mlbTeam,
-                    batSide,
-                    fantraxPlayerId,
-                    fantasyPoints: stats.fantasyPoints,
-                    fpg: stats.fpg
-                };
-
-                players.push(player);
-            });
-
-            // Process team pitching
-            const pitchingRows = Array.from(document.querySelectorAll('ultimate-table:nth-of-type(2) aside > td'));
-
-            pitchingRows.forEach((row, index) => {
-                // Skip empty rows
-                if (row.querySelector('mark')) return;
-
-                // Extract position information
-                const positionElement = row.querySelector('button');
-                if (!positionElement) return;
-
-                const positionCode = positionElement.textContent.trim();
-                const rosterSlot = getRosterSlotIndex(positionElement);
-                const isActive = !row.classList.contains('row--amber') && !row.classList.contains('row--red');
-
-                // Extract team pitching information
-                const teamElement = row.querySelector('.scorer');
-                if (!teamElement) return;
-
-                const teamName = teamElement.querySelector('.scorer__info__name a')?.textContent.trim() || '';
-
-                // Get stats from the corresponding row in the table
-                const statsRow = document.querySelector(`ultimate-table:nth-of-type(2) ._ut__content tr:nth-child(${index + 1})`);
-
-                const stats = {
-                    fantasyPoints: parseInt(statsRow?.querySelector('td:nth-child(2) span')?.textContent || '0', 10),
-                    fpg: parseFloat(statsRow?.querySelector('td:nth-child(3) span')?.textContent || '0')
-                };
-
-                const player = {
-                    type: 'teamPitching',
-                    playerName: teamName,
-                    normalizedName: normalizePlayerName(teamName),
-                    positionCode,
-                    rosterSlot,
-                    isActive,
-                    positionsEligible: 'TmP',
-                    mlbTeam: teamName.replace('NY ', 'New York '),  // Convert team name to proper form
-                    fantasyPoints: stats.fantasyPoints,
-                    fpg: stats.fpg
-                };
-
-                players.push(player);
-            });
-
-            return {
-                teamInfo,
-                periodText,
-                players
-            };
+        // Archive the HTML content (data/archive) so it can be reparsed offline
+        const content = await page.content();
+        await archivePage({
+            leagueId,
+            pageType: 'roster',
+            teamId,
+            period,
+            url,
+            content
         });
 
+        // Extract roster data from the page HTML
+        const rosterData = parseRoster(content);
+
         // Process and adjust the scraped data
         if (rosterData && rosterData.players) {
             console.log(`Scraped ${rosterData.players.length} roster entries for ${rosterData.teamInfo.teamName}`);
@@ -260,7 +120,9 @@ async function scrapeTeamRoster(page, leagueId, teamId, period) {
 
 /**
  * Scrape roster data for all teams in a league for specified periods
- * @param {Page} page - Puppeteer page object
+ * Team periods are scraped on a pool of pages at once, but saved in team and period order
+ * so the database ends up the same as after a one-page scrape
+ * @param {Page} page - Puppeteer page object (authenticated; extra pages share its session)
  * @param {string} leagueId - Fantrax league ID
  * @param {Array<Object>} teams - Array of team objects from database
  * @param {Object} dbService - Database service instance
@@ -269,6 +131,9 @@ async function scrapeTeamRoster(page, leagueId, teamId, period) {
  * @param {number} options.startPeriod - Period to start scraping from (default: 1)
  * @param {number} options.endPeriod - Period to stop scraping at (default: max period)
  * @param {number} options.maxPeriods - Maximum number of periods to scrape (alternative to endPeriod)
+ * @param {boolean} options.resume - Skip team periods the scrape job ledger already has as done (default: false)
+ * @param {number} options.concurrency - Number of pages scraping at once (default: DEFAULT_CONCURRENCY)
+ * @param {number} options.requestInterval - Minimum milliseconds between page loads across all pages (default: DEFAULT_REQUEST_INTERVAL)
  * @returns {Promise<Array>} - Array of roster data for all teams and periods
  */
 async function scrapeLeagueRosters(page, leagueId, teams, dbService, seasonId, options = {}) {
@@ -276,11 +141,14 @@ async function scrapeLeagueRosters(page, leagueId, teams, dbService, seasonId, o
     const {
         startPeriod = 1,
         endPeriod = null,
-        maxPeriods = null
+        maxPeriods = null,
+        resume = false,
+        concurrency = DEFAULT_CONCURRENCY,
+        requestInterval = DEFAULT_REQUEST_INTERVAL
     } = options;
 
     console.log(`Scraping rosters for league ${leagueId}, season ID ${seasonId}`);
-    console.log(`Options: startPeriod=${startPeriod}, endPeriod=${endPeriod}, maxPeriods=${maxPeriods}`);
+    console.log(`Options: startPeriod=${startPeriod}, endPeriod=${endPeriod}, maxPeriods=${maxPeriods}, resume=${resume}, concurrency=${concurrency}, requestInterval=${requestInterval}ms`);
 
     const allRosterData = [];
 
@@ -321,40 +189,92 @@ async function scrapeLeagueRosters(page, leagueId, teams, dbService, seasonId, o
 
         console.log(`Will scrape periods ${effectiveStartPeriod} to ${effectiveEndPeriod} for each team (out of ${maxPeriodNumber} total periods)`);
 
-        // Process each team
-        for (const team of teams) {
-            console.log(`Processing team: ${team.name} (ID: ${team.team_id})`);
-            let teamSuccessCount = 0;
-            let teamFailCount = 0;
+        // Team periods finished by an earlier run
+        const completedUnits = new Set();
+        if (resume) {
+            const completed = await dbService.scrapeJobs.getCompletedUnits(seasonId);
+            completed.forEach(unit => completedUnits.add(getUnitKey(unit.team_id, unit.period)));
+            console.log(`Resuming: ${completedUnits.size} team periods already scraped`);
+        }
 
-            // Scrape each period for this team
+        // List the team periods to scrape, team by team
+        const units = [];
+        for (const team of teams) {
             for (let period = effectiveStartPeriod; period <= effectiveEndPeriod; period++) {
-                // Check if this is a playoff period
-                const periodSchedule = schedule.filter(entry => parseInt(entry.period_number, 10) === period);
-                const isPlayoffPeriod = periodSchedule.length > 0 &&
-                    (periodSchedule[0].period_type === 'Playoff' || periodSchedule[0].period_type === 'Championship');
-
                 // Skip this team for this period if it's a playoff period and the team isn't participating
-                if (isPlayoffPeriod) {
-                    const teamIdsInMatchups = new Set();
+                if (!isTeamScheduled(schedule, team, period)) {
+                    console.log(`Skipping team ${team.name} for playoff period ${period} as they are not participating`);
+                    continue;
+                }
 
-                    periodSchedule.forEach(matchup => {
-                        teamIdsInMatchups.add(matchup.away_team_id);
-                        teamIdsInMatchups.add(matchup.home_team_id);
-                    });
+                if (completedUnits.has(getUnitKey(team.id, period))) {
+                    console.log(`Skipping period ${period} for team ${team.name}, already scraped`);
+                    continue;
+                }
 
-                    if (!teamIdsInMatchups.has(team.id)) {
-                        console.log(`Skipping team ${team.name} for ${periodSchedule[0].period_type} period ${period} as they are not participating`);
-                        continue;
-                    }
+                units.push({ team, period });
+            }
+        }
+
+        if (units.length === 0) {
+            console.log('No team periods left to scrape');
+            return allRosterData;
+        }
+
+        const rateLimiter = createRateLimiter(requestInterval);
+        const pool = await createPagePool(page, Math.max(1, Math.min(concurrency, units.length)));
+        console.log(`Scraping ${units.length} team periods on ${pool.pages.length} page(s)`);
+
+        // Failures per team; a team is given up on after MAX_TEAM_FAILURES in a row
+        const teamFailures = new Map();
+
+        // Scraped units wait here until every unit before them is saved
+        const finished = new Array(units.length);
+        let nextToSave = 0;
+
+        const saveFinishedUnits = () => dbService.runExclusive(async () => {
+            while (nextToSave < units.length && finished[nextToSave] !== undefined) {
+                const { team, period } = units[nextToSave];
+                const result = finished[nextToSave];
+                finished[nextToSave] = null;
+                nextToSave++;
+
+                if (result.skipped) {
+                    continue;
+                }
+
+                if (result.error) {
+                    await dbService.scrapeJobs.failJob(seasonId, team.id, period, result.error.message);
+                    continue;
+                }
+
+                // Save after each period to ensure data is persisted even if we abort later
+                try {
+                    await dbService.saveRosterData([result.rosterData], null, leagueId);
+                    await dbService.scrapeJobs.completeJob(seasonId, team.id, period);
+                    allRosterData.push(result.rosterData);
+                    console.log(`Saved roster data for team ${team.name}, period ${period}`);
+                } catch (saveError) {
+                    console.error(`Error saving roster data for team ${team.name}, period ${period}:`, saveError);
+                    await dbService.scrapeJobs.failJob(seasonId, team.id, period, `Save failed: ${saveError.message}`);
+                }
+            }
+        });
 
-                    console.log(`Team ${team.name} is participating in ${periodSchedule[0].period_type} period ${period}`);
+        try {
+            await mapWithWorkers(units, pool.pages, async ({ team, period }, index, workerPage) => {
+                if ((teamFailures.get(team.id) || 0) >= MAX_TEAM_FAILURES) {
+                    // Not attempted, so it stays missing in the ledger
+                    finished[index] = { skipped: true };
+                    await saveFinishedUnits();
+                    return;
                 }
 
                 console.log(`Scraping period ${period} for team ${team.name}`);
 
                 try {
-                    const rosterData = await scrapeTeamRoster(page, leagueId, team.team_id, period);
+                    await dbService.runExclusive(() => dbService.scrapeJobs.startJob(seasonId, team.id, period));
+                    const rosterData = await scrapeTeamRoster(workerPage, leagueId, team.team_id, period, { rateLimiter });
 
                     // Add team and period information
                     rosterData.teamId = team.id; // Database ID
@@ -362,49 +282,26 @@ async function scrapeLeagueRosters(page, leagueId, teams, dbService, seasonId, o
                     rosterData.periodNumber = period;
                     rosterData.seasonId = seasonId; // Add the season ID
 
-                    allRosterData.push(rosterData);
-                    teamSuccessCount++;
-
-                    // Save after each period to ensure data is persisted even if we abort later
-                    try {
-                        await dbService.saveRosterData([rosterData], null, leagueId);
-                        console.log(`Saved roster data for team ${team.name}, period ${period}`);
-                    } catch (saveError) {
-                        console.error(`Error saving roster data for team ${team.name}, period ${period}:`, saveError);
-                    }
-
-                    // Brief pause between requests to avoid rate limiting
-                    // Use normal setTimeout for compatibility
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    teamFailures.set(team.id, 0);
+                    finished[index] = { rosterData };
                 } catch (periodError) {
                     console.error(`Error scraping period ${period} for team ${team.name}:`, periodError);
-                    teamFailCount++;
+                    finished[index] = { error: periodError };
 
-                    // If we have 3 consecutive failures for a team, move on to next team
-                    if (teamFailCount >= 3) {
-                        console.log(`Too many failures for team ${team.name}, moving to next team`);
-                        break;
+                    const failures = (teamFailures.get(team.id) || 0) + 1;
+                    teamFailures.set(team.id, failures);
+                    if (failures === MAX_TEAM_FAILURES) {
+                        console.log(`Too many failures for team ${team.name}, skipping its remaining periods`);
                     }
 
                     // Slightly longer pause after an error
                     await new Promise(resolve => setTimeout(resolve, 5000));
                 }
-            }
-
-            // Try to free memory between teams
-            if (global.gc) {
-                try {
-                    global.gc();
-                    console.log('Garbage collection run between teams');
-                } catch (gcError) {
-                    console.log('Failed to run garbage collection');
-                }
-            }
-
-            console.log(`Completed team ${team.name}: ${teamSuccessCount} periods scraped, ${teamFailCount} failures`);
 
-            // Wait a bit longer between teams
-            await new Promise(resolve => setTimeout(resolve, 5000));
+                await saveFinishedUnits();
+            });
+        } finally {
+            await pool.close();
         }
 
         console.log(`Successfully scraped ${allRosterData.length} team roster periods`);
@@ -415,7 +312,135 @@ async function scrapeLeagueRosters(page, leagueId, teams, dbService, seasonId, o
     }
 }
 
+/**
+ * Check whether a team plays in a period
+ * Every team plays in regular season periods; in playoff periods only teams with a matchup do
+ * @param {Array<Object>} schedule - Schedule entries for the season
+ * @param {Object} team - Team row from the database
+ * @param {number} period - Period number
+ * @returns {boolean} True if the team's roster should be scraped for the period
+ */
+function isTeamScheduled(schedule, team, period) {
+    const periodSchedule = schedule.filter(entry => parseInt(entry.period_number, 10) === period);
+    const isPlayoffPeriod = periodSchedule.length > 0 &&
+        (periodSchedule[0].period_type === 'Playoff' || periodSchedule[0].period_type === 'Championship');
+
+    if (!isPlayoffPeriod) {
+        return true;
+    }
+
+    return periodSchedule.some(matchup => matchup.away_team_id === team.id || matchup.home_team_id === team.id);
+}
+
+/**
+ * Key for a team period in the scrape job ledger
+ * @param {number} teamId - Team ID (database ID)
+ * @param {number} period - Period number
+ * @returns {string} Unit key
+ */
+function getUnitKey(teamId, period) {
+    return `${teamId}:${period}`;
+}
+
+/**
+ * Work out which team periods of a season are missing or failed
+ * @param {Array<Object>} teams - Team rows for the season
+ * @param {Array<Object>} schedule - Schedule entries for the season
+ * @param {Array<Object>} jobs - Scrape jobs for the season
+ * @param {Array<Object>} completedUnits - Completed units ({ team_id, period }) from the ledger
+ * @returns {Object} Unit counts and the teams with gaps ({ expected, done, gaps: [{ teamName, missing, failed }] })
+ */
+function summarizeRosterCoverage(teams, schedule, jobs, completedUnits) {
+    const periods = [...new Set(schedule.map(entry => parseInt(entry.period_number, 10)))]
+        .filter(period => !isNaN(period))
+        .sort((a, b) => a - b);
+
+    const completed = new Set(completedUnits.map(unit => getUnitKey(unit.team_id, unit.period)));
+    const failed = new Set(jobs
+        .filter(job => job.status === 'failed')
+        .map(job => getUnitKey(job.team_id, job.period)));
+
+    let expected = 0;
+    let done = 0;
+    const gaps = [];
+
+    teams.forEach(team => {
+        const teamGaps = { teamName: team.name, missing: [], failed: [] };
+
+        periods.forEach(period => {
+            if (!isTeamScheduled(schedule, team, period)) return;
+
+            expected++;
+            const key = getUnitKey(team.id, period);
+
+            if (completed.has(key)) {
+                done++;
+            } else if (failed.has(key)) {
+                teamGaps.failed.push(period);
+            } else {
+                teamGaps.missing.push(period);
+            }
+        });
+
+        if (teamGaps.missing.length > 0 || teamGaps.failed.length > 0) {
+            gaps.push(teamGaps);
+        }
+    });
+
+    return { expected, done, gaps };
+}
+
+/**
+ * Format period numbers as ranges, e.g. [1, 2, 3, 7] becomes "1-3, 7"
+ * @param {Array<number>} periods - Sorted period numbers
+ * @returns {string} Period ranges
+ */
+function formatPeriodRanges(periods) {
+    const ranges = [];
+
+    periods.forEach(period => {
+        const last = ranges[ranges.length - 1];
+        if (last && period === last[1] + 1) {
+            last[1] = period;
+        } else {
+            ranges.push([period, period]);
+        }
+    });
+
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * Print the roster coverage of a season: how many team periods are scraped and which are not
+ * @param {Object} dbService - Database service instance
+ * @param {Object} season - Seasons table row
+ * @returns {Promise<Object>} Coverage summary (see summarizeRosterCoverage)
+ */
+async function reportRosterCoverage(dbService, season) {
+    const [teams, schedule, jobs, completedUnits] = await Promise.all([
+        dbService.teams.getTeamsBySeason(season.id),
+        dbService.schedule.getScheduleBySeason(season.id),
+        dbService.scrapeJobs.getJobsBySeason(season.id),
+        dbService.scrapeJobs.getCompletedUnits(season.id)
+    ]);
+
+    const coverage = summarizeRosterCoverage(teams, schedule, jobs, completedUnits);
+
+    console.log(`\n${season.year} rosters: ${coverage.done}/${coverage.expected} team periods scraped`);
+    coverage.gaps.forEach(gap => {
+        const parts = [];
+        if (gap.missing.length > 0) parts.push(`missing ${formatPeriodRanges(gap.missing)}`);
+        if (gap.failed.length > 0) parts.push(`failed ${formatPeriodRanges(gap.failed)}`);
+        console.log(`  ${gap.teamName}: ${parts.join('; ')}`);
+    });
+
+    return coverage;
+}
+
 module.exports = {
     scrapeTeamRoster,
-    scrapeLeagueRosters
-};
\ No newline at end of file
+    scrapeLeagueRosters,
+    summarizeRosterCoverage,
+    formatPeriodRanges,
+    reportRosterCoverage
+};
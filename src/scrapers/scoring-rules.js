@@ -0,0 +1,53 @@
+const { FANTRAX_BASE_URL } = require('../auth');
+const { archivePage } = require('../utils/archive');
+const { parseScoringRules } = require('../parsers/scoring-rules');
+
+/**
+ * Scrapes a season's scoring settings from the league rules page
+ * @param {Page} page - Puppeteer page object
+ * @param {string} leagueId - Fantrax league ID
+ * @returns {Promise<Array>} - Array of scoring rules ({ group, category, label, points })
+ */
+async function scrapeScoringRules(page, leagueId) {
+    console.log(`Scraping scoring rules for league: ${leagueId}`);
+
+    try {
+        const url = `${FANTRAX_BASE_URL}/fantasy/league/${leagueId}/rules`;
+        console.log(`Navigating to: ${url}`);
+        await page.goto(url, { waitUntil: 'networkidle2' });
+
+        // Add a delay to ensure Angular has time to render components
+        console.log('Waiting for the rules page to fully render...');
+        await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 4000)));
+
+        try {
+            await page.waitForSelector('table tr', { timeout: 5000 });
+        } catch (waitError) {
+            console.warn('Warning: Timed out waiting for the scoring tables. Will try to extract data anyway.', waitError.message);
+        }
+
+        // Archive the HTML content (data/archive) so it can be reparsed offline
+        const content = await page.content();
+        await archivePage({
+            leagueId,
+            pageType: 'scoring-rules',
+            url,
+            content
+        });
+
+        const { rules, unmatched } = parseScoringRules(content);
+        if (unmatched.length > 0) {
+            console.warn(`Rules page rows that aren't a known scoring category: ${unmatched.join(', ')}`);
+        }
+        console.log(`Scraped ${rules.length} scoring rules`);
+
+        return rules;
+    } catch (error) {
+        console.error('Error scraping scoring rules:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    scrapeScoringRules
+};
@@ -0,0 +1,62 @@
+const { FANTRAX_BASE_URL } = require('../auth');
+const { archivePage } = require('../utils/archive');
+const { parseTransactions } = require('../parsers/transactions');
+
+// Transaction history views: claims and drops (including commissioner moves) are listed apart from trades
+const TRANSACTION_VIEWS = ['CLAIM_DROP', 'TRADE'];
+
+// Large enough to fit a whole season's log on one page
+const MAX_RESULTS_PER_PAGE = 5000;
+
+/**
+ * Scrapes the league transaction history: claims, drops, trades and commissioner moves
+ * @param {Page} page - Puppeteer page object
+ * @param {string} leagueId - Fantrax league ID
+ * @param {string|number} year - Season year, for dates shown without one
+ * @returns {Promise<Array>} - Array of transactions from every view
+ */
+async function scrapeTransactions(page, leagueId, year) {
+    console.log(`Scraping transaction history for league: ${leagueId}`);
+
+    const transactions = [];
+
+    try {
+        for (const view of TRANSACTION_VIEWS) {
+            const url = `${FANTRAX_BASE_URL}/fantasy/league/${leagueId}/transactions/history;view=${view};maxResultsPerPage=${MAX_RESULTS_PER_PAGE}`;
+            console.log(`Navigating to: ${url}`);
+            await page.goto(url, { waitUntil: 'networkidle2' });
+
+            // Add a delay to ensure Angular has time to render components
+            console.log('Waiting for transaction history to fully render...');
+            await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 4000)));
+
+            try {
+                await page.waitForSelector('.ultimate-table section > aside > td', { timeout: 5000 });
+            } catch (waitError) {
+                console.warn(`Warning: Timed out waiting for the ${view} transaction table. Will try to extract data anyway.`, waitError.message);
+            }
+
+            // Archive the HTML content (data/archive) so it can be reparsed offline
+            const content = await page.content();
+            await archivePage({
+                leagueId,
+                pageType: 'transactions',
+                url,
+                content
+            });
+
+            const viewTransactions = parseTransactions(content, { year });
+            console.log(`Found ${viewTransactions.length} transactions in the ${view} view`);
+            transactions.push(...viewTransactions);
+        }
+
+        return transactions;
+    } catch (error) {
+        console.error('Error scraping transaction history:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    scrapeTransactions
+};
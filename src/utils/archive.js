@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const path = require('path');
+const dbService = require('../database');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Archive configuration
+// Files are stored once per distinct page content: <league>/<page type>/<sha256>.html.gz
+const ARCHIVE_DIR = path.join(__dirname, '../../data/archive');
+
+// Directory for pages that don't belong to a league (e.g. the account's league list)
+const ACCOUNT_DIR = 'account';
+
+/**
+ * Archive a scraped page and record the capture in the page_archive table
+ * Every call adds a capture row; the file itself is only written if its content is new
+ * @param {Object} page - Page to archive
+ * @param {string|null} page.leagueId - Fantrax league ID (null for account-wide pages)
+ * @param {string} page.pageType - Page type (e.g. 'standings', 'roster')
+ * @param {string} [page.teamId] - Fantrax team ID for team pages
+ * @param {number|string} [page.period] - Scoring period for period pages
+ * @param {string} [page.url] - URL the page was loaded from
+ * @param {string} page.content - Page HTML
+ * @returns {Promise<Object>} Capture ({ id, contentHash, filePath, isNewContent })
+ */
+async function archivePage(page) {
+    const { leagueId = null, pageType, teamId = null, url = null, content } = page;
+    const period = page.period === undefined || page.period === null ? null : parseInt(page.period, 10);
+
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+    const filePath = path.join(leagueId || ACCOUNT_DIR, pageType, `${contentHash}.html.gz`);
+    const fullPath = path.join(ARCHIVE_DIR, filePath);
+
+    const isNewContent = !await fs.pathExists(fullPath);
+    if (isNewContent) {
+        await fs.ensureDir(path.dirname(fullPath));
+        await fs.writeFile(fullPath, await gzip(content));
+    }
+
+    await dbService.initialize();
+    const id = await dbService.runExclusive(() => dbService.pageArchive.addCapture({
+        leagueId,
+        pageType,
+        teamId,
+        period,
+        url,
+        contentHash,
+        filePath,
+        sizeBytes: Buffer.byteLength(content)
+    }));
+
+    console.log(`Archived ${pageType} page as ${filePath}${isNewContent ? '' : ' (unchanged, already stored)'}`);
+    return { id, contentHash, filePath, isNewContent };
+}
+
+/**
+ * Read an archived page
+ * @param {string} filePath - Archive file path from page_archive.file_path
+ * @returns {Promise<string>} Page HTML
+ */
+async function readArchivedPage(filePath) {
+    const data = await fs.readFile(path.join(ARCHIVE_DIR, filePath));
+    return (await gunzip(data)).toString('utf8');
+}
+
+/**
+ * Read the most recent capture of a page
+ * @param {Object} key - Page key ({ leagueId, pageType, teamId, period })
+ * @returns {Promise<Object|null>} Capture row with its HTML in `content`, or null if never archived
+ */
+async function loadLatestPage(key) {
+    await dbService.initialize();
+
+    const capture = await dbService.pageArchive.getLatestCapture(key);
+    if (!capture) return null;
+
+    return { ...capture, content: await readArchivedPage(capture.file_path) };
+}
+
+/**
+ * Read the most recent capture of every page of a type for a league (one per period and team)
+ * @param {string} leagueId - Fantrax league ID
+ * @param {string} pageType - Page type (e.g. 'matchups')
+ * @returns {Promise<Array>} Capture rows with their HTML in `content`, ordered by period and team
+ */
+async function loadLatestPages(leagueId, pageType) {
+    await dbService.initialize();
+
+    const captures = await dbService.pageArchive.getLatestCaptures(leagueId, pageType);
+    const pages = [];
+    for (const capture of captures) {
+        pages.push({ ...capture, content: await readArchivedPage(capture.file_path) });
+    }
+
+    return pages;
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    archivePage,
+    readArchivedPage,
+    loadLatestPage,
+    loadLatestPages
+};
@@ -47,6 +47,33 @@ async function setupPage(browser) {
     return page;
 }
 
+/**
+ * Open extra pages next to an authenticated page
+ * The pages share the browser's cookies and storage, so they are logged in too
+ * @param {Page} page - Authenticated Puppeteer page (becomes the first page of the pool)
+ * @param {number} size - Total number of pages in the pool
+ * @returns {Promise<Object>} Pool ({ pages, close }); close() shuts the extra pages only
+ */
+async function createPagePool(page, size) {
+    const pages = [page];
+
+    try {
+        while (pages.length < size) {
+            pages.push(await setupPage(page.browser()));
+        }
+    } catch (error) {
+        await Promise.all(pages.slice(1).map(extra => extra.close()));
+        throw error;
+    }
+
+    return {
+        pages,
+        close: async () => {
+            await Promise.all(pages.slice(1).map(extra => extra.close().catch(() => {})));
+        }
+    };
+}
+
 /**
  * Take a screenshot and save it to the screenshots directory
  * @param {Page} page - Puppeteer page object
@@ -62,6 +89,7 @@ async function takeScreenshot(page, name) {
 module.exports = {
     setupBrowser,
     setupPage,
+    createPagePool,
     takeScreenshot,
     SCREENSHOTS_DIR
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Create a rate limiter that spaces out calls to wait() by at least the given interval
+ * The limit is shared by everyone holding the limiter, however many scrapes run at once
+ * @param {number} intervalMs - Minimum time between two requests in milliseconds
+ * @returns {Object} Rate limiter with an async wait() method
+ */
+function createRateLimiter(intervalMs) {
+    let nextSlot = 0;
+
+    return {
+        async wait() {
+            const now = Date.now();
+            const slot = Math.max(now, nextSlot);
+            nextSlot = slot + intervalMs;
+
+            if (slot > now) {
+                await new Promise(resolve => setTimeout(resolve, slot - now));
+            }
+        }
+    };
+}
+
+/**
+ * Create a mutex that runs callbacks one at a time, in the order they were queued
+ * @returns {Object} Mutex with an async runExclusive(callback) method
+ */
+function createMutex() {
+    let last = Promise.resolve();
+
+    return {
+        runExclusive(callback) {
+            const result = last.then(() => callback());
+            // Keep the queue going even if this callback fails
+            last = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+/**
+ * Process items with a fixed set of workers (e.g. browser pages), each handling one item at a time
+ * Items are handed out in order; results come back in item order whatever order they finish in.
+ * When a handler fails no more items are handed out, and the first error is thrown only once every
+ * worker has finished its current item, so callers can safely release the workers afterwards
+ * @param {Array} items - Items to process
+ * @param {Array} workers - Worker resources; one item runs per worker at a time
+ * @param {Function} handler - async (item, index, worker) => result
+ * @returns {Promise<Array>} Handler results in item order
+ * @throws {Error} The first error a handler threw
+ */
+async function mapWithWorkers(items, workers, handler) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failure = null;
+
+    await Promise.allSettled(workers.map(async worker => {
+        while (!failure && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await handler(items[index], index, worker);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    }));
+
+    if (failure) throw failure.error;
+    return results;
+}
+
+module.exports = {
+    createRateLimiter,
+    createMutex,
+    mapWithWorkers
+};
@@ -7,14 +7,22 @@ const fs = require('fs-extra');
 const DB_DIR = path.join(__dirname, '../../data/db');
 const DB_PATH = path.join(DB_DIR, 'fantrax.db');
 
+// Numbered schema migrations (NNN-name.js, applied in order and recorded in schema_migrations)
+const MIGRATIONS_DIR = path.join(__dirname, '../database/migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})-([a-z0-9-]+)\.js$/;
+
 // Ensure database directory exists
 fs.ensureDirSync(DB_DIR);
 
 /**
- * Initialize the database connection and create tables if they don't exist
+ * Initialize the database connection and apply any pending schema migrations
+ * @param {Object} options - Initialization options
+ * @param {boolean} options.migrate - Apply pending migrations (default: true)
  * @returns {Promise<sqlite.Database>} Database connection
  */
-async function initializeDatabase() {
+async function initializeDatabase(options = {}) {
+    const { migrate = true } = options;
+
     console.log('Initializing database connection...');
 
     try {
@@ -29,76 +37,10 @@ async function initializeDatabase() {
         // Enable foreign keys support
         await db.run('PRAGMA foreign_keys = ON;');
 
-        // Create the seasons table
-        await db.exec(`
-            CREATE TABLE IF NOT EXISTS seasons (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                year TEXT NOT NULL,
-                league_id TEXT UNIQUE NOT NULL,
-                name TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-
-        // Create the teams table
-        await db.exec(`
-            CREATE TABLE IF NOT EXISTS teams (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                team_id TEXT NOT NULL,
-                season_id INTEGER NOT NULL,
-                name TEXT NOT NULL,
-                icon_url TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (season_id) REFERENCES seasons (id),
-                UNIQUE (team_id, season_id)
-            );
-        `);
-
-        // Create the schedule table
-        await db.exec(`
-            CREATE TABLE IF NOT EXISTS schedule (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                season_id INTEGER NOT NULL,
-                period_number TEXT NOT NULL,
-                period_type TEXT NOT NULL,
-                date_range TEXT,
-                away_team_id INTEGER NOT NULL,
-                home_team_id INTEGER NOT NULL,
-                matchup_id TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (season_id) REFERENCES seasons (id),
-                FOREIGN KEY (away_team_id) REFERENCES teams (id),
-                FOREIGN KEY (home_team_id) REFERENCES teams (id),
-                UNIQUE (season_id, period_number, away_team_id, home_team_id)
-            );
-        `);
-
-        // Create triggers to update the updated_at timestamp
-        await db.exec(`
-            -- Season update trigger
-            CREATE TRIGGER IF NOT EXISTS update_season_timestamp
-            AFTER UPDATE ON seasons
-            BEGIN
-                UPDATE seasons SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-            END;
-            
-            -- Team update trigger
-            CREATE TRIGGER IF NOT EXISTS update_team_timestamp
-            AFTER UPDATE ON teams
-            BEGIN
-                UPDATE teams SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-            END;
-            
-            -- Schedule update trigger
-            CREATE TRIGGER IF NOT EXISTS update_schedule_timestamp
-            AFTER UPDATE ON schedule
-            BEGIN
-                UPDATE schedule SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-            END;
-        `);
+        // Bring the schema up to date (see src/database/migrations)
+        if (migrate) {
+            await migrateDatabase(db);
+        }
 
         console.log('Database initialized successfully');
         return db;
@@ -108,6 +50,76 @@ async function initializeDatabase() {
     }
 }
 
+/**
+ * Check whether a table exists
+ * @param {sqlite.Database} db - Database connection
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>} True if the table exists
+ */
+async function tableExists(db, table) {
+    const row = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return Boolean(row);
+}
+
+/**
+ * Add a column to an existing table if it isn't there yet
+ * @param {sqlite.Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+
+    if (!columns.some(col => col.name === column)) {
+        console.log(`Adding ${column} column to ${table} table...`);
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+/**
+ * Record which of a migration's tables were already there when it ran (built by the old schema scripts),
+ * so rolling the migration back won't drop them
+ * Call it at the start of up, before the tables are created
+ * @param {sqlite.Database} db - Database connection
+ * @param {Array<string>} tables - Tables the migration creates
+ * @returns {Promise<Array<string>>} The tables that already existed
+ */
+async function recordAdoptedTables(db, tables) {
+    const adopted = [];
+
+    for (const table of tables) {
+        if (await tableExists(db, table)) {
+            await db.run('INSERT OR IGNORE INTO schema_adopted_tables (table_name) VALUES (?)', [table]);
+            adopted.push(table);
+        }
+    }
+
+    return adopted;
+}
+
+/**
+ * Drop the tables a migration created, in the order given
+ * @param {sqlite.Database} db - Database connection
+ * @param {Array<string>} tables - Tables the migration creates
+ * @throws {Error} If any of them was adopted from an older database (see recordAdoptedTables), before anything is dropped
+ */
+async function dropCreatedTables(db, tables) {
+    const placeholders = tables.map(() => '?').join(', ');
+    const adopted = (await db.all(
+        `SELECT table_name FROM schema_adopted_tables WHERE table_name IN (${placeholders}) ORDER BY table_name`,
+        tables
+    )).map(row => row.table_name);
+
+    if (adopted.length > 0) {
+        throw new Error(`${adopted.join(', ')} existed before the migrations ran; rolling back would drop data they didn't create`);
+    }
+
+    for (const table of tables) {
+        await db.exec(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
 /**
  * Run a query within a transaction
  * @param {sqlite.Database} db - Database connection
@@ -145,8 +157,196 @@ async function withTransaction(db, callback) {
     }
 }
 
+/**
+ * Load the migration files in version order
+ * Each file exports { description, up(db), down(db) }
+ * @param {string} dir - Migrations directory (default: src/database/migrations)
+ * @returns {Array<Object>} Migrations ({ version, name, description, up, down })
+ * @throws {Error} If a file is misnamed, incomplete or shares its version with another
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) {
+                throw new Error(`Migration file ${file} must be named NNN-name.js`);
+            }
+
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up and down functions`);
+            }
+
+            return {
+                version: parseInt(match[1], 10),
+                name: file.replace(/\.js$/, ''),
+                description: migration.description || '',
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Migrations ${migrations[index - 1].name} and ${migration.name} share version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+/**
+ * Create the tables that record applied migrations and the tables they adopted
+ * @param {sqlite.Database} db - Database connection
+ */
+async function ensureMigrationsTable(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Tables the migrations found already built by the old schema scripts
+        CREATE TABLE IF NOT EXISTS schema_adopted_tables (
+            table_name TEXT PRIMARY KEY,
+            adopted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+/**
+ * Run one migration in either direction inside a transaction and record it
+ * Foreign keys are switched off while it runs so tables can be rebuilt (SQLite ignores the pragma inside a transaction)
+ * @param {sqlite.Database} db - Database connection
+ * @param {Object} migration - Migration from loadMigrations
+ * @param {string} direction - 'up' or 'down'
+ */
+async function runMigration(db, migration, direction) {
+    await db.run('PRAGMA foreign_keys = OFF');
+
+    try {
+        await withTransaction(db, async () => {
+            await migration[direction](db);
+
+            if (direction === 'up') {
+                await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            } else {
+                await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            }
+        });
+    } finally {
+        await db.run('PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * List every migration with whether and when it was applied
+ * @param {sqlite.Database} db - Database connection
+ * @param {Object} options - Status options
+ * @param {Array<Object>} options.migrations - Migrations to check (default: loadMigrations())
+ * @returns {Promise<Array>} One row per migration ({ version, name, description, appliedAt }), plus any
+ *   applied version whose file is missing (description 'missing migration file')
+ */
+async function getMigrationStatus(db, options = {}) {
+    const { migrations = loadMigrations() } = options;
+
+    await ensureMigrationsTable(db);
+    const applied = new Map((await db.all('SELECT * FROM schema_migrations'))
+        .map(row => [row.version, row]));
+
+    const status = migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    const known = new Set(migrations.map(migration => migration.version));
+    for (const row of applied.values()) {
+        if (!known.has(row.version)) {
+            status.push({ version: row.version, name: row.name, description: 'missing migration file', appliedAt: row.applied_at });
+        }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {sqlite.Database} db - Database connection
+ * @param {Object} options - Migration options
+ * @param {number} options.to - Stop after this version (default: the latest)
+ * @param {Array<Object>} options.migrations - Migrations to apply (default: loadMigrations())
+ * @returns {Promise<Array<string>>} Names of the migrations applied
+ */
+async function migrateDatabase(db, options = {}) {
+    const { to = Infinity, migrations = loadMigrations() } = options;
+
+    await ensureMigrationsTable(db);
+    const applied = new Set((await db.all('SELECT version FROM schema_migrations')).map(row => row.version));
+
+    const names = [];
+    for (const migration of migrations) {
+        if (migration.version > to || applied.has(migration.version)) continue;
+
+        console.log(`Applying migration ${migration.name}...`);
+        await runMigration(db, migration, 'up');
+        names.push(migration.name);
+    }
+
+    return names;
+}
+
+/**
+ * Roll back applied migrations, latest first
+ * @param {sqlite.Database} db - Database connection
+ * @param {Object} options - Rollback options
+ * @param {number} options.to - Roll back every migration after this version (default: only the latest one)
+ * @param {Array<Object>} options.migrations - Known migrations (default: loadMigrations())
+ * @returns {Promise<Array<string>>} Names of the migrations rolled back
+ * @throws {Error} If an applied migration to roll back has no file
+ */
+async function rollbackDatabase(db, options = {}) {
+    const { migrations = loadMigrations() } = options;
+
+    await ensureMigrationsTable(db);
+    const applied = await db.all('SELECT * FROM schema_migrations ORDER BY version DESC');
+    if (applied.length === 0) return [];
+
+    const to = options.to !== undefined ? options.to : (applied.length > 1 ? applied[1].version : 0);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    const names = [];
+    for (const row of applied) {
+        if (row.version <= to) break;
+
+        const migration = byVersion.get(row.version);
+        if (!migration) {
+            throw new Error(`Can't roll back ${row.name}: its migration file is missing`);
+        }
+
+        console.log(`Rolling back migration ${migration.name}...`);
+        await runMigration(db, migration, 'down');
+        names.push(migration.name);
+    }
+
+    return names;
+}
+
 module.exports = {
     initializeDatabase,
     withTransaction,
-    DB_PATH
+    tableExists,
+    addColumnIfMissing,
+    recordAdoptedTables,
+    dropCreatedTables,
+    loadMigrations,
+    getMigrationStatus,
+    migrateDatabase,
+    rollbackDatabase,
+    DB_PATH,
+    MIGRATIONS_DIR
 };
\ No newline at end of file
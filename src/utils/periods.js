@@ -0,0 +1,74 @@
+const { parseDate } = require('../parsers/html');
+
+/**
+ * Parse a scoring period's date range into start and end dates
+ * Handles ranges with or without years ("Thu Mar 28, 2024 - Sun Mar 31, 2024", "Mon Dec 30 - Sun Jan 5");
+ * a yearless end date that falls before the start belongs to the next year
+ * @param {string} text - Date range text from the period header
+ * @param {string|number} year - Year to use for dates without one
+ * @returns {Object|null} { startDate, endDate } as YYYY-MM-DD, or null if the text isn't a date range
+ */
+function parseDateRange(text, year) {
+    const [startText, endText] = (text || '').split(/\s+[-–]\s+/);
+    const startDate = parseDate(startText, year);
+    const endDate = parseDate(endText, startDate ? startDate.slice(0, 4) : year);
+    if (!startDate || !endDate) return null;
+
+    if (endDate < startDate && !/\d{4}/.test(endText)) {
+        return { startDate, endDate: parseDate(endText, parseInt(startDate.slice(0, 4), 10) + 1) };
+    }
+
+    return { startDate, endDate };
+}
+
+/**
+ * Build a season's period calendar from its schedule
+ * Periods are taken in period-number order; when a yearless range would start before the previous
+ * period ended, the season has crossed into the next year. Period lengths aren't assumed, so a long
+ * opening week or an All-Star-break period comes through as printed.
+ * @param {Array<Object>} matchups - Schedule entries ({ periodNumber, periodType, dateRange })
+ * @param {string|number} year - Season year
+ * @returns {Array<Object>} Periods ({ periodNumber, periodType, startDate, endDate }), one per period with a date range
+ */
+function buildPeriodCalendar(matchups, year) {
+    const periods = new Map();
+    matchups.forEach(matchup => {
+        const periodNumber = parseInt(matchup.periodNumber, 10);
+        if (!periods.has(periodNumber) && matchup.dateRange) {
+            periods.set(periodNumber, matchup);
+        }
+    });
+
+    const calendar = [];
+    let currentYear = parseInt(year, 10);
+
+    [...periods.entries()]
+        .sort(([a], [b]) => a - b)
+        .forEach(([periodNumber, { periodType, dateRange }]) => {
+            let range = parseDateRange(dateRange, currentYear);
+            if (!range) {
+                console.warn(`Can't read the dates of period ${periodNumber}: "${dateRange}"`);
+                return;
+            }
+
+            const previous = calendar[calendar.length - 1];
+            if (previous && range.startDate <= previous.endDate && !/\d{4}/.test(dateRange)) {
+                currentYear++;
+                range = parseDateRange(dateRange, currentYear);
+            }
+
+            if (previous && range.startDate <= previous.endDate) {
+                console.warn(`Period ${periodNumber} (${range.startDate}) starts before period ${previous.periodNumber} ends (${previous.endDate})`);
+            }
+
+            currentYear = parseInt(range.endDate.slice(0, 4), 10);
+            calendar.push({ periodNumber, periodType, ...range });
+        });
+
+    return calendar;
+}
+
+module.exports = {
+    parseDateRange,
+    buildPeriodCalendar
+};
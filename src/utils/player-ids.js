@@ -0,0 +1,112 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Checked-in overrides for Fantrax players the name matcher gets wrong or can't match
+const OVERRIDES_FILE = path.join(__dirname, '../config/player-id-overrides.json');
+
+// How a Fantrax player ID was mapped to an MLB player ID
+const MATCH_METHODS = {
+    OVERRIDE: 'override',
+    EXACT_NAME: 'exact-name',
+    SIMILAR_NAME: 'similar-name'
+};
+
+/**
+ * Get the key an override applies to: the Fantrax ID, or for a player the roster pages gave no ID,
+ * the season, normalized name and MLB team (the only way to tell such players apart)
+ * @param {Object} override - Override
+ * @returns {string} Key, unique within the overrides file
+ */
+function getOverrideKey(override) {
+    return override.fantraxPlayerId || [override.season, override.normalizedName, override.mlbTeam || ''].join('|');
+}
+
+/**
+ * Describe the player an override is for, in error messages
+ * @param {Object} override - Override
+ * @returns {string} Fantrax ID, or name, season and team
+ */
+function describeOverride(override) {
+    return override.fantraxPlayerId || `${override.normalizedName} (${override.season} ${override.mlbTeam || 'no team'})`;
+}
+
+/**
+ * Check a list of overrides
+ * @param {Array<Object>} overrides - Overrides
+ * @param {string} file - Overrides file, for the error messages
+ * @throws {Error} If an entry is missing an ID or its key, or a player is listed twice
+ */
+function validatePlayerIdOverrides(overrides, file) {
+    if (!Array.isArray(overrides)) {
+        throw new Error(`${path.basename(file)} must hold a list of overrides`);
+    }
+
+    const seen = new Set();
+    overrides.forEach((override, index) => {
+        const hasFantraxId = Boolean(override.fantraxPlayerId) && typeof override.fantraxPlayerId === 'string';
+        const hasNameKey = typeof override.season === 'string' && /^\d{4}$/.test(override.season)
+            && typeof override.normalizedName === 'string' && override.normalizedName.length > 0
+            && (override.mlbTeam === undefined || override.mlbTeam === null || typeof override.mlbTeam === 'string');
+
+        if (!hasFantraxId && (override.fantraxPlayerId || !hasNameKey)) {
+            throw new Error(`Override ${index + 1} in ${path.basename(file)} is missing a fantraxPlayerId (or a season, normalizedName and mlbTeam)`);
+        }
+        if (override.nonMlb) {
+            if (override.mlbPlayerId !== undefined && override.mlbPlayerId !== null) {
+                throw new Error(`Override for ${describeOverride(override)} is marked nonMlb but has an mlbPlayerId`);
+            }
+        } else if (!Number.isInteger(override.mlbPlayerId)) {
+            throw new Error(`Override for ${describeOverride(override)} needs a numeric mlbPlayerId`);
+        }
+
+        const key = getOverrideKey(override);
+        if (seen.has(key)) {
+            throw new Error(`Fantrax player ${describeOverride(override)} has more than one override`);
+        }
+        seen.add(key);
+    });
+}
+
+/**
+ * Read the player ID overrides file
+ * Each entry is { fantraxPlayerId, mlbPlayerId, playerName, note }; playerName and note are for people.
+ * A Fantrax player who isn't an MLB player (a prospect, a placeholder) is { fantraxPlayerId, nonMlb: true }.
+ * A player the roster pages gave no Fantrax ID is keyed on { season, normalizedName, mlbTeam } instead
+ * @param {string} file - Overrides file (default: src/config/player-id-overrides.json)
+ * @returns {Array<Object>} Overrides
+ * @throws {Error} If an entry is missing an ID or its key, or a player is listed twice
+ */
+function loadPlayerIdOverrides(file = OVERRIDES_FILE) {
+    if (!fs.existsSync(file)) return [];
+
+    const overrides = fs.readJsonSync(file);
+    validatePlayerIdOverrides(overrides, file);
+    return overrides;
+}
+
+/**
+ * Add an override to the overrides file, replacing any earlier one for the same player (see getOverrideKey)
+ * The override is checked like the rest of the file first, so a bad one is never written
+ * @param {Object} override - Override ({ fantraxPlayerId or season, normalizedName and mlbTeam; mlbPlayerId or nonMlb;
+ *   playerName, note })
+ * @param {string} file - Overrides file (default: src/config/player-id-overrides.json)
+ * @returns {Array<Object>} Overrides now in the file
+ * @throws {Error} If the override is missing an ID or its key
+ */
+function savePlayerIdOverride(override, file = OVERRIDES_FILE) {
+    const overrides = loadPlayerIdOverrides(file)
+        .filter(existing => getOverrideKey(existing) !== getOverrideKey(override));
+    overrides.push(override);
+    validatePlayerIdOverrides(overrides, file);
+
+    fs.writeJsonSync(file, overrides, { spaces: 4 });
+    return overrides;
+}
+
+module.exports = {
+    OVERRIDES_FILE,
+    MATCH_METHODS,
+    getOverrideKey,
+    loadPlayerIdOverrides,
+    savePlayerIdOverride
+};
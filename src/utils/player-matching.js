@@ -0,0 +1,196 @@
+// Weights of the three signals in a candidate's score (they add up to 1)
+const WEIGHTS = {
+    name: 0.7,
+    team: 0.2,
+    batSide: 0.1
+};
+
+// A candidate is linked when it scores at least this and beats the runner-up by MIN_MARGIN
+const MIN_SCORE = 0.8;
+const MIN_MARGIN = 0.1;
+
+// Candidates scoring at least this that can't be linked go to the review report
+const REVIEW_SCORE = 0.6;
+
+// First names that are the same person (Mike Yastrzemski is Michael on the MLB side)
+const NICKNAME_GROUPS = [
+    ['mike', 'michael', 'mikey'],
+    ['will', 'william', 'bill', 'billy', 'willie'],
+    ['matt', 'matthew'],
+    ['chris', 'christopher'],
+    ['nick', 'nicholas', 'nicky'],
+    ['alex', 'alexander', 'alejandro'],
+    ['tony', 'anthony'],
+    ['josh', 'joshua'],
+    ['jake', 'jacob'],
+    ['dan', 'daniel', 'danny'],
+    ['zach', 'zack', 'zachary'],
+    ['ben', 'benjamin'],
+    ['joe', 'joseph', 'joey'],
+    ['jon', 'jonathan', 'jonny'],
+    ['rob', 'robert', 'robbie', 'bob', 'bobby'],
+    ['tom', 'thomas', 'tommy'],
+    ['jim', 'james', 'jimmy'],
+    ['andy', 'andrew', 'drew'],
+    ['cam', 'cameron'],
+    ['nate', 'nathan', 'nathaniel'],
+    ['sam', 'samuel', 'sammy'],
+    ['steve', 'steven', 'stephen'],
+    ['tim', 'timothy'],
+    ['greg', 'gregory'],
+    ['ed', 'edward', 'eddie'],
+    ['pat', 'patrick'],
+    ['rick', 'richard', 'ricky', 'dick'],
+    ['jeff', 'jeffrey'],
+    ['gabe', 'gabriel'],
+    ['vince', 'vincent'],
+    ['manny', 'manuel']
+];
+
+// Team abbreviations Fantrax and the MLB Stats API spell differently
+const TEAM_ALIASES = [
+    ['ARI', 'AZ'],
+    ['CHW', 'CWS'],
+    ['WSH', 'WAS', 'WSN'],
+    ['KC', 'KCR'],
+    ['SD', 'SDP'],
+    ['SF', 'SFG'],
+    ['TB', 'TBR'],
+    ['OAK', 'ATH']
+];
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Check whether two first names are nicknames of each other
+ * @param {string} a - Normalized first name
+ * @param {string} b - Normalized first name
+ * @returns {boolean} True if both are in one nickname group
+ */
+function isNickname(a, b) {
+    return NICKNAME_GROUPS.some(group => group.includes(a) && group.includes(b));
+}
+
+/**
+ * Score how alike two normalized player names are
+ * Same last name with a nickname first name counts as nearly the same; anything else is edit distance
+ * @param {string} a - Normalized name (e.g. "mike yastrzemski")
+ * @param {string} b - Normalized name
+ * @returns {number} Similarity from 0 (nothing alike) to 1 (same name)
+ */
+function nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const [firstA, ...lastA] = a.split(' ');
+    const [firstB, ...lastB] = b.split(' ');
+    if (lastA.join(' ') === lastB.join(' ') && isNickname(firstA, firstB)) return 0.95;
+
+    return Math.max(0, 1 - editDistance(a, b) / Math.max(a.length, b.length));
+}
+
+/**
+ * Find the MLB team ID for a team abbreviation, trying the other spellings of it
+ * @param {string} abbreviation - Team abbreviation from the roster page (e.g. "CHW")
+ * @param {Map} teamsByAbbreviation - Upper-case abbreviation -> MLB team ID (from mlb_teams)
+ * @returns {number|null} MLB team ID or null when unknown (free agents, missing teams)
+ */
+function resolveTeamId(abbreviation, teamsByAbbreviation) {
+    if (!abbreviation) return null;
+
+    const code = abbreviation.trim().toUpperCase();
+    const spellings = TEAM_ALIASES.find(group => group.includes(code)) || [code];
+    const match = spellings.find(spelling => teamsByAbbreviation.has(spelling));
+
+    return match ? teamsByAbbreviation.get(match) : null;
+}
+
+/**
+ * Score one candidate player for a roster entry
+ * A signal that can't be checked (no team that season, no bat side) counts half
+ * @param {Object} entry - Roster entry ({ normalizedName, mlbTeamId, batSide })
+ * @param {Object} candidate - MLB player ({ playerId, normalizedName, mlbTeamId, batSide }); mlbTeamId is the
+ *   player's team that season, null when the player didn't play that season, undefined when it isn't known
+ * @returns {Object} Candidate with its score and the three signals ({ ..., score, name, team, batSide })
+ */
+function scoreCandidate(entry, candidate) {
+    const name = nameSimilarity(entry.normalizedName, candidate.normalizedName);
+
+    let team = 0.5;
+    if (entry.mlbTeamId && candidate.mlbTeamId !== undefined) {
+        team = candidate.mlbTeamId === entry.mlbTeamId ? 1 : 0;
+    }
+
+    let batSide = 0.5;
+    if (entry.batSide && candidate.batSide) {
+        batSide = entry.batSide === candidate.batSide ? 1 : 0;
+    }
+
+    const score = WEIGHTS.name * name + WEIGHTS.team * team + WEIGHTS.batSide * batSide;
+
+    return {
+        ...candidate,
+        score: Math.round(score * 1000) / 1000,
+        name: Math.round(name * 1000) / 1000,
+        team,
+        batSide
+    };
+}
+
+/**
+ * Rank candidate players for a roster entry and decide what to do with it
+ * @param {Object} entry - Roster entry ({ normalizedName, mlbTeamId, batSide })
+ * @param {Array<Object>} candidates - MLB players to consider (see scoreCandidate)
+ * @returns {Object} Ranked candidates, best first, and the decision ({ ranked, match, review }):
+ *   match is the candidate to link, review is true when the entry needs a person to pick
+ */
+function rankCandidates(entry, candidates) {
+    const ranked = candidates
+        .map(candidate => scoreCandidate(entry, candidate))
+        .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = ranked;
+    if (!best || best.score < REVIEW_SCORE) {
+        return { ranked, match: null, review: false };
+    }
+
+    const margin = runnerUp ? best.score - runnerUp.score : best.score;
+    if (best.score >= MIN_SCORE && margin >= MIN_MARGIN) {
+        return { ranked, match: best, review: false };
+    }
+
+    return { ranked, match: null, review: true };
+}
+
+module.exports = {
+    MIN_SCORE,
+    MIN_MARGIN,
+    REVIEW_SCORE,
+    editDistance,
+    nameSimilarity,
+    resolveTeamId,
+    scoreCandidate,
+    rankCandidates
+};
@@ -0,0 +1,154 @@
+// Stat groups a scoring rule belongs to
+const STAT_GROUPS = {
+    HITTING: 'hitting',
+    PITCHING: 'pitching'
+};
+
+// Scoring categories the league uses, with the names Fantrax prints for them on the rules page.
+// Pitching is scored on whole MLB team staffs (TmP), so its categories are staff totals
+const SCORING_CATEGORIES = [
+    { group: STAT_GROUPS.HITTING, code: 'R', names: ['runs', 'runs scored'] },
+    { group: STAT_GROUPS.HITTING, code: '1B', names: ['singles', 'single'] },
+    { group: STAT_GROUPS.HITTING, code: '2B', names: ['doubles', 'double'] },
+    { group: STAT_GROUPS.HITTING, code: '3B', names: ['triples', 'triple'] },
+    { group: STAT_GROUPS.HITTING, code: 'HR', names: ['home runs', 'home run'] },
+    { group: STAT_GROUPS.HITTING, code: 'RBI', names: ['runs batted in', 'rbis'] },
+    { group: STAT_GROUPS.HITTING, code: 'BB', names: ['walks', 'bases on balls', 'base on balls'] },
+    { group: STAT_GROUPS.HITTING, code: 'SB', names: ['stolen bases', 'stolen base'] },
+    { group: STAT_GROUPS.HITTING, code: 'CS', names: ['caught stealing'] },
+    { group: STAT_GROUPS.PITCHING, code: 'W', names: ['wins', 'win'] },
+    { group: STAT_GROUPS.PITCHING, code: 'IP', names: ['innings pitched', 'innings'] },
+    { group: STAT_GROUPS.PITCHING, code: 'ER', names: ['earned runs', 'earned runs allowed'] },
+    { group: STAT_GROUPS.PITCHING, code: 'H+BB', names: ['hits plus walks', 'hits + walks', 'walks + hits', 'hits and walks', 'bb+h'] },
+    { group: STAT_GROUPS.PITCHING, code: 'K', names: ['strikeouts', 'ks'] }
+];
+
+/**
+ * Score a stat line with a season's rules
+ * Categories the line has no value for count as zero; rules for the other stat group are ignored
+ * @param {Object} line - Stats keyed by category code (e.g. { R: 1, HR: 1, RBI: 2 })
+ * @param {Array<Object>} rules - scoring_rules rows ({ stat_group, category, points })
+ * @param {string} group - Stat group the line belongs to (STAT_GROUPS)
+ * @returns {Object} Fantasy points and the points from each category ({ points, breakdown })
+ */
+function scoreStatLine(line, rules, group) {
+    const breakdown = {};
+    let points = 0;
+
+    rules
+        .filter(rule => rule.stat_group === group)
+        .forEach(rule => {
+            const categoryPoints = (line[rule.category] || 0) * rule.points;
+            breakdown[rule.category] = round(categoryPoints);
+            points += categoryPoints;
+        });
+
+    return { points: round(points), breakdown };
+}
+
+/**
+ * Turn a batter_game_stats row into a hitting stat line
+ * The MLB feed has no singles column, so singles are hits less extra-base hits
+ * @param {Object} row - batter_game_stats row
+ * @returns {Object} Stats keyed by hitting category code
+ */
+function batterGameLine(row) {
+    const extraBaseHits = (row.doubles || 0) + (row.triples || 0) + (row.home_runs || 0);
+
+    return {
+        'R': row.runs || 0,
+        '1B': Math.max(0, (row.hits || 0) - extraBaseHits),
+        '2B': row.doubles || 0,
+        '3B': row.triples || 0,
+        'HR': row.home_runs || 0,
+        'RBI': row.rbi || 0,
+        'BB': row.base_on_balls || 0,
+        'SB': row.stolen_bases || 0,
+        'CS': row.caught_stealing || 0
+    };
+}
+
+/**
+ * Turn a hitting_stats row (a fantasy team's season totals) into a hitting stat line
+ * @param {Object} row - hitting_stats row
+ * @returns {Object} Stats keyed by hitting category code
+ */
+function hittingStatsLine(row) {
+    return {
+        'R': row.runs || 0,
+        '1B': row.singles || 0,
+        '2B': row.doubles || 0,
+        '3B': row.triples || 0,
+        'HR': row.home_runs || 0,
+        'RBI': row.runs_batted_in || 0,
+        'BB': row.walks || 0,
+        'SB': row.stolen_bases || 0,
+        'CS': row.caught_stealing || 0
+    };
+}
+
+/**
+ * Turn a pitching_stats row (a fantasy team's season totals) into a pitching stat line
+ * @param {Object} row - pitching_stats row
+ * @returns {Object} Stats keyed by pitching category code
+ */
+function pitchingStatsLine(row) {
+    return {
+        'W': row.wins || 0,
+        'IP': parseInnings(row.innings_pitched),
+        'ER': row.earned_runs || 0,
+        'H+BB': row.hits_plus_walks || 0,
+        'K': row.strikeouts || 0
+    };
+}
+
+/**
+ * Turn a pitcher_game_stats row, or an MLB staff's summed lines, into a pitching stat line
+ * @param {Object} row - pitcher_game_stats row or staff total ({ outs, wins, earned_runs, hits, base_on_balls, strikeouts })
+ * @returns {Object} Stats keyed by pitching category code
+ */
+function pitcherGameLine(row) {
+    return {
+        'W': row.wins || 0,
+        'IP': (row.outs || 0) / 3,
+        'ER': row.earned_runs || 0,
+        'H+BB': (row.hits || 0) + (row.base_on_balls || 0),
+        'K': row.strikeouts || 0
+    };
+}
+
+/**
+ * Convert innings in baseball notation to a number of innings
+ * "6.2" is six innings and two outs, not 6.2 innings
+ * @param {string|number} innings - Innings pitched (e.g. "1234.1")
+ * @returns {number} Innings, with outs as thirds
+ */
+function parseInnings(innings) {
+    if (innings === null || innings === undefined || innings === '') return 0;
+
+    const [whole, outs = '0'] = String(innings).replace(/,/g, '').split('.');
+    return (parseInt(whole, 10) || 0) + (parseInt(outs, 10) || 0) / 3;
+}
+
+/**
+ * Round points for storing and reporting (without a negative zero)
+ * @param {number} value - Number to round
+ * @param {number} places - Decimal places (default: 2)
+ * @returns {number} Rounded number
+ */
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor || 0;
+}
+
+module.exports = {
+    STAT_GROUPS,
+    SCORING_CATEGORIES,
+    scoreStatLine,
+    batterGameLine,
+    hittingStatsLine,
+    pitchingStatsLine,
+    pitcherGameLine,
+    parseInnings,
+    round
+};
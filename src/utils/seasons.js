@@ -0,0 +1,87 @@
+const SEASON_CONFIG = require('../config/seasons.json');
+
+// Scoring formats a season can use
+const SEASON_FORMATS = {
+    H2H_POINTS: 'h2h-points',
+    ROTO: 'roto'
+};
+
+// Display labels used in reports
+const FORMAT_LABELS = {
+    [SEASON_FORMATS.H2H_POINTS]: 'Head-to-Head',
+    [SEASON_FORMATS.ROTO]: 'Roto'
+};
+
+/**
+ * Check a season entry from the config file
+ * @param {Object} season - Season entry
+ * @throws {Error} If a required field is missing or invalid
+ */
+function validateSeason(season) {
+    if (!/^\d{4}$/.test(season.year || '')) {
+        throw new Error(`Invalid season year in config: ${season.year}`);
+    }
+    if (!season.leagueId) {
+        throw new Error(`Season ${season.year} is missing a leagueId`);
+    }
+    if (!Object.values(SEASON_FORMATS).includes(season.format)) {
+        throw new Error(`Season ${season.year} has an unknown format: ${season.format}`);
+    }
+    if (season.format === SEASON_FORMATS.ROTO && season.playoffs) {
+        throw new Error(`Season ${season.year} is a roto season and can't have playoffs`);
+    }
+}
+
+SEASON_CONFIG.forEach(validateSeason);
+
+/**
+ * Get every season in the registry, newest first
+ * @returns {Array<Object>} Season entries ({ year, leagueId, format, regularSeasonPeriods, playoffs }); roto seasons have no playoffs
+ */
+function getSeasons() {
+    return [...SEASON_CONFIG].sort((a, b) => parseInt(b.year) - parseInt(a.year));
+}
+
+/**
+ * Get every season year in the registry, newest first
+ * @returns {Array<string>} Season years
+ */
+function getSeasonYears() {
+    return getSeasons().map(season => season.year);
+}
+
+/**
+ * Get the registry entry for a season
+ * @param {string} year - Season year
+ * @returns {Object|null} Season entry or null if the year is not registered
+ */
+function getSeasonConfig(year) {
+    return SEASON_CONFIG.find(season => season.year === String(year)) || null;
+}
+
+/**
+ * Check whether a season used the roto format
+ * @param {Object} season - Registry entry or seasons table row (both have a format field)
+ * @returns {boolean} True for roto seasons
+ */
+function isRotoSeason(season) {
+    return season.format === SEASON_FORMATS.ROTO;
+}
+
+/**
+ * Get the report label for a season format
+ * @param {string} format - Season format
+ * @returns {string} Label such as "Head-to-Head" or "Roto"
+ */
+function getFormatLabel(format) {
+    return FORMAT_LABELS[format] || format;
+}
+
+module.exports = {
+    SEASON_FORMATS,
+    getSeasons,
+    getSeasonYears,
+    getSeasonConfig,
+    isRotoSeason,
+    getFormatLabel
+};
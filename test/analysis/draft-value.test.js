@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreDraftPicks, summarizeDraftValue } = require('../../src/analysis/draft-value');
+
+/**
+ * Build a pick row as returned by DraftPicksDb.getPicksWithSeasonPoints
+ * @param {number} overall - Overall pick
+ * @param {string} team - Team name
+ * @param {number|null} points - Season points
+ * @param {boolean} keeper - Keeper flag
+ * @returns {Object} Pick row
+ */
+function pick(overall, team, points, keeper = false) {
+    return { overall_pick: overall, team_name: team, player_name: `Player ${overall}`, season_points: points, is_keeper: keeper ? 1 : 0 };
+}
+
+describe('scoreDraftPicks', () => {
+    it('expects what the slot returns on a log curve fitted to non-keeper picks', () => {
+        // Points fall exactly on 500 - 100 * ln(pick), except the keeper
+        const picks = [1, 2, 4, 8].map(overall => pick(overall, 'A', 500 - 100 * Math.log(overall)));
+        picks.push(pick(3, 'B', 900, true));
+
+        const { fit, picks: scored } = scoreDraftPicks(picks);
+
+        assert.equal(fit.picks, 4);
+        assert.ok(Math.abs(fit.intercept - 500) < 1e-9);
+        assert.ok(Math.abs(fit.slope + 100) < 1e-9);
+        assert.deepEqual(scored.slice(0, 4).map(p => p.valueOverExpected), [0, 0, 0, 0]);
+        assert.equal(scored[4].expectedPoints, 390.1);
+        assert.equal(scored[4].valueOverExpected, 509.9);
+    });
+
+    it('leaves picks without points unscored', () => {
+        const { picks } = scoreDraftPicks([pick(1, 'A', 400), pick(2, 'B', 300), pick(3, 'C', null)]);
+
+        assert.equal(picks[2].valueOverExpected, null);
+        assert.notEqual(picks[2].expectedPoints, null);
+    });
+
+    it('has no fit with fewer than two scored picks', () => {
+        const { fit, picks } = scoreDraftPicks([pick(1, 'A', 400), pick(2, 'B', null)]);
+
+        assert.equal(fit, null);
+        assert.deepEqual(picks.map(p => p.valueOverExpected), [null, null]);
+    });
+});
+
+describe('summarizeDraftValue', () => {
+    it('totals value per team without keepers, best drafter first', () => {
+        const picks = [
+            { ...pick(1, 'A', 0), valueOverExpected: -20 },
+            { ...pick(2, 'B', 0), valueOverExpected: 35 },
+            { ...pick(3, 'A', 0), valueOverExpected: 50 },
+            { ...pick(4, 'B', 0, true), valueOverExpected: 400 },
+            { ...pick(5, 'C', 0), valueOverExpected: null }
+        ];
+
+        assert.deepEqual(summarizeDraftValue(picks), [
+            { name: 'B', picks: 1, totalValue: 35, valuePerPick: 35, bestPick: 'Player 2 (#2, +35)', worstPick: 'Player 2 (#2, +35)' },
+            { name: 'A', picks: 2, totalValue: 30, valuePerPick: 15, bestPick: 'Player 3 (#3, +50)', worstPick: 'Player 1 (#1, -20)' }
+        ]);
+    });
+});
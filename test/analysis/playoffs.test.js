@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBracket, BRACKETS } = require('../../src/analysis/playoffs');
+
+// Teams 1-6 seeded in order; the top four make the winners bracket
+const SEEDS = new Map([[1, 1], [2, 2], [3, 3], [4, 4], [5, 5], [6, 6]]);
+
+/**
+ * Build a getScores callback from a list of played games
+ * @param {Array<Array>} games - [round, awayTeamId, homeTeamId, awayScore, homeScore]
+ * @returns {Function} (round, teamId, opponentId) => scores from the team's side, or null
+ */
+function scoresFrom(games) {
+    return (round, teamId, opponentId) => {
+        for (const [gameRound, away, home, awayScore, homeScore] of games) {
+            if (gameRound !== round) continue;
+            if (away === teamId && home === opponentId) return { teamScore: awayScore, opponentScore: homeScore };
+            if (home === teamId && away === opponentId) return { teamScore: homeScore, opponentScore: awayScore };
+        }
+        return null;
+    };
+}
+
+/**
+ * Reduce bracket entries to [round, bracket, teamId, opponentTeamId, result, advanced] for comparison
+ * @param {Array<Object>} entries - Entries from buildBracket
+ * @returns {Array<Array>} Summaries
+ */
+function summarize(entries) {
+    return entries.map(entry => [entry.round, entry.bracket, entry.teamId, entry.opponentTeamId, entry.result, entry.advanced]);
+}
+
+describe('buildBracket', () => {
+    it('splits winners and consolation games and advances winners to the final', () => {
+        const rounds = [
+            { round: 1, matchups: [{ awayTeamId: 4, homeTeamId: 1 }, { awayTeamId: 3, homeTeamId: 2 }, { awayTeamId: 6, homeTeamId: 5 }] },
+            { round: 2, matchups: [{ awayTeamId: 3, homeTeamId: 1 }, { awayTeamId: 4, homeTeamId: 2 }] }
+        ];
+        const getScores = scoresFrom([
+            [1, 4, 1, 90, 100], [1, 3, 2, 110, 95], [1, 6, 5, 80, 70],
+            [2, 3, 1, 120, 105], [2, 4, 2, 60, 75]
+        ]);
+
+        const entries = buildBracket(rounds, { seeds: SEEDS, playoffTeams: 4, getScores });
+
+        assert.deepEqual(summarize(entries), [
+            [1, BRACKETS.WINNERS, 4, 1, 'loss', false],
+            [1, BRACKETS.WINNERS, 1, 4, 'win', true],
+            [1, BRACKETS.WINNERS, 3, 2, 'win', true],
+            [1, BRACKETS.WINNERS, 2, 3, 'loss', false],
+            [1, BRACKETS.CONSOLATION, 6, 5, 'win', true],
+            [1, BRACKETS.CONSOLATION, 5, 6, 'loss', false],
+            [2, BRACKETS.WINNERS, 3, 1, 'win', true],
+            [2, BRACKETS.WINNERS, 1, 3, 'loss', false],
+            [2, BRACKETS.CONSOLATION, 4, 2, 'loss', false],
+            [2, BRACKETS.CONSOLATION, 2, 4, 'win', true]
+        ]);
+        assert.deepEqual([entries[6].seed, entries[6].opponentSeed, entries[6].teamScore, entries[6].opponentScore], [3, 1, 120, 105]);
+    });
+
+    it('gives idle winners-bracket teams a bye', () => {
+        const rounds = [
+            { round: 1, matchups: [{ awayTeamId: 4, homeTeamId: 3 }] },
+            { round: 2, matchups: [{ awayTeamId: 3, homeTeamId: 1 }, { awayTeamId: 2, homeTeamId: 4 }] }
+        ];
+        const getScores = scoresFrom([[1, 4, 3, 100, 80]]);
+
+        const entries = buildBracket(rounds, { seeds: SEEDS, playoffTeams: 4, getScores });
+        const byes = entries.filter(entry => entry.result === 'bye');
+
+        assert.deepEqual(summarize(byes), [
+            [1, BRACKETS.WINNERS, 1, null, 'bye', true],
+            [1, BRACKETS.WINNERS, 2, null, 'bye', true]
+        ]);
+        // Team 3 lost in round 1, so its round 2 game against team 1 is a consolation game
+        assert.equal(entries.find(entry => entry.round === 2 && entry.teamId === 3).bracket, BRACKETS.CONSOLATION);
+        assert.equal(entries.find(entry => entry.round === 2 && entry.teamId === 4).bracket, BRACKETS.WINNERS);
+    });
+
+    it('breaks a tie in favour of the higher seed', () => {
+        const rounds = [{ round: 1, matchups: [{ awayTeamId: 1, homeTeamId: 2 }] }];
+        const getScores = scoresFrom([[1, 1, 2, 88, 88]]);
+
+        const entries = buildBracket(rounds, { seeds: SEEDS, playoffTeams: 2, getScores });
+
+        assert.deepEqual(summarize(entries), [
+            [1, BRACKETS.WINNERS, 1, 2, 'tie', true],
+            [1, BRACKETS.WINNERS, 2, 1, 'tie', false]
+        ]);
+    });
+
+    it('leaves unplayed games undecided and stops handing out byes after them', () => {
+        const rounds = [
+            { round: 1, matchups: [{ awayTeamId: 4, homeTeamId: 3 }] },
+            { round: 2, matchups: [{ awayTeamId: 2, homeTeamId: 1 }] }
+        ];
+
+        const entries = buildBracket(rounds, { seeds: SEEDS, playoffTeams: 4 });
+
+        assert.deepEqual(summarize(entries), [
+            [1, BRACKETS.WINNERS, 4, 3, null, null],
+            [1, BRACKETS.WINNERS, 3, 4, null, null],
+            [1, BRACKETS.WINNERS, 1, null, 'bye', true],
+            [1, BRACKETS.WINNERS, 2, null, 'bye', true],
+            [2, BRACKETS.WINNERS, 2, 1, null, null],
+            [2, BRACKETS.WINNERS, 1, 2, null, null]
+        ]);
+    });
+
+    it('treats the round 1 teams as the winners bracket without seeds', () => {
+        const rounds = [{ round: 1, matchups: [{ awayTeamId: 7, homeTeamId: 8 }] }];
+
+        const entries = buildBracket(rounds, { getScores: scoresFrom([[1, 7, 8, 50, 60]]) });
+
+        assert.deepEqual(summarize(entries), [
+            [1, BRACKETS.WINNERS, 7, 8, 'loss', false],
+            [1, BRACKETS.WINNERS, 8, 7, 'win', true]
+        ]);
+        assert.equal(entries[0].seed, null);
+    });
+});
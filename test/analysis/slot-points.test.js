@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { reconstructPeriod, CHECK_STATUSES } = require('../../src/analysis/slot-points');
+
+const RULES = [
+    { stat_group: 'hitting', category: 'R', points: 1 },
+    { stat_group: 'hitting', category: '1B', points: 1 },
+    { stat_group: 'hitting', category: 'HR', points: 4 },
+    { stat_group: 'hitting', category: 'RBI', points: 1 },
+    { stat_group: 'pitching', category: 'K', points: 1 }
+];
+
+/**
+ * Build a batter_game_stats row
+ * @param {number} playerId - MLB player ID
+ * @param {number} gamePk - MLB game ID
+ * @param {Object} stats - Counting stats
+ * @returns {Object} Game row
+ */
+function game(playerId, gamePk, stats) {
+    return { player_id: playerId, game_pk: gamePk, game_date: '2024-04-02', hits: 0, doubles: 0, triples: 0, home_runs: 0, ...stats };
+}
+
+describe('reconstructPeriod', () => {
+    const slots = [
+        { id: 11, team_id: 1, player_id: 100, fantasy_points: 7 },
+        { id: 12, team_id: 1, player_id: 200, fantasy_points: 1 },
+        { id: 21, team_id: 2, player_id: null, fantasy_points: 3 },
+        { id: 22, team_id: 2, player_id: 300, fantasy_points: 5 }
+    ];
+    const games = [
+        // Player 100: a solo home run, then a single
+        game(100, 1, { hits: 1, home_runs: 1, runs: 1, rbi: 1 }),
+        game(100, 2, { hits: 1 }),
+        game(200, 1, { hits: 1 }),
+        game(300, 3, { hits: 1, runs: 1 }),
+        // Not on a fantasy roster this period
+        game(400, 3, { hits: 2 })
+    ];
+
+    it('attributes points to the slot for every game its player played', () => {
+        const { gamePoints } = reconstructPeriod({ periodNumber: 2, slots, games, rules: RULES });
+
+        assert.deepEqual(gamePoints.map(g => [g.rosterId, g.gamePk, g.points]), [[11, 1, 6], [11, 2, 1], [12, 1, 1], [22, 3, 2]]);
+        assert.deepEqual(gamePoints[0], { periodNumber: 2, teamId: 1, rosterId: 11, playerId: 100, gamePk: 1, gameDate: '2024-04-02', points: 6 });
+    });
+
+    it('checks each team total against Fantrax and counts unlinked and mismatched slots', () => {
+        const scrapedTotals = new Map([['2|1', 8], ['2|2', 8]]);
+
+        const { checks } = reconstructPeriod({ periodNumber: 2, slots, games, rules: RULES, scrapedTotals });
+
+        assert.deepEqual(checks, [
+            { periodNumber: 2, teamId: 1, computedPoints: 8, scrapedPoints: 8, difference: 0, activeHitters: 2, unlinkedHitters: 0, slotMismatches: 0, status: CHECK_STATUSES.OK },
+            { periodNumber: 2, teamId: 2, computedPoints: 2, scrapedPoints: 8, difference: -6, activeHitters: 2, unlinkedHitters: 1, slotMismatches: 1, status: CHECK_STATUSES.MISMATCH }
+        ]);
+    });
+
+    it('marks team-periods without Fantrax hitting points as unchecked', () => {
+        const { checks } = reconstructPeriod({ periodNumber: 2, slots: slots.slice(0, 1), games, rules: RULES });
+
+        assert.equal(checks[0].status, CHECK_STATUSES.NO_TOTAL);
+        assert.equal(checks[0].difference, null);
+    });
+});
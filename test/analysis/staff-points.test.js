@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { reconstructStaffPeriod } = require('../../src/analysis/staff-points');
+const { CHECK_STATUSES } = require('../../src/analysis/slot-points');
+
+const RULES = [
+    { stat_group: 'hitting', category: 'R', points: 1 },
+    { stat_group: 'pitching', category: 'W', points: 5 },
+    { stat_group: 'pitching', category: 'IP', points: 1 },
+    { stat_group: 'pitching', category: 'ER', points: -2 },
+    { stat_group: 'pitching', category: 'H+BB', points: -1 },
+    { stat_group: 'pitching', category: 'K', points: 1 }
+];
+
+/**
+ * Build a staff total for one game, as getStaffGameTotals returns it
+ * @param {number} teamId - MLB team ID
+ * @param {number} gamePk - MLB game ID
+ * @param {Object} stats - Summed pitching stats
+ * @returns {Object} Staff game row
+ */
+function staffGame(teamId, gamePk, stats) {
+    return { team_id: teamId, team_name: `MLB ${teamId}`, game_pk: gamePk, wins: 0, earned_runs: 0, hits: 0, base_on_balls: 0, strikeouts: 0, ...stats };
+}
+
+describe('reconstructStaffPeriod', () => {
+    const staffGames = [
+        // Team 143: a nine-inning win, then eight innings in a loss
+        staffGame(143, 1, { outs: 27, wins: 1, earned_runs: 2, hits: 7, base_on_balls: 2, strikeouts: 9 }),
+        staffGame(143, 2, { outs: 24, earned_runs: 4, hits: 8, base_on_balls: 1, strikeouts: 6 }),
+        staffGame(121, 1, { outs: 24, earned_runs: 5, hits: 10, base_on_balls: 3, strikeouts: 5 })
+    ];
+    const slots = [
+        { team_id: 1, pitching_staff_id: 143, fantasy_points: 5 },
+        // A staff with no games in the period
+        { team_id: 1, pitching_staff_id: 999, fantasy_points: 0 },
+        { team_id: 2, pitching_staff_id: 121, fantasy_points: -3 },
+        { team_id: 2, pitching_staff_id: null, fantasy_points: 4 },
+        { team_id: 3, pitching_staff_id: 143, fantasy_points: null }
+    ];
+    const scrapedTotals = new Map([['4|1', 5], ['4|2', 1]]);
+
+    const { staffPoints, checks } = reconstructStaffPeriod({ periodNumber: 4, slots, staffGames, rules: RULES, scrapedTotals });
+
+    it('totals and scores every staff that pitched in the period', () => {
+        assert.deepEqual(staffPoints, [
+            {
+                periodNumber: 4, mlbTeamId: 143, mlbTeamName: 'MLB 143', games: 2, outs: 51,
+                wins: 1, earnedRuns: 6, hitsPlusWalks: 18, strikeouts: 15, points: 5 + 17 - 12 - 18 + 15
+            },
+            {
+                periodNumber: 4, mlbTeamId: 121, mlbTeamName: 'MLB 121', games: 1, outs: 24,
+                wins: 0, earnedRuns: 5, hitsPlusWalks: 13, strikeouts: 5, points: 8 - 10 - 13 + 5
+            }
+        ]);
+    });
+
+    it('checks each fantasy team\'s TmP slots against Fantrax', () => {
+        assert.deepEqual(checks, [
+            {
+                periodNumber: 4, teamId: 1, computedPoints: 7, scrapedPoints: 5, difference: 2,
+                activeStaffs: 2, unlinkedStaffs: 0, slotMismatches: 1, status: CHECK_STATUSES.MISMATCH
+            },
+            {
+                periodNumber: 4, teamId: 2, computedPoints: -10, scrapedPoints: 1, difference: -11,
+                activeStaffs: 2, unlinkedStaffs: 1, slotMismatches: 1, status: CHECK_STATUSES.MISMATCH
+            },
+            {
+                periodNumber: 4, teamId: 3, computedPoints: 7, scrapedPoints: null, difference: null,
+                activeStaffs: 1, unlinkedStaffs: 0, slotMismatches: 0, status: CHECK_STATUSES.NO_TOTAL
+            }
+        ]);
+    });
+
+    it('agrees when the staffs add up to Fantrax\'s pitching points', () => {
+        const [check] = reconstructStaffPeriod({
+            periodNumber: 4,
+            slots: [{ team_id: 1, pitching_staff_id: 143, fantasy_points: 7 }],
+            staffGames,
+            rules: RULES,
+            scrapedTotals: new Map([['4|1', 7]])
+        }).checks;
+
+        assert.equal(check.status, CHECK_STATUSES.OK);
+        assert.equal(check.slotMismatches, 0);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { groupRosterSnapshots, diffRosterPeriods, diffRosterSnapshots } = require('../../src/analysis/transactions');
+
+/**
+ * Build a roster row the way the rosters table returns it
+ */
+function slot(name, positionCode, isActive = true) {
+    return {
+        player_name: name,
+        player_name_normalized: name.toLowerCase(),
+        fantrax_player_id: '',
+        player_id: null,
+        position_code: positionCode,
+        is_active: isActive ? 1 : 0
+    };
+}
+
+const summarize = moves => moves.map(move =>
+    [move.teamId, move.moveType, move.playerName, move.otherTeamId, move.fromStatus, move.toStatus]);
+
+describe('diffRosterSnapshots', () => {
+    it('classifies adds, drops and a player moving between teams', () => {
+        const previous = new Map([
+            [1, [slot('Juan Soto', 'OF'), slot('Nick Castellanos', 'OF')]],
+            [2, [slot('Pete Alonso', '1B'), slot('Ty France', 'Res', false)]]
+        ]);
+        const next = new Map([
+            [1, [slot('Juan Soto', 'OF'), slot('Ty France', '1B')]],
+            [2, [slot('Pete Alonso', '1B'), slot('Jake Burger', 'Res', false)]]
+        ]);
+
+        assert.deepEqual(summarize(diffRosterSnapshots(previous, next)), [
+            [1, 'drop', 'Nick Castellanos', null, 'active', null],
+            [1, 'trade', 'Ty France', 2, null, 'active'],
+            [2, 'add', 'Jake Burger', null, null, 'bench'],
+            [2, 'trade', 'Ty France', 1, 'bench', null]
+        ]);
+    });
+
+    it('classifies IR moves and lineup changes for players who stay', () => {
+        const previous = new Map([[1, [
+            slot('Mike Trout', 'OF'),
+            slot('Bryce Harper', 'IR', false),
+            slot('Max Muncy', '3B'),
+            slot('Gleyber Torres', 'Res', false)
+        ]]]);
+        const next = new Map([[1, [
+            slot('Mike Trout', 'IR', false),
+            slot('Bryce Harper', 'Res', false),
+            slot('Max Muncy', 'Res', false),
+            slot('Gleyber Torres', '2B')
+        ]]]);
+
+        assert.deepEqual(summarize(diffRosterSnapshots(previous, next)), [
+            [1, 'benched', 'Max Muncy', null, 'active', 'bench'],
+            [1, 'ir_activation', 'Bryce Harper', null, 'ir', 'bench'],
+            [1, 'ir_placement', 'Mike Trout', null, 'active', 'ir'],
+            [1, 'started', 'Gleyber Torres', null, 'bench', 'active']
+        ]);
+    });
+
+    it('ignores position changes within the lineup and teams missing from either period', () => {
+        const previous = new Map([[1, [slot('Mookie Betts', 'SS')]], [2, [slot('Freddie Freeman', '1B')]]]);
+        const next = new Map([[1, [slot('Mookie Betts', 'OF')]], [3, [slot('Shohei Ohtani', 'UT')]]]);
+
+        assert.deepEqual(diffRosterSnapshots(previous, next), []);
+    });
+});
+
+describe('diffRosterPeriods', () => {
+    /**
+     * Build a team 1 roster row for a period
+     */
+    const row = (period, name) => ({ ...slot(name, 'OF'), period_number: String(period), team_id: 1 });
+
+    it('diffs consecutive periods and reports a missing period instead of diffing across it', () => {
+        const snapshots = groupRosterSnapshots([
+            row(1, 'Juan Soto'),
+            row(2, 'Juan Soto'), row(2, 'Jackson Merrill'),
+            row(4, 'Jackson Merrill'), row(4, 'Colt Keith'),
+            row(5, 'Colt Keith')
+        ]);
+
+        const { moves, gaps } = diffRosterPeriods(snapshots);
+
+        assert.deepEqual(moves.map(move => [move.periodNumber, move.moveType, move.playerName]), [
+            [2, 'add', 'Jackson Merrill'],
+            [5, 'drop', 'Jackson Merrill']
+        ]);
+        assert.deepEqual(gaps, [{ from: 2, to: 4 }]);
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUnexpiredCookies, getCookieHeader, isLoginPage } = require('../../src/auth');
+
+describe('getUnexpiredCookies', () => {
+    const now = 1700000000;
+
+    it('keeps session cookies and cookies that expire later', () => {
+        const cookies = [
+            { name: 'JSESSIONID', value: 'a', expires: -1 },
+            { name: 'uig', value: 'b', expires: now + 3600 },
+            { name: 'old', value: 'c', expires: now - 1 }
+        ];
+
+        assert.deepEqual(getUnexpiredCookies(cookies, now).map(cookie => cookie.name), ['JSESSIONID', 'uig']);
+    });
+});
+
+describe('getCookieHeader', () => {
+    it('sends only cookies for the Fantrax host', () => {
+        const cookies = [
+            { name: 'JSESSIONID', value: 'abc', domain: 'www.fantrax.com' },
+            { name: 'uig', value: 'def', domain: '.fantrax.com' },
+            { name: '_ga', value: 'ghi', domain: '.google.com' }
+        ];
+
+        assert.equal(getCookieHeader(cookies), 'JSESSIONID=abc; uig=def');
+    });
+});
+
+describe('isLoginPage', () => {
+    it('recognises the login redirect', () => {
+        assert.equal(isLoginPage('https://www.fantrax.com/login?returnUrl=%2Ffantasy'), true);
+        assert.equal(isLoginPage('https://www.fantrax.com/fantasy/league/abc/team/roster;period=3'), false);
+        assert.equal(isLoginPage('about:blank'), false);
+    });
+});
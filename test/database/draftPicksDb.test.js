@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { migrateDatabase } = require('../../src/utils/database');
+const DraftPicksDb = require('../../src/database/draftPicksDb');
+
+describe('DraftPicksDb.getPicksWithSeasonPoints', () => {
+    let db;
+    let draftPicks;
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+        await migrateDatabase(db);
+        draftPicks = new DraftPicksDb(db);
+
+        await db.exec(`
+            INSERT INTO seasons (id, year, league_id) VALUES (1, '2024', 'L1');
+            INSERT INTO teams (id, team_id, season_id, name) VALUES (1, 't1', 1, 'One');
+        `);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    /**
+     * Add a roster row for a player in a period
+     * @param {number} period - Period number
+     * @param {string} name - Normalized player name
+     * @param {string|null} fantraxPlayerId - Fantrax player ID
+     * @param {number} points - Fantasy points
+     */
+    async function addRosterRow(period, name, fantraxPlayerId, points) {
+        await db.run(`
+            INSERT INTO rosters (
+                season_id, team_id, period_number, position_code, roster_slot, is_active,
+                player_name, player_name_normalized, fantrax_player_id, fantasy_points
+            ) VALUES (1, 1, ?, 'OF', 1, 1, ?, ?, ?, ?)
+        `, [period, name, name, fantraxPlayerId, points]);
+    }
+
+    /**
+     * Get each pick's player name and season points
+     * @returns {Promise<Array>} [player_name_normalized, season_points] pairs in draft order
+     */
+    async function seasonPoints() {
+        return (await draftPicks.getPicksWithSeasonPoints(1)).map(pick => [pick.player_name_normalized, pick.season_points]);
+    }
+
+    it('falls back to the name when the roster rows have no Fantrax ID', async () => {
+        await draftPicks.replaceSeasonPicks(1, [
+            { overallPick: 1, teamId: 1, playerName: 'Juan Soto', playerNameNormalized: 'juan soto', fantraxPlayerId: '04xyz' },
+            { overallPick: 2, teamId: 1, playerName: 'Will Smith', playerNameNormalized: 'will smith', fantraxPlayerId: '05abc' }
+        ]);
+        await addRosterRow(1, 'juan soto', null, 30.5);
+        await addRosterRow(2, 'juan soto', '', 20);
+        await addRosterRow(3, 'will smith', '05abc', 12);
+        await addRosterRow(4, 'will smith', '06def', 40);
+
+        // The other Will Smith has a different ID, so those points aren't counted
+        assert.deepEqual(await seasonPoints(), [['juan soto', 50.5], ['will smith', 12]]);
+    });
+
+    it('falls back to the name when the pick has no Fantrax ID', async () => {
+        await draftPicks.replaceSeasonPicks(1, [
+            { overallPick: 1, teamId: 1, playerName: 'Juan Soto', playerNameNormalized: 'juan soto' }
+        ]);
+        await addRosterRow(1, 'juan soto', '04xyz', 18);
+
+        assert.deepEqual(await seasonPoints(), [['juan soto', 18]]);
+    });
+});
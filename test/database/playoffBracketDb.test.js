@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { migrateDatabase } = require('../../src/utils/database');
+const PlayoffBracketDb = require('../../src/database/playoffBracketDb');
+
+/**
+ * Build both sides of a played bracket game
+ * @param {number} round - Playoff round
+ * @param {string} bracket - 'winners' or 'consolation'
+ * @param {number} winner - Winning team ID
+ * @param {number} loser - Losing team ID
+ * @returns {Array<Object>} Bracket entries
+ */
+function game(round, bracket, winner, loser) {
+    return [
+        { round, bracket, teamId: winner, opponentTeamId: loser, teamScore: 100, opponentScore: 90, result: 'win', advanced: true },
+        { round, bracket, teamId: loser, opponentTeamId: winner, teamScore: 90, opponentScore: 100, result: 'loss', advanced: false }
+    ];
+}
+
+describe('PlayoffBracketDb podium', () => {
+    let db;
+    let playoffBracket;
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+        await migrateDatabase(db);
+        playoffBracket = new PlayoffBracketDb(db);
+
+        await db.run("INSERT INTO seasons (id, year, league_id) VALUES (1, '2024', 'L1')");
+        for (const id of [1, 2, 3, 4, 5, 6]) {
+            await db.run("INSERT INTO teams (id, team_id, season_id, name) VALUES (?, ?, 1, ?)", [id, `t${id}`, `Team ${id}`]);
+        }
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('takes the podium from the final and the consolation game between the semifinal losers', async () => {
+        await playoffBracket.replaceSeasonBracket(1, [
+            ...game(1, 'winners', 1, 4),
+            ...game(1, 'winners', 3, 2),
+            ...game(2, 'winners', 3, 1),
+            ...game(2, 'consolation', 4, 2),
+            // A consolation game for the teams that missed the playoffs doesn't count
+            ...game(2, 'consolation', 5, 6)
+        ]);
+
+        assert.deepEqual(await playoffBracket.getFinalists(1), { championTeamId: 3, runnerUpTeamId: 1 });
+        assert.equal(await playoffBracket.getThirdPlace(1), 4);
+    });
+
+    it('never crowns a team with a bye in the last round', async () => {
+        await playoffBracket.replaceSeasonBracket(1, [
+            ...game(1, 'winners', 2, 3),
+            { round: 2, bracket: 'winners', teamId: 1, result: 'bye', advanced: true },
+            { round: 2, bracket: 'winners', teamId: 2, opponentTeamId: 4, result: null, advanced: null },
+            { round: 2, bracket: 'winners', teamId: 4, opponentTeamId: 2, result: null, advanced: null }
+        ]);
+
+        assert.equal(await playoffBracket.getFinalists(1), null);
+        assert.equal(await playoffBracket.getThirdPlace(1), null);
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { migrateDatabase } = require('../../src/utils/database');
+const RostersDb = require('../../src/database/rostersDb');
+const PlayerIdMapDb = require('../../src/database/playerIdMapDb');
+
+/**
+ * Add a roster row in season 1 for team 1
+ * @param {sqlite.Database} db - Database connection
+ * @param {Object} row - Roster details ({ period, slot, name, normalizedName, mlbTeam, fantraxPlayerId })
+ */
+async function addRosterRow(db, row) {
+    await db.run(`
+        INSERT INTO rosters (
+            season_id, team_id, period_number, position_code, roster_slot, is_active,
+            player_name, player_name_normalized, mlb_team, fantrax_player_id
+        ) VALUES (1, 1, ?, 'OF', ?, 1, ?, ?, ?, ?)
+    `, [row.period, row.slot, row.name, row.normalizedName, row.mlbTeam, row.fantraxPlayerId]);
+}
+
+describe('RostersDb players without a Fantrax ID', () => {
+    let db;
+    let rosters;
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+        await migrateDatabase(db);
+        rosters = new RostersDb(db);
+
+        await db.exec(`
+            INSERT INTO seasons (id, year, league_id) VALUES (1, '2024', 'L1');
+            INSERT INTO teams (id, team_id, season_id, name) VALUES (1, 't1', 1, 'One');
+            INSERT INTO players (id, full_name) VALUES (669257, 'Will Smith');
+        `);
+
+        for (const period of [1, 2]) {
+            await addRosterRow(db, { period, slot: 1, name: 'Will Smith', normalizedName: 'will smith', mlbTeam: 'LAD', fantraxPlayerId: null });
+            await addRosterRow(db, { period, slot: 2, name: 'Will Smith', normalizedName: 'will smith', mlbTeam: 'ATL', fantraxPlayerId: null });
+            await addRosterRow(db, { period, slot: 3, name: 'Juan Soto', normalizedName: 'juan soto', mlbTeam: 'NYY', fantraxPlayerId: '04xyz' });
+        }
+        // Saved before missing IDs were stored as NULL
+        await addRosterRow(db, { period: 3, slot: 1, name: 'Will Smith', normalizedName: 'will smith', mlbTeam: 'LAD', fantraxPlayerId: '' });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('queues each player without an ID on its own, by season, name and MLB team', async () => {
+        const unlinked = await rosters.getUnlinkedPlayers();
+
+        assert.deepEqual(
+            unlinked.map(row => [row.fantrax_player_id, row.player_name_normalized, row.mlb_team, row.roster_entries]),
+            [[null, 'will smith', 'LAD', 3], ['04xyz', 'juan soto', 'NYY', 2], [null, 'will smith', 'ATL', 2]]
+        );
+    });
+
+    it('links only the roster rows of the chosen player', async () => {
+        const linked = await rosters.linkUnidentifiedPlayer({ seasonId: 1, normalizedName: 'will smith', mlbTeam: 'LAD' }, 669257);
+
+        assert.equal(linked, 3);
+        assert.deepEqual(
+            await db.all('SELECT DISTINCT mlb_team FROM rosters WHERE player_id IS NULL ORDER BY mlb_team'),
+            [{ mlb_team: 'ATL' }, { mlb_team: 'NYY' }]
+        );
+    });
+
+    it('leaves players without an ID alone when their name and team are marked as not MLB players', async () => {
+        const matching = await rosters.matchPlayerNames(1, { skipUnidentified: new Set(['will smith|ATL']) });
+
+        assert.ok(!matching.reviews.some(review => review.mlbTeam === 'ATL'));
+        assert.deepEqual(
+            await db.all("SELECT player_id FROM rosters WHERE mlb_team = 'ATL'"),
+            [{ player_id: null }, { player_id: null }]
+        );
+    });
+
+    it('never links or settles by a missing Fantrax ID', async () => {
+        const playerIdMap = new PlayerIdMapDb(db);
+
+        assert.equal(await playerIdMap.linkPlayer(''), 0);
+        assert.equal(await playerIdMap.linkPlayer(null), 0);
+        assert.equal(await playerIdMap.settleReviews('', 'linked'), 0);
+    });
+});
+
+describe('RostersDb roster saves', () => {
+    let db;
+    let rosters;
+
+    // A second baseman eligible across the infield and outfield with a fractional, four-digit score
+    const entry = {
+        seasonId: 1, teamId: 1, periodNumber: 1, playerId: null, positionCode: '2B', rosterSlot: 1, isActive: true,
+        playerName: 'Mookie Betts', playerNameNormalized: 'mookie betts', mlbTeam: 'LAD', batSide: 'R',
+        fantraxPlayerId: '02btf', pitchingStaffId: null, positionsEligible: '2B,SS,OF', fantasyPoints: 1016.5, fpg: 6.25
+    };
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+        await migrateDatabase(db);
+        rosters = new RostersDb(db);
+
+        await db.exec(`
+            INSERT INTO seasons (id, year, league_id) VALUES (1, '2024', 'L1');
+            INSERT INTO teams (id, team_id, season_id, name) VALUES (1, 't1', 1, 'One');
+        `);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    /**
+     * Read back the saved slot's scoring columns
+     * @returns {Promise<Object>} positions_eligible, fantasy_points and fpg
+     */
+    async function savedSlot() {
+        const [row] = await rosters.getTeamRosterByPeriod(1, 1);
+        return { positions_eligible: row.positions_eligible, fantasy_points: row.fantasy_points, fpg: row.fpg };
+    }
+
+    it('keeps fantasy points, FP/G and eligible positions through an insert and an update', async () => {
+        assert.equal(await rosters.bulkUpsertRosterEntries([entry]), 1);
+        assert.deepEqual(await savedSlot(), { positions_eligible: '2B,SS,OF', fantasy_points: 1016.5, fpg: 6.25 });
+
+        await rosters.bulkUpsertRosterEntries([{ ...entry, positionsEligible: '2B,OF', fantasyPoints: 1020.75, fpg: 6.3 }]);
+        assert.deepEqual(await savedSlot(), { positions_eligible: '2B,OF', fantasy_points: 1020.75, fpg: 6.3 });
+
+        await rosters.upsertRosterEntry({ ...entry, fantasyPoints: 12.5 });
+        assert.equal((await savedSlot()).fantasy_points, 12.5);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { migrateDatabase } = require('../../src/utils/database');
+const { getSeasonConfig } = require('../../src/utils/seasons');
+const SeasonsDb = require('../../src/database/seasonsDb');
+
+describe('SeasonsDb.getSeasonByYear', () => {
+    let db;
+    let seasons;
+
+    // The registered 2024 season, and the lineage it belongs to
+    const registered = getSeasonConfig('2024').leagueId;
+    const lineage = 'lineage-root';
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+        await migrateDatabase(db);
+        seasons = new SeasonsDb(db);
+
+        // Another league on the account, stored first, has seasons in the same years
+        await db.run(`
+            INSERT INTO seasons (year, league_id, lineage_id) VALUES
+                ('2024', 'other-2024', 'other-root'),
+                ('2031', 'other-2031', 'other-root'),
+                ('2024', ?, ?),
+                ('2031', 'ours-2031', ?)
+        `, [registered, lineage, lineage]);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('returns the registered season over a season of another league from the same year', async () => {
+        assert.equal((await seasons.getSeasonByYear('2024')).league_id, registered);
+    });
+
+    it('looks up a year that was only discovered within the lineage of the registered seasons', async () => {
+        assert.equal((await seasons.getSeasonByYear('2031')).league_id, 'ours-2031');
+        assert.ok(!await seasons.getSeasonByYear('2032'));
+    });
+});
+
+describe('SeasonsDb.upsertSeason', () => {
+    let db;
+    let seasons;
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+        await migrateDatabase(db);
+        seasons = new SeasonsDb(db);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('keeps no playoff settings for a roto season', async () => {
+        // Saved while the registry still gave the roto season playoffs
+        await db.run(`
+            INSERT INTO seasons (year, league_id, format, playoff_teams, playoff_rounds)
+            VALUES ('2020', ?, 'roto', 4, 2)
+        `, [getSeasonConfig('2020').leagueId]);
+
+        const updated = await seasons.upsertSeason(getSeasonConfig('2020'));
+        const inserted = await seasons.upsertSeason({ year: '2019', leagueId: 'roto-2019', format: 'roto', playoffs: { teams: 4, rounds: 2 } });
+
+        assert.deepEqual([updated.playoff_teams, updated.playoff_rounds], [null, null]);
+        assert.deepEqual([inserted.playoff_teams, inserted.playoff_rounds], [null, null]);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { migrateDatabase } = require('../../src/utils/database');
+const TransactionsDb = require('../../src/database/transactionsDb');
+
+describe('TransactionsDb.replaceSeasonTransactions', () => {
+    let db;
+    let transactions;
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+        await migrateDatabase(db);
+        transactions = new TransactionsDb(db);
+
+        await db.exec(`
+            INSERT INTO seasons (id, year, league_id) VALUES (1, '2024', 'L1');
+            INSERT INTO teams (id, team_id, season_id, name) VALUES (1, 't1', 1, 'One');
+        `);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('replaces the saved log with the new one', async () => {
+        await transactions.replaceSeasonTransactions(1, [{ transactionType: 'claim', teamId: 1, playerName: 'Jackson Merrill' }]);
+        const saved = await transactions.replaceSeasonTransactions(1, [
+            { transactionType: 'claim', teamId: 1, playerName: 'Colt Keith', faabBid: 5 },
+            { transactionType: 'drop', teamId: 1, playerName: 'Joey Gallo' }
+        ]);
+
+        const rows = await db.all('SELECT player_name FROM transactions WHERE season_id = 1 ORDER BY id');
+        assert.equal(saved, 2);
+        assert.deepEqual(rows.map(row => row.player_name), ['Colt Keith', 'Joey Gallo']);
+    });
+
+    it('keeps the saved log when the new one is empty', async () => {
+        mock.method(console, 'warn', () => {});
+        await transactions.replaceSeasonTransactions(1, [{ transactionType: 'claim', teamId: 1, playerName: 'Jackson Merrill' }]);
+
+        const saved = await transactions.replaceSeasonTransactions(1, []);
+
+        const rows = await db.all('SELECT player_name FROM transactions WHERE season_id = 1');
+        assert.equal(saved, 0);
+        assert.deepEqual(rows.map(row => row.player_name), ['Jackson Merrill']);
+        assert.equal(console.warn.mock.callCount(), 1);
+        console.warn.mock.restore();
+    });
+});
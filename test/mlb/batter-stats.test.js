@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractBatterStats } = require('../../create-batter-game-stats');
+
+// Trimmed MLB Stats API boxscore: Phillies at Mets, London Series, June 8 2024
+const boxscore = require('../../box_score.json');
+
+describe('extractBatterStats', () => {
+    const stats = extractBatterStats(boxscore, 1001, '2024-06-08');
+
+    it('extracts one record per player who came to the plate', () => {
+        assert.deepEqual(stats.map(batter => [batter.playerName, batter.teamName, batter.battingSummary]), [
+            ['Whit Merrifield', 'Philadelphia Phillies', '1-4 | HR, K, 3 RBI'],
+            ['Mark Vientos', 'New York Mets', '0-4 | K'],
+            ['Jose Iglesias', 'New York Mets', '2-4 | 2B, K']
+        ]);
+    });
+
+    it('maps the boxscore batting line onto the batter_game_stats fields', () => {
+        assert.deepEqual(stats[0], {
+            gamePk: 1001,
+            playerId: 593160,
+            playerName: 'Whit Merrifield',
+            teamId: 143,
+            teamName: 'Philadelphia Phillies',
+            gameDate: '2024-06-08',
+            gamesPlayed: 1,
+            plateAppearances: 4,
+            atBats: 4,
+            runs: 1,
+            hits: 1,
+            doubles: 0,
+            triples: 0,
+            homeRuns: 1,
+            rbi: 3,
+            stolenBases: 0,
+            caughtStealing: 0,
+            baseOnBalls: 0,
+            intentionalWalks: 0,
+            strikeouts: 1,
+            hitByPitch: 0,
+            sacFlies: 0,
+            sacBunts: 0,
+            groundIntoDoublePlay: 0,
+            groundIntoTriplePlay: 0,
+            flyOuts: 0,
+            groundOuts: 2,
+            popOuts: 0,
+            lineOuts: 0,
+            airOuts: 0,
+            battingSummary: '1-4 | HR, K, 3 RBI',
+            avg: 0.25,
+            obp: 0.25,
+            slg: 1,
+            ops: 1.25,
+            totalBases: 4,
+            leftOnBase: 1,
+            atBatsPerHomeRun: '4.00',
+            stolenBasePercentage: '.---'
+        });
+    });
+
+    it('calculates rate stats from the counting stats', () => {
+        const iglesias = stats.find(batter => batter.playerName === 'Jose Iglesias');
+        assert.equal(iglesias.doubles, 1);
+        assert.equal(iglesias.avg, 0.5);
+        assert.equal(iglesias.slg, 0.75);
+        assert.equal(iglesias.ops, 1.25);
+    });
+
+    it('skips pitchers who did not bat', () => {
+        assert.ok(!stats.some(batter => batter.playerName === 'Taijuan Walker'));
+    });
+
+    it('returns nothing for an empty boxscore', () => {
+        assert.deepEqual(extractBatterStats({}, 1001, '2024-06-08'), []);
+    });
+});
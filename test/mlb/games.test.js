@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSeasonGames } = require('../../create-mlb-games');
+
+// MLB Stats API schedule response for May 25-26 2024
+const schedule = require('../../schedule.json');
+
+describe('extractSeasonGames', () => {
+    const games = extractSeasonGames(schedule);
+
+    it('extracts every regular season game', () => {
+        assert.equal(games.length, 30);
+        assert.deepEqual([...new Set(games.map(game => game.officialDate))], ['2024-05-25', '2024-05-26']);
+    });
+
+    it('maps the schedule entry onto the mlb_games fields', () => {
+        assert.deepEqual(games[0], {
+            gamePk: 746470,
+            season: '2024',
+            officialDate: '2024-05-25',
+            gameType: 'R',
+            abstractGameState: 'Final',
+            dayNight: 'day',
+            homeTeamId: 116,
+            awayTeamId: 141,
+            homeTeamScore: 2,
+            awayTeamScore: 1,
+            venueId: 2394,
+            venueName: 'Comerica Park'
+        });
+    });
+
+    it('leaves out spring training and postseason games', () => {
+        const mixed = {
+            dates: [{
+                games: [
+                    { ...schedule.dates[0].games[0], gameType: 'S' },
+                    { ...schedule.dates[0].games[0], gameType: 'F' },
+                    schedule.dates[0].games[0]
+                ]
+            }]
+        };
+
+        assert.equal(extractSeasonGames(mixed).length, 1);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPitcherStats } = require('../../create-batter-game-stats');
+
+// Trimmed MLB Stats API boxscore: Phillies at Mets, London Series, June 8 2024
+const boxscore = require('../../box_score.json');
+
+describe('extractPitcherStats', () => {
+    const stats = extractPitcherStats(boxscore, 1001, '2024-06-08');
+
+    it('extracts one record per pitcher in the order each team used them', () => {
+        assert.deepEqual(stats.map(pitcher => [pitcher.playerName, pitcher.teamName, pitcher.inningsPitched]), [
+            ['Ranger Suárez', 'Philadelphia Phillies', '5.2'],
+            ['Seranthony Domínguez', 'Philadelphia Phillies', '1.0'],
+            ['José Ruiz', 'Philadelphia Phillies', '1.0'],
+            ['Sean Reid-Foley', 'New York Mets', '0.1'],
+            ['Adam Ottavino', 'New York Mets', '0.2']
+        ]);
+    });
+
+    it('maps the boxscore pitching line onto the pitcher_game_stats fields', () => {
+        assert.deepEqual(stats[0], {
+            gamePk: 1001,
+            playerId: 624133,
+            playerName: 'Ranger Suárez',
+            teamId: 143,
+            teamName: 'Philadelphia Phillies',
+            gameDate: '2024-06-08',
+            isStarter: true,
+            inningsPitched: '5.2',
+            outs: 17,
+            battersFaced: 27,
+            pitchesThrown: 89,
+            hits: 8,
+            runs: 2,
+            earnedRuns: 2,
+            baseOnBalls: 1,
+            strikeouts: 6,
+            homeRuns: 0,
+            hitBatsmen: 1,
+            wins: 1,
+            losses: 0,
+            saves: 0,
+            holds: 0,
+            blownSaves: 0,
+            qualityStart: false,
+            note: '(W, 10-1)',
+            pitchingSummary: '5.2 IP, 2 ER, 6 K, BB'
+        });
+    });
+
+    it('credits a quality start to a starter with six innings and at most three earned runs', () => {
+        const longer = structuredClone(boxscore);
+        const pitching = longer.teams.away.players.ID624133.stats.pitching;
+        pitching.outs = 18;
+        pitching.inningsPitched = '6.0';
+
+        const [starter, reliever] = extractPitcherStats(longer, 1001, '2024-06-08');
+        assert.equal(starter.qualityStart, true);
+        assert.equal(reliever.qualityStart, false);
+
+        pitching.earnedRuns = 4;
+        assert.equal(extractPitcherStats(longer, 1001, '2024-06-08')[0].qualityStart, false);
+    });
+
+    it('returns nothing for an empty boxscore', () => {
+        assert.deepEqual(extractPitcherStats({}, 1001, '2024-06-08'), []);
+    });
+});
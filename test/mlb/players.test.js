@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPlayerSeasons } = require('../../create-mlb-players');
+
+// MLB Stats API players for 2024, as saved by the players fetch
+const people = require('../../data/debug/mlb-players-2024.json').people;
+
+describe('extractPlayerSeasons', () => {
+    const playerSeasons = extractPlayerSeasons(people);
+
+    it('keeps one row per player', () => {
+        assert.equal(playerSeasons.length, people.length);
+    });
+
+    it('records the player\'s team and position that season', () => {
+        assert.deepEqual(playerSeasons.find(row => row.playerId === 669257), {
+            playerId: 669257,
+            mlbTeamId: 119,
+            mlbTeamName: 'Los Angeles Dodgers',
+            position: 'C'
+        });
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDraftResults } = require('../../src/parsers/draft');
+
+/**
+ * Build a draft results page in Fantrax's ultimate table layout
+ * @param {Array<string>} headers - Data column headers
+ * @param {Array<Object>} rows - Rows ({ player, playerId, cells, rowClass })
+ * @returns {string} Page HTML
+ */
+function buildPage(headers, rows) {
+    const asideCells = rows.map(row => `
+        <td><div class="scorer"><div class="scorer__info__name"><a href="/player/${row.playerId};season=2024">${row.player}</a></div></div></td>`);
+    const dataRows = rows.map(row => `<tr class="${row.rowClass || ''}">${row.cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`);
+
+    return `<html><body><div class="ultimate-table">
+        <header><div class="_ut__head"><table><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></table></div></header>
+        <section><aside>${asideCells.join('')}</aside><div><table>${dataRows.join('')}</table></div></section>
+    </div></body></html>`;
+}
+
+const team = (teamId, name) => `<a href="/fantasy/league/abc/team/roster;teamId=${teamId}">${name}</a>`;
+
+describe('parseDraftResults', () => {
+    it('reads round, pick, team, player and keeper flags by header', () => {
+        const html = buildPage(['Rd', 'Pick', 'Ov Pick', 'Pos', 'Team'], [
+            { player: 'Shohei Ohtani', playerId: '02yc4', cells: ['1', '1', '1', 'UT', team('t1', 'Savages')] },
+            { player: 'Aaron Judge (K)', playerId: '02wvj', cells: ['1', '2', '2', 'OF', team('t2', 'Horus')] },
+            { player: 'Mookie Betts', playerId: '02ry9', rowClass: 'row--keeper', cells: ['2', '1', '3', 'SS,OF', team('t2', 'Horus')] }
+        ]);
+
+        assert.deepEqual(parseDraftResults(html), [
+            { round: 1, pick: 1, overallPick: 1, teamId: 't1', teamName: 'Savages', playerName: 'Shohei Ohtani', playerNameNormalized: 'shohei ohtani', fantraxPlayerId: '02yc4', position: 'UT', isKeeper: false },
+            { round: 1, pick: 2, overallPick: 2, teamId: 't2', teamName: 'Horus', playerName: 'Aaron Judge', playerNameNormalized: 'aaron judge', fantraxPlayerId: '02wvj', position: 'OF', isKeeper: true },
+            { round: 2, pick: 1, overallPick: 3, teamId: 't2', teamName: 'Horus', playerName: 'Mookie Betts', playerNameNormalized: 'mookie betts', fantraxPlayerId: '02ry9', position: 'SS,OF', isKeeper: true }
+        ]);
+    });
+
+    it('numbers picks in page order when there is no overall pick column', () => {
+        const html = buildPage(['Rd', 'Pick', 'Team'], [
+            { player: 'Shohei Ohtani', playerId: '02yc4', cells: ['1', '1', team('t1', 'Savages')] },
+            { player: 'Aaron Judge', playerId: '02wvj', cells: ['1', '2', team('t2', 'Horus')] }
+        ]);
+
+        assert.deepEqual(parseDraftResults(html).map(pick => pick.overallPick), [1, 2]);
+    });
+});
@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, getHeadshotPlayerId } = require('../../src/parsers/html');
+
+describe('parseDate', () => {
+    it('uses the year in the text, or the season year when there is none', () => {
+        assert.equal(parseDate('Sat Apr 13, 2024, 3:04AM', 2023), '2024-04-13');
+        assert.equal(parseDate('Thu Aug 8, 9:15PM', '2023'), '2023-08-08');
+        assert.equal(parseDate('Aug 8'), null);
+        assert.equal(parseDate(''), null);
+    });
+});
+
+describe('getHeadshotPlayerId', () => {
+    it('reads the player ID from a headshot URL', () => {
+        assert.equal(getHeadshotPlayerId('background-image: url("https://fantraximg.com/si/headshots/MLB/hs01t9q_96_13.png");'), '01t9q');
+        assert.equal(getHeadshotPlayerId('background-image: url("https://fantraximg.com/assets/images/logos/sportsteam/mlb/cleveland-guardians_logo_96.webp");'), null);
+        assert.equal(getHeadshotPlayerId(undefined), null);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMatchupResults } = require('../../src/parsers/matchups');
+
+// Live scoring page in the markup Fantrax renders (hand-built; see the note at the top of the file)
+const MATCHUPS_PAGE = path.join(__dirname, '../fixtures/matchups-page.html');
+
+describe('parseMatchupResults', () => {
+    it('reads every score and subtotal from the block of the team it belongs to', () => {
+        assert.deepEqual(parseMatchupResults(fs.readFileSync(MATCHUPS_PAGE, 'utf8'), 12), [
+            {
+                periodNumber: '12',
+                awayTeamId: 't1', awayTeamName: 'Savages', awayScore: 212.5, awayHittingPoints: 150.25, awayPitchingPoints: 62.25,
+                homeTeamId: 't2', homeTeamName: 'Horus', homeScore: 1016.25, homeHittingPoints: 801, homePitchingPoints: 215.25
+            },
+            {
+                periodNumber: '12',
+                awayTeamId: 't3', awayTeamName: 'GAUZH', awayScore: 188, awayHittingPoints: 120.5, awayPitchingPoints: 67.5,
+                homeTeamId: 't4', homeTeamName: 'Boaf Squad', homeScore: 188, homeHittingPoints: 140, homePitchingPoints: 48
+            }
+        ]);
+    });
+
+    it('leaves a matchup out rather than borrow a score from the other team', () => {
+        mock.method(console, 'warn', () => {});
+        const html = `
+            <div class="scoreboard__matchup">
+                <div class="scoreboard__team"><a href="/team/roster;teamId=t1">Savages</a><span class="scoreboard__team__record">7-4-0</span></div>
+                <div class="scoreboard__team"><a href="/team/roster;teamId=t2">Horus</a><b>1,016.25</b></div>
+            </div>`;
+
+        assert.deepEqual(parseMatchupResults(html, 3), []);
+        assert.equal(console.warn.mock.callCount(), 1);
+        console.warn.mock.restore();
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseRoster, normalizePlayerName } = require('../../src/parsers/roster');
+
+// Roster page for Smooth Sailing on opening day 2017
+const ROSTER_PAGE = path.join(__dirname, '../../data/debug/player-stats-6kavltp6iyus60pl-2017-04-02.html');
+
+describe('parseRoster', () => {
+    const roster = parseRoster(fs.readFileSync(ROSTER_PAGE, 'utf8'));
+
+    it('reads the team header', () => {
+        assert.deepEqual(roster.teamInfo, {
+            teamName: 'Smooth Sailing',
+            record: '12-10-1',
+            rank: '4th',
+            managerName: 'Daniel'
+        });
+    });
+
+    it('extracts hitters with slots, eligibility, MLB team, batting side and Fantrax ID', () => {
+        assert.deepEqual(roster.players.slice(0, 4), [
+            { type: 'hitter', playerName: 'Gary Sanchez', normalizedName: 'gary sanchez', positionCode: 'C', rosterSlot: 1, isActive: true, positionsEligible: 'C', mlbTeam: 'NYY', batSide: 'R', fantraxPlayerId: '01t9q', fantasyPoints: 0, fpg: 0 },
+            { type: 'hitter', playerName: 'Dominic Smith', normalizedName: 'dominic smith', positionCode: '1B', rosterSlot: 1, isActive: true, positionsEligible: '1B', mlbTeam: 'NYM', batSide: 'L', fantraxPlayerId: '02z96', fantasyPoints: 0, fpg: 0 },
+            { type: 'hitter', playerName: 'Whit Merrifield', normalizedName: 'whit merrifield', positionCode: '2B', rosterSlot: 1, isActive: true, positionsEligible: '2B,OF', mlbTeam: 'KC', batSide: 'R', fantraxPlayerId: '02hjk', fantasyPoints: 0, fpg: 0 },
+            { type: 'hitter', playerName: 'Adrián Beltré', normalizedName: 'adrian beltre', positionCode: '3B', rosterSlot: 1, isActive: true, positionsEligible: '3B', mlbTeam: 'TEX', batSide: 'R', fantraxPlayerId: '0005y', fantasyPoints: 0, fpg: 0 }
+        ]);
+    });
+
+    it('numbers repeated positions and marks reserve and IR slots inactive', () => {
+        assert.deepEqual(
+            roster.players.map(player => `${player.positionCode}${player.rosterSlot}${player.isActive ? '' : '*'}`),
+            ['C1', '1B1', '2B1', '3B1', 'SS1', 'OF1', 'OF2', 'OF3', 'UT1', 'Res1*', 'Res2*', 'Res3*', 'Res4*', 'Res5*', 'Res6*', 'IR1*', 'TmP1']
+        );
+    });
+
+    it('reads the team pitching staff from the second table', () => {
+        assert.deepEqual(roster.players[roster.players.length - 1], {
+            type: 'teamPitching',
+            playerName: 'Cleveland',
+            normalizedName: 'cleveland',
+            positionCode: 'TmP',
+            rosterSlot: 1,
+            isActive: true,
+            positionsEligible: 'TmP',
+            mlbTeam: 'Cleveland',
+            fantasyPoints: 0,
+            fpg: 0
+        });
+    });
+
+    it('reads fantasy points and FP/G from the stat cells', () => {
+        const html = `
+            <ultimate-table><section><aside><td><button>SS</button><scorer class="scorer"><div class="scorer__info">
+                <div class="scorer__info__name"><a href="/player/04xyz;leagueId=abc">Trea Turner</a></div>
+                <div class="scorer__info__positions"><span>SS</span><span class="mat-mdc-tooltip-trigger"> - WSH </span></div>
+            </div></scorer></td></aside>
+            <div class="_ut__content"><table><tr><td></td><table-cell><span>1,016.5</span></table-cell><table-cell><span>3.2</span></table-cell></tr></table></div></section></ultimate-table>`;
+
+        const [player] = parseRoster(html).players;
+        assert.equal(player.fantraxPlayerId, '04xyz');
+        assert.equal(player.fantasyPoints, 1016.5);
+        assert.equal(player.fpg, 3.2);
+    });
+
+    it('reads the Fantrax ID from the headshot when there is no player link, and leaves it null without either', () => {
+        const row = (image) => `
+            <ultimate-table><section><aside><td><button>C</button><scorer class="scorer">${image}<div class="scorer__info">
+                <div class="scorer__info__name"><a tabindex="0">Gary Sanchez</a></div>
+                <div class="scorer__info__positions"><span>C</span></div>
+            </div></scorer></td></aside></section></ultimate-table>`;
+
+        const headshot = '<figure class="scorer__image" style="background-image: url(&quot;https://fantraximg.com/si/headshots/MLB/hs01t9q_96_13.png&quot;);"></figure>';
+        assert.equal(parseRoster(row(headshot)).players[0].fantraxPlayerId, '01t9q');
+        assert.equal(parseRoster(row('')).players[0].fantraxPlayerId, null);
+    });
+});
+
+describe('normalizePlayerName', () => {
+    it('strips accents, suffixes and punctuation', () => {
+        assert.equal(normalizePlayerName('Adrián Beltré'), 'adrian beltre');
+        assert.equal(normalizePlayerName('Ronald Acuña Jr.'), 'ronald acuna');
+        assert.equal(normalizePlayerName('J.D. Martinez'), 'jd martinez');
+        assert.equal(normalizePlayerName(''), '');
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseSchedule, parsePlayoffRounds } = require('../../src/parsers/schedule');
+const { getSeasons, isRotoSeason } = require('../../src/utils/seasons');
+
+// Schedule pages were saved under src/data/debug by older versions of the scraper
+const DEBUG_DIR = path.join(__dirname, '../../src/data/debug');
+
+/**
+ * Parse a saved schedule page
+ * @param {string} leagueId - Fantrax league ID
+ * @returns {Array} Parsed matchups
+ */
+function parsePage(leagueId) {
+    const html = fs.readFileSync(path.join(DEBUG_DIR, `schedule-page-${leagueId}.html`), 'utf8');
+    return parseSchedule(html, leagueId);
+}
+
+describe('parseSchedule', () => {
+    it('extracts the first and last matchups of the 2024 schedule', () => {
+        const matchups = parsePage('413usx30ls6bwvoj');
+        const season = '2024 MLB  Joe Buck Sucks';
+
+        assert.equal(matchups.length, 128);
+        assert.deepEqual(matchups.slice(0, 2), [
+            { leagueId: '413usx30ls6bwvoj', season, periodNumber: '1', periodType: 'Regular Season', dateRange: 'Thu Mar 28, 2024 - Sun Mar 31, 2024', awayTeamName: 'Damn Duran', awayTeamId: '22q5f0krls6bwvon', homeTeamName: 'marcus pilled', homeTeamId: 'vawgb9a8ls6bwvon', matchupId: '22q5f0krls6bwvon_vawgb9a8ls6bwvon' },
+            { leagueId: '413usx30ls6bwvoj', season, periodNumber: '1', periodType: 'Regular Season', dateRange: 'Thu Mar 28, 2024 - Sun Mar 31, 2024', awayTeamName: 'Horus', awayTeamId: '3iy76vtals6bwvon', homeTeamName: 'Strait Bussin', homeTeamId: '6tlwodegls6bwvon', matchupId: '3iy76vtals6bwvon_6tlwodegls6bwvon' }
+        ]);
+        assert.deepEqual(matchups.slice(-3), [
+            { leagueId: '413usx30ls6bwvoj', season, periodNumber: '26', periodType: 'Playoff', dateRange: 'Mon Sep 16, 2024 - Sun Sep 22, 2024', awayTeamName: 'GAUZH', awayTeamId: 'asz431h4ls6bwvon', homeTeamName: 'Damn Duran', homeTeamId: '22q5f0krls6bwvon', matchupId: 'asz431h4ls6bwvon_22q5f0krls6bwvon' },
+            { leagueId: '413usx30ls6bwvoj', season, periodNumber: '26', periodType: 'Playoff', dateRange: 'Mon Sep 16, 2024 - Sun Sep 22, 2024', awayTeamName: 'marcus pilled', awayTeamId: 'vawgb9a8ls6bwvon', homeTeamName: 'Boaf Squad', homeTeamId: '6f7fk89sls6bwvon', matchupId: 'vawgb9a8ls6bwvon_6f7fk89sls6bwvon' },
+            { leagueId: '413usx30ls6bwvoj', season, periodNumber: '27', periodType: 'Championship', dateRange: 'Mon Sep 23, 2024 - Mon Sep 30, 2024', awayTeamName: 'marcus pilled', awayTeamId: 'vawgb9a8ls6bwvon', homeTeamName: 'Damn Duran', homeTeamId: '22q5f0krls6bwvon', matchupId: 'vawgb9a8ls6bwvon_22q5f0krls6bwvon' }
+        ]);
+    });
+
+    it('matches the season registry\'s periods and playoff rounds for every saved season', () => {
+        getSeasons().forEach(season => {
+            const matchups = parsePage(season.leagueId);
+            const regularSeason = matchups.filter(matchup => matchup.periodType === 'Regular Season');
+            const periods = [...new Set(regularSeason.map(matchup => matchup.periodNumber))];
+
+            assert.equal(periods.length, season.regularSeasonPeriods, season.year);
+            assert.equal(periods[periods.length - 1], String(season.regularSeasonPeriods), season.year);
+
+            // Roto seasons list every team against every other team each period
+            const perPeriod = isRotoSeason(season) ? 45 : 5;
+            assert.equal(regularSeason.length, perPeriod * season.regularSeasonPeriods, season.year);
+
+            // Semifinals in the first playoff round, one championship matchup in the second
+            const playoffs = matchups.filter(matchup => matchup.periodType !== 'Regular Season');
+            assert.deepEqual(playoffs.map(matchup => [matchup.periodNumber, matchup.periodType]), [
+                [String(season.regularSeasonPeriods + 1), 'Playoff'],
+                [String(season.regularSeasonPeriods + 1), 'Playoff'],
+                [String(season.regularSeasonPeriods + 2), 'Championship']
+            ], season.year);
+
+            matchups.forEach(matchup => {
+                assert.match(matchup.awayTeamId, /^[a-z0-9]+$/, season.year);
+                assert.match(matchup.homeTeamId, /^[a-z0-9]+$/, season.year);
+            });
+        });
+    });
+
+    it('returns no matchups for a page without the schedule layout', () => {
+        assert.deepEqual(parseSchedule('<html><body><p>Login</p></body></html>', 'abc'), []);
+    });
+});
+
+describe('parsePlayoffRounds', () => {
+    it('lists the 2024 playoff rounds with their decided matchups', () => {
+        const html = fs.readFileSync(path.join(DEBUG_DIR, 'schedule-page-413usx30ls6bwvoj.html'), 'utf8');
+        const rounds = parsePlayoffRounds(html);
+
+        assert.deepEqual(rounds.map(round => [round.round, round.dateRange, round.matchups.length, round.undetermined]), [
+            [1, 'Mon Sep 16, 2024 - Sun Sep 22, 2024', 2, 3],
+            [2, 'Mon Sep 23, 2024 - Mon Sep 30, 2024', 1, 0]
+        ]);
+        assert.deepEqual(rounds[1].matchups, [
+            { awayTeamName: 'marcus pilled', awayTeamId: 'vawgb9a8ls6bwvon', homeTeamName: 'Damn Duran', homeTeamId: '22q5f0krls6bwvon' }
+        ]);
+    });
+
+    it('returns no rounds for a page without the schedule layout', () => {
+        assert.deepEqual(parsePlayoffRounds('<html><body><p>Login</p></body></html>'), []);
+    });
+});
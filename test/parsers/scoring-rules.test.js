@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseScoringRules } = require('../../src/parsers/scoring-rules');
+
+/**
+ * Build a rules page section: a heading followed by a category/points table
+ * @param {string} heading - Section heading
+ * @param {Array<Array<string>>} rows - [label, points] rows
+ * @returns {string} Section HTML
+ */
+function section(heading, rows) {
+    return `
+        <div class="scoring">
+            <h4>${heading}</h4>
+            <table>
+                <tr><th>Category</th><th>Points</th></tr>
+                ${rows.map(([label, points]) => `<tr><td>${label}</td><td>${points}</td></tr>`).join('')}
+            </table>
+        </div>`;
+}
+
+describe('parseScoringRules', () => {
+    it('reads hitting and team pitching categories by section', () => {
+        const html = `<html><body>
+            ${section('Hitting', [['Runs (R)', '1'], ['Singles (1B)', '1'], ['Home Runs (HR)', '4'], ['Caught Stealing (CS)', '-1']])}
+            ${section('Team Pitching', [['Innings Pitched (IP)', '3'], ['Hits + Walks (H+BB)', '-1'], ['Strikeouts (K)', '1'], ['Wins (W)', '2.5']])}
+        </body></html>`;
+
+        const { rules, unmatched } = parseScoringRules(html);
+
+        assert.deepEqual(rules.map(rule => [rule.group, rule.category, rule.points]), [
+            ['hitting', 'R', 1],
+            ['hitting', '1B', 1],
+            ['hitting', 'HR', 4],
+            ['hitting', 'CS', -1],
+            ['pitching', 'IP', 3],
+            ['pitching', 'H+BB', -1],
+            ['pitching', 'K', 1],
+            ['pitching', 'W', 2.5]
+        ]);
+        assert.equal(rules[2].label, 'Home Runs (HR)');
+        assert.deepEqual(unmatched, []);
+    });
+
+    it('matches labels by name or abbreviation alone', () => {
+        const { rules } = parseScoringRules(section('Batting', [['Runs Batted In', '1'], ['SB', '2'], ['Walks', '+1']]));
+
+        assert.deepEqual(rules.map(rule => [rule.category, rule.points]), [['RBI', 1], ['SB', 2], ['BB', 1]]);
+    });
+
+    it('reports categories it doesn\'t know instead of guessing', () => {
+        // Hitter strikeouts aren't a league category, so they mustn't be taken for pitching strikeouts
+        const { rules, unmatched } = parseScoringRules(section('Hitting', [['Strikeouts (K)', '-0.5'], ['Runs (R)', '1']]));
+
+        assert.deepEqual(rules.map(rule => rule.category), ['R']);
+        assert.deepEqual(unmatched, ['Strikeouts (K)']);
+    });
+
+    it('returns no rules for a page without scoring tables', () => {
+        assert.deepEqual(parseScoringRules('<html><body><p>Login</p></body></html>'), { rules: [], unmatched: [] });
+    });
+});
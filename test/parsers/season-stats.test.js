@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseSeasonStats } = require('../../src/parsers/season-stats');
+
+const DEBUG_DIR = path.join(__dirname, '../../data/debug');
+
+/**
+ * Read a saved season stats page
+ * @param {string} leagueId - Fantrax league ID
+ * @returns {string} Page HTML
+ */
+function loadPage(leagueId) {
+    return fs.readFileSync(path.join(DEBUG_DIR, `season-stats-page-${leagueId}.html`), 'utf8');
+}
+
+describe('parseSeasonStats', () => {
+    it('extracts every team of the 2024 season stats', () => {
+        const stats = parseSeasonStats(loadPage('413usx30ls6bwvoj'));
+
+        assert.deepEqual(stats.seasonStats, [
+            { teamId: '22q5f0krls6bwvon', teamName: 'Damn Duran', fantasyPoints: 6106, adjustments: 0, totalPoints: 6106, fantasyPointsPerGame: 3.87, gamesPlayed: 1577, hittingPoints: 4730, teamPitchingPoints: 1376, waiverPosition: 10, pointsBehindLeader: 0 },
+            { teamId: 'asz431h4ls6bwvon', teamName: 'GAUZH', fantasyPoints: 5993, adjustments: 0, totalPoints: 5993, fantasyPointsPerGame: 3.86, gamesPlayed: 1552, hittingPoints: 4708, teamPitchingPoints: 1285, waiverPosition: 3, pointsBehindLeader: 113 },
+            { teamId: 's66yr3ttls6bwvon', teamName: 'Nepo Baby Jr', fantasyPoints: 5897, adjustments: 0, totalPoints: 5897, fantasyPointsPerGame: 3.77, gamesPlayed: 1564, hittingPoints: 4666, teamPitchingPoints: 1231, waiverPosition: 2, pointsBehindLeader: 209 },
+            { teamId: 'vawgb9a8ls6bwvon', teamName: 'marcus pilled', fantasyPoints: 5863, adjustments: 0, totalPoints: 5863, fantasyPointsPerGame: 3.82, gamesPlayed: 1533, hittingPoints: 4601, teamPitchingPoints: 1262, waiverPosition: 6, pointsBehindLeader: 243 },
+            { teamId: '3iy76vtals6bwvon', teamName: 'Horus', fantasyPoints: 5790, adjustments: 0, totalPoints: 5790, fantasyPointsPerGame: 3.84, gamesPlayed: 1507, hittingPoints: 4536, teamPitchingPoints: 1254, waiverPosition: 7, pointsBehindLeader: 316 },
+            { teamId: 'm68m6b9hls6bwvon', teamName: 'Savages', fantasyPoints: 5778, adjustments: 0, totalPoints: 5778, fantasyPointsPerGame: 3.8, gamesPlayed: 1520, hittingPoints: 4515, teamPitchingPoints: 1263, waiverPosition: 1, pointsBehindLeader: 328 },
+            { teamId: '6f7fk89sls6bwvon', teamName: 'Boaf Squad', fantasyPoints: 5587, adjustments: 0, totalPoints: 5587, fantasyPointsPerGame: 3.78, gamesPlayed: 1478, hittingPoints: 4525, teamPitchingPoints: 1062, waiverPosition: 8, pointsBehindLeader: 519 },
+            { teamId: 't157zymnls6bwvon', teamName: 'Lawrence Butler', fantasyPoints: 5565, adjustments: 0, totalPoints: 5565, fantasyPointsPerGame: 3.71, gamesPlayed: 1498, hittingPoints: 4332, teamPitchingPoints: 1233, waiverPosition: 5, pointsBehindLeader: 541 },
+            { teamId: '6tlwodegls6bwvon', teamName: 'Strait Bussin', fantasyPoints: 5547, adjustments: 0, totalPoints: 5547, fantasyPointsPerGame: 3.63, gamesPlayed: 1528, hittingPoints: 4325, teamPitchingPoints: 1222, waiverPosition: 4, pointsBehindLeader: 559 },
+            { teamId: '1bo3wspnls6bwvon', teamName: 'I’m not Witty Enough', fantasyPoints: 5314, adjustments: 0, totalPoints: 5314, fantasyPointsPerGame: 3.45, gamesPlayed: 1541, hittingPoints: 3998, teamPitchingPoints: 1316, waiverPosition: 9, pointsBehindLeader: 792 }
+        ]);
+        assert.deepEqual(stats.hittingStats, []);
+        assert.deepEqual(stats.pitchingStats, []);
+    });
+
+    it('reads older seasons without Adj and Total columns by header', () => {
+        const { seasonStats } = parseSeasonStats(loadPage('apl5cn2ciyuis67t'));
+
+        assert.deepEqual(seasonStats.slice(0, 2), [
+            { teamId: '9gtzoe9hiyut9n8j', teamName: 'The Hippopotamuses', fantasyPoints: 6244, adjustments: 0, totalPoints: 6244, fantasyPointsPerGame: 4.08, gamesPlayed: 1530, hittingPoints: 4918, teamPitchingPoints: 1326, waiverPosition: 5, pointsBehindLeader: 0 },
+            { teamId: '6kavltp6iyus60pl', teamName: 'Smooth Sailing', fantasyPoints: 6175, adjustments: 0, totalPoints: 6175, fantasyPointsPerGame: 4.12, gamesPlayed: 1500, hittingPoints: 4666, teamPitchingPoints: 1509, waiverPosition: 10, pointsBehindLeader: 69 }
+        ]);
+    });
+
+    it('splits each team total into hitting and pitching points on every saved page', () => {
+        const files = fs.readdirSync(DEBUG_DIR).filter(file => file.startsWith('season-stats-page-'));
+        assert.ok(files.length > 0);
+
+        files.forEach(file => {
+            const { seasonStats } = parseSeasonStats(fs.readFileSync(path.join(DEBUG_DIR, file), 'utf8'));
+
+            assert.equal(seasonStats.length, 10, file);
+            seasonStats.forEach(team => {
+                assert.equal(team.hittingPoints + team.teamPitchingPoints, team.fantasyPoints, `${file} ${team.teamName}`);
+                assert.equal(team.totalPoints, team.fantasyPoints + team.adjustments, `${file} ${team.teamName}`);
+            });
+        });
+    });
+});
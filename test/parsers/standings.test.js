@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseStandings } = require('../../src/parsers/standings');
+
+const DEBUG_DIR = path.join(__dirname, '../../data/debug');
+
+/**
+ * Read a saved standings page
+ * @param {string} leagueId - Fantrax league ID
+ * @returns {string} Page HTML
+ */
+function loadPage(leagueId) {
+    return fs.readFileSync(path.join(DEBUG_DIR, `standings-page-${leagueId}.html`), 'utf8');
+}
+
+describe('parseStandings', () => {
+    it('extracts every team of the 2024 standings', () => {
+        assert.deepEqual(parseStandings(loadPage('413usx30ls6bwvoj')), [
+            { teamId: '6f7fk89sls6bwvon', teamName: 'Boaf Squad', rank: '1', wins: 16, losses: 9, ties: 0, winPercentage: 0.64, divisionRecord: '8-4-0', gamesBack: 0, waiverPosition: 8, fantasyPointsFor: 5194, fantasyPointsAgainst: 5276, streak: '2 (W)' },
+            { teamId: '22q5f0krls6bwvon', teamName: 'Damn Duran', rank: '2', wins: 15, losses: 10, ties: 0, winPercentage: 0.6, divisionRecord: '7-5-0', gamesBack: 1, waiverPosition: 10, fantasyPointsFor: 5634, fantasyPointsAgainst: 5317, streak: '10 (W)' },
+            { teamId: 'vawgb9a8ls6bwvon', teamName: 'marcus pilled', rank: '3', wins: 14, losses: 11, ties: 0, winPercentage: 0.56, divisionRecord: '5-7-0', gamesBack: 2, waiverPosition: 6, fantasyPointsFor: 5362, fantasyPointsAgainst: 5391, streak: '3 (L)' },
+            { teamId: 'asz431h4ls6bwvon', teamName: 'GAUZH', rank: '4', wins: 14, losses: 11, ties: 0, winPercentage: 0.56, divisionRecord: '6-6-0', gamesBack: 2, waiverPosition: 3, fantasyPointsFor: 5546, fantasyPointsAgainst: 5202, streak: '1 (W)' },
+            { teamId: 's66yr3ttls6bwvon', teamName: 'Nepo Baby Jr', rank: '5', wins: 14, losses: 11, ties: 0, winPercentage: 0.56, divisionRecord: '6-6-0', gamesBack: 2, waiverPosition: 2, fantasyPointsFor: 5478, fantasyPointsAgainst: 5249, streak: '1 (W)' },
+            { teamId: 'm68m6b9hls6bwvon', teamName: 'Savages', rank: '6', wins: 12, losses: 12, ties: 1, winPercentage: 0.5, divisionRecord: '7-4-1', gamesBack: 3.5, waiverPosition: 1, fantasyPointsFor: 5342, fantasyPointsAgainst: 5207, streak: '1 (L)' },
+            { teamId: '3iy76vtals6bwvon', teamName: 'Horus', rank: '7', wins: 12, losses: 13, ties: 0, winPercentage: 0.48, divisionRecord: '8-4-0', gamesBack: 4, waiverPosition: 7, fantasyPointsFor: 5416, fantasyPointsAgainst: 5281, streak: '1 (L)' },
+            { teamId: 't157zymnls6bwvon', teamName: 'Lawrence Butler', rank: '8', wins: 11, losses: 13, ties: 1, winPercentage: 0.46, divisionRecord: '6-5-1', gamesBack: 4.5, waiverPosition: 5, fantasyPointsFor: 5195, fantasyPointsAgainst: 5287, streak: '2 (W)' },
+            { teamId: '6tlwodegls6bwvon', teamName: 'Strait Bussin', rank: '9', wins: 9, losses: 16, ties: 0, winPercentage: 0.36, divisionRecord: '3-9-0', gamesBack: 7, waiverPosition: 4, fantasyPointsFor: 5172, fantasyPointsAgainst: 5440, streak: '2 (L)' },
+            { teamId: '1bo3wspnls6bwvon', teamName: 'I’m not Witty Enough', rank: '10', wins: 7, losses: 18, ties: 0, winPercentage: 0.28, divisionRecord: '3-9-0', gamesBack: 9, waiverPosition: 9, fantasyPointsFor: 4895, fantasyPointsAgainst: 5584, streak: '2 (L)' }
+        ]);
+    });
+
+    it('finds ten ranked teams with balanced records on every saved page', () => {
+        const files = fs.readdirSync(DEBUG_DIR).filter(file => file.startsWith('standings-page-'));
+        assert.ok(files.length > 0);
+
+        files.forEach(file => {
+            const standings = parseStandings(fs.readFileSync(path.join(DEBUG_DIR, file), 'utf8'));
+
+            assert.equal(standings.length, 10, file);
+            assert.deepEqual(standings.map(team => team.rank), ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'], file);
+
+            const sum = (field) => standings.reduce((total, team) => total + team[field], 0);
+            assert.equal(sum('wins'), sum('losses'), file);
+            assert.ok(Math.abs(sum('fantasyPointsFor') - sum('fantasyPointsAgainst')) < 1, file);
+        });
+    });
+
+    it('returns no standings when the page has no standings table', () => {
+        assert.deepEqual(parseStandings('<html><body><p>Login</p></body></html>'), []);
+    });
+});
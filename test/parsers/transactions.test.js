@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseTransactions } = require('../../src/parsers/transactions');
+
+// Transaction history pages in the markup Fantrax renders (hand-built; see the note at the top of each file)
+const CLAIM_DROP_PAGE = path.join(__dirname, '../fixtures/transactions-claim-drop-page.html');
+const TRADE_PAGE = path.join(__dirname, '../fixtures/transactions-trade-page.html');
+
+/**
+ * Build a transaction history page in Fantrax's ultimate table layout
+ * @param {Array<string>} headers - Data column headers
+ * @param {Array<Object>} rows - Rows ({ player, playerId, cells })
+ * @returns {string} Page HTML
+ */
+function buildPage(headers, rows) {
+    const asideCells = rows.map(row => `
+        <td><div class="scorer"><div class="scorer__info__name"><a href="/player/${row.playerId};season=2024">${row.player}</a></div></div></td>`);
+    const dataRows = rows.map(row => `<tr>${row.cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`);
+
+    return `<html><body><div class="ultimate-table">
+        <header><div class="_ut__head"><table><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></table></div></header>
+        <section><aside>${asideCells.join('')}</aside><div><table>${dataRows.join('')}</table></div></section>
+    </div></body></html>`;
+}
+
+/**
+ * Link to a fantasy team
+ * @param {string} teamId - Fantrax team ID
+ * @param {string} name - Team name
+ * @returns {string} Link HTML
+ */
+function teamLink(teamId, name) {
+    return `<a href="/fantasy/league/abc/team/roster;teamId=${teamId}">${name}</a>`;
+}
+
+describe('parseTransactions', () => {
+    it('reads claims, drops, bids and commissioner moves from the claim/drop view', () => {
+        const html = buildPage(['Team', 'Type', 'Bid', 'Date (EDT)', 'Period'], [
+            { player: 'Jackson Merrill', playerId: '05a1b', cells: [teamLink('t1', 'Savages'), 'Claim', '$12', 'Sat Apr 13, 2024, 3:04AM', '3'] },
+            { player: 'Joey Gallo', playerId: '02xyz', cells: [teamLink('t1', 'Savages'), 'Drop', '', 'Sat Apr 13, 2024, 3:04AM', '3'] },
+            { player: 'Nick Loftin', playerId: '06qqq', cells: [teamLink('t2', 'Horus'), 'Drop (Commissioner)', '', 'Mon Sep 2, 12:00PM', '24'] }
+        ]);
+
+        assert.deepEqual(parseTransactions(html, { year: 2024 }), [
+            { transactionType: 'claim', isCommissioner: false, transactionDate: '2024-04-13', dateText: 'Sat Apr 13, 2024, 3:04AM', periodNumber: 3, teamId: 't1', teamName: 'Savages', otherTeamId: null, otherTeamName: null, playerName: 'Jackson Merrill', fantraxPlayerId: '05a1b', faabBid: 12 },
+            { transactionType: 'drop', isCommissioner: false, transactionDate: '2024-04-13', dateText: 'Sat Apr 13, 2024, 3:04AM', periodNumber: 3, teamId: 't1', teamName: 'Savages', otherTeamId: null, otherTeamName: null, playerName: 'Joey Gallo', fantraxPlayerId: '02xyz', faabBid: null },
+            { transactionType: 'drop', isCommissioner: true, transactionDate: '2024-09-02', dateText: 'Mon Sep 2, 12:00PM', periodNumber: 24, teamId: 't2', teamName: 'Horus', otherTeamId: null, otherTeamName: null, playerName: 'Nick Loftin', fantraxPlayerId: '06qqq', faabBid: null }
+        ]);
+    });
+
+    it('stores trades on the receiving team with the sending team as the other team', () => {
+        const html = buildPage(['From', 'To', 'Date (EDT)', 'Period'], [
+            { player: 'Juan Soto', playerId: '04soto', cells: [teamLink('t1', 'Savages'), teamLink('t2', 'Horus'), 'Jun 1, 2024', '10'] }
+        ]);
+
+        const [trade] = parseTransactions(html, { year: 2024 });
+        assert.equal(trade.transactionType, 'trade');
+        assert.equal(trade.teamId, 't2');
+        assert.equal(trade.otherTeamId, 't1');
+        assert.equal(trade.transactionDate, '2024-06-01');
+    });
+
+    it('reads a trade with both teams in a single Team cell', () => {
+        const html = buildPage(['Team', 'Type', 'Date'], [
+            { player: 'Juan Soto', playerId: '04soto', cells: [`${teamLink('t1', 'Savages')} to ${teamLink('t2', 'Horus')}`, 'Trade', 'Jun 1, 2024'] }
+        ]);
+
+        const [trade] = parseTransactions(html);
+        assert.deepEqual([trade.transactionType, trade.teamId, trade.otherTeamId], ['trade', 't2', 't1']);
+    });
+});
+
+describe('parseTransactions on Fantrax page markup', () => {
+    it('reads the claim/drop view from <table-cell> columns, with player IDs from the headshots', () => {
+        const transactions = parseTransactions(fs.readFileSync(CLAIM_DROP_PAGE, 'utf8'), { year: 2024 });
+
+        assert.deepEqual(
+            transactions.map(tx => [tx.playerName, tx.fantraxPlayerId, tx.transactionType, tx.teamId, tx.faabBid, tx.transactionDate, tx.periodNumber, tx.isCommissioner]),
+            [
+                ['Jackson Merrill', '05a1b', 'claim', 't1', 12, '2024-04-13', 3, false],
+                ['Joey Gallo', '02xyz', 'drop', 't1', null, '2024-04-13', 3, false],
+                ['Colt Keith', '06k2m', 'claim', 't2', 1005, '2024-07-09', 16, false],
+                ['Nick Loftin', '06qqq', 'drop', 't2', null, '2024-09-02', 24, true]
+            ]
+        );
+    });
+
+    it('reads the trade view with From and To columns', () => {
+        const transactions = parseTransactions(fs.readFileSync(TRADE_PAGE, 'utf8'), { year: 2024 });
+
+        assert.deepEqual(
+            transactions.map(tx => [tx.playerName, tx.transactionType, tx.teamId, tx.otherTeamId, tx.transactionDate]),
+            [
+                ['Juan Soto', 'trade', 't2', 't1', '2024-06-01'],
+                ['Gavin Lux', 'trade', 't1', 't2', '2024-06-01']
+            ]
+        );
+    });
+});
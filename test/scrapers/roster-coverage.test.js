@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeRosterCoverage, formatPeriodRanges } = require('../../src/scrapers/rosters');
+
+// Three teams, two regular season periods and a one-matchup playoff period
+const teams = [
+    { id: 1, name: 'Alpha' },
+    { id: 2, name: 'Bravo' },
+    { id: 3, name: 'Charlie' }
+];
+
+const schedule = [
+    { period_number: '1', period_type: 'Regular Season', away_team_id: 1, home_team_id: 2 },
+    { period_number: '2', period_type: 'Regular Season', away_team_id: 2, home_team_id: 3 },
+    { period_number: '3', period_type: 'Championship', away_team_id: 1, home_team_id: 3 }
+];
+
+describe('summarizeRosterCoverage', () => {
+    it('counts only the playoff teams in playoff periods', () => {
+        const coverage = summarizeRosterCoverage(teams, schedule, [], []);
+
+        assert.equal(coverage.expected, 8);
+        assert.equal(coverage.done, 0);
+        assert.deepEqual(coverage.gaps.find(gap => gap.teamName === 'Bravo').missing, [1, 2]);
+    });
+
+    it('separates failed periods from periods that were never scraped', () => {
+        const jobs = [
+            { team_id: 1, period: 1, status: 'done' },
+            { team_id: 1, period: 2, status: 'failed' },
+            { team_id: 2, period: 2, status: 'running' }
+        ];
+        const completedUnits = [
+            { team_id: 1, period: 1 },
+            { team_id: 1, period: 3 },
+            { team_id: 2, period: 1 },
+            { team_id: 3, period: 1 },
+            { team_id: 3, period: 2 },
+            { team_id: 3, period: 3 }
+        ];
+
+        const coverage = summarizeRosterCoverage(teams, schedule, jobs, completedUnits);
+
+        assert.equal(coverage.done, 6);
+        assert.deepEqual(coverage.gaps, [
+            { teamName: 'Alpha', missing: [], failed: [2] },
+            { teamName: 'Bravo', missing: [2], failed: [] }
+        ]);
+    });
+});
+
+describe('formatPeriodRanges', () => {
+    it('collapses consecutive periods', () => {
+        assert.equal(formatPeriodRanges([1, 2, 3, 7, 9, 10]), '1-3, 7, 9-10');
+        assert.equal(formatPeriodRanges([]), '');
+    });
+});
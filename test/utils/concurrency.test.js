@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, createMutex, mapWithWorkers } = require('../../src/utils/concurrency');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithWorkers', () => {
+    it('returns results in item order whatever order they finish in', async () => {
+        const items = [40, 5, 25, 1, 15];
+
+        const results = await mapWithWorkers(items, ['a', 'b'], async (delay, index) => {
+            await sleep(delay);
+            return index;
+        });
+
+        assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    });
+
+    it('never gives a worker two items at once', async () => {
+        const busy = new Set();
+
+        await mapWithWorkers([1, 2, 3, 4, 5, 6], ['a', 'b', 'c'], async (item, index, worker) => {
+            assert.equal(busy.has(worker), false);
+            busy.add(worker);
+            await sleep(item);
+            busy.delete(worker);
+        });
+    });
+
+    it('stops handing out items after a failure and throws once every worker is done', async () => {
+        const started = [];
+        const finished = [];
+
+        await assert.rejects(
+            mapWithWorkers([1, 2, 3, 4, 5, 6], ['a', 'b'], async (item) => {
+                started.push(item);
+                if (item === 1) throw new Error('boom');
+                await sleep(30);
+                finished.push(item);
+            }),
+            /boom/
+        );
+
+        // Item 2 was already running on the other worker and got to finish; nothing after it started
+        assert.deepEqual(started, [1, 2]);
+        assert.deepEqual(finished, [2]);
+    });
+});
+
+describe('createMutex', () => {
+    it('runs callbacks one at a time in queue order, even after a failure', async () => {
+        const mutex = createMutex();
+        const events = [];
+
+        const first = mutex.runExclusive(async () => {
+            events.push('first start');
+            await sleep(20);
+            events.push('first end');
+        });
+        const failing = mutex.runExclusive(async () => {
+            throw new Error('boom');
+        });
+        const last = mutex.runExclusive(async () => {
+            events.push('last');
+            return 'done';
+        });
+
+        await first;
+        await assert.rejects(failing, /boom/);
+        assert.equal(await last, 'done');
+        assert.deepEqual(events, ['first start', 'first end', 'last']);
+    });
+});
+
+describe('createRateLimiter', () => {
+    it('spaces out concurrent callers', async () => {
+        const limiter = createRateLimiter(30);
+        const times = [];
+
+        await Promise.all([1, 2, 3].map(async () => {
+            await limiter.wait();
+            times.push(Date.now());
+        }));
+
+        times.sort((a, b) => a - b);
+        assert.ok(times[1] - times[0] >= 25);
+        assert.ok(times[2] - times[1] >= 25);
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const {
+    loadMigrations,
+    getMigrationStatus,
+    migrateDatabase,
+    rollbackDatabase
+} = require('../../src/utils/database');
+
+// Every table the repositories in src/database read or write
+const REPOSITORY_TABLES = [
+    'seasons', 'teams', 'schedule', 'matchup_results', 'standings', 'season_stats', 'hitting_stats',
+    'pitching_stats', 'managers', 'mlb_teams', 'mlb_games', 'players', 'rosters', 'batter_game_stats',
+    'pitcher_game_stats', 'page_archive', 'scrape_jobs', 'roster_moves', 'transactions', 'draft_picks',
+    'playoff_bracket', 'periods', 'scoring_rules', 'slot_game_points', 'hitting_points_checks',
+    'staff_period_points', 'pitching_points_checks', 'player_id_map', 'player_seasons', 'player_match_reviews'
+];
+
+// The migration runner's own bookkeeping
+const MIGRATION_TABLES = ['schema_adopted_tables', 'schema_migrations'];
+
+/**
+ * List a database's tables
+ * @param {sqlite.Database} db - Database connection
+ * @returns {Promise<Array<string>>} Table names, sorted
+ */
+async function listTables(db) {
+    const rows = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    return rows.map(row => row.name);
+}
+
+/**
+ * List a table's columns
+ * @param {sqlite.Database} db - Database connection
+ * @param {string} table - Table name
+ * @returns {Promise<Array<string>>} Column names
+ */
+async function listColumns(db, table) {
+    return (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+describe('schema migrations', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON');
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('builds every repository table in a fresh database and records each migration', async () => {
+        const applied = await migrateDatabase(db);
+
+        assert.deepEqual(applied, loadMigrations().map(migration => migration.name));
+        assert.deepEqual(await listTables(db), [...REPOSITORY_TABLES, ...MIGRATION_TABLES].sort());
+        assert.ok((await getMigrationStatus(db)).every(migration => migration.appliedAt));
+        assert.deepEqual(await migrateDatabase(db), []);
+    });
+
+    it('stops at --to and picks up from there', async () => {
+        assert.deepEqual(await migrateDatabase(db, { to: 2 }), ['001-league-tables', '002-standings-and-stats']);
+        assert.ok(!(await listTables(db)).includes('managers'));
+
+        const status = await getMigrationStatus(db);
+        assert.deepEqual(status.filter(migration => !migration.appliedAt).map(migration => migration.version), [3, 4, 5, 6, 7, 8, 9, 10, 11]);
+
+        await migrateDatabase(db);
+        assert.ok((await listTables(db)).includes('managers'));
+    });
+
+    it('rolls back the latest migration, or everything after a version', async () => {
+        await migrateDatabase(db);
+
+        assert.deepEqual(await rollbackDatabase(db), ['011-null-fantrax-ids']);
+        assert.deepEqual(await rollbackDatabase(db), ['010-player-ids']);
+        assert.ok(!(await listTables(db)).includes('player_id_map'));
+
+        assert.deepEqual(await rollbackDatabase(db, { to: 2 }), [
+            '009-scoring', '008-league-history', '007-scrape-tracking', '006-mlb-game-stats',
+            '005-rosters', '004-mlb-reference-tables', '003-managers'
+        ]);
+        assert.ok(!(await listColumns(db, 'teams')).includes('manager_id'));
+
+        await rollbackDatabase(db, { to: 0 });
+        assert.deepEqual(await listTables(db), MIGRATION_TABLES);
+
+        await migrateDatabase(db);
+        assert.deepEqual(await listTables(db), [...REPOSITORY_TABLES, ...MIGRATION_TABLES].sort());
+    });
+
+    it('brings a database built by the old schema scripts up to date without losing data, and keeps rollback off its tables', async () => {
+        // players.id isn't unique on its own yet, so the old rosters foreign key can't be enforced
+        await db.run('PRAGMA foreign_keys = OFF');
+        await db.exec(`
+            CREATE TABLE seasons (id INTEGER PRIMARY KEY AUTOINCREMENT, year TEXT NOT NULL, league_id TEXT UNIQUE NOT NULL, name TEXT);
+            CREATE TABLE teams (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id TEXT NOT NULL, season_id INTEGER NOT NULL, name TEXT NOT NULL);
+            CREATE TABLE season_stats (id INTEGER PRIMARY KEY AUTOINCREMENT, season_id INTEGER, team_id INTEGER, projected_budget_left REAL);
+            CREATE TABLE players (id INTEGER, full_name TEXT NOT NULL, bat_side TEXT, season INTEGER NOT NULL, PRIMARY KEY (id, season));
+            CREATE TABLE rosters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, season_id INTEGER NOT NULL, team_id INTEGER NOT NULL,
+                period_number INTEGER NOT NULL, player_id INTEGER, position_code TEXT NOT NULL, roster_slot INTEGER NOT NULL,
+                is_active BOOLEAN NOT NULL, player_name TEXT NOT NULL, player_name_normalized TEXT, mlb_team TEXT,
+                bat_side TEXT, fantrax_player_id TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (player_id) REFERENCES players(id)
+            );
+
+            INSERT INTO seasons (year, league_id) VALUES ('2024', 'L1');
+            INSERT INTO teams (team_id, season_id, name) VALUES ('t1', 1, 'One');
+            INSERT INTO season_stats (season_id, team_id, projected_budget_left) VALUES (1, 1, 12.5);
+            INSERT INTO players (id, full_name, bat_side, season) VALUES (669257, 'Will Smith', 'R', 2023), (669257, 'Will Smith', 'R', 2024);
+            INSERT INTO rosters (season_id, team_id, period_number, player_id, position_code, roster_slot, is_active, player_name, fantrax_player_id)
+            VALUES (1, 1, 1, 669257, 'C', 1, 1, 'Will Smith', '');
+        `);
+        await db.run('PRAGMA foreign_keys = ON');
+
+        await migrateDatabase(db);
+
+        assert.equal((await db.get('SELECT points_behind_leader FROM season_stats')).points_behind_leader, 12.5);
+        assert.deepEqual(await db.all('SELECT id, full_name FROM players'), [{ id: 669257, full_name: 'Will Smith' }]);
+        assert.ok((await listColumns(db, 'players')).includes('normalized_full_name'));
+        assert.ok((await listColumns(db, 'rosters')).includes('pitching_staff_id'));
+        assert.ok((await listColumns(db, 'teams')).includes('manager_id'));
+        assert.deepEqual(await db.get('SELECT player_id, fantrax_player_id FROM rosters'), { player_id: 669257, fantrax_player_id: null });
+        assert.deepEqual(await db.all('PRAGMA foreign_key_check'), []);
+
+        await assert.rejects(rollbackDatabase(db, { to: 0 }), /^Error: rosters existed before the migrations ran/);
+        assert.ok((await getMigrationStatus(db)).find(migration => migration.version === 5).appliedAt);
+        assert.deepEqual(await db.get('SELECT player_name FROM rosters'), { player_name: 'Will Smith' });
+        assert.deepEqual(await db.all('SELECT league_id FROM seasons'), [{ league_id: 'L1' }]);
+    });
+});
+
+describe('loadMigrations', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    });
+
+    afterEach(() => {
+        fs.removeSync(dir);
+    });
+
+    it('numbers the checked-in migrations without gaps', () => {
+        const versions = loadMigrations().map(migration => migration.version);
+        assert.deepEqual(versions, versions.map((_, index) => index + 1));
+    });
+
+    it('rejects misnamed files and shared versions', () => {
+        const migration = 'module.exports = { up: async () => {}, down: async () => {} };';
+
+        fs.writeFileSync(path.join(dir, 'add-things.js'), migration);
+        assert.throws(() => loadMigrations(dir), /must be named NNN-name\.js/);
+
+        fs.removeSync(path.join(dir, 'add-things.js'));
+        fs.writeFileSync(path.join(dir, '001-one.js'), migration);
+        fs.writeFileSync(path.join(dir, '001-two.js'), migration);
+        assert.throws(() => loadMigrations(dir), /share version 1/);
+    });
+});
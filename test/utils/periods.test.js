@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseDateRange, buildPeriodCalendar } = require('../../src/utils/periods');
+const { parseSchedule } = require('../../src/parsers/schedule');
+const { getSeasons } = require('../../src/utils/seasons');
+
+// Schedule pages were saved under src/data/debug by older versions of the scraper
+const DEBUG_DIR = path.join(__dirname, '../../src/data/debug');
+
+describe('parseDateRange', () => {
+    it('reads a range with years', () => {
+        assert.deepEqual(parseDateRange('Thu Mar 28, 2024 - Sun Mar 31, 2024', 2023), { startDate: '2024-03-28', endDate: '2024-03-31' });
+    });
+
+    it('rolls a yearless end date into the next year', () => {
+        assert.deepEqual(parseDateRange('Mon Dec 30 - Sun Jan 5', 2024), { startDate: '2024-12-30', endDate: '2025-01-05' });
+    });
+
+    it('returns null for text that isn\'t a range', () => {
+        assert.equal(parseDateRange('Period 3', 2024), null);
+        assert.equal(parseDateRange('', 2024), null);
+    });
+});
+
+describe('buildPeriodCalendar', () => {
+    it('keeps one entry per period in period order', () => {
+        const calendar = buildPeriodCalendar([
+            { periodNumber: '2', periodType: 'Regular Season', dateRange: 'Mon Apr 8, 2019 - Sun Apr 14, 2019' },
+            { periodNumber: '1', periodType: 'Regular Season', dateRange: 'Thu Mar 28, 2019 - Sun Apr 7, 2019' },
+            { periodNumber: '1', periodType: 'Regular Season', dateRange: 'Thu Mar 28, 2019 - Sun Apr 7, 2019' }
+        ], '2019');
+
+        assert.deepEqual(calendar, [
+            { periodNumber: 1, periodType: 'Regular Season', startDate: '2019-03-28', endDate: '2019-04-07' },
+            { periodNumber: 2, periodType: 'Regular Season', startDate: '2019-04-08', endDate: '2019-04-14' }
+        ]);
+    });
+
+    it('moves yearless periods into the next year once the season crosses it', () => {
+        const calendar = buildPeriodCalendar([
+            { periodNumber: '1', periodType: 'Regular Season', dateRange: 'Mon Dec 23 - Sun Dec 29' },
+            { periodNumber: '2', periodType: 'Regular Season', dateRange: 'Mon Dec 30 - Sun Jan 5' },
+            { periodNumber: '3', periodType: 'Playoff', dateRange: 'Mon Jan 6 - Sun Jan 12' }
+        ], 2024);
+
+        assert.deepEqual(calendar.map(period => [period.startDate, period.endDate]), [
+            ['2024-12-23', '2024-12-29'],
+            ['2024-12-30', '2025-01-05'],
+            ['2025-01-06', '2025-01-12']
+        ]);
+    });
+
+    it('covers every saved season with back-to-back periods', () => {
+        getSeasons().forEach(season => {
+            const html = fs.readFileSync(path.join(DEBUG_DIR, `schedule-page-${season.leagueId}.html`), 'utf8');
+            const calendar = buildPeriodCalendar(parseSchedule(html, season.leagueId), season.year);
+
+            assert.equal(calendar.length, season.regularSeasonPeriods + 2, season.year);
+            calendar.slice(1).forEach((period, index) => {
+                const nextDay = new Date(`${calendar[index].endDate}T00:00:00Z`);
+                nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+                assert.equal(period.startDate, nextDay.toISOString().slice(0, 10), `${season.year} period ${period.periodNumber}`);
+            });
+        });
+    });
+});
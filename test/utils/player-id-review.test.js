@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReviewChoice } = require('../../player-id-review');
+
+const candidates = [
+    { playerId: 669257, fullName: 'Will Smith', score: 0.9 },
+    { playerId: 519293, fullName: 'Will Smith', score: 0.9 }
+];
+
+describe('parseReviewChoice', () => {
+    it('accepts the best candidate for an unlinked player', () => {
+        assert.deepEqual(parseReviewChoice('a', { fantraxPlayerId: '04xyz', current: null, candidates }), { action: 'link', playerId: 669257 });
+    });
+
+    it('keeps the current match for a low-confidence one', () => {
+        const item = { fantraxPlayerId: '04xyz', current: { playerId: 519293 }, candidates };
+        assert.deepEqual(parseReviewChoice(' A ', item), { action: 'link', playerId: 519293 });
+    });
+
+    it('picks a candidate by number or any player by MLB ID', () => {
+        const item = { fantraxPlayerId: '04xyz', current: null, candidates };
+        assert.deepEqual(parseReviewChoice('2', item), { action: 'link', playerId: 519293 });
+        assert.deepEqual(parseReviewChoice('m 608070', item), { action: 'link', playerId: 608070 });
+        assert.equal(parseReviewChoice('3', item), null);
+    });
+
+    it('reads the non-MLB, skip and quit answers and rejects anything else', () => {
+        const item = { fantraxPlayerId: '04xyz', current: null, candidates: [] };
+        assert.deepEqual(parseReviewChoice('n', item), { action: 'non-mlb' });
+        assert.deepEqual(parseReviewChoice('s', item), { action: 'skip' });
+        assert.deepEqual(parseReviewChoice('q', item), { action: 'quit' });
+        assert.equal(parseReviewChoice('a', item), null);
+        assert.equal(parseReviewChoice('yes', item), null);
+    });
+
+    it('takes every decision for a player without a Fantrax ID', () => {
+        const item = { fantraxPlayerId: null, current: null, candidates };
+        assert.deepEqual(parseReviewChoice('a', item), { action: 'link', playerId: 669257 });
+        assert.deepEqual(parseReviewChoice('n', item), { action: 'non-mlb' });
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { OVERRIDES_FILE, loadPlayerIdOverrides, savePlayerIdOverride } = require('../../src/utils/player-ids');
+
+describe('loadPlayerIdOverrides', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-ids-'));
+    });
+
+    after(() => {
+        fs.removeSync(dir);
+    });
+
+    /**
+     * Write an overrides file into the temporary directory
+     * @param {*} contents - File contents
+     * @returns {string} File path
+     */
+    function writeOverrides(contents) {
+        const file = path.join(dir, 'overrides.json');
+        fs.writeJsonSync(file, contents);
+        return file;
+    }
+
+    it('reads the checked-in overrides file', () => {
+        assert.ok(Array.isArray(loadPlayerIdOverrides(OVERRIDES_FILE)));
+    });
+
+    it('returns the overrides in the file', () => {
+        const overrides = [{ fantraxPlayerId: '04xyz', mlbPlayerId: 669257, playerName: 'Will Smith', note: 'The Dodgers catcher' }];
+        assert.deepEqual(loadPlayerIdOverrides(writeOverrides(overrides)), overrides);
+    });
+
+    it('treats a missing file as no overrides', () => {
+        assert.deepEqual(loadPlayerIdOverrides(path.join(dir, 'missing.json')), []);
+    });
+
+    it('rejects entries without both IDs', () => {
+        assert.throws(() => loadPlayerIdOverrides(writeOverrides([{ mlbPlayerId: 1 }])), /missing a fantraxPlayerId/);
+        assert.throws(() => loadPlayerIdOverrides(writeOverrides([{ fantraxPlayerId: '04xyz', mlbPlayerId: '669257' }])), /numeric mlbPlayerId/);
+    });
+
+    it('accepts players marked as not MLB players, without an MLB ID', () => {
+        const overrides = [{ fantraxPlayerId: '06abc', nonMlb: true, playerName: 'Placeholder' }];
+        assert.deepEqual(loadPlayerIdOverrides(writeOverrides(overrides)), overrides);
+        assert.throws(() => loadPlayerIdOverrides(writeOverrides([{ fantraxPlayerId: '06abc', nonMlb: true, mlbPlayerId: 1 }])), /marked nonMlb/);
+    });
+
+    it('accepts players without a Fantrax ID keyed on season, name and MLB team', () => {
+        const overrides = [
+            { season: '2019', normalizedName: 'will smith', mlbTeam: 'LAD', mlbPlayerId: 669257, playerName: 'Will Smith' },
+            { season: '2019', normalizedName: 'will smith', mlbTeam: 'ATL', mlbPlayerId: 519293, playerName: 'Will Smith' },
+            { season: '2019', normalizedName: 'joe prospect', mlbTeam: null, nonMlb: true, playerName: 'Joe Prospect' }
+        ];
+        assert.deepEqual(loadPlayerIdOverrides(writeOverrides(overrides)), overrides);
+        assert.throws(() => loadPlayerIdOverrides(writeOverrides([{ season: 2019, normalizedName: 'will smith', mlbPlayerId: 1 }])), /missing a fantraxPlayerId/);
+        assert.throws(() => loadPlayerIdOverrides(writeOverrides([{ season: '2019', mlbPlayerId: 1 }])), /missing a fantraxPlayerId/);
+    });
+
+    it('rejects a Fantrax ID listed twice', () => {
+        const file = writeOverrides([
+            { fantraxPlayerId: '04xyz', mlbPlayerId: 669257 },
+            { fantraxPlayerId: '04xyz', mlbPlayerId: 519306 }
+        ]);
+        assert.throws(() => loadPlayerIdOverrides(file), /more than one override/);
+    });
+});
+
+describe('savePlayerIdOverride', () => {
+    let file;
+
+    before(() => {
+        file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'player-ids-')), 'overrides.json');
+    });
+
+    after(() => {
+        fs.removeSync(path.dirname(file));
+    });
+
+    it('creates the file and replaces an earlier override for the same player', () => {
+        savePlayerIdOverride({ fantraxPlayerId: '04xyz', mlbPlayerId: 519306, playerName: 'Will Smith' }, file);
+        savePlayerIdOverride({ fantraxPlayerId: '06abc', nonMlb: true, playerName: 'Placeholder' }, file);
+        savePlayerIdOverride({ fantraxPlayerId: '04xyz', mlbPlayerId: 669257, playerName: 'Will Smith' }, file);
+
+        assert.deepEqual(loadPlayerIdOverrides(file), [
+            { fantraxPlayerId: '06abc', nonMlb: true, playerName: 'Placeholder' },
+            { fantraxPlayerId: '04xyz', mlbPlayerId: 669257, playerName: 'Will Smith' }
+        ]);
+    });
+
+    it('replaces an earlier override for the same season, name and MLB team', () => {
+        savePlayerIdOverride({ season: '2019', normalizedName: 'will smith', mlbTeam: 'LAD', mlbPlayerId: 519306 }, file);
+        savePlayerIdOverride({ season: '2019', normalizedName: 'will smith', mlbTeam: 'LAD', mlbPlayerId: 669257 }, file);
+
+        assert.deepEqual(loadPlayerIdOverrides(file).filter(override => !override.fantraxPlayerId), [
+            { season: '2019', normalizedName: 'will smith', mlbTeam: 'LAD', mlbPlayerId: 669257 }
+        ]);
+    });
+
+    it('refuses to write an override without a Fantrax ID', () => {
+        const saved = loadPlayerIdOverrides(file);
+
+        assert.throws(() => savePlayerIdOverride({ fantraxPlayerId: '', mlbPlayerId: 669257 }, file), /missing a fantraxPlayerId/);
+        assert.throws(() => savePlayerIdOverride({ fantraxPlayerId: null, nonMlb: true }, file), /missing a fantraxPlayerId/);
+        assert.deepEqual(loadPlayerIdOverrides(file), saved);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePlayerName } = require('../../src/parsers/roster');
+const { nameSimilarity, resolveTeamId, rankCandidates } = require('../../src/utils/player-matching');
+
+// MLB Stats API players for 2024, as saved by the players fetch
+const people = require('../../data/debug/mlb-players-2024.json').people;
+
+const TEAMS = new Map([['LAD', 119], ['MIL', 158], ['WSH', 120], ['HOU', 117], ['CWS', 145], ['ATL', 144]]);
+
+/**
+ * Build matcher candidates for every 2024 player with a normalized name
+ * @param {string} normalizedName - Normalized player name
+ * @param {boolean} teamsKnown - Whether to pass each player's 2024 team
+ * @returns {Array<Object>} Candidates
+ */
+function candidatesNamed(normalizedName, teamsKnown = true) {
+    return people
+        .filter(player => normalizePlayerName(player.fullName) === normalizedName)
+        .map(player => ({
+            playerId: player.id,
+            normalizedName: normalizePlayerName(player.fullName),
+            batSide: player.batSide.code,
+            mlbTeamId: teamsKnown ? player.currentTeam.id : undefined
+        }));
+}
+
+describe('nameSimilarity', () => {
+    it('scores the same name as 1 and a nickname as nearly the same', () => {
+        assert.equal(nameSimilarity('will smith', 'will smith'), 1);
+        assert.equal(nameSimilarity('mike harris', 'michael harris'), 0.95);
+    });
+
+    it('uses edit distance for everything else', () => {
+        assert.ok(nameSimilarity('giancarlo stantn', 'giancarlo stanton') > 0.9);
+        assert.ok(nameSimilarity('mike trout', 'jeff trout') < 0.7);
+    });
+});
+
+describe('resolveTeamId', () => {
+    it('finds a team under either spelling of its abbreviation', () => {
+        assert.equal(resolveTeamId('LAD', TEAMS), 119);
+        assert.equal(resolveTeamId('chw', TEAMS), 145);
+        assert.equal(resolveTeamId('WAS', TEAMS), 120);
+    });
+
+    it('returns null for free agents and unknown teams', () => {
+        assert.equal(resolveTeamId('', TEAMS), null);
+        assert.equal(resolveTeamId('(N/A)', TEAMS), null);
+    });
+});
+
+describe('rankCandidates', () => {
+    it('tells the two Will Smiths apart by team', () => {
+        const candidates = candidatesNamed('will smith');
+        assert.equal(candidates.length, 2);
+
+        const { match, review } = rankCandidates({ normalizedName: 'will smith', mlbTeamId: 119, batSide: 'R' }, candidates);
+        assert.equal(match.playerId, 669257);
+        assert.equal(review, false);
+    });
+
+    it('tells the two Luis Garcias apart by team and bat side', () => {
+        const { match } = rankCandidates(
+            { normalizedName: 'luis garcia', mlbTeamId: 120, batSide: 'L' },
+            candidatesNamed('luis garcia')
+        );
+        assert.equal(match.playerId, 671277);
+    });
+
+    it('sends a shared name to review when nothing tells the players apart', () => {
+        const { match, review, ranked } = rankCandidates(
+            { normalizedName: 'will smith', mlbTeamId: null, batSide: 'R' },
+            candidatesNamed('will smith', false)
+        );
+        assert.equal(match, null);
+        assert.equal(review, true);
+        assert.deepEqual(ranked.map(candidate => candidate.playerId).sort(), [519293, 669257]);
+    });
+
+    it('links a nickname on the right team', () => {
+        const { match } = rankCandidates(
+            { normalizedName: 'mike harris', mlbTeamId: 144, batSide: 'L' },
+            candidatesNamed('michael harris')
+        );
+        assert.equal(match.playerId, 671739);
+        assert.equal(match.name, 0.95);
+    });
+
+    it('still links a player listed on another team when nobody else fits', () => {
+        const { match } = rankCandidates(
+            { normalizedName: 'josh smith', mlbTeamId: 117, batSide: 'L' },
+            candidatesNamed('josh smith')
+        );
+        assert.equal(match.playerId, 669701);
+    });
+
+    it('neither links nor reviews a name that is nothing like the candidates', () => {
+        const { match, review } = rankCandidates(
+            { normalizedName: 'jeff trout', mlbTeamId: 108, batSide: 'R' },
+            candidatesNamed('will smith')
+        );
+        assert.equal(match, null);
+        assert.equal(review, false);
+    });
+});
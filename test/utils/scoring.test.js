@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { STAT_GROUPS, scoreStatLine, batterGameLine, pitchingStatsLine, pitcherGameLine, parseInnings, round } = require('../../src/utils/scoring');
+
+// scoring_rules rows for a season
+const RULES = [
+    { stat_group: 'hitting', category: 'R', points: 1 },
+    { stat_group: 'hitting', category: '1B', points: 1 },
+    { stat_group: 'hitting', category: '2B', points: 2 },
+    { stat_group: 'hitting', category: '3B', points: 3 },
+    { stat_group: 'hitting', category: 'HR', points: 4 },
+    { stat_group: 'hitting', category: 'RBI', points: 1 },
+    { stat_group: 'hitting', category: 'BB', points: 1 },
+    { stat_group: 'hitting', category: 'SB', points: 2 },
+    { stat_group: 'hitting', category: 'CS', points: -1 },
+    { stat_group: 'pitching', category: 'W', points: 5 },
+    { stat_group: 'pitching', category: 'IP', points: 3 },
+    { stat_group: 'pitching', category: 'ER', points: -2 },
+    { stat_group: 'pitching', category: 'H+BB', points: -1 },
+    { stat_group: 'pitching', category: 'K', points: 1 }
+];
+
+describe('scoreStatLine', () => {
+    it('scores a batter game log line', () => {
+        // 2-for-4 with a double and a home run, a walk, 2 R, 3 RBI, caught stealing once
+        const row = { runs: 2, hits: 2, doubles: 1, triples: 0, home_runs: 1, rbi: 3, base_on_balls: 1, stolen_bases: 0, caught_stealing: 1 };
+
+        const { points, breakdown } = scoreStatLine(batterGameLine(row), RULES, STAT_GROUPS.HITTING);
+
+        assert.equal(points, 11);
+        assert.deepEqual(breakdown, { 'R': 2, '1B': 0, '2B': 2, '3B': 0, 'HR': 4, 'RBI': 3, 'BB': 1, 'SB': 0, 'CS': -1 });
+    });
+
+    it('scores team pitching totals with innings as thirds', () => {
+        const row = { wins: 1, innings_pitched: '8.2', earned_runs: 3, hits_plus_walks: 9, strikeouts: 10 };
+
+        const { points, breakdown } = scoreStatLine(pitchingStatsLine(row), RULES, STAT_GROUPS.PITCHING);
+
+        assert.equal(breakdown.IP, 26);
+        assert.equal(points, 5 + 26 - 6 - 9 + 10);
+    });
+
+    it('scores an MLB staff\'s summed game lines from outs', () => {
+        // 8.2 innings over two pitchers: 26 outs
+        const row = { outs: 26, wins: 1, earned_runs: 3, hits: 7, base_on_balls: 2, strikeouts: 10 };
+
+        assert.deepEqual(pitcherGameLine(row), { 'W': 1, 'IP': 26 / 3, 'ER': 3, 'H+BB': 9, 'K': 10 });
+        assert.equal(scoreStatLine(pitcherGameLine(row), RULES, STAT_GROUPS.PITCHING).points, 5 + 26 - 6 - 9 + 10);
+    });
+
+    it('counts categories missing from the line as zero', () => {
+        assert.deepEqual(scoreStatLine({ HR: 1 }, RULES.slice(0, 5), STAT_GROUPS.HITTING), {
+            points: 4,
+            breakdown: { 'R': 0, '1B': 0, '2B': 0, '3B': 0, 'HR': 4 }
+        });
+    });
+});
+
+describe('parseInnings', () => {
+    it('reads outs after the point as thirds of an innings', () => {
+        assert.equal(parseInnings('1,234.1'), 1234 + 1 / 3);
+        assert.equal(parseInnings(7), 7);
+        assert.equal(parseInnings(null), 0);
+    });
+});
+
+describe('round', () => {
+    it('rounds to two places by default, or the places asked for, without a negative zero', () => {
+        assert.equal(round(12.345678), 12.35);
+        assert.equal(round(12.345678, 1), 12.3);
+        assert.ok(Object.is(round(-0.001), 0));
+    });
+});
@@ -78,13 +78,18 @@ async function updatePitchingStaffIds() {
         }
     } catch (error) {
         console.error('Error updating pitching staff IDs:', error);
+        throw error;
     } finally {
         await dbService.close();
     }
 }
 
-// Run the update function
-updatePitchingStaffIds().catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
-});
\ No newline at end of file
+// Run the update function when executed directly
+if (require.main === module) {
+    updatePitchingStaffIds().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { updatePitchingStaffIds };
\ No newline at end of file